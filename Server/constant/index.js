@@ -2,7 +2,208 @@
 export const TRANSACTION_TYPES = {
     IN: 'IN',
     OUT: 'OUT',
-    ADJUSTMENT: 'ADJUSTMENT'
+    ADJUSTMENT: 'ADJUSTMENT',
+    TRANSFER_IN: 'TRANSFER_IN',
+    TRANSFER_OUT: 'TRANSFER_OUT'
+};
+
+// Stock Transfer Status
+export const TRANSFER_STATUS = {
+    IN_TRANSIT: 'in_transit',
+    RECEIVED: 'received',
+    CANCELLED: 'cancelled'
+};
+
+// Physical Count Status
+export const PHYSICAL_COUNT_STATUS = {
+    IN_PROGRESS: 'in_progress',
+    FINALIZED: 'finalized',
+    CANCELLED: 'cancelled'
+};
+
+// Purchase Order Status
+export const PURCHASE_ORDER_STATUS = {
+    DRAFT: 'draft',
+    SENT: 'sent',
+    PARTIALLY_RECEIVED: 'partially_received',
+    RECEIVED: 'received',
+    CANCELLED: 'cancelled'
+};
+
+// Sales Order Status
+export const SALES_ORDER_STATUS = {
+    DRAFT: 'draft',
+    CONFIRMED: 'confirmed',
+    PARTIALLY_SHIPPED: 'partially_shipped',
+    SHIPPED: 'shipped',
+    CANCELLED: 'cancelled'
+};
+
+// Return (RMA) Status
+export const RETURN_STATUS = {
+    OPEN: 'open',
+    RECEIVED: 'received',
+    CANCELLED: 'cancelled'
+};
+
+// Return Line Dispositions: back to sellable stock, into a quarantine location, or written off
+export const RETURN_DISPOSITIONS = {
+    RESTOCK: 'restock',
+    QUARANTINE: 'quarantine',
+    SCRAP: 'scrap'
+};
+
+// Stock Reservation Status
+export const RESERVATION_STATUS = {
+    ACTIVE: 'active',
+    CONSUMED: 'consumed',
+    RELEASED: 'released',
+    EXPIRED: 'expired'
+};
+
+// Transaction Status (pending transactions wait for approval and do not move stock yet)
+export const TRANSACTION_STATUS = {
+    PENDING: 'pending',
+    POSTED: 'posted',
+    REJECTED: 'rejected'
+};
+
+// Adjustment Reason Directions (which way an adjustment with the reason may move stock)
+export const ADJUSTMENT_DIRECTIONS = {
+    DECREASE: 'decrease',
+    INCREASE: 'increase',
+    ANY: 'any'
+};
+
+// Adjustment Reason Codes the server posts itself (seeded as system reasons; others are managed in adjustment_reasons)
+export const ADJUSTMENT_REASONS = {
+    COUNT_CORRECTION: 'count_correction',
+    REVERSAL: 'reversal',
+    RETURN_SCRAP: 'return_scrap'
+};
+
+// Kit operations recorded on the ledger rows they post; all legs of one run share the reference number
+export const KIT_OPERATIONS = {
+    ASSEMBLY: 'assembly',
+    DISASSEMBLY: 'disassembly'
+};
+
+// Transaction Approval
+export const APPROVALS = {
+    // Movements that can need approval: adjustments and manual stock removal (write-offs)
+    TRANSACTION_TYPES: ['ADJUSTMENT', 'OUT'],
+    // Per-role limits; a movement above any of them is created as pending. value is the cost of the
+    // units moved, percent_of_stock their share of the location's stock; null means no limit.
+    // Override with TRANSACTION_APPROVAL_THRESHOLDS (JSON keyed by role)
+    THRESHOLDS: {
+        user: { quantity: 50, value: 1000, percent_of_stock: 25 },
+        manager: { quantity: 500, value: 10000, percent_of_stock: null },
+        admin: null
+    }
+};
+
+// Stock Reservation Owners
+export const RESERVATION_OWNER_TYPES = {
+    SALES_ORDER: 'sales_order',
+    CART: 'cart',
+    QUOTE: 'quote',
+    MANUAL: 'manual'
+};
+
+// Stock Reservation Defaults
+export const RESERVATIONS = {
+    // Holds without an explicit expiry (other than sales orders) lapse after this long
+    DEFAULT_TTL_MINUTES: 60,
+    SWEEP_INTERVAL_MS: 60 * 1000
+};
+
+// Serial Number Status
+export const SERIAL_STATUS = {
+    IN_STOCK: 'in_stock',
+    RESERVED: 'reserved',
+    SOLD: 'sold',
+    RETURNED: 'returned',
+    SCRAPPED: 'scrapped'
+};
+
+// Inventory Costing Methods
+export const COSTING_METHODS = {
+    FIFO: 'fifo',
+    WEIGHTED_AVERAGE: 'weighted_average'
+};
+
+// Inventory Costing (the method is set per deployment with INVENTORY_COSTING_METHOD)
+export const COSTING = {
+    DEFAULT_METHOD: COSTING_METHODS.FIFO
+};
+
+// Lot Tracking
+export const LOTS = {
+    // Lots expiring within this many days are reported and alerted on
+    EXPIRY_ALERT_DAYS: 30,
+    EXPIRY_SCAN_INTERVAL_MS: 12 * 60 * 60 * 1000
+};
+
+// Supplier Catalog Defaults
+export const SUPPLIER_CATALOG = {
+    DEFAULT_CURRENCY: 'USD',
+    DEFAULT_LEAD_TIME_DAYS: 7
+};
+
+// Replenishment Planning
+export const REPLENISHMENT = {
+    // Window of OUT transactions used to estimate average daily demand
+    DEMAND_PERIOD_DAYS: 30
+};
+
+// Inventory Reports
+export const REPORTS = {
+    // Period used when a report is requested without a date range
+    DEFAULT_PERIOD_DAYS: 90,
+    // Upper bounds (days since last IN) of the aging buckets; older stock falls in the last bucket
+    AGING_BUCKETS: [30, 60, 90],
+    // Annualized turnover at or above which a product is fast-moving
+    FAST_MOVING_ANNUAL_TURNOVER: 6,
+    // Periods the shrinkage report can break adjustments down by
+    SHRINKAGE_INTERVALS: ['day', 'week', 'month'],
+    DEFAULT_SHRINKAGE_INTERVAL: 'month'
+};
+
+// Stock Level History
+export const STOCK_HISTORY = {
+    DEFAULT_PERIOD_DAYS: 30,
+    // Longest daily series returned by one request
+    MAX_PERIOD_DAYS: 366
+};
+
+// Movement Classes
+export const MOVEMENT_CLASSES = {
+    FAST: 'fast',
+    SLOW: 'slow',
+    DEAD: 'dead'
+};
+
+// ABC Classes (by outbound value)
+export const ABC_CLASSES = {
+    A: 'A',
+    B: 'B',
+    C: 'C'
+};
+
+// Cycle Count Planning
+export const CYCLE_COUNT = {
+    ANALYSIS_PERIOD_DAYS: 365,
+    // Cumulative share of outbound value at which class A and class B end
+    CLASS_THRESHOLDS: {
+        A: 0.8,
+        B: 0.95
+    },
+    // Every item of a class is counted once per this many days
+    FREQUENCY_DAYS: {
+        A: 30,
+        B: 90,
+        C: 180
+    }
 };
 
 // Product Units
@@ -16,6 +217,31 @@ export const PRODUCT_UNITS = {
     PACK: 'pack'
 };
 
+// Base units measured rather than counted; their quantities may be fractional
+export const FRACTIONAL_UNITS = [
+    PRODUCT_UNITS.KILOGRAM,
+    PRODUCT_UNITS.POUNDS,
+    PRODUCT_UNITS.LITER,
+    PRODUCT_UNITS.METER
+];
+
+// Custom product attribute types, defined per category
+export const ATTRIBUTE_TYPES = {
+    TEXT: 'text',
+    NUMBER: 'number',
+    ENUM: 'enum',
+    BOOLEAN: 'boolean',
+    DATE: 'date'
+};
+
+// Location Types
+export const LOCATION_TYPES = {
+    WAREHOUSE: 'warehouse',
+    STORE: 'store',
+    // Holds returned stock awaiting inspection; it cannot be reserved or sold
+    QUARANTINE: 'quarantine'
+};
+
 // User Roles
 export const USER_ROLES = ['admin', 'manager', 'user'];
 
@@ -26,6 +252,7 @@ export const USER_STATUS = ['active', 'inactive', 'suspended'];
 export const HTTP_STATUS = {
     OK: 200,
     CREATED: 201,
+    ACCEPTED: 202,
     NO_CONTENT: 204,
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
@@ -99,6 +326,39 @@ export const DATABASE_CONSTRAINTS = {
     },
     LOCATION: {
         MAX_LENGTH: 100
+    },
+    LOCATION_CODE: {
+        MIN_LENGTH: 2,
+        MAX_LENGTH: 20
+    },
+    SUPPLIER_NAME: {
+        MIN_LENGTH: 2,
+        MAX_LENGTH: 150
+    },
+    SUPPLIER_CODE: {
+        MIN_LENGTH: 2,
+        MAX_LENGTH: 20
+    },
+    CUSTOMER_NAME: {
+        MIN_LENGTH: 2,
+        MAX_LENGTH: 150
+    },
+    ADJUSTMENT_REASON_CODE: {
+        MIN_LENGTH: 2,
+        MAX_LENGTH: 50
+    },
+    ADJUSTMENT_REASON_NAME: {
+        MIN_LENGTH: 2,
+        MAX_LENGTH: 100
+    },
+    UNIT_CODE: {
+        MIN_LENGTH: 1,
+        MAX_LENGTH: 20
+    },
+    // NUMERIC(14, 3) stock quantities, in the product's base unit
+    QUANTITY: {
+        PRECISION: 14,
+        SCALE: 3
     }
 };
 
@@ -147,8 +407,17 @@ export const ENVIRONMENTS = {
 // File Upload Constraints
 export const FILE_UPLOAD = {
     MAX_SIZE: 5 * 1024 * 1024, // 5MB
+    MAX_FILES: 10, // per request
     ALLOWED_TYPES: ['image/jpeg', 'image/png', 'image/gif', 'application/pdf'],
-    ALLOWED_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.gif', '.pdf']
+    ALLOWED_EXTENSIONS: ['.jpg', '.jpeg', '.png', '.gif', '.pdf'],
+    IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/gif'],
+    THUMBNAIL_SIZE: 300 // longest side in pixels
+};
+
+// Product attachment kinds: gallery images, and documents such as spec sheets or SDS PDFs
+export const ATTACHMENT_KINDS = {
+    IMAGE: 'image',
+    DOCUMENT: 'document'
 };
 
 // Rate Limiting
@@ -166,7 +435,35 @@ export const RATE_LIMITS = {
 // Export all constants as default
 export default {
     TRANSACTION_TYPES,
+    TRANSACTION_STATUS,
+    ADJUSTMENT_DIRECTIONS,
+    ADJUSTMENT_REASONS,
+    KIT_OPERATIONS,
+    APPROVALS,
+    TRANSFER_STATUS,
+    PHYSICAL_COUNT_STATUS,
+    PURCHASE_ORDER_STATUS,
+    SALES_ORDER_STATUS,
+    RETURN_STATUS,
+    RETURN_DISPOSITIONS,
+    RESERVATION_STATUS,
+    RESERVATION_OWNER_TYPES,
+    RESERVATIONS,
+    LOTS,
+    SERIAL_STATUS,
+    COSTING_METHODS,
+    COSTING,
+    SUPPLIER_CATALOG,
+    REPLENISHMENT,
+    REPORTS,
+    MOVEMENT_CLASSES,
+    STOCK_HISTORY,
+    ABC_CLASSES,
+    CYCLE_COUNT,
     PRODUCT_UNITS,
+    FRACTIONAL_UNITS,
+    ATTRIBUTE_TYPES,
+    LOCATION_TYPES,
     USER_ROLES,
     USER_STATUS,
     HTTP_STATUS,
@@ -181,5 +478,6 @@ export default {
     DATE_FORMATS,
     ENVIRONMENTS,
     FILE_UPLOAD,
+    ATTACHMENT_KINDS,
     RATE_LIMITS
 };
@@ -0,0 +1,186 @@
+import AdjustmentReasonService from '../services/adjustment-reason-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError,
+    ConflictError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class AdjustmentReasonController {
+
+    /**
+     * Get adjustment reasons (active ones unless include_inactive is set)
+     * @route GET /api/adjustment-reasons
+     */
+    static async getAllReasons(req, res) {
+        try {
+            const reasons = await AdjustmentReasonService.getAllReasons(req.query);
+
+            return ResponseUtil.success(
+                res,
+                reasons,
+                'Adjustment reasons retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'AdjustmentReasonController',
+                method: 'getAllReasons',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get adjustment reason by ID
+     * @route GET /api/adjustment-reasons/:id
+     */
+    static async getReasonById(req, res) {
+        try {
+            const { id } = req.params;
+            const reason = await AdjustmentReasonService.getReasonById(id);
+
+            return ResponseUtil.success(
+                res,
+                reason,
+                'Adjustment reason retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'AdjustmentReasonController',
+                method: 'getReasonById',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Create adjustment reason
+     * @route POST /api/adjustment-reasons
+     */
+    static async createReason(req, res) {
+        try {
+            const reason = await AdjustmentReasonService.createReason(req.body);
+
+            return ResponseUtil.created(
+                res,
+                reason,
+                'Adjustment reason created successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'AdjustmentReasonController',
+                method: 'createReason',
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof ConflictError) {
+                return ResponseUtil.conflict(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Update adjustment reason
+     * @route PUT /api/adjustment-reasons/:id
+     */
+    static async updateReason(req, res) {
+        try {
+            const { id } = req.params;
+            const reason = await AdjustmentReasonService.updateReason(id, req.body);
+
+            return ResponseUtil.updated(
+                res,
+                reason,
+                'Adjustment reason updated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'AdjustmentReasonController',
+                method: 'updateReason',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (error instanceof ConflictError) {
+                return ResponseUtil.conflict(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Delete adjustment reason (deactivated instead when it is in use)
+     * @route DELETE /api/adjustment-reasons/:id
+     */
+    static async deleteReason(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await AdjustmentReasonService.deleteReason(id);
+
+            return ResponseUtil.deleted(res, result.message);
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'AdjustmentReasonController',
+                method: 'deleteReason',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default AdjustmentReasonController;
@@ -0,0 +1,269 @@
+import AttachmentService from '../services/attachment-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError
+} from '../utils/index.js';
+import { MESSAGES, ATTACHMENT_KINDS } from '../constant/index.js';
+
+class AttachmentController {
+
+    /**
+     * Get a product's images and documents
+     * @route GET /api/attachments/products/:id
+     */
+    static async getProductAttachments(req, res) {
+        try {
+            const { id } = req.params;
+            const attachments = await AttachmentService.getProductAttachments(id);
+
+            return ResponseUtil.success(
+                res,
+                attachments,
+                'Attachments retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'AttachmentController',
+                method: 'getProductAttachments',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Upload product images (multipart field "files"); thumbnails are generated
+     * @route POST /api/attachments/products/:id/images
+     */
+    static async uploadProductImages(req, res) {
+        try {
+            const { id } = req.params;
+            const attachments = await AttachmentService.uploadAttachments(
+                id,
+                ATTACHMENT_KINDS.IMAGE,
+                req.files,
+                req.body,
+                req.user?.id
+            );
+
+            return ResponseUtil.created(
+                res,
+                attachments,
+                'Images uploaded successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'AttachmentController',
+                method: 'uploadProductImages',
+                params: req.params
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Upload product documents such as spec sheets or SDS PDFs (multipart field "files")
+     * @route POST /api/attachments/products/:id/documents
+     */
+    static async uploadProductDocuments(req, res) {
+        try {
+            const { id } = req.params;
+            const attachments = await AttachmentService.uploadAttachments(
+                id,
+                ATTACHMENT_KINDS.DOCUMENT,
+                req.files,
+                req.body,
+                req.user?.id
+            );
+
+            return ResponseUtil.created(
+                res,
+                attachments,
+                'Documents uploaded successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'AttachmentController',
+                method: 'uploadProductDocuments',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Download an attachment
+     * @route GET /api/attachments/:id/file
+     */
+    static async downloadAttachment(req, res) {
+        try {
+            const file = await AttachmentService.getAttachmentFile(req.params.id);
+
+            return AttachmentController.sendFile(res, file);
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'AttachmentController',
+                method: 'downloadAttachment',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Download an image attachment's thumbnail
+     * @route GET /api/attachments/:id/thumbnail
+     */
+    static async downloadThumbnail(req, res) {
+        try {
+            const file = await AttachmentService.getAttachmentFile(req.params.id, 'thumbnail');
+
+            return AttachmentController.sendFile(res, file);
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'AttachmentController',
+                method: 'downloadThumbnail',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Update an attachment's title, position or primary flag
+     * @route PATCH /api/attachments/:id
+     */
+    static async updateAttachment(req, res) {
+        try {
+            const { id } = req.params;
+            const attachment = await AttachmentService.updateAttachment(id, req.body);
+
+            return ResponseUtil.updated(
+                res,
+                attachment,
+                'Attachment updated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'AttachmentController',
+                method: 'updateAttachment',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Delete an attachment and its stored files
+     * @route DELETE /api/attachments/:id
+     */
+    static async deleteAttachment(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await AttachmentService.deleteAttachment(id);
+
+            return ResponseUtil.deleted(res, result.message);
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'AttachmentController',
+                method: 'deleteAttachment',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    // Stream a stored file; images display inline, documents download under their original name
+    static sendFile(res, file) {
+        res.type(file.mime_type);
+        if (file.kind === ATTACHMENT_KINDS.DOCUMENT) {
+            res.attachment(file.filename);
+        } else {
+            res.setHeader('Content-Disposition', `inline; filename="${encodeURIComponent(file.filename)}"`);
+        }
+
+        file.stream.on('error', (error) => {
+            ErrorUtil.logError(error, { controller: 'AttachmentController', method: 'sendFile' });
+            res.destroy(error);
+        });
+
+        return file.stream.pipe(res);
+    }
+}
+
+export default AttachmentController;
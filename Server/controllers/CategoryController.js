@@ -219,6 +219,139 @@ class CategoryController {
             return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
         }
     }
+
+    /**
+     * Get all categories as a nested tree
+     * @route GET /api/categories/tree
+     */
+    static async getCategoryTree(req, res) {
+        try {
+            const tree = await CategoryService.getCategoryTree(req.query);
+
+            return ResponseUtil.success(
+                res,
+                tree,
+                'Category tree retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'CategoryController',
+                method: 'getCategoryTree',
+                query: req.query
+            });
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Move a category under another parent (or to the top level)
+     * @route PATCH /api/categories/:id/move
+     */
+    static async moveCategory(req, res) {
+        try {
+            const { id } = req.params;
+            const category = await CategoryService.moveCategory(id, req.body.parent_id);
+
+            return ResponseUtil.updated(
+                res,
+                category,
+                'Category moved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'CategoryController',
+                method: 'moveCategory',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get a category's custom product attributes
+     * @route GET /api/categories/:id/attributes
+     */
+    static async getCategoryAttributes(req, res) {
+        try {
+            const { id } = req.params;
+            const category = await CategoryService.getCategoryAttributes(id);
+
+            return ResponseUtil.success(
+                res,
+                category,
+                'Category attributes retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'CategoryController',
+                method: 'getCategoryAttributes',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Replace a category's custom product attributes
+     * @route PUT /api/categories/:id/attributes
+     */
+    static async updateCategoryAttributes(req, res) {
+        try {
+            const { id } = req.params;
+            const category = await CategoryService.setCategoryAttributes(id, req.body.attributes);
+
+            return ResponseUtil.updated(
+                res,
+                category,
+                'Category attributes updated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'CategoryController',
+                method: 'updateCategoryAttributes',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
 }
 
-export default CategoryController;
+export default CategoryController;
\ No newline at end of file
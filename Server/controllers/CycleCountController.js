@@ -0,0 +1,140 @@
+import CycleCountService from '../services/cycle-count-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class CycleCountController {
+
+    /**
+     * Get today's cycle count list for a location
+     * @route GET /api/cycle-counts/today
+     */
+    static async getTodayCountList(req, res) {
+        try {
+            const result = await CycleCountService.getTodayCountList(req.query.location_id);
+
+            return ResponseUtil.success(
+                res,
+                result,
+                'Cycle count list retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'CycleCountController',
+                method: 'getTodayCountList',
+                query: req.query
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get current ABC class distribution
+     * @route GET /api/cycle-counts/classification
+     */
+    static async getClassification(req, res) {
+        try {
+            const result = await CycleCountService.getClassification();
+
+            return ResponseUtil.success(
+                res,
+                result,
+                'ABC classification retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'CycleCountController',
+                method: 'getClassification'
+            });
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Record cycle count results and post variances as adjustments
+     * @route POST /api/cycle-counts/record
+     */
+    static async recordCycleCount(req, res) {
+        try {
+            const result = await CycleCountService.recordCycleCount(req.body, req.user?.id);
+
+            return ResponseUtil.success(
+                res,
+                result,
+                `Cycle count recorded. ${result.successful} successful, ${result.failed} failed.`
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'CycleCountController',
+                method: 'recordCycleCount',
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Reclassify products into A/B/C by outbound value
+     * @route POST /api/cycle-counts/classify
+     */
+    static async classifyProducts(req, res) {
+        try {
+            const result = await CycleCountService.classifyProducts(req.body);
+
+            return ResponseUtil.success(
+                res,
+                result,
+                'Products classified successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'CycleCountController',
+                method: 'classifyProducts',
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default CycleCountController;
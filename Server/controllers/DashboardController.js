@@ -10,7 +10,7 @@ class DashboardController {
      */
     static async getDashboard(req, res) {
         try {
-            const dashboardData = await DashboardService.getDashboardData();
+            const dashboardData = await DashboardService.getDashboardData(req.query);
 
             return ResponseUtil.success(
                 res,
@@ -34,7 +34,7 @@ class DashboardController {
      */
     static async getInventoryStats(req, res) {
         try {
-            const stats = await DashboardService.getInventoryStats();
+            const stats = await DashboardService.getInventoryStats(req.query.location_id);
 
             return ResponseUtil.success(
                 res,
@@ -58,7 +58,7 @@ class DashboardController {
      */
     static async getLowStockAlerts(req, res) {
         try {
-            const alerts = await DashboardService.getLowStockAlerts();
+            const alerts = await DashboardService.getLowStockAlerts(req.query.location_id);
 
             return ResponseUtil.success(
                 res,
@@ -133,7 +133,7 @@ class DashboardController {
      */
     static async getCategoryWiseStock(req, res) {
         try {
-            const categoryStats = await DashboardService.getCategoryWiseStock();
+            const categoryStats = await DashboardService.getCategoryWiseStock(req.query.location_id, req.query.category_id);
 
             return ResponseUtil.success(
                 res,
@@ -152,13 +152,39 @@ class DashboardController {
     }
 
     /**
-     * Get top selling products
+     * Get location-wise stock distribution
+     * @route GET /api/dashboard/locations
+     */
+    static async getLocationWiseStock(req, res) {
+        try {
+            const locationStats = await DashboardService.getLocationWiseStock();
+
+            return ResponseUtil.success(
+                res,
+                locationStats,
+                'Location-wise stock data retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, { controller: 'DashboardController', method: 'getLocationWiseStock' });
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get top selling products, or styles with ?group_by=style (variants rolled up to their parent)
      * @route GET /api/dashboard/top-products
      */
     static async getTopSellingProducts(req, res) {
         try {
             const limit = parseInt(req.query.limit) || 5;
-            const topProducts = await DashboardService.getTopSellingProducts(limit);
+            const topProducts = req.query.group_by === 'style'
+                ? await DashboardService.getTopSellingStyles(limit)
+                : await DashboardService.getTopSellingProducts(limit);
 
             return ResponseUtil.success(
                 res,
@@ -1,4 +1,9 @@
 import InventoryService from '../services/inventory-services.js';
+import TransferService from '../services/transfer-services.js';
+import PhysicalCountService from '../services/physical-count-services.js';
+import CostingService from '../services/costing-services.js';
+import ReportService from '../services/report-services.js';
+import StockHistoryService from '../services/stock-history-services.js';
 import {
     ResponseUtil,
     ErrorUtil,
@@ -6,7 +11,7 @@ import {
     NotFoundError,
     ConflictError
 } from '../utils/index.js';
-import { MESSAGES } from '../constant/index.js';
+import { MESSAGES, HTTP_STATUS } from '../constant/index.js';
 
 class InventoryController {
 
@@ -83,7 +88,7 @@ class InventoryController {
     static async getInventoryByProductId(req, res) {
         try {
             const { productId } = req.params;
-            const inventory = await InventoryService.getInventoryByProductId(productId);
+            const inventory = await InventoryService.getInventoryByProductId(productId, req.query.location_id, req.query.unit);
 
             return ResponseUtil.success(
                 res,
@@ -97,6 +102,10 @@ class InventoryController {
                 params: req.params
             });
 
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
             if (error instanceof NotFoundError) {
                 return ResponseUtil.notFound(res, error.message);
             }
@@ -232,9 +241,14 @@ class InventoryController {
     static async addStock(req, res) {
         try {
             const { id } = req.params;
-            const { quantity, notes } = req.body;
+            const { quantity, unit, notes, lot_number, manufacture_date, expiry_date, lots, serials } = req.body;
 
-            const result = await InventoryService.addStock(id, quantity, notes);
+            const result = await InventoryService.addStock(id, quantity, notes, {
+                lot_number,
+                manufacture_date,
+                expiry_date,
+                lots
+            }, serials, req.user?.id, unit);
 
             return ResponseUtil.updated(
                 res,
@@ -272,9 +286,13 @@ class InventoryController {
     static async removeStock(req, res) {
         try {
             const { id } = req.params;
-            const { quantity, notes } = req.body;
+            const { quantity, unit, notes, serials } = req.body;
 
-            const result = await InventoryService.removeStock(id, quantity, notes);
+            const result = await InventoryService.removeStock(id, quantity, notes, serials, req.user?.id, unit);
+
+            if (result.pending) {
+                return ResponseUtil.success(res, result, 'Stock removal submitted for approval', HTTP_STATUS.ACCEPTED);
+            }
 
             return ResponseUtil.updated(
                 res,
@@ -312,9 +330,13 @@ class InventoryController {
     static async adjustStock(req, res) {
         try {
             const { id } = req.params;
-            const { newQuantity, reason, notes } = req.body;
+            const { newQuantity, unit, reason_code, notes, serials } = req.body;
 
-            const result = await InventoryService.adjustStock(id, newQuantity, reason, notes);
+            const result = await InventoryService.adjustStock(id, newQuantity, reason_code, notes, serials, req.user?.id, unit);
+
+            if (result.pending) {
+                return ResponseUtil.success(res, result, 'Stock adjustment submitted for approval', HTTP_STATUS.ACCEPTED);
+            }
 
             return ResponseUtil.updated(
                 res,
@@ -345,14 +367,442 @@ class InventoryController {
         }
     }
 
+    /**
+     * Transfer stock to another location
+     * @route POST /api/inventory/:id/transfer
+     */
+    static async transferStock(req, res) {
+        try {
+            const { id } = req.params;
+            const transfer = await TransferService.createTransfer(id, req.body, req.user?.id);
+
+            return ResponseUtil.created(
+                res,
+                transfer,
+                'Stock transfer dispatched successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'transferStock',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get all stock transfers with filters
+     * @route GET /api/inventory/transfers
+     */
+    static async getAllTransfers(req, res) {
+        try {
+            const result = await TransferService.getAllTransfers(req.query);
+
+            return ResponseUtil.paginated(
+                res,
+                result.transfers,
+                result.pagination,
+                'Stock transfers retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'getAllTransfers',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get stock transfer by ID
+     * @route GET /api/inventory/transfers/:transferId
+     */
+    static async getTransferById(req, res) {
+        try {
+            const { transferId } = req.params;
+            const transfer = await TransferService.getTransferById(transferId);
+
+            return ResponseUtil.success(
+                res,
+                transfer,
+                'Stock transfer retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'getTransferById',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Receive an in-transit stock transfer at its destination
+     * @route POST /api/inventory/transfers/:transferId/receive
+     */
+    static async receiveTransfer(req, res) {
+        try {
+            const { transferId } = req.params;
+            const transfer = await TransferService.receiveTransfer(transferId, req.user?.id);
+
+            return ResponseUtil.updated(
+                res,
+                transfer,
+                'Stock transfer received successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'receiveTransfer',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Cancel an in-transit stock transfer and return the stock to its source
+     * @route POST /api/inventory/transfers/:transferId/cancel
+     */
+    static async cancelTransfer(req, res) {
+        try {
+            const { transferId } = req.params;
+            const transfer = await TransferService.cancelTransfer(transferId, req.body?.reason, req.user?.id);
+
+            return ResponseUtil.updated(
+                res,
+                transfer,
+                'Stock transfer cancelled successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'cancelTransfer',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get all physical count sessions
+     * @route GET /api/inventory/physical-count
+     */
+    static async getAllPhysicalCounts(req, res) {
+        try {
+            const result = await PhysicalCountService.getAllCounts(req.query);
+
+            return ResponseUtil.paginated(
+                res,
+                result.counts,
+                result.pagination,
+                'Physical counts retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'getAllPhysicalCounts',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get physical count session with its variance report
+     * @route GET /api/inventory/physical-count/:countId
+     */
+    static async getPhysicalCountById(req, res) {
+        try {
+            const { countId } = req.params;
+            const count = await PhysicalCountService.getCountById(countId);
+
+            return ResponseUtil.success(
+                res,
+                count,
+                'Physical count retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'getPhysicalCountById',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Start a physical count session, freezing current stock levels
+     * @route POST /api/inventory/physical-count/start
+     */
+    static async startPhysicalCount(req, res) {
+        try {
+            const count = await PhysicalCountService.startCount(req.body, req.user?.id);
+
+            return ResponseUtil.created(
+                res,
+                count,
+                'Physical count started successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'startPhysicalCount',
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof ConflictError) {
+                return ResponseUtil.conflict(res, error.message);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Record counted quantities for a physical count session
+     * @route PATCH /api/inventory/physical-count/:countId/record
+     */
+    static async recordPhysicalCount(req, res) {
+        try {
+            const { countId } = req.params;
+            const count = await PhysicalCountService.recordCount(countId, req.body, req.user?.id);
+
+            return ResponseUtil.updated(
+                res,
+                count,
+                'Physical count recorded successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'recordPhysicalCount',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Finalize a physical count session and post variances as adjustments
+     * @route POST /api/inventory/physical-count/:countId/finalize
+     */
+    static async finalizePhysicalCount(req, res) {
+        try {
+            const { countId } = req.params;
+            const count = await PhysicalCountService.finalizeCount(countId, req.user?.id);
+
+            return ResponseUtil.updated(
+                res,
+                count,
+                'Physical count finalized successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'finalizePhysicalCount',
+                params: req.params
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Daily end-of-day stock levels for an inventory record
+     * @route GET /api/inventory/:id/history
+     */
+    static async getStockLevelHistory(req, res) {
+        try {
+            const { id } = req.params;
+            const history = await StockHistoryService.getInventoryHistory(id, req.query);
+
+            return ResponseUtil.success(
+                res,
+                history,
+                'Stock level history retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'getStockLevelHistory',
+                params: req.params,
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Daily end-of-day stock levels for a product, in total and per location
+     * @route GET /api/inventory/product/:productId/history
+     */
+    static async getProductStockHistory(req, res) {
+        try {
+            const { productId } = req.params;
+            const history = await StockHistoryService.getProductHistory(productId, req.query);
+
+            return ResponseUtil.success(
+                res,
+                history,
+                'Stock level history retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'getProductStockHistory',
+                params: req.params,
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
     /**
      * Get low stock items
      * @route GET /api/inventory/low-stock
      */
     static async getLowStockItems(req, res) {
         try {
-            const { threshold } = req.query;
-            const result = await InventoryService.getLowStockItems(threshold);
+            const { location_id } = req.query;
+            const result = await InventoryService.getLowStockItems(location_id);
 
             return ResponseUtil.success(
                 res,
@@ -384,7 +834,7 @@ class InventoryController {
      */
     static async getOutOfStockItems(req, res) {
         try {
-            const result = await InventoryService.getOutOfStockItems();
+            const result = await InventoryService.getOutOfStockItems(req.query.location_id);
 
             return ResponseUtil.success(
                 res,
@@ -412,7 +862,7 @@ class InventoryController {
      */
     static async getInventoryValuation(req, res) {
         try {
-            const valuation = await InventoryService.getInventoryValuation();
+            const valuation = await InventoryService.getInventoryValuation(req.query);
 
             return ResponseUtil.success(
                 res,
@@ -422,9 +872,198 @@ class InventoryController {
         } catch (error) {
             ErrorUtil.logError(error, {
                 controller: 'InventoryController',
-                method: 'getInventoryValuation'
+                method: 'getInventoryValuation',
+                query: req.query
+            });
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Valuation report at cost with cost of goods sold for the date range
+     * @route GET /api/inventory/reports/valuation
+     */
+    static async getInventoryValuationReport(req, res) {
+        try {
+            const report = await CostingService.getValuationReport(req.query);
+
+            return ResponseUtil.success(
+                res,
+                report,
+                'Inventory valuation report generated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'getInventoryValuationReport',
+                query: req.query
+            });
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Inventory overview: stock, value at cost and movements for the date range
+     * @route GET /api/inventory/reports/overview
+     */
+    static async getInventoryReport(req, res) {
+        try {
+            const report = await ReportService.getOverviewReport(req.query);
+
+            return ResponseUtil.success(
+                res,
+                report,
+                'Inventory overview generated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'getInventoryReport',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Turnover ratio and days of supply per product and category
+     * @route GET /api/inventory/reports/turnover
+     */
+    static async getInventoryTurnoverReport(req, res) {
+        try {
+            const report = await ReportService.getTurnoverReport(req.query);
+
+            return ResponseUtil.success(
+                res,
+                report,
+                'Inventory turnover report generated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'getInventoryTurnoverReport',
+                query: req.query
             });
 
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Stock aging by days since the last IN
+     * @route GET /api/inventory/reports/aging
+     */
+    static async getInventoryAgingReport(req, res) {
+        try {
+            const report = await ReportService.getAgingReport(req.query);
+
+            return ResponseUtil.success(
+                res,
+                report,
+                'Inventory aging report generated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'getInventoryAgingReport',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Fast, slow and dead stock classification for the date range
+     * @route GET /api/inventory/reports/movement-analysis
+     */
+    static async getMovementAnalysisReport(req, res) {
+        try {
+            const report = await ReportService.getMovementAnalysisReport(req.query);
+
+            return ResponseUtil.success(
+                res,
+                report,
+                'Movement analysis generated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'getMovementAnalysisReport',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Returns rate per product for the date range, split by disposition
+     * @route GET /api/inventory/reports/returns-rate
+     */
+    static async getReturnsRateReport(req, res) {
+        try {
+            const report = await ReportService.getReturnsReport(req.query);
+
+            return ResponseUtil.success(
+                res,
+                report,
+                'Returns report generated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'InventoryController',
+                method: 'getReturnsRateReport',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
             if (ErrorUtil.isOperationalError(error)) {
                 return ResponseUtil.error(res, error.message, error.statusCode);
             }
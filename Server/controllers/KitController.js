@@ -0,0 +1,194 @@
+import KitService from '../services/kit-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class KitController {
+
+    /**
+     * Get all kits with their components
+     * @route GET /api/kits
+     */
+    static async getAllKits(req, res) {
+        try {
+            const result = await KitService.getAllKits(req.query);
+
+            return ResponseUtil.paginated(
+                res,
+                result.kits,
+                result.pagination,
+                'Kits retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'KitController',
+                method: 'getAllKits',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get kit by product ID with components and availability
+     * @route GET /api/kits/:id
+     */
+    static async getKitById(req, res) {
+        try {
+            const { id } = req.params;
+            const kit = await KitService.getKitById(id, req.query.location_id);
+
+            return ResponseUtil.success(
+                res,
+                kit,
+                'Kit retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'KitController',
+                method: 'getKitById',
+                params: req.params,
+                query: req.query
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Replace a product's bill of materials
+     * @route PUT /api/kits/:id/components
+     */
+    static async updateKitComponents(req, res) {
+        try {
+            const { id } = req.params;
+            const kit = await KitService.setComponents(id, req.body.components);
+
+            return ResponseUtil.updated(
+                res,
+                kit,
+                'Kit components updated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'KitController',
+                method: 'updateKitComponents',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Assemble kits from their components
+     * @route POST /api/kits/:id/assemble
+     */
+    static async assembleKit(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await KitService.assembleKit(id, req.body, req.user?.id);
+
+            return ResponseUtil.success(
+                res,
+                result,
+                'Kit assembled successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'KitController',
+                method: 'assembleKit',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Break kits back into their components
+     * @route POST /api/kits/:id/disassemble
+     */
+    static async disassembleKit(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await KitService.disassembleKit(id, req.body, req.user?.id);
+
+            return ResponseUtil.success(
+                res,
+                result,
+                'Kit disassembled successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'KitController',
+                method: 'disassembleKit',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default KitController;
@@ -0,0 +1,187 @@
+import LocationService from '../services/location-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError,
+    ConflictError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class LocationController {
+
+    /**
+     * Get all locations with filters
+     * @route GET /api/locations
+     */
+    static async getAllLocations(req, res) {
+        try {
+            const result = await LocationService.getAllLocations(req.query);
+
+            return ResponseUtil.paginated(
+                res,
+                result.locations,
+                result.pagination,
+                'Locations retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'LocationController',
+                method: 'getAllLocations',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get location by ID
+     * @route GET /api/locations/:id
+     */
+    static async getLocationById(req, res) {
+        try {
+            const { id } = req.params;
+            const location = await LocationService.getLocationById(id);
+
+            return ResponseUtil.success(
+                res,
+                location,
+                'Location retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'LocationController',
+                method: 'getLocationById',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Create new location
+     * @route POST /api/locations
+     */
+    static async createLocation(req, res) {
+        try {
+            const location = await LocationService.createLocation(req.body);
+
+            return ResponseUtil.created(
+                res,
+                location,
+                'Location created successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'LocationController',
+                method: 'createLocation',
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof ConflictError) {
+                return ResponseUtil.conflict(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Update location
+     * @route PUT /api/locations/:id
+     */
+    static async updateLocation(req, res) {
+        try {
+            const { id } = req.params;
+            const location = await LocationService.updateLocation(id, req.body);
+
+            return ResponseUtil.updated(
+                res,
+                location,
+                'Location updated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'LocationController',
+                method: 'updateLocation',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (error instanceof ConflictError) {
+                return ResponseUtil.conflict(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Delete location
+     * @route DELETE /api/locations/:id
+     */
+    static async deleteLocation(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await LocationService.deleteLocation(id);
+
+            return ResponseUtil.deleted(res, result.message);
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'LocationController',
+                method: 'deleteLocation',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default LocationController;
@@ -0,0 +1,77 @@
+import LotService from '../services/lot-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class LotController {
+
+    /**
+     * Get stock lots with filters
+     * @route GET /api/lots
+     */
+    static async getAllLots(req, res) {
+        try {
+            const result = await LotService.getAllLots(req.query);
+
+            return ResponseUtil.paginated(
+                res,
+                result.lots,
+                result.pagination,
+                'Stock lots retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'LotController',
+                method: 'getAllLots',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get lots expiring within N days (expired lots with stock included)
+     * @route GET /api/lots/expiring
+     */
+    static async getExpiringLots(req, res) {
+        try {
+            const report = await LotService.getExpiringLots(req.query);
+
+            return ResponseUtil.success(
+                res,
+                report,
+                'Expiring lots retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'LotController',
+                method: 'getExpiringLots',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default LotController;
@@ -148,7 +148,7 @@ class ProductController {
      */
     static async createProduct(req, res) {
         try {
-            const product = await ProductService.createProduct(req.body);
+            const product = await ProductService.createProduct(req.body, req.user?.id);
 
             return ResponseUtil.created(
                 res,
@@ -308,7 +308,7 @@ class ProductController {
 
             for (let i = 0; i < products.length; i++) {
                 try {
-                    const product = await ProductService.createProduct(products[i]);
+                    const product = await ProductService.createProduct(products[i], req.user?.id);
                     results.push({
                         index: i,
                         success: true,
@@ -0,0 +1,258 @@
+import PurchaseOrderService from '../services/purchase-order-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class PurchaseOrderController {
+
+    /**
+     * Get all purchase orders with filters
+     * @route GET /api/purchase-orders
+     */
+    static async getAllPurchaseOrders(req, res) {
+        try {
+            const result = await PurchaseOrderService.getAllPurchaseOrders(req.query);
+
+            return ResponseUtil.paginated(
+                res,
+                result.purchase_orders,
+                result.pagination,
+                'Purchase orders retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'PurchaseOrderController',
+                method: 'getAllPurchaseOrders',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get purchase order by ID
+     * @route GET /api/purchase-orders/:id
+     */
+    static async getPurchaseOrderById(req, res) {
+        try {
+            const { id } = req.params;
+            const purchaseOrder = await PurchaseOrderService.getPurchaseOrderById(id);
+
+            return ResponseUtil.success(
+                res,
+                purchaseOrder,
+                'Purchase order retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'PurchaseOrderController',
+                method: 'getPurchaseOrderById',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Create draft purchase order
+     * @route POST /api/purchase-orders
+     */
+    static async createPurchaseOrder(req, res) {
+        try {
+            const purchaseOrder = await PurchaseOrderService.createPurchaseOrder(req.body, req.user?.id);
+
+            return ResponseUtil.created(
+                res,
+                purchaseOrder,
+                'Purchase order created successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'PurchaseOrderController',
+                method: 'createPurchaseOrder',
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Update draft purchase order
+     * @route PUT /api/purchase-orders/:id
+     */
+    static async updatePurchaseOrder(req, res) {
+        try {
+            const { id } = req.params;
+            const purchaseOrder = await PurchaseOrderService.updatePurchaseOrder(id, req.body);
+
+            return ResponseUtil.updated(
+                res,
+                purchaseOrder,
+                'Purchase order updated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'PurchaseOrderController',
+                method: 'updatePurchaseOrder',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Mark purchase order as sent to the supplier
+     * @route POST /api/purchase-orders/:id/send
+     */
+    static async sendPurchaseOrder(req, res) {
+        try {
+            const { id } = req.params;
+            const purchaseOrder = await PurchaseOrderService.sendPurchaseOrder(id);
+
+            return ResponseUtil.updated(
+                res,
+                purchaseOrder,
+                'Purchase order sent successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'PurchaseOrderController',
+                method: 'sendPurchaseOrder',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Receive goods against a purchase order
+     * @route POST /api/purchase-orders/:id/receive
+     */
+    static async receivePurchaseOrder(req, res) {
+        try {
+            const { id } = req.params;
+            const purchaseOrder = await PurchaseOrderService.receivePurchaseOrder(id, req.body, req.user?.id);
+
+            return ResponseUtil.updated(
+                res,
+                purchaseOrder,
+                'Goods received successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'PurchaseOrderController',
+                method: 'receivePurchaseOrder',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Cancel purchase order
+     * @route POST /api/purchase-orders/:id/cancel
+     */
+    static async cancelPurchaseOrder(req, res) {
+        try {
+            const { id } = req.params;
+            const purchaseOrder = await PurchaseOrderService.cancelPurchaseOrder(id, req.body?.reason);
+
+            return ResponseUtil.updated(
+                res,
+                purchaseOrder,
+                'Purchase order cancelled successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'PurchaseOrderController',
+                method: 'cancelPurchaseOrder',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default PurchaseOrderController;
@@ -0,0 +1,81 @@
+import ReplenishmentService from '../services/replenishment-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class ReplenishmentController {
+
+    /**
+     * Get reorder suggestions grouped by supplier
+     * @route GET /api/replenishment/suggestions
+     */
+    static async getSuggestions(req, res) {
+        try {
+            const result = await ReplenishmentService.getSuggestions(req.query);
+
+            return ResponseUtil.success(
+                res,
+                result,
+                'Replenishment suggestions retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'ReplenishmentController',
+                method: 'getSuggestions',
+                query: req.query
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Create draft purchase orders from the current suggestions
+     * @route POST /api/replenishment/purchase-orders
+     */
+    static async createDraftPurchaseOrders(req, res) {
+        try {
+            const result = await ReplenishmentService.createDraftPurchaseOrders(req.body, req.user?.id);
+
+            return ResponseUtil.created(
+                res,
+                result,
+                `${result.purchase_orders.length} draft purchase order(s) created successfully`
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'ReplenishmentController',
+                method: 'createDraftPurchaseOrders',
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default ReplenishmentController;
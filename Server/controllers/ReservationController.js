@@ -0,0 +1,149 @@
+import ReservationService from '../services/reservation-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class ReservationController {
+
+    /**
+     * Get all stock reservations with filters
+     * @route GET /api/reservations
+     */
+    static async getAllReservations(req, res) {
+        try {
+            const result = await ReservationService.getAllReservations(req.query);
+
+            return ResponseUtil.paginated(
+                res,
+                result.reservations,
+                result.pagination,
+                'Reservations retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'ReservationController',
+                method: 'getAllReservations',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get reservation by ID with its audit history
+     * @route GET /api/reservations/:id
+     */
+    static async getReservationById(req, res) {
+        try {
+            const { id } = req.params;
+            const reservation = await ReservationService.getReservationById(id);
+
+            return ResponseUtil.success(
+                res,
+                reservation,
+                'Reservation retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'ReservationController',
+                method: 'getReservationById',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Reserve stock for a cart, quote or manual hold
+     * @route POST /api/reservations
+     */
+    static async createReservation(req, res) {
+        try {
+            const reservation = await ReservationService.createReservation(req.body, req.user?.id);
+
+            return ResponseUtil.created(
+                res,
+                reservation,
+                'Stock reserved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'ReservationController',
+                method: 'createReservation',
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Release an active reservation
+     * @route POST /api/reservations/:id/release
+     */
+    static async releaseReservation(req, res) {
+        try {
+            const { id } = req.params;
+            const reservation = await ReservationService.releaseReservation(id, req.body?.reason, req.user?.id);
+
+            return ResponseUtil.updated(
+                res,
+                reservation,
+                'Reservation released successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'ReservationController',
+                method: 'releaseReservation',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default ReservationController;
@@ -0,0 +1,187 @@
+import ReturnService from '../services/return-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class ReturnController {
+
+    /**
+     * Get all returns with filters
+     * @route GET /api/returns
+     */
+    static async getAllReturns(req, res) {
+        try {
+            const result = await ReturnService.getAllReturns(req.query);
+
+            return ResponseUtil.paginated(
+                res,
+                result.returns,
+                result.pagination,
+                'Returns retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'ReturnController',
+                method: 'getAllReturns',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get return by ID
+     * @route GET /api/returns/:id
+     */
+    static async getReturnById(req, res) {
+        try {
+            const { id } = req.params;
+            const returnDocument = await ReturnService.getReturnById(id);
+
+            return ResponseUtil.success(
+                res,
+                returnDocument,
+                'Return retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'ReturnController',
+                method: 'getReturnById',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Open a return against a sales order or OUT transaction
+     * @route POST /api/returns
+     */
+    static async createReturn(req, res) {
+        try {
+            const returnDocument = await ReturnService.createReturn(req.body, req.user?.id);
+
+            return ResponseUtil.created(
+                res,
+                returnDocument,
+                'Return created successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'ReturnController',
+                method: 'createReturn',
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Receive a return and post each line by its disposition
+     * @route POST /api/returns/:id/receive
+     */
+    static async receiveReturn(req, res) {
+        try {
+            const { id } = req.params;
+            const returnDocument = await ReturnService.receiveReturn(id, req.body, req.user?.id);
+
+            return ResponseUtil.updated(
+                res,
+                returnDocument,
+                'Return received successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'ReturnController',
+                method: 'receiveReturn',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Cancel an open return
+     * @route POST /api/returns/:id/cancel
+     */
+    static async cancelReturn(req, res) {
+        try {
+            const { id } = req.params;
+            const returnDocument = await ReturnService.cancelReturn(id, req.body?.reason);
+
+            return ResponseUtil.updated(
+                res,
+                returnDocument,
+                'Return cancelled successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'ReturnController',
+                method: 'cancelReturn',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default ReturnController;
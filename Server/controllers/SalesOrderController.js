@@ -0,0 +1,263 @@
+import SalesOrderService from '../services/purchase-order-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class SalesOrderController {
+
+    /**
+     * Get all sales orders with filters
+     * @route GET /api/sales-orders
+     */
+    static async getAllSalesOrders(req, res) {
+        try {
+            const result = await SalesOrderService.getAllSalesOrders(req.query);
+
+            return ResponseUtil.paginated(
+                res,
+                result.sales_orders,
+                result.pagination,
+                'Sales orders retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SalesOrderController',
+                method: 'getAllSalesOrders',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get sales order by ID
+     * @route GET /api/sales-orders/:id
+     */
+    static async getSalesOrderById(req, res) {
+        try {
+            const { id } = req.params;
+            const salesOrder = await SalesOrderService.getSalesOrderById(id);
+
+            return ResponseUtil.success(
+                res,
+                salesOrder,
+                'Sales order retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SalesOrderController',
+                method: 'getSalesOrderById',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Create draft sales order
+     * @route POST /api/sales-orders
+     */
+    static async createSalesOrder(req, res) {
+        try {
+            const salesOrder = await SalesOrderService.createSalesOrder(req.body, req.user?.id);
+
+            return ResponseUtil.created(
+                res,
+                salesOrder,
+                'Sales order created successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SalesOrderController',
+                method: 'createSalesOrder',
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Update draft sales order
+     * @route PUT /api/sales-orders/:id
+     */
+    static async updateSalesOrder(req, res) {
+        try {
+            const { id } = req.params;
+            const salesOrder = await SalesOrderService.updateSalesOrder(id, req.body);
+
+            return ResponseUtil.updated(
+                res,
+                salesOrder,
+                'Sales order updated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SalesOrderController',
+                method: 'updateSalesOrder',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Confirm sales order and reserve its stock
+     * @route POST /api/sales-orders/:id/confirm
+     */
+    static async confirmSalesOrder(req, res) {
+        try {
+            const { id } = req.params;
+            const salesOrder = await SalesOrderService.confirmSalesOrder(id, req.body, req.user?.id);
+
+            return ResponseUtil.updated(
+                res,
+                salesOrder,
+                'Sales order confirmed successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SalesOrderController',
+                method: 'confirmSalesOrder',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Ship goods against a sales order
+     * @route POST /api/sales-orders/:id/ship
+     */
+    static async shipSalesOrder(req, res) {
+        try {
+            const { id } = req.params;
+            const salesOrder = await SalesOrderService.shipSalesOrder(id, req.body, req.user?.id);
+
+            return ResponseUtil.updated(
+                res,
+                salesOrder,
+                'Sales order shipped successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SalesOrderController',
+                method: 'shipSalesOrder',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Cancel sales order
+     * @route POST /api/sales-orders/:id/cancel
+     */
+    static async cancelSalesOrder(req, res) {
+        try {
+            const { id } = req.params;
+            const salesOrder = await SalesOrderService.cancelSalesOrder(id, req.body?.reason, req.user?.id);
+
+            return ResponseUtil.updated(
+                res,
+                salesOrder,
+                'Sales order cancelled successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SalesOrderController',
+                method: 'cancelSalesOrder',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default SalesOrderController;
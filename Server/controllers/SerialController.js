@@ -0,0 +1,118 @@
+import SerialService from '../services/serial-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class SerialController {
+
+    /**
+     * Get serial numbers with filters
+     * @route GET /api/serials
+     */
+    static async getAllSerials(req, res) {
+        try {
+            const result = await SerialService.getAllSerials(req.query);
+
+            return ResponseUtil.paginated(
+                res,
+                result.serials,
+                result.pagination,
+                'Serial numbers retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SerialController',
+                method: 'getAllSerials',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get a unit by serial number with its full movement history
+     * @route GET /api/serials/:serial
+     */
+    static async getSerialHistory(req, res) {
+        try {
+            const { serial } = req.params;
+            const unit = await SerialService.getSerialHistory(serial, req.query.product_id);
+
+            return ResponseUtil.success(
+                res,
+                unit,
+                'Serial number history retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SerialController',
+                method: 'getSerialHistory',
+                params: req.params,
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Reserve, un-reserve or restock a serialized unit
+     * @route PATCH /api/serials/:id/status
+     */
+    static async updateSerialStatus(req, res) {
+        try {
+            const { id } = req.params;
+            const unit = await SerialService.updateSerialStatus(id, req.body.status);
+
+            return ResponseUtil.updated(
+                res,
+                unit,
+                'Serial number status updated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SerialController',
+                method: 'updateSerialStatus',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default SerialController;
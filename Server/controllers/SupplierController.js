@@ -0,0 +1,329 @@
+import SupplierService from '../services/supplier-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError,
+    ConflictError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class SupplierController {
+
+    /**
+     * Get all suppliers with filters
+     * @route GET /api/suppliers
+     */
+    static async getAllSuppliers(req, res) {
+        try {
+            const result = await SupplierService.getAllSuppliers(req.query);
+
+            return ResponseUtil.paginated(
+                res,
+                result.suppliers,
+                result.pagination,
+                'Suppliers retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SupplierController',
+                method: 'getAllSuppliers',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get supplier by ID
+     * @route GET /api/suppliers/:id
+     */
+    static async getSupplierById(req, res) {
+        try {
+            const { id } = req.params;
+            const supplier = await SupplierService.getSupplierById(id);
+
+            return ResponseUtil.success(
+                res,
+                supplier,
+                'Supplier retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SupplierController',
+                method: 'getSupplierById',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Create new supplier
+     * @route POST /api/suppliers
+     */
+    static async createSupplier(req, res) {
+        try {
+            const supplier = await SupplierService.createSupplier(req.body);
+
+            return ResponseUtil.created(
+                res,
+                supplier,
+                'Supplier created successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SupplierController',
+                method: 'createSupplier',
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof ConflictError) {
+                return ResponseUtil.conflict(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Update supplier
+     * @route PUT /api/suppliers/:id
+     */
+    static async updateSupplier(req, res) {
+        try {
+            const { id } = req.params;
+            const supplier = await SupplierService.updateSupplier(id, req.body);
+
+            return ResponseUtil.updated(
+                res,
+                supplier,
+                'Supplier updated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SupplierController',
+                method: 'updateSupplier',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (error instanceof ConflictError) {
+                return ResponseUtil.conflict(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Delete supplier
+     * @route DELETE /api/suppliers/:id
+     */
+    static async deleteSupplier(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await SupplierService.deleteSupplier(id);
+
+            return ResponseUtil.deleted(res, result.message);
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SupplierController',
+                method: 'deleteSupplier',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get supplier catalog
+     * @route GET /api/suppliers/:id/products
+     */
+    static async getSupplierCatalog(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await SupplierService.getSupplierCatalog(id, req.query);
+
+            return ResponseUtil.success(
+                res,
+                result,
+                'Supplier catalog retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SupplierController',
+                method: 'getSupplierCatalog',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Add product to supplier catalog
+     * @route POST /api/suppliers/:id/products
+     */
+    static async addCatalogItem(req, res) {
+        try {
+            const { id } = req.params;
+            const item = await SupplierService.addCatalogItem(id, req.body);
+
+            return ResponseUtil.created(
+                res,
+                item,
+                'Catalog item added successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SupplierController',
+                method: 'addCatalogItem',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (error instanceof ConflictError) {
+                return ResponseUtil.conflict(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Update supplier terms for a product
+     * @route PUT /api/suppliers/:id/products/:productId
+     */
+    static async updateCatalogItem(req, res) {
+        try {
+            const { id, productId } = req.params;
+            const item = await SupplierService.updateCatalogItem(id, productId, req.body);
+
+            return ResponseUtil.updated(
+                res,
+                item,
+                'Catalog item updated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SupplierController',
+                method: 'updateCatalogItem',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Remove product from supplier catalog
+     * @route DELETE /api/suppliers/:id/products/:productId
+     */
+    static async removeCatalogItem(req, res) {
+        try {
+            const { id, productId } = req.params;
+            const result = await SupplierService.removeCatalogItem(id, productId);
+
+            return ResponseUtil.deleted(res, result.message);
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'SupplierController',
+                method: 'removeCatalogItem',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default SupplierController;
@@ -1,4 +1,5 @@
 import TransactionService from '../services/transaction-services.js';
+import ReportService from '../services/report-services.js';
 import {
     ResponseUtil,
     ErrorUtil,
@@ -6,7 +7,7 @@ import {
     NotFoundError,
     ConflictError
 } from '../utils/index.js';
-import { MESSAGES } from '../constant/index.js';
+import { MESSAGES, HTTP_STATUS, TRANSACTION_STATUS } from '../constant/index.js';
 
 class TransactionController {
 
@@ -155,7 +156,11 @@ class TransactionController {
      */
     static async createTransaction(req, res) {
         try {
-            const transaction = await TransactionService.createTransaction(req.body);
+            const transaction = await TransactionService.createTransaction(req.body, req.user?.id);
+
+            if (transaction.status === TRANSACTION_STATUS.PENDING) {
+                return ResponseUtil.success(res, transaction, 'Transaction submitted for approval', HTTP_STATUS.ACCEPTED);
+            }
 
             return ResponseUtil.created(
                 res,
@@ -428,20 +433,24 @@ class TransactionController {
             res.setHeader('Content-Disposition', 'attachment; filename=transactions.csv');
 
             // CSV header
-            const csvHeader = 'ID,Product SKU,Product Name,Type,Quantity,Previous Quantity,New Quantity,Notes,Created At\n';
+            const csvHeader = 'ID,Product SKU,Product Name,Location,Type,Quantity,Quantity Change,Balance Before,Balance After,Reason,Created By,Notes,Created At\n';
             res.write(csvHeader);
 
             // CSV data
             result.transactions.forEach(transaction => {
                 const row = [
                     transaction.id,
-                    transaction.Product?.sku || '',
-                    transaction.Product?.name || '',
-                    transaction.type,
+                    transaction.product?.sku || '',
+                    transaction.product?.name || '',
+                    transaction.location?.code || '',
+                    transaction.transaction_type,
                     transaction.quantity,
-                    transaction.previous_quantity,
-                    transaction.new_quantity,
-                    `"${transaction.notes || ''}"`,
+                    transaction.quantity_change ?? '',
+                    transaction.balance_before ?? '',
+                    transaction.balance_after ?? '',
+                    transaction.adjustment_reason?.code || '',
+                    transaction.creator?.username || '',
+                    `"${(transaction.notes || '').replace(/"/g, '""')}"`,
                     transaction.created_at
                 ].join(',') + '\n';
 
@@ -469,6 +478,218 @@ class TransactionController {
             }
         }
     }
+
+    /**
+     * Reverse a posted transaction with a compensating transaction
+     * @route POST /api/transactions/:id/reverse
+     */
+    static async reverseTransaction(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await TransactionService.reverseTransaction(id, req.body?.reason, req.user?.id);
+
+            return ResponseUtil.success(
+                res,
+                result,
+                'Transaction reversed successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'TransactionController',
+                method: 'reverseTransaction',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Reverse several posted transactions
+     * @route POST /api/transactions/bulk/reverse
+     */
+    static async bulkReverseTransactions(req, res) {
+        try {
+            const { ids, reason } = req.body;
+            const result = await TransactionService.bulkReverseTransactions(ids, reason, req.user?.id);
+
+            return ResponseUtil.success(
+                res,
+                result,
+                `Bulk reversal completed. ${result.successful} successful, ${result.failed} failed.`
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'TransactionController',
+                method: 'bulkReverseTransactions',
+                body: req.body
+            });
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Get transactions waiting for approval
+     * @route GET /api/transactions/pending
+     */
+    static async getPendingTransactions(req, res) {
+        try {
+            const result = await TransactionService.getPendingTransactions(req.query);
+
+            return ResponseUtil.paginated(
+                res,
+                result.transactions,
+                result.pagination,
+                'Pending transactions retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'TransactionController',
+                method: 'getPendingTransactions',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Approve a pending transaction and post its stock movement
+     * @route PATCH /api/transactions/:id/approve
+     */
+    static async approveTransaction(req, res) {
+        try {
+            const { id } = req.params;
+            const transaction = await TransactionService.approveTransaction(id, req.user?.id, req.body?.notes);
+
+            return ResponseUtil.updated(
+                res,
+                transaction,
+                'Transaction approved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'TransactionController',
+                method: 'approveTransaction',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Reject a pending transaction
+     * @route PATCH /api/transactions/:id/reject
+     */
+    static async rejectTransaction(req, res) {
+        try {
+            const { id } = req.params;
+            const transaction = await TransactionService.rejectTransaction(id, req.body?.reason, req.user?.id);
+
+            return ResponseUtil.updated(
+                res,
+                transaction,
+                'Transaction rejected successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'TransactionController',
+                method: 'rejectTransaction',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Review a pending transaction by status: posted approves it, rejected rejects it
+     * @route PATCH /api/transactions/:id/status
+     */
+    static async updateTransactionStatus(req, res) {
+        if (req.body?.status === TRANSACTION_STATUS.POSTED) {
+            return await TransactionController.approveTransaction(req, res);
+        }
+
+        return await TransactionController.rejectTransaction(req, res);
+    }
+
+    /**
+     * Shrinkage report: adjustments by reason, category, location and period
+     * @route GET /api/transactions/reports/variance
+     */
+    static async getVarianceReport(req, res) {
+        try {
+            const report = await ReportService.getShrinkageReport(req.query);
+
+            return ResponseUtil.success(
+                res,
+                report,
+                'Shrinkage report generated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'TransactionController',
+                method: 'getVarianceReport',
+                query: req.query
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
 }
 
 export default TransactionController;
@@ -0,0 +1,84 @@
+import UnitService from '../services/unit-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class UnitController {
+
+    /**
+     * Get a product's base unit and unit conversions
+     * @route GET /api/units/:id
+     */
+    static async getProductUnits(req, res) {
+        try {
+            const { id } = req.params;
+            const units = await UnitService.getProductUnits(id);
+
+            return ResponseUtil.success(
+                res,
+                units,
+                'Product units retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'UnitController',
+                method: 'getProductUnits',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Replace a product's unit conversions
+     * @route PUT /api/units/:id
+     */
+    static async updateProductUnits(req, res) {
+        try {
+            const { id } = req.params;
+            const units = await UnitService.setProductUnits(id, req.body.units);
+
+            return ResponseUtil.updated(
+                res,
+                units,
+                'Product units updated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'UnitController',
+                method: 'updateProductUnits',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default UnitController;
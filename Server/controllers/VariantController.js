@@ -0,0 +1,193 @@
+import VariantService from '../services/variant-services.js';
+import {
+    ResponseUtil,
+    ErrorUtil,
+    ValidationError,
+    NotFoundError
+} from '../utils/index.js';
+import { MESSAGES } from '../constant/index.js';
+
+class VariantController {
+
+    /**
+     * Get a product's variant family with stock rolled up to the parent
+     * @route GET /api/variants/:id
+     */
+    static async getVariantFamily(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await VariantService.getVariantFamily(id);
+
+            return ResponseUtil.success(
+                res,
+                result,
+                'Product variants retrieved successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'VariantController',
+                method: 'getVariantFamily',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Replace the attributes a parent product's variants differ by
+     * @route PUT /api/variants/:id/attributes
+     */
+    static async updateVariantAttributes(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await VariantService.setAttributes(id, req.body.attributes);
+
+            return ResponseUtil.updated(
+                res,
+                result,
+                'Variant attributes updated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'VariantController',
+                method: 'updateVariantAttributes',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Create the missing variants of the attribute matrix
+     * @route POST /api/variants/:id/generate
+     */
+    static async generateVariants(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await VariantService.generateVariants(id, req.body);
+
+            return ResponseUtil.created(
+                res,
+                result,
+                'Variants generated successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'VariantController',
+                method: 'generateVariants',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Attach an existing product as a variant
+     * @route POST /api/variants/:id/variants
+     */
+    static async linkVariant(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await VariantService.linkVariant(id, req.body);
+
+            return ResponseUtil.updated(
+                res,
+                result,
+                'Variant linked successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'VariantController',
+                method: 'linkVariant',
+                params: req.params,
+                body: req.body
+            });
+
+            if (error instanceof ValidationError) {
+                return ResponseUtil.badRequest(res, error.message, error.errors);
+            }
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+
+    /**
+     * Detach a variant from its parent
+     * @route DELETE /api/variants/:id/variants/:variantId
+     */
+    static async unlinkVariant(req, res) {
+        try {
+            const { id } = req.params;
+            const result = await VariantService.unlinkVariant(id, req.params.variantId);
+
+            return ResponseUtil.success(
+                res,
+                result,
+                'Variant unlinked successfully'
+            );
+        } catch (error) {
+            ErrorUtil.logError(error, {
+                controller: 'VariantController',
+                method: 'unlinkVariant',
+                params: req.params
+            });
+
+            if (error instanceof NotFoundError) {
+                return ResponseUtil.notFound(res, error.message);
+            }
+
+            if (ErrorUtil.isOperationalError(error)) {
+                return ResponseUtil.error(res, error.message, error.statusCode);
+            }
+
+            return ResponseUtil.error(res, MESSAGES.ERROR.SERVER_ERROR);
+        }
+    }
+}
+
+export default VariantController;
@@ -48,6 +48,9 @@ export {
     validateId
 } from './validation.middleware.js';
 
+// File upload middlewares
+export { uploadFiles } from './upload.middleware.js';
+
 // Main middleware configuration
 export { useMiddlewares, useErrorMiddlewares } from './use-middlewares.js';
 
@@ -0,0 +1,58 @@
+import multer from 'multer';
+import { FILE_UPLOAD } from '../constant/index.js';
+import { ResponseUtil } from '../utils/index.js';
+import { validateFileUpload } from '../validators/common.validator.js';
+
+const MULTER_MESSAGES = {
+    LIMIT_FILE_SIZE: `File size cannot exceed ${Math.round(FILE_UPLOAD.MAX_SIZE / 1024 / 1024)}MB`,
+    LIMIT_FILE_COUNT: `At most ${FILE_UPLOAD.MAX_FILES} files can be uploaded at once`,
+    LIMIT_UNEXPECTED_FILE: 'Unexpected file field'
+};
+
+/**
+ * Multipart upload middleware. Files in `field` are read into memory as
+ * req.files (other form fields land in req.body) and each one is checked
+ * with validateFileUpload against the allowed types and the size limit.
+ * @param {string} field - Form field holding the files
+ * @param {string[]} allowedTypes - Accepted MIME types
+ */
+export const uploadFiles = (field = 'files', allowedTypes = FILE_UPLOAD.ALLOWED_TYPES) => {
+    const parse = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: FILE_UPLOAD.MAX_SIZE,
+            files: FILE_UPLOAD.MAX_FILES
+        }
+    }).array(field, FILE_UPLOAD.MAX_FILES);
+
+    return (req, res, next) => {
+        parse(req, res, (error) => {
+            if (error instanceof multer.MulterError) {
+                return ResponseUtil.badRequest(res, 'File upload failed', [MULTER_MESSAGES[error.code] || error.message]);
+            }
+
+            if (error) {
+                return next(error);
+            }
+
+            const files = req.files || [];
+            if (files.length === 0) {
+                return ResponseUtil.badRequest(res, 'File upload failed', [`At least one file is required in the "${field}" field`]);
+            }
+
+            const errors = files.flatMap(file => validateFileUpload({
+                filename: file.originalname,
+                mimetype: file.mimetype,
+                size: file.size,
+                maxSize: FILE_UPLOAD.MAX_SIZE,
+                allowedTypes
+            }).errors.map(message => `${file.originalname}: ${message}`));
+
+            if (errors.length > 0) {
+                return ResponseUtil.badRequest(res, 'Validation failed', errors);
+            }
+
+            next();
+        });
+    };
+};
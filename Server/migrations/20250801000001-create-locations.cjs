@@ -0,0 +1,57 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('locations', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            code: {
+                type: Sequelize.STRING(20),
+                allowNull: false,
+                unique: true
+            },
+            name: {
+                type: Sequelize.STRING(100),
+                allowNull: false
+            },
+            type: {
+                type: Sequelize.ENUM('warehouse', 'store'),
+                allowNull: false,
+                defaultValue: 'warehouse'
+            },
+            address: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            is_default: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            is_active: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('locations');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_locations_type";');
+    }
+};
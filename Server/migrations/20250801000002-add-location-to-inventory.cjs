@@ -0,0 +1,162 @@
+'use strict';
+
+/**
+ * Moves stock from the free-text `inventory.location` column to real
+ * locations. Every distinct location string becomes a Location row, rows
+ * without one are assigned to a default "MAIN" location, and inventory is
+ * re-keyed on (product_id, location_id).
+ */
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.addColumn('inventory', 'location_id', {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            }, { transaction });
+
+            await queryInterface.addColumn('transactions', 'location_id', {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            }, { transaction });
+
+            // Default location for records that never had one
+            await queryInterface.sequelize.query(`
+                INSERT INTO locations (code, name, type, is_default, is_active, created_at, updated_at)
+                VALUES ('MAIN', 'Main Warehouse', 'warehouse', true, true, NOW(), NOW())
+                ON CONFLICT (code) DO NOTHING;
+            `, { transaction });
+
+            // One location per distinct legacy location string
+            await queryInterface.sequelize.query(`
+                INSERT INTO locations (code, name, type, is_default, is_active, created_at, updated_at)
+                SELECT 'LOC-' || ROW_NUMBER() OVER (ORDER BY name), name, 'warehouse', false, true, NOW(), NOW()
+                FROM (
+                    SELECT DISTINCT TRIM(location) AS name
+                    FROM inventory
+                    WHERE location IS NOT NULL AND TRIM(location) <> ''
+                ) legacy;
+            `, { transaction });
+
+            await queryInterface.sequelize.query(`
+                UPDATE inventory i
+                SET location_id = COALESCE(
+                    (SELECT l.id FROM locations l WHERE l.name = TRIM(i.location) AND l.code LIKE 'LOC-%' LIMIT 1),
+                    (SELECT l.id FROM locations l WHERE l.code = 'MAIN')
+                );
+            `, { transaction });
+
+            // Existing ledger rows belong to wherever the product was stocked
+            await queryInterface.sequelize.query(`
+                UPDATE transactions t
+                SET location_id = i.location_id
+                FROM inventory i
+                WHERE i.product_id = t.product_id;
+            `, { transaction });
+
+            await queryInterface.changeColumn('inventory', 'location_id', {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            }, { transaction });
+
+            await queryInterface.sequelize.query(
+                'ALTER TABLE inventory DROP CONSTRAINT IF EXISTS inventory_product_id_key;',
+                { transaction }
+            );
+
+            await queryInterface.addIndex('inventory', ['product_id', 'location_id'], {
+                unique: true,
+                name: 'idx_inventory_product_location',
+                transaction
+            });
+
+            await queryInterface.addIndex('inventory', ['location_id'], {
+                name: 'idx_inventory_location_id',
+                transaction
+            });
+
+            await queryInterface.addIndex('transactions', ['location_id'], {
+                name: 'idx_transactions_location_id',
+                transaction
+            });
+
+            await queryInterface.removeColumn('inventory', 'location', { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.addColumn('inventory', 'location', {
+                type: Sequelize.STRING(100),
+                allowNull: true
+            }, { transaction });
+
+            // Collapse per-location stock back into a single row per product
+            await queryInterface.sequelize.query(`
+                UPDATE inventory i
+                SET location = l.name
+                FROM locations l
+                WHERE l.id = i.location_id;
+            `, { transaction });
+
+            await queryInterface.sequelize.query(`
+                WITH totals AS (
+                    SELECT product_id, MIN(id) AS keep_id,
+                           SUM(current_stock) AS current_stock,
+                           SUM(reserved_stock) AS reserved_stock
+                    FROM inventory
+                    GROUP BY product_id
+                )
+                UPDATE inventory i
+                SET current_stock = totals.current_stock,
+                    reserved_stock = totals.reserved_stock
+                FROM totals
+                WHERE i.id = totals.keep_id;
+            `, { transaction });
+
+            await queryInterface.sequelize.query(`
+                DELETE FROM inventory i
+                WHERE i.id <> (SELECT MIN(id) FROM inventory WHERE product_id = i.product_id);
+            `, { transaction });
+
+            await queryInterface.removeIndex('inventory', 'idx_inventory_product_location', { transaction });
+            await queryInterface.removeIndex('inventory', 'idx_inventory_location_id', { transaction });
+            await queryInterface.removeIndex('transactions', 'idx_transactions_location_id', { transaction });
+            await queryInterface.removeColumn('inventory', 'location_id', { transaction });
+            await queryInterface.removeColumn('transactions', 'location_id', { transaction });
+
+            await queryInterface.addConstraint('inventory', {
+                fields: ['product_id'],
+                type: 'unique',
+                name: 'inventory_product_id_key',
+                transaction
+            });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('stock_transfers', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            transfer_number: {
+                type: Sequelize.STRING(50),
+                allowNull: false,
+                unique: true
+            },
+            product_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'products',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            from_location_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            to_location_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            quantity: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            status: {
+                type: Sequelize.ENUM('in_transit', 'received', 'cancelled'),
+                allowNull: false,
+                defaultValue: 'in_transit'
+            },
+            notes: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            shipped_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            received_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            shipped_at: {
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            received_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('stock_transfers', ['status'], {
+            name: 'idx_stock_transfers_status'
+        });
+
+        // Transfer legs are written to the ledger with their own types
+        await queryInterface.sequelize.query(
+            `ALTER TYPE "enum_transactions_transaction_type" ADD VALUE IF NOT EXISTS 'TRANSFER_IN';`
+        );
+        await queryInterface.sequelize.query(
+            `ALTER TYPE "enum_transactions_transaction_type" ADD VALUE IF NOT EXISTS 'TRANSFER_OUT';`
+        );
+
+        await queryInterface.addColumn('transactions', 'transfer_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'stock_transfers',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'RESTRICT'
+        });
+
+        await queryInterface.addIndex('transactions', ['transfer_id'], {
+            name: 'idx_transactions_transfer_id'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.removeIndex('transactions', 'idx_transactions_transfer_id');
+        await queryInterface.removeColumn('transactions', 'transfer_id');
+        // PostgreSQL cannot drop enum values; TRANSFER_IN/TRANSFER_OUT stay on the type
+        await queryInterface.dropTable('stock_transfers');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_stock_transfers_status";');
+    }
+};
@@ -0,0 +1,172 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('physical_counts', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            count_number: {
+                type: Sequelize.STRING(50),
+                allowNull: false,
+                unique: true
+            },
+            location_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            status: {
+                type: Sequelize.ENUM('in_progress', 'finalized', 'cancelled'),
+                allowNull: false,
+                defaultValue: 'in_progress'
+            },
+            notes: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            started_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            finalized_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            started_at: {
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            finalized_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('physical_counts', ['location_id'], {
+            name: 'idx_physical_counts_location_id'
+        });
+        await queryInterface.addIndex('physical_counts', ['status'], {
+            name: 'idx_physical_counts_status'
+        });
+
+        await queryInterface.createTable('physical_count_lines', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            physical_count_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'physical_counts',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            product_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'products',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            system_stock: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            counted_stock: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            variance: {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            },
+            notes: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            counted_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            counted_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            posted_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('physical_count_lines', ['physical_count_id', 'product_id'], {
+            unique: true,
+            name: 'idx_physical_count_lines_count_product'
+        });
+        await queryInterface.addIndex('physical_count_lines', ['product_id'], {
+            name: 'idx_physical_count_lines_product_id'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('physical_count_lines');
+        await queryInterface.dropTable('physical_counts');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_physical_counts_status";');
+    }
+};
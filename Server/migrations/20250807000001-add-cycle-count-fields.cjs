@@ -0,0 +1,27 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('products', 'abc_class', {
+            type: Sequelize.ENUM('A', 'B', 'C'),
+            allowNull: true
+        });
+
+        await queryInterface.addColumn('inventory', 'last_counted_at', {
+            type: Sequelize.DATE,
+            allowNull: true
+        });
+
+        await queryInterface.addIndex('products', ['abc_class'], {
+            name: 'idx_products_abc_class'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.removeIndex('products', 'idx_products_abc_class');
+        await queryInterface.removeColumn('inventory', 'last_counted_at');
+        await queryInterface.removeColumn('products', 'abc_class');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_products_abc_class";');
+    }
+};
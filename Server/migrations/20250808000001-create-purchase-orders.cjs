@@ -0,0 +1,244 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('suppliers', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            code: {
+                type: Sequelize.STRING(20),
+                allowNull: false,
+                unique: true
+            },
+            name: {
+                type: Sequelize.STRING(150),
+                allowNull: false
+            },
+            contact_name: {
+                type: Sequelize.STRING(100),
+                allowNull: true
+            },
+            email: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            phone: {
+                type: Sequelize.STRING(30),
+                allowNull: true
+            },
+            address: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            is_active: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('suppliers', ['name'], {
+            name: 'idx_suppliers_name'
+        });
+        await queryInterface.addIndex('suppliers', ['is_active'], {
+            name: 'idx_suppliers_is_active'
+        });
+
+        await queryInterface.createTable('purchase_orders', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            po_number: {
+                type: Sequelize.STRING(50),
+                allowNull: false,
+                unique: true
+            },
+            supplier_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'suppliers',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            location_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            status: {
+                type: Sequelize.ENUM('draft', 'sent', 'partially_received', 'received', 'cancelled'),
+                allowNull: false,
+                defaultValue: 'draft'
+            },
+            order_date: {
+                type: Sequelize.DATEONLY,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_DATE')
+            },
+            expected_date: {
+                type: Sequelize.DATEONLY,
+                allowNull: true
+            },
+            notes: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            created_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            sent_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            received_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            cancelled_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('purchase_orders', ['supplier_id'], {
+            name: 'idx_purchase_orders_supplier_id'
+        });
+        await queryInterface.addIndex('purchase_orders', ['location_id'], {
+            name: 'idx_purchase_orders_location_id'
+        });
+        await queryInterface.addIndex('purchase_orders', ['status'], {
+            name: 'idx_purchase_orders_status'
+        });
+
+        await queryInterface.createTable('purchase_order_lines', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            purchase_order_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'purchase_orders',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            product_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'products',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            quantity_ordered: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            quantity_received: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            unit_cost: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false,
+                defaultValue: 0.00
+            },
+            notes: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('purchase_order_lines', ['purchase_order_id', 'product_id'], {
+            unique: true,
+            name: 'idx_purchase_order_lines_order_product'
+        });
+        await queryInterface.addIndex('purchase_order_lines', ['product_id'], {
+            name: 'idx_purchase_order_lines_product_id'
+        });
+
+        await queryInterface.addColumn('transactions', 'purchase_order_line_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'purchase_order_lines',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'RESTRICT'
+        });
+
+        await queryInterface.addIndex('transactions', ['purchase_order_line_id'], {
+            name: 'idx_transactions_purchase_order_line_id'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.removeIndex('transactions', 'idx_transactions_purchase_order_line_id');
+        await queryInterface.removeColumn('transactions', 'purchase_order_line_id');
+        await queryInterface.dropTable('purchase_order_lines');
+        await queryInterface.dropTable('purchase_orders');
+        await queryInterface.dropTable('suppliers');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_purchase_orders_status";');
+    }
+};
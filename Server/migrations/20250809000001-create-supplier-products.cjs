@@ -0,0 +1,90 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('supplier_products', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            supplier_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'suppliers',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            product_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'products',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            supplier_sku: {
+                type: Sequelize.STRING(50),
+                allowNull: true
+            },
+            unit_cost: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false,
+                defaultValue: 0.00
+            },
+            currency: {
+                type: Sequelize.STRING(3),
+                allowNull: false,
+                defaultValue: 'USD'
+            },
+            lead_time_days: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 7
+            },
+            minimum_order_quantity: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 1
+            },
+            is_preferred: {
+                type: Sequelize.BOOLEAN,
+                allowNull: false,
+                defaultValue: false
+            },
+            is_active: {
+                type: Sequelize.BOOLEAN,
+                defaultValue: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('supplier_products', ['supplier_id', 'product_id'], {
+            unique: true,
+            name: 'idx_supplier_products_supplier_product'
+        });
+        await queryInterface.addIndex('supplier_products', ['product_id'], {
+            name: 'idx_supplier_products_product_id'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('supplier_products');
+    }
+};
@@ -0,0 +1,188 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('sales_orders', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            order_number: {
+                type: Sequelize.STRING(50),
+                allowNull: false,
+                unique: true
+            },
+            customer_name: {
+                type: Sequelize.STRING(150),
+                allowNull: false
+            },
+            customer_email: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            customer_reference: {
+                type: Sequelize.STRING(100),
+                allowNull: true
+            },
+            location_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            status: {
+                type: Sequelize.ENUM('draft', 'confirmed', 'partially_shipped', 'shipped', 'cancelled'),
+                allowNull: false,
+                defaultValue: 'draft'
+            },
+            order_date: {
+                type: Sequelize.DATEONLY,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_DATE')
+            },
+            notes: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            created_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            confirmed_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            shipped_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            cancelled_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('sales_orders', ['location_id'], {
+            name: 'idx_sales_orders_location_id'
+        });
+        await queryInterface.addIndex('sales_orders', ['status'], {
+            name: 'idx_sales_orders_status'
+        });
+
+        await queryInterface.createTable('sales_order_lines', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            sales_order_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'sales_orders',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            product_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'products',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            quantity_ordered: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            quantity_reserved: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            quantity_shipped: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            unit_price: {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false,
+                defaultValue: 0.00
+            },
+            notes: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('sales_order_lines', ['sales_order_id', 'product_id'], {
+            unique: true,
+            name: 'idx_sales_order_lines_order_product'
+        });
+        await queryInterface.addIndex('sales_order_lines', ['product_id'], {
+            name: 'idx_sales_order_lines_product_id'
+        });
+
+        await queryInterface.addColumn('transactions', 'sales_order_line_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'sales_order_lines',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'RESTRICT'
+        });
+
+        await queryInterface.addIndex('transactions', ['sales_order_line_id'], {
+            name: 'idx_transactions_sales_order_line_id'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.removeIndex('transactions', 'idx_transactions_sales_order_line_id');
+        await queryInterface.removeColumn('transactions', 'sales_order_line_id');
+        await queryInterface.dropTable('sales_order_lines');
+        await queryInterface.dropTable('sales_orders');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_sales_orders_status";');
+    }
+};
@@ -0,0 +1,174 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.createTable('stock_reservations', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            product_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'products',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            location_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            quantity: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            status: {
+                type: Sequelize.ENUM('active', 'consumed', 'released', 'expired'),
+                allowNull: false,
+                defaultValue: 'active'
+            },
+            owner_type: {
+                type: Sequelize.STRING(30),
+                allowNull: false
+            },
+            owner_id: {
+                type: Sequelize.STRING(100),
+                allowNull: false
+            },
+            sales_order_line_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'sales_order_lines',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            expires_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            released_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            release_reason: {
+                type: Sequelize.STRING(255),
+                allowNull: true
+            },
+            created_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('stock_reservations', ['product_id', 'location_id'], {
+            name: 'idx_stock_reservations_product_location'
+        });
+        await queryInterface.addIndex('stock_reservations', ['owner_type', 'owner_id'], {
+            name: 'idx_stock_reservations_owner'
+        });
+        await queryInterface.addIndex('stock_reservations', ['sales_order_line_id'], {
+            name: 'idx_stock_reservations_sales_order_line_id'
+        });
+        await queryInterface.addIndex('stock_reservations', ['status', 'expires_at'], {
+            name: 'idx_stock_reservations_status_expires_at'
+        });
+
+        await queryInterface.createTable('audit_logs', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            entity_type: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            entity_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            action: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            user_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            details: {
+                type: Sequelize.JSONB,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('audit_logs', ['entity_type', 'entity_id'], {
+            name: 'idx_audit_logs_entity'
+        });
+        await queryInterface.addIndex('audit_logs', ['user_id'], {
+            name: 'idx_audit_logs_user_id'
+        });
+        await queryInterface.addIndex('audit_logs', ['created_at'], {
+            name: 'idx_audit_logs_created_at'
+        });
+
+        // Existing sales order reservations become tracked holds without an expiry
+        await queryInterface.sequelize.query(`
+            INSERT INTO stock_reservations
+                (product_id, location_id, quantity, status, owner_type, owner_id, sales_order_line_id, created_at, updated_at)
+            SELECT l.product_id, o.location_id, l.quantity_reserved, 'active', 'sales_order', o.order_number, l.id,
+                   CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+            FROM sales_order_lines l
+            JOIN sales_orders o ON o.id = l.sales_order_id
+            WHERE l.quantity_reserved > 0;
+        `);
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('audit_logs');
+        await queryInterface.dropTable('stock_reservations');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_stock_reservations_status";');
+    }
+};
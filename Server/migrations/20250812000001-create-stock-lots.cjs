@@ -0,0 +1,132 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('products', 'is_lot_tracked', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        });
+
+        await queryInterface.createTable('stock_lots', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            product_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'products',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            location_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            lot_number: {
+                type: Sequelize.STRING(50),
+                allowNull: false
+            },
+            manufacture_date: {
+                type: Sequelize.DATEONLY,
+                allowNull: true
+            },
+            expiry_date: {
+                type: Sequelize.DATEONLY,
+                allowNull: true
+            },
+            quantity: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                defaultValue: 0
+            },
+            received_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('stock_lots', ['product_id', 'location_id', 'lot_number'], {
+            unique: true,
+            name: 'idx_stock_lots_product_location_lot'
+        });
+        await queryInterface.addIndex('stock_lots', ['expiry_date'], {
+            name: 'idx_stock_lots_expiry_date'
+        });
+
+        await queryInterface.createTable('transaction_lots', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            transaction_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'transactions',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            stock_lot_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'stock_lots',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            quantity: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('transaction_lots', ['transaction_id'], {
+            name: 'idx_transaction_lots_transaction_id'
+        });
+        await queryInterface.addIndex('transaction_lots', ['stock_lot_id'], {
+            name: 'idx_transaction_lots_stock_lot_id'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('transaction_lots');
+        await queryInterface.dropTable('stock_lots');
+        await queryInterface.removeColumn('products', 'is_lot_tracked');
+    }
+};
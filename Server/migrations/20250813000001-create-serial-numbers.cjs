@@ -0,0 +1,128 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('products', 'is_serialized', {
+            type: Sequelize.BOOLEAN,
+            allowNull: false,
+            defaultValue: false
+        });
+
+        await queryInterface.createTable('serial_numbers', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            product_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'products',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            serial_number: {
+                type: Sequelize.STRING(100),
+                allowNull: false
+            },
+            status: {
+                type: Sequelize.ENUM('in_stock', 'reserved', 'sold', 'returned', 'scrapped'),
+                allowNull: false,
+                defaultValue: 'in_stock'
+            },
+            location_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            received_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            sold_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('serial_numbers', ['product_id', 'serial_number'], {
+            unique: true,
+            name: 'idx_serial_numbers_product_serial'
+        });
+        await queryInterface.addIndex('serial_numbers', ['serial_number'], {
+            name: 'idx_serial_numbers_serial_number'
+        });
+        await queryInterface.addIndex('serial_numbers', ['location_id', 'status'], {
+            name: 'idx_serial_numbers_location_status'
+        });
+
+        await queryInterface.createTable('transaction_serials', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            transaction_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'transactions',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            serial_number_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'serial_numbers',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('transaction_serials', ['transaction_id', 'serial_number_id'], {
+            unique: true,
+            name: 'idx_transaction_serials_transaction_serial'
+        });
+        await queryInterface.addIndex('transaction_serials', ['serial_number_id'], {
+            name: 'idx_transaction_serials_serial_number_id'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('transaction_serials');
+        await queryInterface.dropTable('serial_numbers');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_serial_numbers_status";');
+        await queryInterface.removeColumn('products', 'is_serialized');
+    }
+};
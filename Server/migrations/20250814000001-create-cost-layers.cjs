@@ -0,0 +1,105 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('transactions', 'unit_cost', {
+            type: Sequelize.DECIMAL(12, 4),
+            allowNull: true
+        });
+        await queryInterface.addColumn('transactions', 'total_cost', {
+            type: Sequelize.DECIMAL(14, 2),
+            allowNull: true
+        });
+
+        await queryInterface.createTable('cost_layers', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            product_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'products',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            location_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            transaction_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'transactions',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            unit_cost: {
+                type: Sequelize.DECIMAL(12, 4),
+                allowNull: false,
+                defaultValue: 0
+            },
+            quantity_received: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            quantity_remaining: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            received_at: {
+                type: Sequelize.DATE,
+                allowNull: false,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('cost_layers', ['product_id', 'location_id', 'received_at'], {
+            name: 'idx_cost_layers_product_location_received'
+        });
+        await queryInterface.addIndex('cost_layers', ['transaction_id'], {
+            name: 'idx_cost_layers_transaction_id'
+        });
+
+        // Stock already on hand opens with one layer per location at the product's cost price
+        await queryInterface.sequelize.query(`
+            INSERT INTO cost_layers (product_id, location_id, unit_cost, quantity_received, quantity_remaining, received_at, created_at, updated_at)
+            SELECT i.product_id, i.location_id, COALESCE(p.cost_price, 0), i.current_stock, i.current_stock,
+                   CURRENT_TIMESTAMP, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+            FROM inventory i
+            JOIN products p ON p.id = i.product_id
+            WHERE i.current_stock > 0
+        `);
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('cost_layers');
+        await queryInterface.removeColumn('transactions', 'total_cost');
+        await queryInterface.removeColumn('transactions', 'unit_cost');
+    }
+};
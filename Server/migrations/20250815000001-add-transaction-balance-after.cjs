@@ -0,0 +1,20 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.addColumn('transactions', 'balance_after', {
+            type: Sequelize.INTEGER,
+            allowNull: true
+        });
+
+        await queryInterface.addIndex('transactions', ['product_id', 'location_id', 'transaction_date'], {
+            name: 'idx_transactions_product_location_date'
+        });
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.removeIndex('transactions', 'idx_transactions_product_location_date');
+        await queryInterface.removeColumn('transactions', 'balance_after');
+    }
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+/**
+ * Turns `transactions` into an append-only stock ledger. Every row records
+ * its signed stock change, the balance before and after it, and the user
+ * who posted it. Existing rows are backfilled where the direction is known,
+ * which excludes adjustments written without a balance. A trigger then
+ * rejects any UPDATE or DELETE, so stock can always be re-derived from the
+ * ledger.
+ */
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.addColumn('transactions', 'quantity_change', {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            }, { transaction });
+
+            await queryInterface.addColumn('transactions', 'balance_before', {
+                type: Sequelize.INTEGER,
+                allowNull: true
+            }, { transaction });
+
+            await queryInterface.addColumn('transactions', 'created_by', {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            }, { transaction });
+
+            await queryInterface.sequelize.query(`
+                UPDATE transactions
+                SET quantity_change = CASE
+                    WHEN transaction_type IN ('IN', 'TRANSFER_IN') THEN ABS(quantity)
+                    ELSE -ABS(quantity)
+                END
+                WHERE transaction_type <> 'ADJUSTMENT';
+            `, { transaction });
+
+            await queryInterface.sequelize.query(`
+                UPDATE transactions
+                SET balance_before = balance_after - quantity_change
+                WHERE balance_after IS NOT NULL AND quantity_change IS NOT NULL;
+            `, { transaction });
+
+            await queryInterface.addIndex('transactions', ['created_by'], {
+                name: 'idx_transactions_created_by',
+                transaction
+            });
+
+            await queryInterface.sequelize.query(`
+                CREATE OR REPLACE FUNCTION transactions_append_only() RETURNS trigger AS $$
+                BEGIN
+                    RAISE EXCEPTION 'Ledger transactions are append-only and cannot be modified or deleted';
+                END;
+                $$ LANGUAGE plpgsql;
+            `, { transaction });
+
+            await queryInterface.sequelize.query(`
+                CREATE TRIGGER trg_transactions_append_only
+                BEFORE UPDATE OR DELETE ON transactions
+                FOR EACH ROW EXECUTE FUNCTION transactions_append_only();
+            `, { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.sequelize.query(
+                'DROP TRIGGER IF EXISTS trg_transactions_append_only ON transactions;',
+                { transaction }
+            );
+            await queryInterface.sequelize.query(
+                'DROP FUNCTION IF EXISTS transactions_append_only();',
+                { transaction }
+            );
+
+            await queryInterface.removeIndex('transactions', 'idx_transactions_created_by', { transaction });
+            await queryInterface.removeColumn('transactions', 'created_by', { transaction });
+            await queryInterface.removeColumn('transactions', 'balance_before', { transaction });
+            await queryInterface.removeColumn('transactions', 'quantity_change', { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,103 @@
+'use strict';
+
+const REVERSAL_FIELDS = `ARRAY['reversed_at', 'reversed_by', 'reversal_reason', 'updated_at']`;
+
+/**
+ * Posted transactions are corrected by reversal instead of deletion. The
+ * compensating row points at the original through `reversal_of_id`, and the
+ * original is flagged with who reversed it, when and why. The append-only
+ * trigger is relaxed for exactly that: a single update that sets the reversal
+ * fields and leaves every other column as it was.
+ */
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.addColumn('transactions', 'reversal_of_id', {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'transactions',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            }, { transaction });
+
+            await queryInterface.addColumn('transactions', 'reversed_at', {
+                type: Sequelize.DATE,
+                allowNull: true
+            }, { transaction });
+
+            await queryInterface.addColumn('transactions', 'reversed_by', {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            }, { transaction });
+
+            await queryInterface.addColumn('transactions', 'reversal_reason', {
+                type: Sequelize.TEXT,
+                allowNull: true
+            }, { transaction });
+
+            // A transaction is reversed at most once
+            await queryInterface.addIndex('transactions', ['reversal_of_id'], {
+                name: 'idx_transactions_reversal_of_id',
+                unique: true,
+                transaction
+            });
+
+            await queryInterface.sequelize.query(`
+                CREATE OR REPLACE FUNCTION transactions_append_only() RETURNS trigger AS $$
+                BEGIN
+                    IF TG_OP = 'UPDATE'
+                        AND OLD.reversed_at IS NULL
+                        AND NEW.reversed_at IS NOT NULL
+                        AND (to_jsonb(NEW) - ${REVERSAL_FIELDS}) = (to_jsonb(OLD) - ${REVERSAL_FIELDS}) THEN
+                        RETURN NEW;
+                    END IF;
+
+                    RAISE EXCEPTION 'Ledger transactions are append-only and cannot be modified or deleted';
+                END;
+                $$ LANGUAGE plpgsql;
+            `, { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.sequelize.query(`
+                CREATE OR REPLACE FUNCTION transactions_append_only() RETURNS trigger AS $$
+                BEGIN
+                    RAISE EXCEPTION 'Ledger transactions are append-only and cannot be modified or deleted';
+                END;
+                $$ LANGUAGE plpgsql;
+            `, { transaction });
+
+            await queryInterface.removeIndex('transactions', 'idx_transactions_reversal_of_id', { transaction });
+            await queryInterface.removeColumn('transactions', 'reversal_reason', { transaction });
+            await queryInterface.removeColumn('transactions', 'reversed_by', { transaction });
+            await queryInterface.removeColumn('transactions', 'reversed_at', { transaction });
+            await queryInterface.removeColumn('transactions', 'reversal_of_id', { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,125 @@
+'use strict';
+
+const REVERSAL_FIELDS = `ARRAY['reversed_at', 'reversed_by', 'reversal_reason', 'updated_at']`;
+
+/**
+ * Adds an approval workflow to transactions. Movements above the requester's
+ * thresholds are stored as `pending` with the requested movement in
+ * `movement_data`, and leave stock unchanged until they are approved (posted)
+ * or rejected. Pending rows are not part of the ledger yet, so the append-only
+ * trigger lets them change while under review, but never onto another
+ * product, location or transaction type.
+ */
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.addColumn('transactions', 'status', {
+                type: Sequelize.ENUM('pending', 'posted', 'rejected'),
+                allowNull: false,
+                defaultValue: 'posted'
+            }, { transaction });
+
+            await queryInterface.addColumn('transactions', 'movement_data', {
+                type: Sequelize.JSONB,
+                allowNull: true
+            }, { transaction });
+
+            await queryInterface.addColumn('transactions', 'approval_reasons', {
+                type: Sequelize.JSONB,
+                allowNull: true
+            }, { transaction });
+
+            await queryInterface.addColumn('transactions', 'reviewed_by', {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            }, { transaction });
+
+            await queryInterface.addColumn('transactions', 'reviewed_at', {
+                type: Sequelize.DATE,
+                allowNull: true
+            }, { transaction });
+
+            await queryInterface.addColumn('transactions', 'review_notes', {
+                type: Sequelize.TEXT,
+                allowNull: true
+            }, { transaction });
+
+            await queryInterface.addIndex('transactions', ['status'], {
+                name: 'idx_transactions_status',
+                transaction
+            });
+
+            await queryInterface.sequelize.query(`
+                CREATE OR REPLACE FUNCTION transactions_append_only() RETURNS trigger AS $$
+                BEGIN
+                    IF TG_OP = 'UPDATE'
+                        AND OLD.status = 'pending'
+                        AND NEW.product_id = OLD.product_id
+                        AND NEW.location_id IS NOT DISTINCT FROM OLD.location_id
+                        AND NEW.transaction_type = OLD.transaction_type THEN
+                        RETURN NEW;
+                    END IF;
+
+                    IF TG_OP = 'UPDATE'
+                        AND OLD.reversed_at IS NULL
+                        AND NEW.reversed_at IS NOT NULL
+                        AND (to_jsonb(NEW) - ${REVERSAL_FIELDS}) = (to_jsonb(OLD) - ${REVERSAL_FIELDS}) THEN
+                        RETURN NEW;
+                    END IF;
+
+                    RAISE EXCEPTION 'Ledger transactions are append-only and cannot be modified or deleted';
+                END;
+                $$ LANGUAGE plpgsql;
+            `, { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.sequelize.query(`
+                CREATE OR REPLACE FUNCTION transactions_append_only() RETURNS trigger AS $$
+                BEGIN
+                    IF TG_OP = 'UPDATE'
+                        AND OLD.reversed_at IS NULL
+                        AND NEW.reversed_at IS NOT NULL
+                        AND (to_jsonb(NEW) - ${REVERSAL_FIELDS}) = (to_jsonb(OLD) - ${REVERSAL_FIELDS}) THEN
+                        RETURN NEW;
+                    END IF;
+
+                    RAISE EXCEPTION 'Ledger transactions are append-only and cannot be modified or deleted';
+                END;
+                $$ LANGUAGE plpgsql;
+            `, { transaction });
+
+            await queryInterface.removeIndex('transactions', 'idx_transactions_status', { transaction });
+            await queryInterface.removeColumn('transactions', 'review_notes', { transaction });
+            await queryInterface.removeColumn('transactions', 'reviewed_at', { transaction });
+            await queryInterface.removeColumn('transactions', 'reviewed_by', { transaction });
+            await queryInterface.removeColumn('transactions', 'approval_reasons', { transaction });
+            await queryInterface.removeColumn('transactions', 'movement_data', { transaction });
+            await queryInterface.removeColumn('transactions', 'status', { transaction });
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_transactions_status";', { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Adjustments carry a reason code from a managed list instead of free text
+ * only. The standard codes are seeded; system codes are the ones the server
+ * posts itself (count corrections, reversals) and cannot be deactivated.
+ * New adjustments must name a reason; older rows are left without one.
+ */
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.createTable('adjustment_reasons', {
+                id: {
+                    allowNull: false,
+                    autoIncrement: true,
+                    primaryKey: true,
+                    type: Sequelize.INTEGER
+                },
+                code: {
+                    type: Sequelize.STRING(50),
+                    allowNull: false,
+                    unique: true
+                },
+                name: {
+                    type: Sequelize.STRING(100),
+                    allowNull: false
+                },
+                description: {
+                    type: Sequelize.TEXT,
+                    allowNull: true
+                },
+                direction: {
+                    type: Sequelize.ENUM('decrease', 'increase', 'any'),
+                    allowNull: false,
+                    defaultValue: 'any'
+                },
+                is_system: {
+                    type: Sequelize.BOOLEAN,
+                    allowNull: false,
+                    defaultValue: false
+                },
+                is_active: {
+                    type: Sequelize.BOOLEAN,
+                    allowNull: false,
+                    defaultValue: true
+                },
+                created_at: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updated_at: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+                }
+            }, { transaction });
+
+            await queryInterface.sequelize.query(`
+                INSERT INTO adjustment_reasons (code, name, description, direction, is_system, is_active, created_at, updated_at)
+                VALUES
+                    ('damaged', 'Damaged', 'Stock written off as damaged or unsellable', 'decrease', false, true, NOW(), NOW()),
+                    ('expired', 'Expired', 'Stock written off past its expiry date', 'decrease', false, true, NOW(), NOW()),
+                    ('theft', 'Theft', 'Stock lost to theft', 'decrease', false, true, NOW(), NOW()),
+                    ('found', 'Found', 'Stock found that was not on record', 'increase', false, true, NOW(), NOW()),
+                    ('sample', 'Sample', 'Stock used as samples or for testing', 'decrease', false, true, NOW(), NOW()),
+                    ('count_correction', 'Count correction', 'Stock set to a counted level', 'any', true, true, NOW(), NOW()),
+                    ('reversal', 'Reversal', 'Compensates a reversed transaction', 'any', true, true, NOW(), NOW())
+                ON CONFLICT (code) DO NOTHING;
+            `, { transaction });
+
+            await queryInterface.addColumn('transactions', 'adjustment_reason_id', {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'adjustment_reasons',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            }, { transaction });
+
+            await queryInterface.addIndex('transactions', ['adjustment_reason_id'], {
+                name: 'idx_transactions_adjustment_reason_id',
+                transaction
+            });
+
+            // NOT VALID: enforced for new rows without rejecting adjustments recorded before reason codes
+            await queryInterface.sequelize.query(`
+                ALTER TABLE transactions
+                ADD CONSTRAINT chk_transactions_adjustment_reason
+                CHECK (transaction_type <> 'ADJUSTMENT' OR adjustment_reason_id IS NOT NULL) NOT VALID;
+            `, { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.sequelize.query(
+                'ALTER TABLE transactions DROP CONSTRAINT IF EXISTS chk_transactions_adjustment_reason;',
+                { transaction }
+            );
+            await queryInterface.removeIndex('transactions', 'idx_transactions_adjustment_reason_id', { transaction });
+            await queryInterface.removeColumn('transactions', 'adjustment_reason_id', { transaction });
+            await queryInterface.dropTable('adjustment_reasons', { transaction });
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_adjustment_reasons_direction";', { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+};
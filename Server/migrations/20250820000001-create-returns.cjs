@@ -0,0 +1,240 @@
+'use strict';
+
+/**
+ * Customer returns (RMAs). A return references the sales order or OUT
+ * transaction the goods left with, and each line is disposed of on receipt:
+ * restocked at a sellable location, moved to a quarantine location, or
+ * scrapped. The postings are linked to their return line.
+ */
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        // Quarantine locations hold stock that cannot be reserved or sold
+        await queryInterface.sequelize.query(
+            `ALTER TYPE "enum_locations_type" ADD VALUE IF NOT EXISTS 'quarantine';`
+        );
+
+        await queryInterface.createTable('returns', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            return_number: {
+                type: Sequelize.STRING(50),
+                allowNull: false,
+                unique: true
+            },
+            sales_order_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'sales_orders',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            source_transaction_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'transactions',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            location_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            customer_name: {
+                type: Sequelize.STRING(150),
+                allowNull: true
+            },
+            reason: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            status: {
+                type: Sequelize.ENUM('open', 'received', 'cancelled'),
+                allowNull: false,
+                defaultValue: 'open'
+            },
+            notes: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            created_by: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'users',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'SET NULL'
+            },
+            received_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            cancelled_at: {
+                type: Sequelize.DATE,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('returns', ['sales_order_id'], {
+            name: 'idx_returns_sales_order_id'
+        });
+        await queryInterface.addIndex('returns', ['source_transaction_id'], {
+            name: 'idx_returns_source_transaction_id'
+        });
+        await queryInterface.addIndex('returns', ['status'], {
+            name: 'idx_returns_status'
+        });
+
+        await queryInterface.createTable('return_lines', {
+            id: {
+                allowNull: false,
+                autoIncrement: true,
+                primaryKey: true,
+                type: Sequelize.INTEGER
+            },
+            return_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'returns',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'CASCADE'
+            },
+            product_id: {
+                type: Sequelize.INTEGER,
+                allowNull: false,
+                references: {
+                    model: 'products',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            sales_order_line_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'sales_order_lines',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            quantity: {
+                type: Sequelize.INTEGER,
+                allowNull: false
+            },
+            disposition: {
+                type: Sequelize.ENUM('restock', 'quarantine', 'scrap'),
+                allowNull: false,
+                defaultValue: 'restock'
+            },
+            // Where the units were booked on receipt (the quarantine location for quarantined lines)
+            location_id: {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'locations',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            },
+            reason: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            notes: {
+                type: Sequelize.TEXT,
+                allowNull: true
+            },
+            created_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            },
+            updated_at: {
+                allowNull: false,
+                type: Sequelize.DATE,
+                defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+            }
+        });
+
+        await queryInterface.addIndex('return_lines', ['return_id'], {
+            name: 'idx_return_lines_return_id'
+        });
+        await queryInterface.addIndex('return_lines', ['product_id'], {
+            name: 'idx_return_lines_product_id'
+        });
+        await queryInterface.addIndex('return_lines', ['sales_order_line_id'], {
+            name: 'idx_return_lines_sales_order_line_id'
+        });
+
+        await queryInterface.addColumn('transactions', 'return_line_id', {
+            type: Sequelize.INTEGER,
+            allowNull: true,
+            references: {
+                model: 'return_lines',
+                key: 'id'
+            },
+            onUpdate: 'CASCADE',
+            onDelete: 'RESTRICT'
+        });
+
+        await queryInterface.addIndex('transactions', ['return_line_id'], {
+            name: 'idx_transactions_return_line_id'
+        });
+
+        // Scrapped returns are received and written off in one step under a system reason
+        await queryInterface.sequelize.query(`
+            INSERT INTO adjustment_reasons (code, name, description, direction, is_system, is_active, created_at, updated_at)
+            VALUES ('return_scrap', 'Return scrapped', 'Returned stock scrapped on receipt', 'decrease', true, true, NOW(), NOW())
+            ON CONFLICT (code) DO NOTHING;
+        `);
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.sequelize.query(`
+            DELETE FROM adjustment_reasons
+            WHERE code = 'return_scrap'
+              AND NOT EXISTS (SELECT 1 FROM transactions WHERE adjustment_reason_id = adjustment_reasons.id);
+        `);
+        await queryInterface.removeIndex('transactions', 'idx_transactions_return_line_id');
+        await queryInterface.removeColumn('transactions', 'return_line_id');
+        await queryInterface.dropTable('return_lines');
+        await queryInterface.dropTable('returns');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_return_lines_disposition";');
+        await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_returns_status";');
+        // PostgreSQL cannot drop enum values; 'quarantine' stays on the location type
+    }
+};
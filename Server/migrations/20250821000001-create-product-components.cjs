@@ -0,0 +1,87 @@
+'use strict';
+
+/**
+ * Bills of materials: a kit product lists the component products (and how
+ * many of each) that one unit of the kit is assembled from.
+ */
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.createTable('product_components', {
+                id: {
+                    allowNull: false,
+                    autoIncrement: true,
+                    primaryKey: true,
+                    type: Sequelize.INTEGER
+                },
+                kit_product_id: {
+                    type: Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'products',
+                        key: 'id'
+                    },
+                    onUpdate: 'CASCADE',
+                    onDelete: 'CASCADE'
+                },
+                component_product_id: {
+                    type: Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'products',
+                        key: 'id'
+                    },
+                    onUpdate: 'CASCADE',
+                    onDelete: 'RESTRICT'
+                },
+                quantity: {
+                    type: Sequelize.INTEGER,
+                    allowNull: false,
+                    defaultValue: 1
+                },
+                notes: {
+                    type: Sequelize.TEXT,
+                    allowNull: true
+                },
+                created_at: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updated_at: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+                }
+            }, { transaction });
+
+            await queryInterface.addIndex('product_components', ['kit_product_id', 'component_product_id'], {
+                name: 'idx_product_components_kit_component',
+                unique: true,
+                transaction
+            });
+            await queryInterface.addIndex('product_components', ['component_product_id'], {
+                name: 'idx_product_components_component_product_id',
+                transaction
+            });
+
+            await queryInterface.sequelize.query(`
+                ALTER TABLE product_components
+                ADD CONSTRAINT chk_product_components_quantity CHECK (quantity > 0),
+                ADD CONSTRAINT chk_product_components_not_self CHECK (kit_product_id <> component_product_id);
+            `, { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.dropTable('product_components');
+    }
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+/**
+ * Units of measure. Each product keeps its base unit (products.unit) and can
+ * list other units it is bought, sold or counted in, with how many base units
+ * one of them holds (e.g. case = 12 pcs). Quantities are still stored in the
+ * base unit, but as NUMERIC(14, 3) so measured products (kg, liter, ...) can
+ * hold fractions, and purchase order costs get four decimal places per base unit.
+ */
+
+// Stock quantity columns moving from INTEGER to NUMERIC(14, 3)
+const QUANTITY_COLUMNS = {
+    inventory: ['current_stock', 'reserved_stock'],
+    transactions: ['quantity', 'quantity_change', 'balance_before', 'balance_after'],
+    cost_layers: ['quantity_received', 'quantity_remaining'],
+    stock_lots: ['quantity'],
+    transaction_lots: ['quantity'],
+    purchase_order_lines: ['quantity_ordered', 'quantity_received'],
+    sales_order_lines: ['quantity_ordered', 'quantity_reserved', 'quantity_shipped'],
+    stock_reservations: ['quantity'],
+    stock_transfers: ['quantity'],
+    physical_count_lines: ['system_stock', 'counted_stock', 'variance'],
+    return_lines: ['quantity'],
+    product_components: ['quantity']
+};
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.createTable('product_units', {
+                id: {
+                    allowNull: false,
+                    autoIncrement: true,
+                    primaryKey: true,
+                    type: Sequelize.INTEGER
+                },
+                product_id: {
+                    type: Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'products',
+                        key: 'id'
+                    },
+                    onUpdate: 'CASCADE',
+                    onDelete: 'CASCADE'
+                },
+                unit: {
+                    type: Sequelize.STRING(20),
+                    allowNull: false
+                },
+                // Base units in one of this unit
+                conversion_factor: {
+                    type: Sequelize.DECIMAL(18, 6),
+                    allowNull: false
+                },
+                created_at: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updated_at: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+                }
+            }, { transaction });
+
+            await queryInterface.addIndex('product_units', ['product_id', 'unit'], {
+                name: 'idx_product_units_product_unit',
+                unique: true,
+                transaction
+            });
+
+            await queryInterface.sequelize.query(
+                'ALTER TABLE product_units ADD CONSTRAINT chk_product_units_conversion_factor CHECK (conversion_factor > 0);',
+                { transaction }
+            );
+
+            for (const [table, columns] of Object.entries(QUANTITY_COLUMNS)) {
+                await queryInterface.sequelize.query(
+                    `ALTER TABLE ${table} ${columns.map(column => `ALTER COLUMN ${column} TYPE NUMERIC(14, 3)`).join(', ')};`,
+                    { transaction }
+                );
+            }
+
+            // Order costs may be entered per case or pack and are stored per base unit
+            await queryInterface.changeColumn('purchase_order_lines', 'unit_cost', {
+                type: Sequelize.DECIMAL(12, 4),
+                allowNull: false,
+                defaultValue: 0
+            }, { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.changeColumn('purchase_order_lines', 'unit_cost', {
+                type: Sequelize.DECIMAL(10, 2),
+                allowNull: false,
+                defaultValue: 0
+            }, { transaction });
+
+            // Fractional quantities are rounded to whole units
+            for (const [table, columns] of Object.entries(QUANTITY_COLUMNS)) {
+                await queryInterface.sequelize.query(
+                    `ALTER TABLE ${table} ${columns.map(column => `ALTER COLUMN ${column} TYPE INTEGER USING ROUND(${column})`).join(', ')};`,
+                    { transaction }
+                );
+            }
+
+            await queryInterface.dropTable('product_units', { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,113 @@
+'use strict';
+
+/**
+ * Product variants. A parent product (e.g. a T-shirt style) defines variant
+ * attributes such as size and color with their allowed values, and each
+ * variant is an ordinary product with its own SKU, barcode and stock that
+ * points at its parent and records the attribute values it stands for.
+ */
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.addColumn('products', 'parent_product_id', {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'products',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            }, { transaction });
+
+            // Attribute values of a variant, e.g. { "size": "M", "color": "Red" }
+            await queryInterface.addColumn('products', 'variant_options', {
+                type: Sequelize.JSONB,
+                allowNull: true
+            }, { transaction });
+
+            await queryInterface.addIndex('products', ['parent_product_id'], {
+                name: 'idx_products_parent_product_id',
+                transaction
+            });
+
+            await queryInterface.sequelize.query(
+                'ALTER TABLE products ADD CONSTRAINT chk_products_not_own_parent CHECK (parent_product_id <> id);',
+                { transaction }
+            );
+
+            await queryInterface.createTable('variant_attributes', {
+                id: {
+                    allowNull: false,
+                    autoIncrement: true,
+                    primaryKey: true,
+                    type: Sequelize.INTEGER
+                },
+                product_id: {
+                    type: Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'products',
+                        key: 'id'
+                    },
+                    onUpdate: 'CASCADE',
+                    onDelete: 'CASCADE'
+                },
+                name: {
+                    type: Sequelize.STRING(50),
+                    allowNull: false
+                },
+                // Allowed values in display order, e.g. ["S", "M", "L"]
+                values: {
+                    type: Sequelize.JSONB,
+                    allowNull: false,
+                    defaultValue: []
+                },
+                position: {
+                    type: Sequelize.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                created_at: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updated_at: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+                }
+            }, { transaction });
+
+            await queryInterface.addIndex('variant_attributes', ['product_id', 'name'], {
+                name: 'idx_variant_attributes_product_name',
+                unique: true,
+                transaction
+            });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.dropTable('variant_attributes', { transaction });
+            await queryInterface.removeColumn('products', 'variant_options', { transaction });
+            await queryInterface.removeColumn('products', 'parent_product_id', { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+};
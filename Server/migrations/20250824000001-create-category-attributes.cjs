@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * Custom product attributes. Admins define attributes per category (e.g.
+ * voltage for power tools) with a type and, for enums, the allowed options.
+ * Each product keeps its values in products.custom_attributes keyed by the
+ * attribute code, with a GIN index so products can be filtered by them.
+ */
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.createTable('category_attributes', {
+                id: {
+                    allowNull: false,
+                    autoIncrement: true,
+                    primaryKey: true,
+                    type: Sequelize.INTEGER
+                },
+                category_id: {
+                    type: Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'categories',
+                        key: 'id'
+                    },
+                    onUpdate: 'CASCADE',
+                    onDelete: 'CASCADE'
+                },
+                // Key in products.custom_attributes and in ?attr[code]= filters
+                code: {
+                    type: Sequelize.STRING(50),
+                    allowNull: false
+                },
+                label: {
+                    type: Sequelize.STRING(100),
+                    allowNull: false
+                },
+                data_type: {
+                    type: Sequelize.ENUM('text', 'number', 'enum', 'boolean', 'date'),
+                    allowNull: false,
+                    defaultValue: 'text'
+                },
+                // Allowed values of an enum attribute
+                options: {
+                    type: Sequelize.JSONB,
+                    allowNull: true
+                },
+                is_required: {
+                    type: Sequelize.BOOLEAN,
+                    allowNull: false,
+                    defaultValue: false
+                },
+                position: {
+                    type: Sequelize.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                created_at: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updated_at: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+                }
+            }, { transaction });
+
+            await queryInterface.addIndex('category_attributes', ['category_id', 'code'], {
+                name: 'idx_category_attributes_category_code',
+                unique: true,
+                transaction
+            });
+
+            await queryInterface.addColumn('products', 'custom_attributes', {
+                type: Sequelize.JSONB,
+                allowNull: false,
+                defaultValue: {}
+            }, { transaction });
+
+            await queryInterface.addIndex('products', ['custom_attributes'], {
+                name: 'idx_products_custom_attributes',
+                using: 'gin',
+                transaction
+            });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.removeColumn('products', 'custom_attributes', { transaction });
+            await queryInterface.dropTable('category_attributes', { transaction });
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_category_attributes_data_type";', { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+};
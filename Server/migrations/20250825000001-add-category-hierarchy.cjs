@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Nested categories. A category may sit under a parent category to any
+ * depth (e.g. Tools > Power Tools > Drills); top-level categories have no
+ * parent. Cycles are rejected by the application when categories are moved.
+ */
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.addColumn('categories', 'parent_id', {
+                type: Sequelize.INTEGER,
+                allowNull: true,
+                references: {
+                    model: 'categories',
+                    key: 'id'
+                },
+                onUpdate: 'CASCADE',
+                onDelete: 'RESTRICT'
+            }, { transaction });
+
+            await queryInterface.addIndex('categories', ['parent_id'], {
+                name: 'idx_categories_parent_id',
+                transaction
+            });
+
+            await queryInterface.sequelize.query(
+                'ALTER TABLE categories ADD CONSTRAINT chk_categories_not_own_parent CHECK (parent_id <> id);',
+                { transaction }
+            );
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.removeConstraint('categories', 'chk_categories_not_own_parent', { transaction });
+            await queryInterface.removeIndex('categories', 'idx_categories_parent_id', { transaction });
+            await queryInterface.removeColumn('categories', 'parent_id', { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,134 @@
+'use strict';
+
+/**
+ * Product images and document attachments (spec sheets, SDS PDFs, ...).
+ * Rows describe the files; the files themselves live on the configured
+ * storage backend under storage_key, with a generated thumbnail for images.
+ */
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.createTable('product_attachments', {
+                id: {
+                    allowNull: false,
+                    autoIncrement: true,
+                    primaryKey: true,
+                    type: Sequelize.INTEGER
+                },
+                product_id: {
+                    type: Sequelize.INTEGER,
+                    allowNull: false,
+                    references: {
+                        model: 'products',
+                        key: 'id'
+                    },
+                    onUpdate: 'CASCADE',
+                    onDelete: 'CASCADE'
+                },
+                kind: {
+                    type: Sequelize.ENUM('image', 'document'),
+                    allowNull: false
+                },
+                title: {
+                    type: Sequelize.STRING(200),
+                    allowNull: true
+                },
+                original_name: {
+                    type: Sequelize.STRING(255),
+                    allowNull: false
+                },
+                mime_type: {
+                    type: Sequelize.STRING(100),
+                    allowNull: false
+                },
+                size: {
+                    type: Sequelize.INTEGER,
+                    allowNull: false
+                },
+                storage_key: {
+                    type: Sequelize.STRING(500),
+                    allowNull: false,
+                    unique: true
+                },
+                thumbnail_key: {
+                    type: Sequelize.STRING(500),
+                    allowNull: true
+                },
+                width: {
+                    type: Sequelize.INTEGER,
+                    allowNull: true
+                },
+                height: {
+                    type: Sequelize.INTEGER,
+                    allowNull: true
+                },
+                // The image shown for the product in lists
+                is_primary: {
+                    type: Sequelize.BOOLEAN,
+                    allowNull: false,
+                    defaultValue: false
+                },
+                position: {
+                    type: Sequelize.INTEGER,
+                    allowNull: false,
+                    defaultValue: 0
+                },
+                created_by: {
+                    type: Sequelize.INTEGER,
+                    allowNull: true,
+                    references: {
+                        model: 'users',
+                        key: 'id'
+                    },
+                    onUpdate: 'CASCADE',
+                    onDelete: 'RESTRICT'
+                },
+                created_at: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+                },
+                updated_at: {
+                    allowNull: false,
+                    type: Sequelize.DATE,
+                    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+                }
+            }, { transaction });
+
+            await queryInterface.addIndex('product_attachments', ['product_id', 'kind'], {
+                name: 'idx_product_attachments_product_kind',
+                transaction
+            });
+
+            // At most one primary image per product
+            await queryInterface.addIndex('product_attachments', ['product_id'], {
+                name: 'idx_product_attachments_primary',
+                unique: true,
+                where: { is_primary: true },
+                transaction
+            });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.dropTable('product_attachments', { transaction });
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_product_attachments_kind";', { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+};
@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * Ledger rows posted by a kit assembly or disassembly record which of the two
+ * they belong to, so the legs of a run are recognised without relying on the
+ * reference number (which users can set freely). Existing legs are backfilled
+ * from the reference numbers kit runs generated; the append-only trigger is
+ * disabled for that one update only.
+ */
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.addColumn('transactions', 'kit_operation', {
+                type: Sequelize.ENUM('assembly', 'disassembly'),
+                allowNull: true
+            }, { transaction });
+
+            await queryInterface.sequelize.query(
+                'ALTER TABLE transactions DISABLE TRIGGER trg_transactions_append_only;',
+                { transaction }
+            );
+
+            await queryInterface.sequelize.query(`
+                UPDATE transactions
+                SET kit_operation = CASE
+                    WHEN reference_number LIKE 'ASM-%' THEN 'assembly'::"enum_transactions_kit_operation"
+                    ELSE 'disassembly'::"enum_transactions_kit_operation"
+                END
+                WHERE reference_number ~ '^(ASM|DIS)-[0-9]{8}-[A-Z0-9]{6}$'
+                    AND transaction_type IN ('IN', 'OUT');
+            `, { transaction });
+
+            await queryInterface.sequelize.query(
+                'ALTER TABLE transactions ENABLE TRIGGER trg_transactions_append_only;',
+                { transaction }
+            );
+
+            await queryInterface.addIndex('transactions', ['kit_operation'], {
+                name: 'idx_transactions_kit_operation',
+                transaction
+            });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    },
+
+    async down(queryInterface, Sequelize) {
+        const transaction = await queryInterface.sequelize.transaction();
+
+        try {
+            await queryInterface.removeIndex('transactions', 'idx_transactions_kit_operation', { transaction });
+            await queryInterface.removeColumn('transactions', 'kit_operation', { transaction });
+            await queryInterface.sequelize.query('DROP TYPE IF EXISTS "enum_transactions_kit_operation";', { transaction });
+
+            await transaction.commit();
+        } catch (error) {
+            await transaction.rollback();
+            throw error;
+        }
+    }
+};
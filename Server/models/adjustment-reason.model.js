@@ -0,0 +1,64 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const AdjustmentReason = sequelize.define('AdjustmentReason', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    code: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true,
+        validate: {
+            notEmpty: true,
+            len: [2, 50]
+        }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            notEmpty: true,
+            len: [2, 100]
+        }
+    },
+    description: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    // Which way an adjustment with this reason may move stock
+    direction: {
+        type: DataTypes.ENUM('decrease', 'increase', 'any'),
+        allowNull: false,
+        defaultValue: 'any',
+        validate: {
+            isIn: [['decrease', 'increase', 'any']]
+        }
+    },
+    // Used by the server itself (count corrections, reversals); cannot be renamed away or deactivated
+    is_system: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    is_active: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+    }
+}, {
+    tableName: 'adjustment_reasons',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['code']
+        }
+    ]
+});
+
+export default AdjustmentReason;
@@ -0,0 +1,54 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const AuditLog = sequelize.define('AuditLog', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    // Table-style name of the audited record, e.g. 'stock_reservation'
+    entity_type: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    entity_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    action: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    // Null for actions taken by the system (e.g. the reservation expiry sweeper)
+    user_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    details: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    }
+}, {
+    tableName: 'audit_logs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        {
+            fields: ['entity_type', 'entity_id']
+        },
+        {
+            fields: ['user_id']
+        },
+        {
+            fields: ['created_at']
+        }
+    ]
+});
+
+export default AuditLog;
@@ -0,0 +1,94 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import Category from './category.model.js';
+
+// A custom attribute products of a category carry, e.g. voltage (number) for power tools
+const CategoryAttribute = sequelize.define('CategoryAttribute', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    category_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'categories',
+            key: 'id'
+        }
+    },
+    code: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        validate: {
+            is: /^[a-z][a-z0-9_]*$/
+        }
+    },
+    label: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            notEmpty: true
+        }
+    },
+    data_type: {
+        type: DataTypes.ENUM('text', 'number', 'enum', 'boolean', 'date'),
+        allowNull: false,
+        defaultValue: 'text'
+    },
+    options: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    is_required: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    }
+}, {
+    tableName: 'category_attributes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['category_id', 'code']
+        }
+    ],
+    validate: {
+        enumHasOptions() {
+            if (this.data_type === 'enum' && (!Array.isArray(this.options) || this.options.length === 0)) {
+                throw new Error('Enum attributes need a non-empty list of options');
+            }
+        }
+    }
+});
+
+/**
+ * Attributes that apply to a category's products: its own and those of its
+ * ancestors, where a definition nearer the category wins over an ancestor's
+ * with the same code. Each carries the category_id it was defined on.
+ */
+CategoryAttribute.findEffective = async function (categoryId, options = {}) {
+    const path = await Category.findPath(categoryId, options);
+    const definitions = await this.findAll({
+        where: { category_id: path.map(entry => entry.id) },
+        order: [['position', 'ASC']],
+        ...options
+    });
+
+    const effective = new Map();
+    path.forEach(entry => definitions
+        .filter(definition => definition.category_id === entry.id)
+        .forEach(definition => effective.set(definition.code, definition)));
+
+    return [...effective.values()];
+};
+
+export default CategoryAttribute;
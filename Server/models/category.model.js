@@ -20,6 +20,15 @@ const Category = sequelize.define('Category', {
         type: DataTypes.TEXT,
         allowNull: true
     },
+    // Enclosing category; null for top-level categories
+    parent_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'categories',
+            key: 'id'
+        }
+    },
     is_active: {
         type: DataTypes.BOOLEAN,
         defaultValue: true
@@ -33,8 +42,48 @@ const Category = sequelize.define('Category', {
         {
             unique: true,
             fields: ['name']
+        },
+        {
+            fields: ['parent_id']
         }
     ]
 });
 
+// IDs of a category and all categories nested under it, at any depth
+Category.collectSubtreeIds = function (categoryId, categories) {
+    const ids = [parseInt(categoryId)];
+
+    for (let index = 0; index < ids.length; index++) {
+        categories
+            .filter(category => category.parent_id === ids[index] && !ids.includes(category.id))
+            .forEach(category => ids.push(category.id));
+    }
+
+    return ids;
+};
+
+Category.findSubtreeIds = async function (categoryId, options = {}) {
+    const categories = await this.findAll({ attributes: ['id', 'parent_id'], ...options });
+    return this.collectSubtreeIds(categoryId, categories);
+};
+
+// Breadcrumb from the top-level category down to this one, as [{ id, name }]
+Category.buildPath = function (categoryId, categories) {
+    const byId = new Map(categories.map(category => [category.id, category]));
+    const path = [];
+    let current = byId.get(parseInt(categoryId));
+
+    while (current && !path.some(entry => entry.id === current.id)) {
+        path.unshift({ id: current.id, name: current.name });
+        current = byId.get(current.parent_id);
+    }
+
+    return path;
+};
+
+Category.findPath = async function (categoryId, options = {}) {
+    const categories = await this.findAll({ attributes: ['id', 'name', 'parent_id'], ...options });
+    return this.buildPath(categoryId, categories);
+};
+
 export default Category;
\ No newline at end of file
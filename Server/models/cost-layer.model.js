@@ -0,0 +1,92 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
+
+// A quantity of stock received at one unit cost, consumed oldest first
+const CostLayer = sequelize.define('CostLayer', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
+    // The inbound transaction that opened the layer; null for opening balances
+    transaction_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'transactions',
+            key: 'id'
+        }
+    },
+    unit_cost: {
+        type: DataTypes.DECIMAL(12, 4),
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+            min: 0
+        }
+    },
+    quantity_received: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity_received'));
+        },
+        allowNull: false,
+        validate: {
+            min: 0.001
+        }
+    },
+    quantity_remaining: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity_remaining'));
+        },
+        allowNull: false,
+        validate: {
+            min: 0
+        }
+    },
+    received_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'cost_layers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            fields: ['product_id', 'location_id', 'received_at']
+        },
+        {
+            fields: ['transaction_id']
+        }
+    ],
+    validate: {
+        remainingWithinReceived() {
+            if (this.quantity_remaining > this.quantity_received) {
+                throw new Error('Remaining quantity cannot exceed the quantity received');
+            }
+        }
+    }
+});
+
+export default CostLayer;
@@ -3,6 +3,31 @@ import Product from "./product.model.js";
 import Inventory from "./inventory.model.js";
 import Transaction from "./transaction.model.js";
 import User from "./user.model.js";
+import Location from "./location.model.js";
+import StockTransfer from "./stock-transfer.model.js";
+import PhysicalCount from "./physical-count.model.js";
+import PhysicalCountLine from "./physical-count-line.model.js";
+import Supplier from "./supplier.model.js";
+import PurchaseOrder from "./purchase-order.model.js";
+import PurchaseOrderLine from "./purchase-order-line.model.js";
+import SupplierProduct from "./supplier-product.model.js";
+import SalesOrder from "./sales-order.model.js";
+import SalesOrderLine from "./sales-order-line.model.js";
+import StockReservation from "./stock-reservation.model.js";
+import AuditLog from "./audit-log.model.js";
+import StockLot from "./stock-lot.model.js";
+import TransactionLot from "./transaction-lot.model.js";
+import SerialNumber from "./serial-number.model.js";
+import TransactionSerial from "./transaction-serial.model.js";
+import CostLayer from "./cost-layer.model.js";
+import AdjustmentReason from "./adjustment-reason.model.js";
+import Return from "./return.model.js";
+import ReturnLine from "./return-line.model.js";
+import ProductComponent from "./product-component.model.js";
+import ProductUnit from "./product-unit.model.js";
+import VariantAttribute from "./variant-attribute.model.js";
+import CategoryAttribute from "./category-attribute.model.js";
+import ProductAttachment from "./product-attachment.model.js";
 
 // Category - Product (One to Many)
 Category.hasMany(Product, {
@@ -19,8 +44,32 @@ Product.belongsTo(Category, {
     onUpdate: 'CASCADE'
 });
 
-// Product - Inventory (One to One)
-Product.hasOne(Inventory, {
+// Category - Category (nested categories)
+Category.hasMany(Category, {
+    foreignKey: 'parent_id',
+    as: 'children',
+    onDelete: 'RESTRICT'
+});
+
+Category.belongsTo(Category, {
+    foreignKey: 'parent_id',
+    as: 'parent'
+});
+
+// Category - CategoryAttribute (One to Many: custom attributes of the category's products)
+Category.hasMany(CategoryAttribute, {
+    foreignKey: 'category_id',
+    as: 'attribute_definitions',
+    onDelete: 'CASCADE'
+});
+
+CategoryAttribute.belongsTo(Category, {
+    foreignKey: 'category_id',
+    as: 'category'
+});
+
+// Product - Inventory (One to Many, one record per location)
+Product.hasMany(Inventory, {
     foreignKey: 'product_id',
     as: 'inventory',
     onDelete: 'CASCADE',
@@ -34,6 +83,21 @@ Inventory.belongsTo(Product, {
     onUpdate: 'CASCADE'
 });
 
+// Location - Inventory (One to Many)
+Location.hasMany(Inventory, {
+    foreignKey: 'location_id',
+    as: 'inventory',
+    onDelete: 'RESTRICT',
+    onUpdate: 'CASCADE'
+});
+
+Inventory.belongsTo(Location, {
+    foreignKey: 'location_id',
+    as: 'location',
+    onDelete: 'RESTRICT',
+    onUpdate: 'CASCADE'
+});
+
 // Product - Transaction (One to Many)
 Product.hasMany(Transaction, {
     foreignKey: 'product_id',
@@ -49,13 +113,505 @@ Transaction.belongsTo(Product, {
     onUpdate: 'CASCADE'
 });
 
+// Location - Transaction (One to Many)
+Location.hasMany(Transaction, {
+    foreignKey: 'location_id',
+    as: 'transactions',
+    onDelete: 'RESTRICT',
+    onUpdate: 'CASCADE'
+});
+
+Transaction.belongsTo(Location, {
+    foreignKey: 'location_id',
+    as: 'location',
+    onDelete: 'RESTRICT',
+    onUpdate: 'CASCADE'
+});
+
+// StockTransfer - Product / Location (Many to One)
+StockTransfer.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+StockTransfer.belongsTo(Location, {
+    foreignKey: 'from_location_id',
+    as: 'from_location'
+});
+
+StockTransfer.belongsTo(Location, {
+    foreignKey: 'to_location_id',
+    as: 'to_location'
+});
+
+// StockTransfer - Transaction (One to Many, one row per leg)
+StockTransfer.hasMany(Transaction, {
+    foreignKey: 'transfer_id',
+    as: 'transactions'
+});
+
+Transaction.belongsTo(StockTransfer, {
+    foreignKey: 'transfer_id',
+    as: 'transfer'
+});
+
+// PhysicalCount - Location (Many to One)
+PhysicalCount.belongsTo(Location, {
+    foreignKey: 'location_id',
+    as: 'location'
+});
+
+// PhysicalCount - PhysicalCountLine (One to Many)
+PhysicalCount.hasMany(PhysicalCountLine, {
+    foreignKey: 'physical_count_id',
+    as: 'lines',
+    onDelete: 'CASCADE'
+});
+
+PhysicalCountLine.belongsTo(PhysicalCount, {
+    foreignKey: 'physical_count_id',
+    as: 'physical_count'
+});
+
+PhysicalCountLine.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+// Supplier - Product catalog (Many to Many through SupplierProduct)
+Supplier.hasMany(SupplierProduct, {
+    foreignKey: 'supplier_id',
+    as: 'catalog',
+    onDelete: 'CASCADE'
+});
+
+SupplierProduct.belongsTo(Supplier, {
+    foreignKey: 'supplier_id',
+    as: 'supplier'
+});
+
+Product.hasMany(SupplierProduct, {
+    foreignKey: 'product_id',
+    as: 'supplier_products',
+    onDelete: 'CASCADE'
+});
+
+SupplierProduct.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+// Product - ProductUnit (One to Many: units of measure besides the base unit)
+Product.hasMany(ProductUnit, {
+    foreignKey: 'product_id',
+    as: 'units',
+    onDelete: 'CASCADE'
+});
+
+ProductUnit.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+// Product - Product bill of materials (kit to components through ProductComponent)
+Product.hasMany(ProductComponent, {
+    foreignKey: 'kit_product_id',
+    as: 'components',
+    onDelete: 'CASCADE'
+});
+
+ProductComponent.belongsTo(Product, {
+    foreignKey: 'kit_product_id',
+    as: 'kit'
+});
+
+Product.hasMany(ProductComponent, {
+    foreignKey: 'component_product_id',
+    as: 'used_in_kits',
+    onDelete: 'RESTRICT'
+});
+
+ProductComponent.belongsTo(Product, {
+    foreignKey: 'component_product_id',
+    as: 'component'
+});
+
+// Product - Product variants (parent style to its size/color/... variants)
+Product.hasMany(Product, {
+    foreignKey: 'parent_product_id',
+    as: 'variants',
+    onDelete: 'RESTRICT'
+});
+
+Product.belongsTo(Product, {
+    foreignKey: 'parent_product_id',
+    as: 'parent'
+});
+
+// Product - VariantAttribute (One to Many: attributes a parent's variants differ by)
+Product.hasMany(VariantAttribute, {
+    foreignKey: 'product_id',
+    as: 'variant_attributes',
+    onDelete: 'CASCADE'
+});
+
+VariantAttribute.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+// Product - ProductAttachment (One to Many: images and documents)
+Product.hasMany(ProductAttachment, {
+    foreignKey: 'product_id',
+    as: 'attachments',
+    onDelete: 'CASCADE'
+});
+
+ProductAttachment.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+ProductAttachment.belongsTo(User, {
+    foreignKey: 'created_by',
+    as: 'creator'
+});
+
+// Supplier - PurchaseOrder (One to Many)
+Supplier.hasMany(PurchaseOrder, {
+    foreignKey: 'supplier_id',
+    as: 'purchase_orders',
+    onDelete: 'RESTRICT',
+    onUpdate: 'CASCADE'
+});
+
+PurchaseOrder.belongsTo(Supplier, {
+    foreignKey: 'supplier_id',
+    as: 'supplier'
+});
+
+PurchaseOrder.belongsTo(Location, {
+    foreignKey: 'location_id',
+    as: 'location'
+});
+
+// PurchaseOrder - PurchaseOrderLine (One to Many)
+PurchaseOrder.hasMany(PurchaseOrderLine, {
+    foreignKey: 'purchase_order_id',
+    as: 'lines',
+    onDelete: 'CASCADE'
+});
+
+PurchaseOrderLine.belongsTo(PurchaseOrder, {
+    foreignKey: 'purchase_order_id',
+    as: 'purchase_order'
+});
+
+PurchaseOrderLine.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+// PurchaseOrderLine - Transaction (One to Many, one row per receipt)
+PurchaseOrderLine.hasMany(Transaction, {
+    foreignKey: 'purchase_order_line_id',
+    as: 'receipts'
+});
+
+Transaction.belongsTo(PurchaseOrderLine, {
+    foreignKey: 'purchase_order_line_id',
+    as: 'purchase_order_line'
+});
+
+// SalesOrder - Location (Many to One)
+SalesOrder.belongsTo(Location, {
+    foreignKey: 'location_id',
+    as: 'location'
+});
+
+// SalesOrder - SalesOrderLine (One to Many)
+SalesOrder.hasMany(SalesOrderLine, {
+    foreignKey: 'sales_order_id',
+    as: 'lines',
+    onDelete: 'CASCADE'
+});
+
+SalesOrderLine.belongsTo(SalesOrder, {
+    foreignKey: 'sales_order_id',
+    as: 'sales_order'
+});
+
+SalesOrderLine.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+// SalesOrderLine - Transaction (One to Many, one row per shipment)
+SalesOrderLine.hasMany(Transaction, {
+    foreignKey: 'sales_order_line_id',
+    as: 'shipments'
+});
+
+Transaction.belongsTo(SalesOrderLine, {
+    foreignKey: 'sales_order_line_id',
+    as: 'sales_order_line'
+});
+
+// Return - SalesOrder / Transaction / Location (Many to One)
+Return.belongsTo(SalesOrder, {
+    foreignKey: 'sales_order_id',
+    as: 'sales_order'
+});
+
+Return.belongsTo(Transaction, {
+    foreignKey: 'source_transaction_id',
+    as: 'source_transaction'
+});
+
+Return.belongsTo(Location, {
+    foreignKey: 'location_id',
+    as: 'location'
+});
+
+// Return - ReturnLine (One to Many)
+Return.hasMany(ReturnLine, {
+    foreignKey: 'return_id',
+    as: 'lines',
+    onDelete: 'CASCADE'
+});
+
+ReturnLine.belongsTo(Return, {
+    foreignKey: 'return_id',
+    as: 'return'
+});
+
+ReturnLine.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+ReturnLine.belongsTo(SalesOrderLine, {
+    foreignKey: 'sales_order_line_id',
+    as: 'sales_order_line'
+});
+
+ReturnLine.belongsTo(Location, {
+    foreignKey: 'location_id',
+    as: 'location'
+});
+
+// ReturnLine - Transaction (One to Many: the receipt, and the write-off of a scrapped line)
+ReturnLine.hasMany(Transaction, {
+    foreignKey: 'return_line_id',
+    as: 'transactions'
+});
+
+Transaction.belongsTo(ReturnLine, {
+    foreignKey: 'return_line_id',
+    as: 'return_line'
+});
+
+// StockReservation - Product / Location (Many to One)
+StockReservation.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+StockReservation.belongsTo(Location, {
+    foreignKey: 'location_id',
+    as: 'location'
+});
+
+// SalesOrderLine - StockReservation (One to Many)
+SalesOrderLine.hasMany(StockReservation, {
+    foreignKey: 'sales_order_line_id',
+    as: 'reservations',
+    onDelete: 'CASCADE'
+});
+
+StockReservation.belongsTo(SalesOrderLine, {
+    foreignKey: 'sales_order_line_id',
+    as: 'sales_order_line'
+});
+
+// AuditLog - User (Many to One)
+AuditLog.belongsTo(User, {
+    foreignKey: 'user_id',
+    as: 'user'
+});
+
+// Transaction - User (Many to One)
+Transaction.belongsTo(User, {
+    foreignKey: 'created_by',
+    as: 'creator'
+});
+
+Transaction.belongsTo(User, {
+    foreignKey: 'reversed_by',
+    as: 'reverser'
+});
+
+Transaction.belongsTo(User, {
+    foreignKey: 'reviewed_by',
+    as: 'reviewer'
+});
+
+// AdjustmentReason - Transaction (One to Many)
+AdjustmentReason.hasMany(Transaction, {
+    foreignKey: 'adjustment_reason_id',
+    as: 'transactions',
+    onDelete: 'RESTRICT',
+    onUpdate: 'CASCADE'
+});
+
+Transaction.belongsTo(AdjustmentReason, {
+    foreignKey: 'adjustment_reason_id',
+    as: 'adjustment_reason'
+});
+
+// Transaction - Transaction (a reversal compensates exactly one original)
+Transaction.hasOne(Transaction, {
+    foreignKey: 'reversal_of_id',
+    as: 'reversal'
+});
+
+Transaction.belongsTo(Transaction, {
+    foreignKey: 'reversal_of_id',
+    as: 'reversal_of'
+});
+
+// StockLot - Product / Location (Many to One)
+Product.hasMany(StockLot, {
+    foreignKey: 'product_id',
+    as: 'lots',
+    onDelete: 'CASCADE'
+});
+
+StockLot.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+StockLot.belongsTo(Location, {
+    foreignKey: 'location_id',
+    as: 'location'
+});
+
+// Transaction - StockLot (Many to Many through TransactionLot)
+Transaction.hasMany(TransactionLot, {
+    foreignKey: 'transaction_id',
+    as: 'lot_allocations',
+    onDelete: 'CASCADE'
+});
+
+TransactionLot.belongsTo(Transaction, {
+    foreignKey: 'transaction_id',
+    as: 'transaction'
+});
+
+StockLot.hasMany(TransactionLot, {
+    foreignKey: 'stock_lot_id',
+    as: 'movements'
+});
+
+TransactionLot.belongsTo(StockLot, {
+    foreignKey: 'stock_lot_id',
+    as: 'lot'
+});
+
+// SerialNumber - Product / Location (Many to One)
+Product.hasMany(SerialNumber, {
+    foreignKey: 'product_id',
+    as: 'serial_numbers',
+    onDelete: 'CASCADE'
+});
+
+SerialNumber.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+SerialNumber.belongsTo(Location, {
+    foreignKey: 'location_id',
+    as: 'location'
+});
+
+// Transaction - SerialNumber (Many to Many through TransactionSerial)
+Transaction.hasMany(TransactionSerial, {
+    foreignKey: 'transaction_id',
+    as: 'serial_allocations',
+    onDelete: 'CASCADE'
+});
+
+TransactionSerial.belongsTo(Transaction, {
+    foreignKey: 'transaction_id',
+    as: 'transaction'
+});
+
+SerialNumber.hasMany(TransactionSerial, {
+    foreignKey: 'serial_number_id',
+    as: 'movements'
+});
+
+TransactionSerial.belongsTo(SerialNumber, {
+    foreignKey: 'serial_number_id',
+    as: 'serial'
+});
+
+// CostLayer - Product / Location / Transaction (Many to One)
+Product.hasMany(CostLayer, {
+    foreignKey: 'product_id',
+    as: 'cost_layers',
+    onDelete: 'CASCADE'
+});
+
+CostLayer.belongsTo(Product, {
+    foreignKey: 'product_id',
+    as: 'product'
+});
+
+CostLayer.belongsTo(Location, {
+    foreignKey: 'location_id',
+    as: 'location'
+});
+
+CostLayer.belongsTo(Transaction, {
+    foreignKey: 'transaction_id',
+    as: 'transaction'
+});
+
 // Export all models
 export {
     Category,
     Product,
     Inventory,
     Transaction,
-    User
+    User,
+    Location,
+    StockTransfer,
+    PhysicalCount,
+    PhysicalCountLine,
+    Supplier,
+    PurchaseOrder,
+    PurchaseOrderLine,
+    SupplierProduct,
+    SalesOrder,
+    SalesOrderLine,
+    StockReservation,
+    AuditLog,
+    StockLot,
+    TransactionLot,
+    SerialNumber,
+    TransactionSerial,
+    CostLayer,
+    AdjustmentReason,
+    Return,
+    ReturnLine,
+    ProductComponent,
+    ProductUnit,
+    VariantAttribute,
+    CategoryAttribute,
+    ProductAttachment
 };
 
 // Export default for easier importing
@@ -64,5 +620,30 @@ export default {
     Product,
     Inventory,
     Transaction,
-    User
+    User,
+    Location,
+    StockTransfer,
+    PhysicalCount,
+    PhysicalCountLine,
+    Supplier,
+    PurchaseOrder,
+    PurchaseOrderLine,
+    SupplierProduct,
+    SalesOrder,
+    SalesOrderLine,
+    StockReservation,
+    AuditLog,
+    StockLot,
+    TransactionLot,
+    SerialNumber,
+    TransactionSerial,
+    CostLayer,
+    AdjustmentReason,
+    Return,
+    ReturnLine,
+    ProductComponent,
+    ProductUnit,
+    VariantAttribute,
+    CategoryAttribute,
+    ProductAttachment
 };
\ No newline at end of file
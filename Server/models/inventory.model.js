@@ -1,5 +1,6 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
 
 const Inventory = sequelize.define('Inventory', {
     id: {
@@ -10,22 +11,35 @@ const Inventory = sequelize.define('Inventory', {
     product_id: {
         type: DataTypes.INTEGER,
         allowNull: false,
-        unique: true,
         references: {
             model: 'products',
             key: 'id'
         }
     },
-    current_stock: {
+    location_id: {
         type: DataTypes.INTEGER,
         allowNull: false,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
+    current_stock: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('current_stock'));
+        },
+        allowNull: false,
         defaultValue: 0,
         validate: {
             min: 0
         }
     },
     reserved_stock: {
-        type: DataTypes.INTEGER,
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('reserved_stock'));
+        },
         allowNull: false,
         defaultValue: 0,
         validate: {
@@ -35,15 +49,15 @@ const Inventory = sequelize.define('Inventory', {
     available_stock: {
         type: DataTypes.VIRTUAL,
         get() {
-            return this.current_stock - this.reserved_stock;
+            return QuantityUtil.round(this.current_stock - this.reserved_stock);
         }
     },
     last_updated: {
         type: DataTypes.DATE,
         defaultValue: DataTypes.NOW
     },
-    location: {
-        type: DataTypes.STRING(100),
+    last_counted_at: {
+        type: DataTypes.DATE,
         allowNull: true
     }
 }, {
@@ -54,7 +68,10 @@ const Inventory = sequelize.define('Inventory', {
     indexes: [
         {
             unique: true,
-            fields: ['product_id']
+            fields: ['product_id', 'location_id']
+        },
+        {
+            fields: ['location_id']
         },
         {
             fields: ['current_stock']
@@ -74,4 +91,9 @@ const Inventory = sequelize.define('Inventory', {
     }
 });
 
+// Static methods
+Inventory.sumStock = function (records = [], field = 'current_stock') {
+    return QuantityUtil.sum(records.map(record => record[field]));
+};
+
 export default Inventory;
\ No newline at end of file
@@ -0,0 +1,66 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const Location = sequelize.define('Location', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    code: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+        validate: {
+            notEmpty: true,
+            len: [2, 20]
+        }
+    },
+    name: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            notEmpty: true,
+            len: [2, 100]
+        }
+    },
+    type: {
+        type: DataTypes.ENUM('warehouse', 'store', 'quarantine'),
+        allowNull: false,
+        defaultValue: 'warehouse'
+    },
+    address: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    is_default: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    is_active: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    }
+}, {
+    tableName: 'locations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['code']
+        },
+        {
+            fields: ['is_active']
+        }
+    ]
+});
+
+// Static methods
+Location.findDefault = function (options = {}) {
+    return this.findOne({ where: { is_default: true, is_active: true }, ...options });
+};
+
+export default Location;
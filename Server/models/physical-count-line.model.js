@@ -0,0 +1,89 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
+
+const PhysicalCountLine = sequelize.define('PhysicalCountLine', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    physical_count_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'physical_counts',
+            key: 'id'
+        }
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    // current_stock frozen when the count session started
+    system_stock: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('system_stock'));
+        },
+        allowNull: false,
+        defaultValue: 0
+    },
+    counted_stock: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('counted_stock'));
+        },
+        allowNull: true,
+        validate: {
+            min: 0
+        }
+    },
+    variance: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('variance'));
+        },
+        allowNull: true
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    counted_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    counted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    posted_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'physical_count_lines',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['physical_count_id', 'product_id']
+        },
+        {
+            fields: ['product_id']
+        }
+    ]
+});
+
+export default PhysicalCountLine;
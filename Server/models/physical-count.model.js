@@ -0,0 +1,75 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const PhysicalCount = sequelize.define('PhysicalCount', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    count_number: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+    },
+    location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
+    status: {
+        type: DataTypes.ENUM('in_progress', 'finalized', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'in_progress'
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    started_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    finalized_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    started_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    finalized_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'physical_counts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['count_number']
+        },
+        {
+            fields: ['location_id']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+export default PhysicalCount;
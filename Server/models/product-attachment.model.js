@@ -0,0 +1,108 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+// An image or document stored for a product; the file itself is on the storage backend
+const ProductAttachment = sequelize.define('ProductAttachment', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    kind: {
+        type: DataTypes.ENUM('image', 'document'),
+        allowNull: false
+    },
+    title: {
+        type: DataTypes.STRING(200),
+        allowNull: true
+    },
+    original_name: {
+        type: DataTypes.STRING(255),
+        allowNull: false
+    },
+    mime_type: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    size: {
+        type: DataTypes.INTEGER,
+        allowNull: false
+    },
+    storage_key: {
+        type: DataTypes.STRING(500),
+        allowNull: false,
+        unique: true
+    },
+    thumbnail_key: {
+        type: DataTypes.STRING(500),
+        allowNull: true
+    },
+    width: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    height: {
+        type: DataTypes.INTEGER,
+        allowNull: true
+    },
+    is_primary: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    },
+    // Download paths; files are served through the API whatever the storage backend
+    file_url: {
+        type: DataTypes.VIRTUAL,
+        get() {
+            return `/api/attachments/${this.id}/file`;
+        }
+    },
+    thumbnail_url: {
+        type: DataTypes.VIRTUAL,
+        get() {
+            return this.thumbnail_key ? `/api/attachments/${this.id}/thumbnail` : null;
+        }
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    tableName: 'product_attachments',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            fields: ['product_id', 'kind']
+        },
+        {
+            unique: true,
+            fields: ['storage_key']
+        },
+        {
+            unique: true,
+            fields: ['product_id'],
+            where: { is_primary: true }
+        }
+    ]
+});
+
+export default ProductAttachment;
@@ -0,0 +1,66 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
+
+// One line of a kit's bill of materials: how many of a component go into one kit
+const ProductComponent = sequelize.define('ProductComponent', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    kit_product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    component_product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    quantity: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity'));
+        },
+        allowNull: false,
+        defaultValue: 1,
+        validate: {
+            min: 0.001
+        }
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'product_components',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['kit_product_id', 'component_product_id']
+        },
+        {
+            fields: ['component_product_id']
+        }
+    ],
+    validate: {
+        notItsOwnComponent() {
+            if (this.kit_product_id === this.component_product_id) {
+                throw new Error('A product cannot be a component of itself');
+            }
+        }
+    }
+});
+
+export default ProductComponent;
@@ -0,0 +1,52 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
+
+// A unit a product is handled in besides its base unit (products.unit), e.g. case = 12 pcs
+const ProductUnit = sequelize.define('ProductUnit', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    unit: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        validate: {
+            notEmpty: true,
+            len: [1, 20]
+        }
+    },
+    // Base units in one of this unit
+    conversion_factor: {
+        type: DataTypes.DECIMAL(18, 6),
+        allowNull: false,
+        get() {
+            return QuantityUtil.parse(this.getDataValue('conversion_factor'));
+        },
+        validate: {
+            min: 0.000001
+        }
+    }
+}, {
+    tableName: 'product_units',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['product_id', 'unit']
+        }
+    ]
+});
+
+export default ProductUnit;
@@ -78,6 +78,42 @@ const Product = sequelize.define('Product', {
             min: 0
         }
     },
+    abc_class: {
+        type: DataTypes.ENUM('A', 'B', 'C'),
+        allowNull: true
+    },
+    // Stock is held in lots with expiry dates and picked first-expiring-first-out
+    is_lot_tracked: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    // Every unit carries a serial number that stock movements must list
+    is_serialized: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    // Set on variants: the style product they are a size/color/... of
+    parent_product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    // Attribute values a variant stands for, e.g. { size: 'M', color: 'Red' }
+    variant_options: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    // Values of the category's custom attributes, keyed by attribute code
+    custom_attributes: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: {}
+    },
     is_active: {
         type: DataTypes.BOOLEAN,
         defaultValue: true
@@ -101,6 +137,9 @@ const Product = sequelize.define('Product', {
         },
         {
             fields: ['is_active']
+        },
+        {
+            fields: ['parent_product_id']
         }
     ],
     validate: {
@@ -108,6 +147,11 @@ const Product = sequelize.define('Product', {
             if (this.maximum_stock <= this.minimum_stock) {
                 throw new Error('Maximum stock must be greater than minimum stock');
             }
+        },
+        notItsOwnParent() {
+            if (this.parent_product_id && this.parent_product_id === this.id) {
+                throw new Error('A product cannot be a variant of itself');
+            }
         }
     }
 });
@@ -0,0 +1,90 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
+
+const PurchaseOrderLine = sequelize.define('PurchaseOrderLine', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    purchase_order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'purchase_orders',
+            key: 'id'
+        }
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    quantity_ordered: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity_ordered'));
+        },
+        allowNull: false,
+        validate: {
+            min: 0.001
+        }
+    },
+    quantity_received: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity_received'));
+        },
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+            min: 0
+        }
+    },
+    quantity_outstanding: {
+        type: DataTypes.VIRTUAL,
+        get() {
+            return QuantityUtil.round(this.quantity_ordered - this.quantity_received);
+        }
+    },
+    // Per base unit; four places so costs quoted per case or pack convert without loss
+    unit_cost: {
+        type: DataTypes.DECIMAL(12, 4),
+        allowNull: false,
+        defaultValue: 0.00,
+        validate: {
+            min: 0
+        }
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'purchase_order_lines',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['purchase_order_id', 'product_id']
+        },
+        {
+            fields: ['product_id']
+        }
+    ],
+    validate: {
+        receivedNotGreaterThanOrdered() {
+            if (this.quantity_received > this.quantity_ordered) {
+                throw new Error('Received quantity cannot be greater than ordered quantity');
+            }
+        }
+    }
+});
+
+export default PurchaseOrderLine;
@@ -0,0 +1,92 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const PurchaseOrder = sequelize.define('PurchaseOrder', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    po_number: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+    },
+    supplier_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'suppliers',
+            key: 'id'
+        }
+    },
+    // Location the goods are delivered to
+    location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
+    status: {
+        type: DataTypes.ENUM('draft', 'sent', 'partially_received', 'received', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'draft'
+    },
+    order_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    expected_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    sent_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    received_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'purchase_orders',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['po_number']
+        },
+        {
+            fields: ['supplier_id']
+        },
+        {
+            fields: ['location_id']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+export default PurchaseOrder;
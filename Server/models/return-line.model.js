@@ -0,0 +1,88 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
+
+const ReturnLine = sequelize.define('ReturnLine', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    return_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'returns',
+            key: 'id'
+        }
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    sales_order_line_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'sales_order_lines',
+            key: 'id'
+        }
+    },
+    quantity: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity'));
+        },
+        allowNull: false,
+        validate: {
+            min: 0.001
+        }
+    },
+    disposition: {
+        type: DataTypes.ENUM('restock', 'quarantine', 'scrap'),
+        allowNull: false,
+        defaultValue: 'restock',
+        validate: {
+            isIn: [['restock', 'quarantine', 'scrap']]
+        }
+    },
+    // Where the units were booked on receipt (the quarantine location for quarantined lines)
+    location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'return_lines',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            fields: ['return_id']
+        },
+        {
+            fields: ['product_id']
+        },
+        {
+            fields: ['sales_order_line_id']
+        }
+    ]
+});
+
+export default ReturnLine;
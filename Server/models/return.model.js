@@ -0,0 +1,103 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const Return = sequelize.define('Return', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    return_number: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+    },
+    // The sale the goods left with: a sales order, or a single OUT transaction
+    sales_order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'sales_orders',
+            key: 'id'
+        }
+    },
+    source_transaction_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'transactions',
+            key: 'id'
+        }
+    },
+    // Location receiving the return; restocked and scrapped lines are booked here
+    location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
+    customer_name: {
+        type: DataTypes.STRING(150),
+        allowNull: true
+    },
+    reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    status: {
+        type: DataTypes.ENUM('open', 'received', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'open'
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    received_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'returns',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['return_number']
+        },
+        {
+            fields: ['sales_order_id']
+        },
+        {
+            fields: ['source_transaction_id']
+        },
+        {
+            fields: ['status']
+        }
+    ],
+    validate: {
+        referencesOneSale() {
+            if (Boolean(this.sales_order_id) === Boolean(this.source_transaction_id)) {
+                throw new Error('A return references either a sales order or an OUT transaction');
+            }
+        }
+    }
+});
+
+export default Return;
@@ -0,0 +1,106 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
+
+const SalesOrderLine = sequelize.define('SalesOrderLine', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    sales_order_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'sales_orders',
+            key: 'id'
+        }
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    quantity_ordered: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity_ordered'));
+        },
+        allowNull: false,
+        validate: {
+            min: 0.001
+        }
+    },
+    // Units of this line currently held in inventory.reserved_stock
+    quantity_reserved: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity_reserved'));
+        },
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+            min: 0
+        }
+    },
+    quantity_shipped: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity_shipped'));
+        },
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+            min: 0
+        }
+    },
+    quantity_outstanding: {
+        type: DataTypes.VIRTUAL,
+        get() {
+            return QuantityUtil.round(this.quantity_ordered - this.quantity_shipped);
+        }
+    },
+    unit_price: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        validate: {
+            min: 0
+        }
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    }
+}, {
+    tableName: 'sales_order_lines',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['sales_order_id', 'product_id']
+        },
+        {
+            fields: ['product_id']
+        }
+    ],
+    validate: {
+        shippedNotGreaterThanOrdered() {
+            if (this.quantity_shipped > this.quantity_ordered) {
+                throw new Error('Shipped quantity cannot be greater than ordered quantity');
+            }
+        },
+        reservedNotGreaterThanOutstanding() {
+            if (this.quantity_reserved > QuantityUtil.round(this.quantity_ordered - this.quantity_shipped)) {
+                throw new Error('Reserved quantity cannot be greater than the outstanding quantity');
+            }
+        }
+    }
+});
+
+export default SalesOrderLine;
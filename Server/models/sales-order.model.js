@@ -0,0 +1,95 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const SalesOrder = sequelize.define('SalesOrder', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    order_number: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+    },
+    customer_name: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+        validate: {
+            len: [2, 150]
+        }
+    },
+    customer_email: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        validate: {
+            isEmail: true
+        }
+    },
+    customer_reference: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    // Location the goods are shipped from; reservations are held here
+    location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
+    status: {
+        type: DataTypes.ENUM('draft', 'confirmed', 'partially_shipped', 'shipped', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'draft'
+    },
+    order_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    confirmed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    shipped_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    cancelled_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'sales_orders',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['order_number']
+        },
+        {
+            fields: ['location_id']
+        },
+        {
+            fields: ['status']
+        }
+    ]
+});
+
+export default SalesOrder;
@@ -0,0 +1,67 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import { SERIAL_STATUS } from '../constant/index.js';
+
+const SerialNumber = sequelize.define('SerialNumber', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    serial_number: {
+        type: DataTypes.STRING(100),
+        allowNull: false,
+        validate: {
+            notEmpty: true
+        }
+    },
+    status: {
+        type: DataTypes.ENUM(...Object.values(SERIAL_STATUS)),
+        allowNull: false,
+        defaultValue: SERIAL_STATUS.IN_STOCK
+    },
+    // Where the unit currently is; null once it has left the business or while in transit
+    location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
+    received_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    sold_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'serial_numbers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['product_id', 'serial_number']
+        },
+        {
+            fields: ['serial_number']
+        },
+        {
+            fields: ['location_id', 'status']
+        }
+    ]
+});
+
+export default SerialNumber;
@@ -0,0 +1,79 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
+
+const StockLot = sequelize.define('StockLot', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
+    lot_number: {
+        type: DataTypes.STRING(50),
+        allowNull: false
+    },
+    manufacture_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    expiry_date: {
+        type: DataTypes.DATEONLY,
+        allowNull: true
+    },
+    // Quantity of the lot remaining at this location
+    quantity: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity'));
+        },
+        allowNull: false,
+        defaultValue: 0,
+        validate: {
+            min: 0
+        }
+    },
+    received_at: {
+        type: DataTypes.DATE,
+        allowNull: false,
+        defaultValue: DataTypes.NOW
+    }
+}, {
+    tableName: 'stock_lots',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['product_id', 'location_id', 'lot_number']
+        },
+        {
+            fields: ['expiry_date']
+        }
+    ],
+    validate: {
+        expiryAfterManufacture() {
+            if (this.manufacture_date && this.expiry_date && this.expiry_date < this.manufacture_date) {
+                throw new Error('Expiry date cannot be before the manufacture date');
+            }
+        }
+    }
+});
+
+export default StockLot;
@@ -0,0 +1,113 @@
+import { DataTypes, Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
+
+const StockReservation = sequelize.define('StockReservation', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
+    // Units still held in inventory.reserved_stock; reaches 0 once fully consumed or released
+    quantity: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity'));
+        },
+        allowNull: false,
+        validate: {
+            min: 0
+        }
+    },
+    status: {
+        type: DataTypes.ENUM('active', 'consumed', 'released', 'expired'),
+        allowNull: false,
+        defaultValue: 'active'
+    },
+    // Who holds the stock, e.g. sales_order / SO-20250810-ABC123 or cart / <session id>
+    owner_type: {
+        type: DataTypes.STRING(30),
+        allowNull: false
+    },
+    owner_id: {
+        type: DataTypes.STRING(100),
+        allowNull: false
+    },
+    sales_order_line_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'sales_order_lines',
+            key: 'id'
+        }
+    },
+    expires_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    released_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    release_reason: {
+        type: DataTypes.STRING(255),
+        allowNull: true
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    }
+}, {
+    tableName: 'stock_reservations',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            fields: ['product_id', 'location_id']
+        },
+        {
+            fields: ['owner_type', 'owner_id']
+        },
+        {
+            fields: ['sales_order_line_id']
+        },
+        {
+            fields: ['status', 'expires_at']
+        }
+    ]
+});
+
+// Static methods
+StockReservation.findExpired = function (options = {}) {
+    return this.findAll({
+        where: {
+            status: 'active',
+            expires_at: { [Op.lte]: new Date() }
+        },
+        order: [['expires_at', 'ASC']],
+        ...options
+    });
+};
+
+export default StockReservation;
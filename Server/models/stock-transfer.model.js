@@ -0,0 +1,115 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
+
+const StockTransfer = sequelize.define('StockTransfer', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    transfer_number: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        unique: true
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    from_location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
+    to_location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
+    quantity: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity'));
+        },
+        allowNull: false,
+        validate: {
+            min: 0.001
+        }
+    },
+    status: {
+        type: DataTypes.ENUM('in_transit', 'received', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'in_transit'
+    },
+    notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    shipped_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    received_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    shipped_at: {
+        type: DataTypes.DATE,
+        defaultValue: DataTypes.NOW
+    },
+    received_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    }
+}, {
+    tableName: 'stock_transfers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['transfer_number']
+        },
+        {
+            fields: ['product_id']
+        },
+        {
+            fields: ['from_location_id']
+        },
+        {
+            fields: ['to_location_id']
+        },
+        {
+            fields: ['status']
+        }
+    ],
+    validate: {
+        differentLocations() {
+            if (this.from_location_id === this.to_location_id) {
+                throw new Error('Source and destination locations must be different');
+            }
+        }
+    }
+});
+
+export default StockTransfer;
@@ -0,0 +1,97 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const SupplierProduct = sequelize.define('SupplierProduct', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    supplier_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'suppliers',
+            key: 'id'
+        }
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    supplier_sku: {
+        type: DataTypes.STRING(50),
+        allowNull: true
+    },
+    unit_cost: {
+        type: DataTypes.DECIMAL(10, 2),
+        allowNull: false,
+        defaultValue: 0.00,
+        validate: {
+            min: 0
+        }
+    },
+    currency: {
+        type: DataTypes.STRING(3),
+        allowNull: false,
+        defaultValue: 'USD',
+        validate: {
+            is: /^[A-Z]{3}$/
+        }
+    },
+    lead_time_days: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 7,
+        validate: {
+            min: 0
+        }
+    },
+    minimum_order_quantity: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 1,
+        validate: {
+            min: 1
+        }
+    },
+    is_preferred: {
+        type: DataTypes.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+    },
+    is_active: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    }
+}, {
+    tableName: 'supplier_products',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['supplier_id', 'product_id']
+        },
+        {
+            fields: ['product_id']
+        }
+    ]
+});
+
+// Static methods
+SupplierProduct.findPreferred = function (productId, options = {}) {
+    return this.findOne({
+        where: { product_id: productId, is_active: true },
+        // Flagged preferred supplier first, otherwise the cheapest one
+        order: [['is_preferred', 'DESC'], ['unit_cost', 'ASC']],
+        ...options
+    });
+};
+
+export default SupplierProduct;
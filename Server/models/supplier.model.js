@@ -0,0 +1,69 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+const Supplier = sequelize.define('Supplier', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    code: {
+        type: DataTypes.STRING(20),
+        allowNull: false,
+        unique: true,
+        validate: {
+            notEmpty: true,
+            len: [2, 20]
+        }
+    },
+    name: {
+        type: DataTypes.STRING(150),
+        allowNull: false,
+        validate: {
+            notEmpty: true,
+            len: [2, 150]
+        }
+    },
+    contact_name: {
+        type: DataTypes.STRING(100),
+        allowNull: true
+    },
+    email: {
+        type: DataTypes.STRING(255),
+        allowNull: true,
+        validate: {
+            isEmail: true
+        }
+    },
+    phone: {
+        type: DataTypes.STRING(30),
+        allowNull: true
+    },
+    address: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    is_active: {
+        type: DataTypes.BOOLEAN,
+        defaultValue: true
+    }
+}, {
+    tableName: 'suppliers',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['code']
+        },
+        {
+            fields: ['name']
+        },
+        {
+            fields: ['is_active']
+        }
+    ]
+});
+
+export default Supplier;
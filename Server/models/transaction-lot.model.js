@@ -0,0 +1,53 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
+
+// Which lots a stock transaction added to or picked from, and how much of each
+const TransactionLot = sequelize.define('TransactionLot', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    transaction_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'transactions',
+            key: 'id'
+        }
+    },
+    stock_lot_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'stock_lots',
+            key: 'id'
+        }
+    },
+    quantity: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity'));
+        },
+        allowNull: false,
+        validate: {
+            min: 0.001
+        }
+    }
+}, {
+    tableName: 'transaction_lots',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        {
+            fields: ['transaction_id']
+        },
+        {
+            fields: ['stock_lot_id']
+        }
+    ]
+});
+
+export default TransactionLot;
@@ -0,0 +1,43 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+// Which serialized units a stock transaction moved
+const TransactionSerial = sequelize.define('TransactionSerial', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    transaction_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'transactions',
+            key: 'id'
+        }
+    },
+    serial_number_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'serial_numbers',
+            key: 'id'
+        }
+    }
+}, {
+    tableName: 'transaction_serials',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    indexes: [
+        {
+            unique: true,
+            fields: ['transaction_id', 'serial_number_id']
+        },
+        {
+            fields: ['serial_number_id']
+        }
+    ]
+});
+
+export default TransactionSerial;
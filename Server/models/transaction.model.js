@@ -1,5 +1,14 @@
 import { DataTypes } from 'sequelize';
 import sequelize from '../config/sequelize.js';
+import QuantityUtil from '../utils/QuantityUtil.js';
+
+const APPEND_ONLY_MESSAGE = 'Ledger transactions are append-only and cannot be modified or deleted';
+
+// The only change allowed on a posted row: flagging it as reversed, once
+const REVERSAL_FIELDS = ['reversed_at', 'reversed_by', 'reversal_reason', 'updated_at'];
+
+// A pending row may be posted or rejected, but not moved to another product, location or type
+const PENDING_KEY_FIELDS = ['product_id', 'location_id', 'transaction_type'];
 
 const Transaction = sequelize.define('Transaction', {
     id: {
@@ -15,24 +24,99 @@ const Transaction = sequelize.define('Transaction', {
             key: 'id'
         }
     },
+    location_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'locations',
+            key: 'id'
+        }
+    },
     transaction_type: {
-        type: DataTypes.ENUM('IN', 'OUT', 'ADJUSTMENT'),
+        type: DataTypes.ENUM('IN', 'OUT', 'ADJUSTMENT', 'TRANSFER_IN', 'TRANSFER_OUT'),
         allowNull: false,
         validate: {
-            isIn: [['IN', 'OUT', 'ADJUSTMENT']]
+            isIn: [['IN', 'OUT', 'ADJUSTMENT', 'TRANSFER_IN', 'TRANSFER_OUT']]
         }
     },
     quantity: {
-        type: DataTypes.INTEGER,
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity'));
+        },
         allowNull: false,
         validate: {
             notZero(value) {
-                if (value === 0) {
+                if (Number(value) === 0) {
                     throw new Error('Quantity cannot be zero');
                 }
             }
         }
     },
+    transfer_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'stock_transfers',
+            key: 'id'
+        }
+    },
+    purchase_order_line_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'purchase_order_lines',
+            key: 'id'
+        }
+    },
+    sales_order_line_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'sales_order_lines',
+            key: 'id'
+        }
+    },
+    return_line_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'return_lines',
+            key: 'id'
+        }
+    },
+    // Signed stock change at the location; quantity holds its absolute value
+    quantity_change: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('quantity_change'));
+        },
+        allowNull: true
+    },
+    // Stock level at the location right before and right after this movement
+    balance_before: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('balance_before'));
+        },
+        allowNull: true
+    },
+    balance_after: {
+        type: DataTypes.DECIMAL(14, 3),
+        get() {
+            return QuantityUtil.parse(this.getDataValue('balance_after'));
+        },
+        allowNull: true
+    },
+    // Cost per unit: the layer cost for stock in, the cost of goods for stock out
+    unit_cost: {
+        type: DataTypes.DECIMAL(12, 4),
+        allowNull: true
+    },
+    total_cost: {
+        type: DataTypes.DECIMAL(14, 2),
+        allowNull: true
+    },
     reference_number: {
         type: DataTypes.STRING(100),
         allowNull: true
@@ -44,6 +128,92 @@ const Transaction = sequelize.define('Transaction', {
     transaction_date: {
         type: DataTypes.DATE,
         defaultValue: DataTypes.NOW
+    },
+    created_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    // Set on a compensating row: the transaction it reverses
+    reversal_of_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'transactions',
+            key: 'id'
+        }
+    },
+    // Set on the original row once it has been reversed
+    reversed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    reversed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    reversal_reason: {
+        type: DataTypes.TEXT,
+        allowNull: true
+    },
+    // Set on every leg of a kit assembly or disassembly
+    kit_operation: {
+        type: DataTypes.ENUM('assembly', 'disassembly'),
+        allowNull: true,
+        validate: {
+            isIn: [['assembly', 'disassembly']]
+        }
+    },
+    // Why stock was adjusted; required on new ADJUSTMENT rows
+    adjustment_reason_id: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'adjustment_reasons',
+            key: 'id'
+        }
+    },
+    // Pending transactions wait for approval and leave stock unchanged until posted
+    status: {
+        type: DataTypes.ENUM('pending', 'posted', 'rejected'),
+        allowNull: false,
+        defaultValue: 'posted',
+        validate: {
+            isIn: [['pending', 'posted', 'rejected']]
+        }
+    },
+    // The requested movement (quantity, lots, serials, unit cost) of a pending transaction
+    movement_data: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    // Thresholds the transaction exceeded when it was submitted
+    approval_reasons: {
+        type: DataTypes.JSONB,
+        allowNull: true
+    },
+    reviewed_by: {
+        type: DataTypes.INTEGER,
+        allowNull: true,
+        references: {
+            model: 'users',
+            key: 'id'
+        }
+    },
+    reviewed_at: {
+        type: DataTypes.DATE,
+        allowNull: true
+    },
+    review_notes: {
+        type: DataTypes.TEXT,
+        allowNull: true
     }
 }, {
     tableName: 'transactions',
@@ -54,6 +224,9 @@ const Transaction = sequelize.define('Transaction', {
         {
             fields: ['product_id']
         },
+        {
+            fields: ['location_id']
+        },
         {
             fields: ['transaction_type']
         },
@@ -62,8 +235,72 @@ const Transaction = sequelize.define('Transaction', {
         },
         {
             fields: ['reference_number']
+        },
+        {
+            fields: ['transfer_id']
+        },
+        {
+            fields: ['purchase_order_line_id']
+        },
+        {
+            fields: ['sales_order_line_id']
+        },
+        {
+            fields: ['return_line_id']
+        },
+        {
+            fields: ['product_id', 'location_id', 'transaction_date']
+        },
+        {
+            fields: ['created_by']
+        },
+        {
+            unique: true,
+            fields: ['reversal_of_id']
+        },
+        {
+            fields: ['status']
+        },
+        {
+            fields: ['adjustment_reason_id']
+        },
+        {
+            fields: ['kit_operation']
         }
-    ]
+    ],
+    // Only posted rows are part of the ledger; use Transaction.unscoped() to see pending and rejected ones
+    defaultScope: {
+        where: { status: 'posted' }
+    },
+    // The ledger is append-only (also enforced by a database trigger); corrections are new rows
+    hooks: {
+        beforeUpdate: (transaction) => {
+            const changed = transaction.changed() || [];
+
+            const isUnderReview = transaction.previous('status') === 'pending'
+                && !changed.some(field => PENDING_KEY_FIELDS.includes(field));
+            if (isUnderReview) {
+                return;
+            }
+
+            const isReversalFlag = !transaction.previous('reversed_at')
+                && Boolean(transaction.reversed_at)
+                && changed.every(field => REVERSAL_FIELDS.includes(field));
+
+            if (!isReversalFlag) {
+                throw new Error(APPEND_ONLY_MESSAGE);
+            }
+        },
+        beforeBulkUpdate: () => {
+            throw new Error(APPEND_ONLY_MESSAGE);
+        },
+        beforeDestroy: () => {
+            throw new Error(APPEND_ONLY_MESSAGE);
+        },
+        beforeBulkDestroy: () => {
+            throw new Error(APPEND_ONLY_MESSAGE);
+        }
+    }
 });
 
 export default Transaction;
\ No newline at end of file
@@ -0,0 +1,56 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+
+// An attribute a parent product's variants differ by (e.g. size) and its allowed values
+const VariantAttribute = sequelize.define('VariantAttribute', {
+    id: {
+        type: DataTypes.INTEGER,
+        primaryKey: true,
+        autoIncrement: true
+    },
+    product_id: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        references: {
+            model: 'products',
+            key: 'id'
+        }
+    },
+    name: {
+        type: DataTypes.STRING(50),
+        allowNull: false,
+        validate: {
+            notEmpty: true
+        }
+    },
+    values: {
+        type: DataTypes.JSONB,
+        allowNull: false,
+        defaultValue: [],
+        validate: {
+            isNonEmptyList(value) {
+                if (!Array.isArray(value) || value.length === 0) {
+                    throw new Error('Variant attribute values must be a non-empty array');
+                }
+            }
+        }
+    },
+    position: {
+        type: DataTypes.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+    }
+}, {
+    tableName: 'variant_attributes',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+        {
+            unique: true,
+            fields: ['product_id', 'name']
+        }
+    ]
+});
+
+export default VariantAttribute;
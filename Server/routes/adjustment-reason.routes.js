@@ -0,0 +1,46 @@
+import express from 'express';
+import AdjustmentReasonController from '../controllers/AdjustmentReasonController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager, adminOnly } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as adjustmentReasonValidators from '../validators/adjustment-reason.validator.js';
+import * as commonValidators from '../validators/common.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/',
+    AdjustmentReasonController.getAllReasons
+);
+
+router.get('/:id',
+    validate(commonValidators.validateId, 'params'),
+    AdjustmentReasonController.getReasonById
+);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.post('/',
+    validate(adjustmentReasonValidators.validateAdjustmentReasonCreation),
+    AdjustmentReasonController.createReason
+);
+
+router.put('/:id',
+    validate(commonValidators.validateId, 'params'),
+    validate(adjustmentReasonValidators.validateAdjustmentReasonUpdate),
+    AdjustmentReasonController.updateReason
+);
+
+// Admin-only routes
+router.use(adminOnly);
+
+router.delete('/:id',
+    validate(commonValidators.validateId, 'params'),
+    AdjustmentReasonController.deleteReason
+);
+
+export default router;
@@ -0,0 +1,64 @@
+import express from 'express';
+import AttachmentController from '../controllers/AttachmentController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import { uploadRateLimit } from '../middlewares/rateLimit.middleware.js';
+import { uploadFiles } from '../middlewares/upload.middleware.js';
+import * as attachmentValidators from '../validators/attachment.validator.js';
+import * as commonValidators from '../validators/common.validator.js';
+import { FILE_UPLOAD } from '../constant/index.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/products/:id',
+    validate(commonValidators.validateId, 'params'),
+    AttachmentController.getProductAttachments
+);
+
+router.get('/:id/file',
+    validate(commonValidators.validateId, 'params'),
+    AttachmentController.downloadAttachment
+);
+
+router.get('/:id/thumbnail',
+    validate(commonValidators.validateId, 'params'),
+    AttachmentController.downloadThumbnail
+);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+// Multipart uploads; the files go in the "files" field, an optional title alongside
+router.post('/products/:id/images',
+    uploadRateLimit,
+    validate(commonValidators.validateId, 'params'),
+    uploadFiles('files', FILE_UPLOAD.IMAGE_TYPES),
+    validate(attachmentValidators.validateAttachmentDetails),
+    AttachmentController.uploadProductImages
+);
+
+router.post('/products/:id/documents',
+    uploadRateLimit,
+    validate(commonValidators.validateId, 'params'),
+    uploadFiles('files'),
+    validate(attachmentValidators.validateAttachmentDetails),
+    AttachmentController.uploadProductDocuments
+);
+
+router.patch('/:id',
+    validate(commonValidators.validateId, 'params'),
+    validate(attachmentValidators.validateAttachmentUpdate),
+    AttachmentController.updateAttachment
+);
+
+router.delete('/:id',
+    validate(commonValidators.validateId, 'params'),
+    AttachmentController.deleteAttachment
+);
+
+export default router;
@@ -27,6 +27,10 @@ router.get('/active',
     CategoryController.getActiveCategories
 );
 
+router.get('/tree',
+    CategoryController.getCategoryTree
+);
+
 router.get('/:id',
     validate(commonValidators.validateId, 'params'),
     CategoryController.getCategoryById
@@ -43,6 +47,11 @@ router.get('/:id/stats',
     CategoryController.getCategoryStats
 );
 
+router.get('/:id/attributes',
+    validate(commonValidators.validateId, 'params'),
+    CategoryController.getCategoryAttributes
+);
+
 // Management routes (admin and manager roles)
 router.use(adminOrManager);
 
@@ -63,6 +72,13 @@ router.patch('/:id/status',
     CategoryController.updateCategoryStatus
 );
 
+// Reparent a category together with its subcategories
+router.patch('/:id/move',
+    validate(commonValidators.validateId, 'params'),
+    validate(categoryValidators.validateCategoryMove),
+    CategoryController.moveCategory
+);
+
 // Bulk operations
 router.post('/bulk/import',
     validate(categoryValidators.validateBulkCategoryImport),
@@ -84,6 +100,13 @@ router.delete('/:id',
     CategoryController.deleteCategory
 );
 
+// Custom product attribute definitions
+router.put('/:id/attributes',
+    validate(commonValidators.validateId, 'params'),
+    validate(categoryValidators.validateCategoryAttributes),
+    CategoryController.updateCategoryAttributes
+);
+
 
 
 // Statistics and reports
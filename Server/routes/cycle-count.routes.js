@@ -0,0 +1,28 @@
+import express from 'express';
+import CycleCountController from '../controllers/CycleCountController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as inventoryValidators from '../validators/inventory.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/today', CycleCountController.getTodayCountList);
+
+router.get('/classification', CycleCountController.getClassification);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.post('/record',
+    validate(inventoryValidators.validatePhysicalCountRecord),
+    CycleCountController.recordCycleCount
+);
+
+router.post('/classify', CycleCountController.classifyProducts);
+
+export default router;
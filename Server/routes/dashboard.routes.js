@@ -42,6 +42,10 @@ router.get('/trends/transaction-volume',
   DashboardController.getTransactionVolumeTrends
 );
 
+router.get('/locations',
+  DashboardController.getLocationWiseStock
+);
+
 // Quick actions data
 router.get('/quick-stats',
   DashboardController.getQuickStats
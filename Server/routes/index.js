@@ -5,6 +5,21 @@ import productRoutes from './product.routes.js';
 import inventoryRoutes from './inventory.routes.js';
 import transactionRoutes from './transaction.routes.js';
 import dashboardRoutes from './dashboard.routes.js';
+import locationRoutes from './location.routes.js';
+import cycleCountRoutes from './cycle-count.routes.js';
+import supplierRoutes from './supplier.routes.js';
+import purchaseOrderRoutes from './purchase-order.routes.js';
+import replenishmentRoutes from './replenishment.routes.js';
+import salesOrderRoutes from './sales-order.routes.js';
+import returnRoutes from './return.routes.js';
+import kitRoutes from './kit.routes.js';
+import unitRoutes from './unit.routes.js';
+import variantRoutes from './variant.routes.js';
+import attachmentRoutes from './attachment.routes.js';
+import reservationRoutes from './reservation.routes.js';
+import lotRoutes from './lot.routes.js';
+import serialRoutes from './serial.routes.js';
+import adjustmentReasonRoutes from './adjustment-reason.routes.js';
 
 const router = express.Router();
 
@@ -15,6 +30,21 @@ router.use('/products', productRoutes);
 router.use('/inventory', inventoryRoutes);
 router.use('/transactions', transactionRoutes);
 router.use('/dashboard', dashboardRoutes);
+router.use('/locations', locationRoutes);
+router.use('/cycle-counts', cycleCountRoutes);
+router.use('/suppliers', supplierRoutes);
+router.use('/purchase-orders', purchaseOrderRoutes);
+router.use('/replenishment', replenishmentRoutes);
+router.use('/sales-orders', salesOrderRoutes);
+router.use('/returns', returnRoutes);
+router.use('/kits', kitRoutes);
+router.use('/units', unitRoutes);
+router.use('/variants', variantRoutes);
+router.use('/attachments', attachmentRoutes);
+router.use('/reservations', reservationRoutes);
+router.use('/lots', lotRoutes);
+router.use('/serials', serialRoutes);
+router.use('/adjustment-reasons', adjustmentReasonRoutes);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -35,10 +65,26 @@ router.get('/', (req, res) => {
         endpoints: {
             users: '/api/users',
             categories: '/api/categories',
+            categoryTree: '/api/categories/tree',
             products: '/api/products',
             inventory: '/api/inventory',
             transactions: '/api/transactions',
-            dashboard: '/api/dashboard'
+            dashboard: '/api/dashboard',
+            locations: '/api/locations',
+            cycleCounts: '/api/cycle-counts',
+            suppliers: '/api/suppliers',
+            purchaseOrders: '/api/purchase-orders',
+            replenishment: '/api/replenishment',
+            salesOrders: '/api/sales-orders',
+            returns: '/api/returns',
+            kits: '/api/kits',
+            units: '/api/units',
+            variants: '/api/variants',
+            attachments: '/api/attachments',
+            reservations: '/api/reservations',
+            lots: '/api/lots',
+            serials: '/api/serials',
+            adjustmentReasons: '/api/adjustment-reasons'
         },
         documentation: 'Contact administrator for API documentation'
     });
@@ -37,6 +37,28 @@ router.get('/alerts',
     InventoryController.getStockAlerts
 );
 
+// Physical count sessions
+router.get('/physical-count',
+    validate(commonValidators.validatePagination, 'query'),
+    InventoryController.getAllPhysicalCounts
+);
+
+router.get('/physical-count/:countId',
+    validate(commonValidators.validateId, 'params'),
+    InventoryController.getPhysicalCountById
+);
+
+// Stock transfers between locations
+router.get('/transfers',
+    validate(commonValidators.validatePagination, 'query'),
+    InventoryController.getAllTransfers
+);
+
+router.get('/transfers/:transferId',
+    validate(commonValidators.validateId, 'params'),
+    InventoryController.getTransferById
+);
+
 router.get('/:id',
     validate(commonValidators.validateId, 'params'),
     InventoryController.getInventoryById
@@ -61,8 +83,14 @@ router.get('/:id/history',
     InventoryController.getStockLevelHistory
 );
 
+router.get('/product/:productId/history',
+    validate(commonValidators.validateId, 'params'),
+    validate(commonValidators.validateDateRange, 'query'),
+    InventoryController.getProductStockHistory
+);
+
 // Management routes (admin and manager roles)
-router.use(requireRole(['admin', 'manager']));
+router.use(adminOrManager);
 
 router.post('/',
     validate(inventoryValidators.validateInventoryCreation),
@@ -100,6 +128,16 @@ router.post('/:id/transfer',
     InventoryController.transferStock
 );
 
+router.post('/transfers/:transferId/receive',
+    validate(commonValidators.validateId, 'params'),
+    InventoryController.receiveTransfer
+);
+
+router.post('/transfers/:transferId/cancel',
+    validate(commonValidators.validateId, 'params'),
+    InventoryController.cancelTransfer
+);
+
 // Threshold management
 router.patch('/:id/thresholds',
     validate(commonValidators.validateId, 'params'),
@@ -141,7 +179,7 @@ router.post('/physical-count/:countId/finalize',
 );
 
 // Admin-only routes
-router.use(requireRole(['admin']));
+router.use(adminOnly);
 
 router.delete('/:id',
     validate(commonValidators.validateId, 'params'),
@@ -154,9 +192,13 @@ router.delete('/:id',
 // );
 
 // Reports and analytics
-router.get('/reports/overview', InventoryController.getInventoryReport);
+router.get('/reports/overview',
+    validate(commonValidators.validateDateRange, 'query'),
+    InventoryController.getInventoryReport
+);
 
 router.get('/reports/valuation',
+    validate(commonValidators.validateDateRange, 'query'),
     InventoryController.getInventoryValuationReport
 );
 
@@ -166,6 +208,7 @@ router.get('/reports/turnover',
 );
 
 router.get('/reports/aging',
+    validate(commonValidators.validateDateRange, 'query'),
     InventoryController.getInventoryAgingReport
 );
 
@@ -174,4 +217,9 @@ router.get('/reports/movement-analysis',
     InventoryController.getMovementAnalysisReport
 );
 
+router.get('/reports/returns-rate',
+    validate(commonValidators.validateDateRange, 'query'),
+    InventoryController.getReturnsRateReport
+);
+
 export default router;
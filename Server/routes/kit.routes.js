@@ -0,0 +1,47 @@
+import express from 'express';
+import KitController from '../controllers/KitController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as kitValidators from '../validators/kit.validator.js';
+import * as commonValidators from '../validators/common.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/',
+    validate(commonValidators.validatePagination, 'query'),
+    KitController.getAllKits
+);
+
+router.get('/:id',
+    validate(commonValidators.validateId, 'params'),
+    KitController.getKitById
+);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.put('/:id/components',
+    validate(commonValidators.validateId, 'params'),
+    validate(kitValidators.validateKitComponents),
+    KitController.updateKitComponents
+);
+
+// Assembly (components OUT, kit IN) and disassembly (kit OUT, components IN)
+router.post('/:id/assemble',
+    validate(commonValidators.validateId, 'params'),
+    validate(kitValidators.validateKitAssembly),
+    KitController.assembleKit
+);
+
+router.post('/:id/disassemble',
+    validate(commonValidators.validateId, 'params'),
+    validate(kitValidators.validateKitAssembly),
+    KitController.disassembleKit
+);
+
+export default router;
@@ -0,0 +1,47 @@
+import express from 'express';
+import LocationController from '../controllers/LocationController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager, adminOnly } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as locationValidators from '../validators/location.validator.js';
+import * as commonValidators from '../validators/common.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/',
+    validate(commonValidators.validatePagination, 'query'),
+    LocationController.getAllLocations
+);
+
+router.get('/:id',
+    validate(commonValidators.validateId, 'params'),
+    LocationController.getLocationById
+);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.post('/',
+    validate(locationValidators.validateLocationCreation),
+    LocationController.createLocation
+);
+
+router.put('/:id',
+    validate(commonValidators.validateId, 'params'),
+    validate(locationValidators.validateLocationUpdate),
+    LocationController.updateLocation
+);
+
+// Admin-only routes
+router.use(adminOnly);
+
+router.delete('/:id',
+    validate(commonValidators.validateId, 'params'),
+    LocationController.deleteLocation
+);
+
+export default router;
@@ -0,0 +1,22 @@
+import express from 'express';
+import LotController from '../controllers/LotController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as commonValidators from '../validators/common.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/',
+    validate(commonValidators.validatePagination, 'query'),
+    LotController.getAllLots
+);
+
+router.get('/expiring',
+    LotController.getExpiringLots
+);
+
+export default router;
@@ -113,17 +113,7 @@ router.patch('/bulk/prices',
     ProductController.bulkUpdateProductPrices
 );
 
-// Image and file management
-router.post('/:id/images',
-    validate(commonValidators.validateId, 'params'),
-    validate(commonValidators.validateFileUpload),
-    ProductController.uploadProductImages
-);
-
-// router.delete('/:id/images/:imageId',
-//   validate(commonValidators.validateId, 'params'),
-//   ProductController.deleteProductImage
-// );
+// Product images and documents are managed under /api/attachments
 
 // Admin-only routes
 router.use(requireRole(['admin']));
@@ -0,0 +1,56 @@
+import express from 'express';
+import PurchaseOrderController from '../controllers/PurchaseOrderController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as purchaseOrderValidators from '../validators/purchase-order.validator.js';
+import * as commonValidators from '../validators/common.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/',
+    validate(commonValidators.validatePagination, 'query'),
+    PurchaseOrderController.getAllPurchaseOrders
+);
+
+router.get('/:id',
+    validate(commonValidators.validateId, 'params'),
+    PurchaseOrderController.getPurchaseOrderById
+);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.post('/',
+    validate(purchaseOrderValidators.validatePurchaseOrderCreation),
+    PurchaseOrderController.createPurchaseOrder
+);
+
+router.put('/:id',
+    validate(commonValidators.validateId, 'params'),
+    validate(purchaseOrderValidators.validatePurchaseOrderUpdate),
+    PurchaseOrderController.updatePurchaseOrder
+);
+
+router.post('/:id/send',
+    validate(commonValidators.validateId, 'params'),
+    PurchaseOrderController.sendPurchaseOrder
+);
+
+// Goods receipt
+router.post('/:id/receive',
+    validate(commonValidators.validateId, 'params'),
+    validate(purchaseOrderValidators.validateGoodsReceipt),
+    PurchaseOrderController.receivePurchaseOrder
+);
+
+router.post('/:id/cancel',
+    validate(commonValidators.validateId, 'params'),
+    PurchaseOrderController.cancelPurchaseOrder
+);
+
+export default router;
@@ -0,0 +1,19 @@
+import express from 'express';
+import ReplenishmentController from '../controllers/ReplenishmentController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager } from '../middlewares/authorization.middleware.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/suggestions', ReplenishmentController.getSuggestions);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.post('/purchase-orders', ReplenishmentController.createDraftPurchaseOrders);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import ReservationController from '../controllers/ReservationController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as reservationValidators from '../validators/reservation.validator.js';
+import * as commonValidators from '../validators/common.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/',
+    validate(commonValidators.validatePagination, 'query'),
+    ReservationController.getAllReservations
+);
+
+router.get('/:id',
+    validate(commonValidators.validateId, 'params'),
+    ReservationController.getReservationById
+);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.post('/',
+    validate(reservationValidators.validateReservationCreation),
+    ReservationController.createReservation
+);
+
+router.post('/:id/release',
+    validate(commonValidators.validateId, 'params'),
+    ReservationController.releaseReservation
+);
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import ReturnController from '../controllers/ReturnController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as returnValidators from '../validators/return.validator.js';
+import * as commonValidators from '../validators/common.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/',
+    validate(commonValidators.validatePagination, 'query'),
+    ReturnController.getAllReturns
+);
+
+router.get('/:id',
+    validate(commonValidators.validateId, 'params'),
+    ReturnController.getReturnById
+);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.post('/',
+    validate(returnValidators.validateReturnCreation),
+    ReturnController.createReturn
+);
+
+// Receipt (posts restock, quarantine and scrap movements)
+router.post('/:id/receive',
+    validate(commonValidators.validateId, 'params'),
+    validate(returnValidators.validateReturnReceipt),
+    ReturnController.receiveReturn
+);
+
+router.post('/:id/cancel',
+    validate(commonValidators.validateId, 'params'),
+    ReturnController.cancelReturn
+);
+
+export default router;
@@ -0,0 +1,56 @@
+import express from 'express';
+import SalesOrderController from '../controllers/SalesOrderController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as salesOrderValidators from '../validators/sales-order.validator.js';
+import * as commonValidators from '../validators/common.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/',
+    validate(commonValidators.validatePagination, 'query'),
+    SalesOrderController.getAllSalesOrders
+);
+
+router.get('/:id',
+    validate(commonValidators.validateId, 'params'),
+    SalesOrderController.getSalesOrderById
+);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.post('/',
+    validate(salesOrderValidators.validateSalesOrderCreation),
+    SalesOrderController.createSalesOrder
+);
+
+router.put('/:id',
+    validate(commonValidators.validateId, 'params'),
+    validate(salesOrderValidators.validateSalesOrderUpdate),
+    SalesOrderController.updateSalesOrder
+);
+
+router.post('/:id/confirm',
+    validate(commonValidators.validateId, 'params'),
+    SalesOrderController.confirmSalesOrder
+);
+
+// Shipment (converts reservations into OUT transactions)
+router.post('/:id/ship',
+    validate(commonValidators.validateId, 'params'),
+    validate(salesOrderValidators.validateShipment),
+    SalesOrderController.shipSalesOrder
+);
+
+router.post('/:id/cancel',
+    validate(commonValidators.validateId, 'params'),
+    SalesOrderController.cancelSalesOrder
+);
+
+export default router;
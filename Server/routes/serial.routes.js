@@ -0,0 +1,33 @@
+import express from 'express';
+import SerialController from '../controllers/SerialController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as serialValidators from '../validators/serial.validator.js';
+import * as commonValidators from '../validators/common.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/',
+    validate(commonValidators.validatePagination, 'query'),
+    SerialController.getAllSerials
+);
+
+router.get('/:serial',
+    SerialController.getSerialHistory
+);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.patch('/:id/status',
+    validate(commonValidators.validateId, 'params'),
+    validate(serialValidators.validateSerialStatusUpdate),
+    SerialController.updateSerialStatus
+);
+
+export default router;
@@ -0,0 +1,70 @@
+import express from 'express';
+import SupplierController from '../controllers/SupplierController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager, adminOnly } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as supplierValidators from '../validators/supplier.validator.js';
+import * as commonValidators from '../validators/common.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/',
+    validate(commonValidators.validatePagination, 'query'),
+    SupplierController.getAllSuppliers
+);
+
+router.get('/:id',
+    validate(commonValidators.validateId, 'params'),
+    SupplierController.getSupplierById
+);
+
+router.get('/:id/products',
+    validate(commonValidators.validateId, 'params'),
+    SupplierController.getSupplierCatalog
+);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.post('/',
+    validate(supplierValidators.validateSupplierCreation),
+    SupplierController.createSupplier
+);
+
+router.put('/:id',
+    validate(commonValidators.validateId, 'params'),
+    validate(supplierValidators.validateSupplierUpdate),
+    SupplierController.updateSupplier
+);
+
+// Supplier catalog
+router.post('/:id/products',
+    validate(commonValidators.validateId, 'params'),
+    validate(supplierValidators.validateCatalogItem),
+    SupplierController.addCatalogItem
+);
+
+router.put('/:id/products/:productId',
+    validate(commonValidators.validateId, 'params'),
+    validate(supplierValidators.validateCatalogItem),
+    SupplierController.updateCatalogItem
+);
+
+router.delete('/:id/products/:productId',
+    validate(commonValidators.validateId, 'params'),
+    SupplierController.removeCatalogItem
+);
+
+// Admin-only routes
+router.use(adminOnly);
+
+router.delete('/:id',
+    validate(commonValidators.validateId, 'params'),
+    SupplierController.deleteSupplier
+);
+
+export default router;
@@ -49,6 +49,12 @@ router.get('/by-product/:productId',
 //   TransactionController.getTransactionById
 // );
 
+// Transactions waiting for approval
+router.get('/pending',
+    validate(commonValidators.validatePagination, 'query'),
+    TransactionController.getPendingTransactions
+);
+
 router.get('/:id',
     validate(commonValidators.validateId, 'params'),
     TransactionController.getTransactionById
@@ -91,7 +97,7 @@ router.post('/',
 
 router.patch('/:id/status',
     validate(commonValidators.validateId, 'params'),
-    validate(commonValidators.validateStatus),
+    validate(transactionValidators.validateTransactionReview),
     TransactionController.updateTransactionStatus
 );
 
@@ -114,17 +120,25 @@ router.patch('/:id/approve',
     TransactionController.approveTransaction
 );
 
+router.patch('/:id/reject',
+    validate(commonValidators.validateId, 'params'),
+    validate(transactionValidators.validateTransactionRejection),
+    TransactionController.rejectTransaction
+);
+
 // Admin-only routes
 router.use(requireRole(['admin']));
 
-router.delete('/:id',
-    validate(commonValidators.validateId, 'params'),
-    TransactionController.deleteTransaction
+// Posted transactions are never deleted; they are reversed with a compensating transaction
+router.post('/bulk/reverse',
+    validate(transactionValidators.validateBulkReversal),
+    TransactionController.bulkReverseTransactions
 );
 
-router.delete('/bulk/delete',
-    validate(commonValidators.validateBulkIds),
-    TransactionController.bulkDeleteTransactions
+router.post('/:id/reverse',
+    validate(commonValidators.validateId, 'params'),
+    validate(transactionValidators.validateTransactionReversal),
+    TransactionController.reverseTransaction
 );
 
 // Advanced reports
@@ -148,8 +162,10 @@ router.get('/reports/performance',
     TransactionController.getPerformanceReport
 );
 
+// Shrinkage: adjustments by reason, category, location and period
 router.get('/reports/variance',
     validate(commonValidators.validateDateRange, 'query'),
+    validate(transactionValidators.validateShrinkageReportFilters, 'query'),
     TransactionController.getVarianceReport
 );
 
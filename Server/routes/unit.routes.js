@@ -0,0 +1,29 @@
+import express from 'express';
+import UnitController from '../controllers/UnitController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as unitValidators from '../validators/unit.validator.js';
+import * as commonValidators from '../validators/common.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/:id',
+    validate(commonValidators.validateId, 'params'),
+    UnitController.getProductUnits
+);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.put('/:id',
+    validate(commonValidators.validateId, 'params'),
+    validate(unitValidators.validateProductUnits),
+    UnitController.updateProductUnits
+);
+
+export default router;
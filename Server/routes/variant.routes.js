@@ -0,0 +1,46 @@
+import express from 'express';
+import VariantController from '../controllers/VariantController.js';
+import { authenticate } from '../middlewares/auth.middleware.js';
+import { adminOrManager } from '../middlewares/authorization.middleware.js';
+import { validate } from '../middlewares/validation.middleware.js';
+import * as variantValidators from '../validators/variant.validator.js';
+import * as commonValidators from '../validators/common.validator.js';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// GET routes (accessible to all authenticated users)
+router.get('/:id',
+    validate(commonValidators.validateId, 'params'),
+    VariantController.getVariantFamily
+);
+
+// Management routes (admin and manager roles)
+router.use(adminOrManager);
+
+router.put('/:id/attributes',
+    validate(commonValidators.validateId, 'params'),
+    validate(variantValidators.validateVariantAttributes),
+    VariantController.updateVariantAttributes
+);
+
+router.post('/:id/generate',
+    validate(commonValidators.validateId, 'params'),
+    validate(variantValidators.validateVariantGeneration),
+    VariantController.generateVariants
+);
+
+router.post('/:id/variants',
+    validate(commonValidators.validateId, 'params'),
+    validate(variantValidators.validateVariantLink),
+    VariantController.linkVariant
+);
+
+router.delete('/:id/variants/:variantId',
+    validate(variantValidators.validateVariantParams, 'params'),
+    VariantController.unlinkVariant
+);
+
+export default router;
@@ -0,0 +1,45 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+    async up(queryInterface, Sequelize) {
+        await queryInterface.bulkInsert('locations', [
+            {
+                code: 'WH-A',
+                name: 'Warehouse A',
+                type: 'warehouse',
+                address: null,
+                is_default: false,
+                is_active: true,
+                created_at: new Date(),
+                updated_at: new Date()
+            },
+            {
+                code: 'WH-B',
+                name: 'Warehouse B',
+                type: 'warehouse',
+                address: null,
+                is_default: false,
+                is_active: true,
+                created_at: new Date(),
+                updated_at: new Date()
+            },
+            {
+                code: 'STORE-01',
+                name: 'Downtown Store',
+                type: 'store',
+                address: null,
+                is_default: false,
+                is_active: true,
+                created_at: new Date(),
+                updated_at: new Date()
+            }
+        ], {});
+    },
+
+    async down(queryInterface, Sequelize) {
+        await queryInterface.bulkDelete('locations', {
+            code: ['WH-A', 'WH-B', 'STORE-01']
+        }, {});
+    }
+};
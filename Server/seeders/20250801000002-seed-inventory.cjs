@@ -3,31 +3,45 @@
 /** @type {import('sequelize-cli').Migration} */
 module.exports = {
     async up(queryInterface, Sequelize) {
+        const [locations] = await queryInterface.sequelize.query(
+            `SELECT id, code FROM locations WHERE code IN ('WH-A', 'WH-B', 'STORE-01');`
+        );
+        const locationId = (code) => locations.find(location => location.code === code).id;
+
         await queryInterface.bulkInsert('inventory', [
             {
                 product_id: 1,
+                location_id: locationId('WH-A'),
                 current_stock: 25,
                 reserved_stock: 5,
                 last_updated: new Date(),
-                location: 'Warehouse A - Shelf 1',
+                created_at: new Date(),
+                updated_at: new Date()
+            },
+            {
+                product_id: 1,
+                location_id: locationId('STORE-01'),
+                current_stock: 8,
+                reserved_stock: 0,
+                last_updated: new Date(),
                 created_at: new Date(),
                 updated_at: new Date()
             },
             {
                 product_id: 2,
+                location_id: locationId('WH-A'),
                 current_stock: 50,
                 reserved_stock: 10,
                 last_updated: new Date(),
-                location: 'Warehouse A - Shelf 2',
                 created_at: new Date(),
                 updated_at: new Date()
             },
             {
                 product_id: 3,
+                location_id: locationId('WH-B'),
                 current_stock: 100,
                 reserved_stock: 0,
                 last_updated: new Date(),
-                location: 'Warehouse B - Shelf 1',
                 created_at: new Date(),
                 updated_at: new Date()
             }
@@ -37,4 +51,4 @@ module.exports = {
     async down(queryInterface, Sequelize) {
         await queryInterface.bulkDelete('inventory', null, {});
     }
-};
\ No newline at end of file
+};
@@ -7,6 +7,8 @@ import { loadEnv } from './config/env.js';
 import { useMiddlewares } from './middlewares/use-middlewares.js';
 import apiRoutes from './routes/index.js';
 import SocketService from './services/socket-services.js';
+import ReservationService from './services/reservation-services.js';
+import LotService from './services/lot-services.js';
 
 // Load environment variables
 loadEnv();
@@ -139,10 +141,26 @@ async function startServer() {
                     health: '/api/health',
                     users: '/api/users',
                     categories: '/api/categories',
+                    categoryTree: '/api/categories/tree',
                     products: '/api/products',
                     inventory: '/api/inventory',
                     transactions: '/api/transactions',
-                    dashboard: '/api/dashboard'
+                    dashboard: '/api/dashboard',
+                    locations: '/api/locations',
+                    cycleCounts: '/api/cycle-counts',
+                    suppliers: '/api/suppliers',
+                    purchaseOrders: '/api/purchase-orders',
+                    replenishment: '/api/replenishment',
+                    salesOrders: '/api/sales-orders',
+                    returns: '/api/returns',
+                    kits: '/api/kits',
+                    units: '/api/units',
+                    variants: '/api/variants',
+                    attachments: '/api/attachments',
+                    reservations: '/api/reservations',
+                    lots: '/api/lots',
+                    serials: '/api/serials',
+                    adjustmentReasons: '/api/adjustment-reasons'
                 }
             });
         });
@@ -158,6 +176,18 @@ async function startServer() {
             console.log('════════════════════════════════════════════════════');
         });
 
+        // Release expired stock reservations in the background
+        ReservationService.startExpirySweeper(
+            parseInt(process.env.RESERVATION_SWEEP_INTERVAL_MS) || undefined
+        );
+        console.log('✅ Reservation expiry sweeper started');
+
+        // Alert on lots nearing their expiry date
+        LotService.startExpiryMonitor(
+            parseInt(process.env.LOT_EXPIRY_SCAN_INTERVAL_MS) || undefined
+        );
+        console.log('✅ Lot expiry monitor started');
+
     } catch (error) {
         console.error("❌ Failed to start server:", error.message);
         console.error(error.stack);
@@ -0,0 +1,262 @@
+import { AdjustmentReason, Transaction } from '../models/index.js';
+import { Op } from 'sequelize';
+import { ADJUSTMENT_DIRECTIONS, DATABASE_CONSTRAINTS } from '../constant/index.js';
+import {
+    DatabaseUtil,
+    ValidationUtil,
+    StringUtil,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    BusinessLogicError
+} from '../utils/index.js';
+
+const CODE_PATTERN = /^[a-z0-9_]+$/;
+
+class AdjustmentReasonService {
+
+    // Get all adjustment reasons; inactive ones only when asked for
+    static async getAllReasons(filters = {}) {
+        try {
+            const whereConditions = [];
+
+            if (filters.is_active !== undefined) {
+                whereConditions.push(
+                    DatabaseUtil.buildBooleanFilter(filters.is_active === true || filters.is_active === 'true', 'is_active')
+                );
+            } else if (filters.include_inactive !== true && filters.include_inactive !== 'true') {
+                whereConditions.push({ is_active: true });
+            }
+
+            if (filters.direction) {
+                whereConditions.push({ direction: filters.direction });
+            }
+
+            if (filters.search) {
+                whereConditions.push({
+                    [Op.or]: [
+                        { code: { [Op.iLike]: `%${filters.search}%` } },
+                        { name: { [Op.iLike]: `%${filters.search}%` } }
+                    ]
+                });
+            }
+
+            return await AdjustmentReason.findAll({
+                where: DatabaseUtil.combineFilters(whereConditions),
+                order: [['name', 'ASC']]
+            });
+        } catch (error) {
+            throw new Error(`Failed to get adjustment reasons: ${error.message}`);
+        }
+    }
+
+    static async getReasonById(id) {
+        try {
+            const reason = await AdjustmentReason.findByPk(id);
+
+            if (!reason) {
+                throw new NotFoundError('Adjustment reason not found');
+            }
+
+            return reason;
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get adjustment reason: ${error.message}`);
+        }
+    }
+
+    static async createReason(reasonData) {
+        try {
+            const { code, name, description, direction = ADJUSTMENT_DIRECTIONS.ANY } = reasonData;
+
+            const requiredValidation = ValidationUtil.validateRequired(reasonData, ['code', 'name']);
+            if (!requiredValidation.isValid) {
+                throw new ValidationError('Missing required fields', requiredValidation.errors);
+            }
+
+            const normalizedCode = this.normalizeCode(code);
+            this.validateReasonData({ ...reasonData, code: normalizedCode, direction });
+
+            const existingReason = await AdjustmentReason.findOne({ where: { code: normalizedCode } });
+            if (existingReason) {
+                throw new ConflictError('Adjustment reason code already exists');
+            }
+
+            return await AdjustmentReason.create({
+                code: normalizedCode,
+                name: StringUtil.normalizeWhitespace(name),
+                description: ValidationUtil.sanitizeString(description),
+                direction,
+                is_system: false,
+                is_active: true
+            });
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error(`Failed to create adjustment reason: ${error.message}`);
+        }
+    }
+
+    // System reasons keep their code and direction and stay active; name and description can change
+    static async updateReason(id, updateData) {
+        try {
+            const reason = await AdjustmentReason.findByPk(id);
+
+            if (!reason) {
+                throw new NotFoundError('Adjustment reason not found');
+            }
+
+            const code = updateData.code !== undefined ? this.normalizeCode(updateData.code) : reason.code;
+            this.validateReasonData({ ...updateData, code });
+
+            if (reason.is_system) {
+                if (code !== reason.code) {
+                    throw new BusinessLogicError('The code of a system adjustment reason cannot be changed');
+                }
+                if (updateData.direction !== undefined && updateData.direction !== reason.direction) {
+                    throw new BusinessLogicError('The direction of a system adjustment reason cannot be changed');
+                }
+                if (updateData.is_active === false) {
+                    throw new BusinessLogicError('A system adjustment reason cannot be deactivated');
+                }
+            }
+
+            if (code !== reason.code) {
+                const existingReason = await AdjustmentReason.findOne({
+                    where: {
+                        code,
+                        id: { [Op.ne]: id }
+                    }
+                });
+
+                if (existingReason) {
+                    throw new ConflictError('Adjustment reason code already exists');
+                }
+            }
+
+            await reason.update({
+                code,
+                name: updateData.name ? StringUtil.normalizeWhitespace(updateData.name) : reason.name,
+                description: updateData.description !== undefined
+                    ? ValidationUtil.sanitizeString(updateData.description)
+                    : reason.description,
+                direction: updateData.direction || reason.direction,
+                is_active: updateData.is_active !== undefined ? Boolean(updateData.is_active) : reason.is_active
+            });
+
+            return reason;
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError ||
+                error instanceof ConflictError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to update adjustment reason: ${error.message}`);
+        }
+    }
+
+    // Delete adjustment reason (soft delete; past adjustments keep pointing at it)
+    static async deleteReason(id) {
+        try {
+            const reason = await AdjustmentReason.findByPk(id);
+
+            if (!reason) {
+                throw new NotFoundError('Adjustment reason not found');
+            }
+
+            if (reason.is_system) {
+                throw new BusinessLogicError('A system adjustment reason cannot be deleted');
+            }
+
+            const usage = await Transaction.unscoped().count({ where: { adjustment_reason_id: id } });
+            if (usage === 0) {
+                await reason.destroy();
+                return { message: 'Adjustment reason deleted successfully' };
+            }
+
+            await reason.update({ is_active: false });
+
+            return { message: 'Adjustment reason is in use and has been deactivated' };
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to delete adjustment reason: ${error.message}`);
+        }
+    }
+
+    // Look up the active reason for an adjustment; every adjustment must name one
+    static async resolveReason(code, options = {}) {
+        if (!code || typeof code !== 'string') {
+            throw new ValidationError('Adjustment reason is required', ['reason_code is required for adjustments']);
+        }
+
+        const reason = await AdjustmentReason.findOne({
+            where: { code: this.normalizeCode(code) },
+            ...options
+        });
+
+        if (!reason) {
+            throw new ValidationError('Invalid adjustment reason', [`Unknown adjustment reason code: ${code}`]);
+        }
+
+        if (!reason.is_active) {
+            throw new ValidationError('Invalid adjustment reason', [`Adjustment reason ${reason.code} is inactive`]);
+        }
+
+        return reason;
+    }
+
+    // Reject an adjustment that moves stock against its reason (e.g. theft increasing stock)
+    static assertDirection(reason, quantityChange) {
+        if (reason.direction === ADJUSTMENT_DIRECTIONS.DECREASE && quantityChange > 0) {
+            throw new BusinessLogicError(`Adjustment reason ${reason.code} can only decrease stock`);
+        }
+
+        if (reason.direction === ADJUSTMENT_DIRECTIONS.INCREASE && quantityChange < 0) {
+            throw new BusinessLogicError(`Adjustment reason ${reason.code} can only increase stock`);
+        }
+    }
+
+    static normalizeCode(code) {
+        return typeof code === 'string' ? code.trim().toLowerCase() : code;
+    }
+
+    static validateReasonData(reasonData) {
+        const { code, name, direction } = reasonData;
+        const validations = [
+            ValidationUtil.validateStringLength(code, 'code', {
+                required: true,
+                min: DATABASE_CONSTRAINTS.ADJUSTMENT_REASON_CODE.MIN_LENGTH,
+                max: DATABASE_CONSTRAINTS.ADJUSTMENT_REASON_CODE.MAX_LENGTH
+            })
+        ];
+
+        if (name !== undefined) {
+            validations.push(ValidationUtil.validateStringLength(name, 'name', {
+                required: true,
+                min: DATABASE_CONSTRAINTS.ADJUSTMENT_REASON_NAME.MIN_LENGTH,
+                max: DATABASE_CONSTRAINTS.ADJUSTMENT_REASON_NAME.MAX_LENGTH
+            }));
+        }
+
+        const validation = ValidationUtil.combineValidations(validations);
+        const errors = [...validation.errors];
+
+        if (validation.isValid && !CODE_PATTERN.test(code)) {
+            errors.push('Code can only contain lowercase letters, numbers and underscores');
+        }
+
+        if (direction !== undefined && !Object.values(ADJUSTMENT_DIRECTIONS).includes(direction)) {
+            errors.push(`Direction must be one of: ${Object.values(ADJUSTMENT_DIRECTIONS).join(', ')}`);
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid adjustment reason data', errors);
+        }
+    }
+}
+
+export default AdjustmentReasonService;
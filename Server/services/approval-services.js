@@ -0,0 +1,189 @@
+import { Transaction, Inventory, Product, User } from '../models/index.js';
+import { TRANSACTION_TYPES, TRANSACTION_STATUS, APPROVALS } from '../constant/index.js';
+import { ValidationUtil, QuantityUtil, NotFoundError, ValidationError } from '../utils/index.js';
+import SocketService from './socket-services.js';
+import LocationService from './location-services.js';
+import CostingService from './costing-services.js';
+import AdjustmentReasonService from './adjustment-reason-services.js';
+import UnitService from './unit-services.js';
+
+// Fields of a stock movement that are replayed when a pending transaction is approved
+const MOVEMENT_FIELDS = ['quantity', 'unit', 'reason_code', 'unit_cost', 'lot_number', 'manufacture_date', 'expiry_date', 'lots', 'serials'];
+
+class ApprovalService {
+
+    // Approval limits for a role; unknown roles get the limits of a regular user
+    static getThresholds(role) {
+        let thresholds = APPROVALS.THRESHOLDS;
+
+        if (process.env.TRANSACTION_APPROVAL_THRESHOLDS) {
+            try {
+                thresholds = { ...thresholds, ...JSON.parse(process.env.TRANSACTION_APPROVAL_THRESHOLDS) };
+            } catch (error) {
+                console.error('Ignoring invalid TRANSACTION_APPROVAL_THRESHOLDS:', error.message);
+            }
+        }
+
+        return Object.prototype.hasOwnProperty.call(thresholds, role) ? thresholds[role] : thresholds.user;
+    }
+
+    /**
+     * Check a manual stock movement against the requesting user's thresholds.
+     * Returns { required, reasons, quantity_change, current_stock, value }.
+     * Movements without a user, of a type that never needs approval, or that
+     * fail validation are not held here; posting them applies the usual checks.
+     */
+    static async evaluateMovement(productId, movementData) {
+        const { transaction_type, quantity, location_id, created_by } = movementData;
+        const notRequired = { required: false, reasons: [] };
+
+        if (!created_by || !APPROVALS.TRANSACTION_TYPES.includes(transaction_type)) {
+            return notRequired;
+        }
+
+        const quantityValidation = ValidationUtil.validateNumeric(quantity, 'quantity', {
+            required: true,
+            min: 0
+        });
+        if (!quantityValidation.isValid) {
+            return notRequired;
+        }
+
+        const user = await User.findByPk(created_by, { attributes: ['id', 'role'] });
+        const thresholds = user ? this.getThresholds(user.role) : null;
+        if (!thresholds) {
+            return notRequired;
+        }
+
+        const product = await Product.findByPk(productId);
+        if (!product) {
+            return notRequired;
+        }
+
+        // Thresholds apply to base units, whatever unit the movement was entered in
+        let requested;
+        try {
+            requested = await UnitService.toBaseQuantity(product, quantity, movementData.unit);
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                return notRequired;
+            }
+            throw error;
+        }
+
+        const location = await LocationService.resolveLocation(location_id);
+        const inventory = await Inventory.findOne({
+            where: { product_id: product.id, location_id: location.id }
+        });
+        const currentStock = inventory ? inventory.current_stock : 0;
+
+        const quantityChange = transaction_type === TRANSACTION_TYPES.ADJUSTMENT
+            ? QuantityUtil.round(requested - currentStock)
+            : -requested;
+        const units = Math.abs(quantityChange);
+
+        const layers = await CostingService.findOpenLayers(product.id, location.id);
+        const unitCost = CostingService.averageCost(layers) ?? parseFloat(product.cost_price || 0);
+        const value = Math.round(units * unitCost * 100) / 100;
+        const percentOfStock = currentStock > 0 ? (units / currentStock) * 100 : 100;
+
+        const reasons = [];
+        if (thresholds.quantity !== null && thresholds.quantity !== undefined && units > thresholds.quantity) {
+            reasons.push(`Quantity ${units} exceeds the limit of ${thresholds.quantity} units`);
+        }
+        if (thresholds.value !== null && thresholds.value !== undefined && value > thresholds.value) {
+            reasons.push(`Value ${value.toFixed(2)} exceeds the limit of ${thresholds.value}`);
+        }
+        if (thresholds.percent_of_stock !== null && thresholds.percent_of_stock !== undefined
+            && percentOfStock > thresholds.percent_of_stock) {
+            reasons.push(`Change of ${Math.round(percentOfStock)}% of current stock exceeds the limit of ${thresholds.percent_of_stock}%`);
+        }
+
+        return {
+            required: units > 0 && reasons.length > 0,
+            reasons,
+            location,
+            quantity_change: quantityChange,
+            current_stock: currentStock,
+            value
+        };
+    }
+
+    // Store a held movement as a pending transaction and notify the approvers
+    static async createPendingTransaction(productId, movementData, approval) {
+        // The reason is checked now so approvers review a complete request
+        let adjustmentReason = null;
+        if (movementData.transaction_type === TRANSACTION_TYPES.ADJUSTMENT) {
+            adjustmentReason = await AdjustmentReasonService.resolveReason(movementData.reason_code);
+            AdjustmentReasonService.assertDirection(adjustmentReason, approval.quantity_change);
+        }
+
+        const movement = {};
+        MOVEMENT_FIELDS.forEach(field => {
+            if (movementData[field] !== undefined) {
+                movement[field] = movementData[field];
+            }
+        });
+
+        const transaction = await Transaction.create({
+            product_id: productId,
+            location_id: approval.location.id,
+            transaction_type: movementData.transaction_type,
+            quantity: Math.abs(approval.quantity_change),
+            quantity_change: approval.quantity_change,
+            adjustment_reason_id: adjustmentReason ? adjustmentReason.id : null,
+            reference_number: ValidationUtil.sanitizeString(movementData.reference_number),
+            notes: ValidationUtil.sanitizeString(movementData.notes),
+            created_by: movementData.created_by,
+            status: TRANSACTION_STATUS.PENDING,
+            movement_data: movement,
+            approval_reasons: approval.reasons,
+            transaction_date: new Date()
+        });
+
+        const pending = await this.getPendingTransactionById(transaction.id);
+
+        SocketService.emitApprovalUpdate('requested', {
+            transaction_id: pending.id,
+            product_id: pending.product_id,
+            location_id: pending.location_id,
+            transaction_type: pending.transaction_type,
+            quantity_change: pending.quantity_change,
+            value: approval.value,
+            reasons: approval.reasons,
+            product: pending.product,
+            requested_by: pending.created_by
+        });
+
+        return pending;
+    }
+
+    static async getPendingTransactionById(id) {
+        const transaction = await Transaction.unscoped().findByPk(id, {
+            include: [{
+                association: 'product',
+                attributes: ['id', 'name', 'sku', 'unit']
+            }, {
+                association: 'location',
+                attributes: ['id', 'code', 'name']
+            }, {
+                association: 'adjustment_reason',
+                attributes: ['id', 'code', 'name']
+            }, {
+                association: 'creator',
+                attributes: ['id', 'username']
+            }, {
+                association: 'reviewer',
+                attributes: ['id', 'username']
+            }]
+        });
+
+        if (!transaction) {
+            throw new NotFoundError('Transaction not found');
+        }
+
+        return transaction;
+    }
+}
+
+export default ApprovalService;
@@ -0,0 +1,315 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { Product, ProductAttachment } from '../models/index.js';
+import { Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import { FILE_UPLOAD, ATTACHMENT_KINDS } from '../constant/index.js';
+import {
+    ValidationUtil,
+    ErrorUtil,
+    NotFoundError,
+    ValidationError,
+    BusinessLogicError
+} from '../utils/index.js';
+import StorageService from './storage-services.js';
+import SocketService from './socket-services.js';
+
+// Stored files get their extension from the checked MIME type, never from the client's filename
+const EXTENSIONS = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/gif': '.gif',
+    'application/pdf': '.pdf'
+};
+
+const ATTACHMENT_ORDER = [['kind', 'ASC'], ['position', 'ASC'], ['id', 'ASC']];
+
+class AttachmentService {
+
+    // Get a product's images and documents
+    static async getProductAttachments(productId) {
+        try {
+            const product = await Product.findByPk(productId, { attributes: ['id'] });
+            if (!product) {
+                throw new NotFoundError('Product not found');
+            }
+
+            return await ProductAttachment.findAll({
+                where: { product_id: product.id },
+                attributes: { exclude: ['storage_key'] },
+                order: ATTACHMENT_ORDER
+            });
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get attachments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Store uploaded files (multer memory files) for a product. Images must
+     * decode as images and get a thumbnail; documents may be PDFs or images.
+     * The first image of a product without one becomes its primary image.
+     * Files already written are removed again if anything fails.
+     */
+    static async uploadAttachments(productId, kind, files, details = {}, userId = null) {
+        if (!Object.values(ATTACHMENT_KINDS).includes(kind)) {
+            throw new ValidationError('Invalid attachment kind', [`kind must be one of: ${Object.values(ATTACHMENT_KINDS).join(', ')}`]);
+        }
+
+        if (!Array.isArray(files) || files.length === 0) {
+            throw new ValidationError('No files uploaded', ['At least one file is required']);
+        }
+
+        const storage = StorageService.getBackend();
+        const storedKeys = [];
+        const dbTransaction = await sequelize.transaction();
+        let created;
+
+        try {
+            const product = await Product.findByPk(productId, {
+                attributes: ['id', 'sku'],
+                transaction: dbTransaction
+            });
+            if (!product) {
+                throw new NotFoundError('Product not found');
+            }
+
+            const rows = [];
+            for (const file of files) {
+                const processed = await this.processFile(product.id, kind, file);
+
+                await storage.put(processed.storage_key, file.buffer, { contentType: file.mimetype });
+                storedKeys.push(processed.storage_key);
+
+                if (processed.thumbnail) {
+                    await storage.put(processed.thumbnail_key, processed.thumbnail, { contentType: 'image/webp' });
+                    storedKeys.push(processed.thumbnail_key);
+                }
+
+                rows.push(processed);
+            }
+
+            const lastPosition = await ProductAttachment.max('position', {
+                where: { product_id: product.id, kind },
+                transaction: dbTransaction
+            });
+            const hasPrimary = kind === ATTACHMENT_KINDS.IMAGE && await ProductAttachment.count({
+                where: { product_id: product.id, is_primary: true },
+                transaction: dbTransaction
+            }) > 0;
+
+            created = await ProductAttachment.bulkCreate(rows.map((row, index) => ({
+                product_id: product.id,
+                kind,
+                title: ValidationUtil.sanitizeString(details.title) || null,
+                original_name: row.original_name,
+                mime_type: row.mime_type,
+                size: row.size,
+                storage_key: row.storage_key,
+                thumbnail_key: row.thumbnail_key,
+                width: row.width,
+                height: row.height,
+                is_primary: kind === ATTACHMENT_KINDS.IMAGE && !hasPrimary && index === 0,
+                position: (lastPosition ?? -1) + index + 1,
+                created_by: userId
+            })), { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            await this.removeStoredFiles(storedKeys);
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to upload attachments: ${error.message}`);
+        }
+
+        SocketService.emitProductUpdated({
+            id: parseInt(productId),
+            attachments_added: created.map(attachment => attachment.id)
+        });
+
+        return ProductAttachment.findAll({
+            where: { id: { [Op.in]: created.map(attachment => attachment.id) } },
+            attributes: { exclude: ['storage_key'] },
+            order: ATTACHMENT_ORDER
+        });
+    }
+
+    /**
+     * Check one uploaded file's content and work out where it is stored.
+     * Images are decoded to read their size and render a WebP thumbnail.
+     */
+    static async processFile(productId, kind, file) {
+        const allowedTypes = kind === ATTACHMENT_KINDS.IMAGE ? FILE_UPLOAD.IMAGE_TYPES : FILE_UPLOAD.ALLOWED_TYPES;
+        if (!allowedTypes.includes(file.mimetype)) {
+            throw new ValidationError('Invalid file type', [`${file.originalname}: file type must be one of: ${allowedTypes.join(', ')}`]);
+        }
+
+        const baseKey = `products/${productId}/${crypto.randomUUID()}`;
+        const processed = {
+            original_name: file.originalname,
+            mime_type: file.mimetype,
+            size: file.size,
+            storage_key: `${baseKey}${EXTENSIONS[file.mimetype]}`,
+            thumbnail_key: null,
+            thumbnail: null,
+            width: null,
+            height: null
+        };
+
+        if (FILE_UPLOAD.IMAGE_TYPES.includes(file.mimetype)) {
+            try {
+                const metadata = await sharp(file.buffer).metadata();
+                processed.width = metadata.width;
+                processed.height = metadata.height;
+
+                // rotate() applies the EXIF orientation so phone photos are not sideways
+                processed.thumbnail = await sharp(file.buffer)
+                    .rotate()
+                    .resize({
+                        width: FILE_UPLOAD.THUMBNAIL_SIZE,
+                        height: FILE_UPLOAD.THUMBNAIL_SIZE,
+                        fit: 'inside',
+                        withoutEnlargement: true
+                    })
+                    .webp()
+                    .toBuffer();
+                processed.thumbnail_key = `${baseKey}-thumb.webp`;
+            } catch (error) {
+                throw new ValidationError('Invalid image', [`${file.originalname} is not a readable image`]);
+            }
+        } else if (file.buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+            throw new ValidationError('Invalid document', [`${file.originalname} is not a PDF document`]);
+        }
+
+        return processed;
+    }
+
+    // Open a stored file (or its thumbnail) for download
+    static async getAttachmentFile(id, variant = 'file') {
+        try {
+            const attachment = await ProductAttachment.findByPk(id);
+            if (!attachment) {
+                throw new NotFoundError('Attachment not found');
+            }
+
+            const isThumbnail = variant === 'thumbnail';
+            if (isThumbnail && !attachment.thumbnail_key) {
+                throw new NotFoundError('Attachment has no thumbnail');
+            }
+
+            const storage = StorageService.getBackend();
+            const stream = await storage.getStream(isThumbnail ? attachment.thumbnail_key : attachment.storage_key);
+
+            return {
+                stream,
+                kind: attachment.kind,
+                mime_type: isThumbnail ? 'image/webp' : attachment.mime_type,
+                filename: attachment.original_name
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get attachment file: ${error.message}`);
+        }
+    }
+
+    // Update an attachment's title or position, or make an image the product's primary image
+    static async updateAttachment(id, updateData) {
+        const dbTransaction = await sequelize.transaction();
+
+        try {
+            const attachment = await ProductAttachment.findByPk(id, { transaction: dbTransaction });
+            if (!attachment) {
+                throw new NotFoundError('Attachment not found');
+            }
+
+            if (updateData.is_primary === true) {
+                if (attachment.kind !== ATTACHMENT_KINDS.IMAGE) {
+                    throw new BusinessLogicError('Only images can be the primary image');
+                }
+
+                await ProductAttachment.update({ is_primary: false }, {
+                    where: { product_id: attachment.product_id, is_primary: true },
+                    transaction: dbTransaction
+                });
+            }
+
+            await attachment.update({
+                title: updateData.title !== undefined ? ValidationUtil.sanitizeString(updateData.title) || null : attachment.title,
+                position: updateData.position !== undefined ? parseInt(updateData.position) : attachment.position,
+                is_primary: updateData.is_primary !== undefined ? Boolean(updateData.is_primary) : attachment.is_primary
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to update attachment: ${error.message}`);
+        }
+
+        return ProductAttachment.findByPk(id, { attributes: { exclude: ['storage_key'] } });
+    }
+
+    /**
+     * Delete an attachment and its stored files. When the primary image goes,
+     * the next image in order takes its place.
+     */
+    static async deleteAttachment(id) {
+        const dbTransaction = await sequelize.transaction();
+        let attachment;
+
+        try {
+            attachment = await ProductAttachment.findByPk(id, { transaction: dbTransaction });
+            if (!attachment) {
+                throw new NotFoundError('Attachment not found');
+            }
+
+            await attachment.destroy({ transaction: dbTransaction });
+
+            if (attachment.is_primary) {
+                const next = await ProductAttachment.findOne({
+                    where: { product_id: attachment.product_id, kind: ATTACHMENT_KINDS.IMAGE },
+                    order: ATTACHMENT_ORDER,
+                    transaction: dbTransaction
+                });
+                if (next) {
+                    await next.update({ is_primary: true }, { transaction: dbTransaction });
+                }
+            }
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to delete attachment: ${error.message}`);
+        }
+
+        // The row is gone, so a file left behind by a storage error is only wasted space
+        await this.removeStoredFiles([attachment.storage_key, attachment.thumbnail_key].filter(Boolean));
+
+        return { message: 'Attachment deleted successfully' };
+    }
+
+    static async removeStoredFiles(keys) {
+        const storage = StorageService.getBackend();
+
+        for (const key of keys) {
+            try {
+                await storage.remove(key);
+            } catch (error) {
+                ErrorUtil.logError(error, { service: 'AttachmentService', method: 'removeStoredFiles', key });
+            }
+        }
+    }
+}
+
+export default AttachmentService;
@@ -0,0 +1,34 @@
+import { AuditLog, User } from '../models/index.js';
+
+class AuditService {
+
+    // Write an audit entry; pass the open database transaction so the entry commits with the change
+    static async record({ entity_type, entity_id, action, user_id = null, details = null }, dbTransaction = null) {
+        return await AuditLog.create({
+            entity_type,
+            entity_id,
+            action,
+            user_id,
+            details
+        }, { transaction: dbTransaction });
+    }
+
+    // Get the audit history of a single record, oldest first
+    static async getHistory(entityType, entityId) {
+        try {
+            return await AuditLog.findAll({
+                where: { entity_type: entityType, entity_id: entityId },
+                include: [{
+                    model: User,
+                    as: 'user',
+                    attributes: ['id', 'username', 'first_name', 'last_name']
+                }],
+                order: [['created_at', 'ASC'], ['id', 'ASC']]
+            });
+        } catch (error) {
+            throw new Error(`Failed to get audit history: ${error.message}`);
+        }
+    }
+}
+
+export default AuditService;
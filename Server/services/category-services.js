@@ -1,13 +1,18 @@
+import { Category, CategoryAttribute, Product, Inventory } from '../models/index.js';
 import { Op } from 'sequelize';
-import { PAGINATION, DATABASE_CONSTRAINTS } from '../constant/index.js';
+import sequelize from '../config/sequelize.js';
+import { PAGINATION, DATABASE_CONSTRAINTS, ATTRIBUTE_TYPES } from '../constant/index.js';
 import {
     DatabaseUtil,
     ValidationUtil,
+    QuantityUtil,
     StringUtil,
     NotFoundError,
     ValidationError,
-    ConflictError
+    ConflictError,
+    BusinessLogicError
 } from '../utils/index.js';
+import { validateCategoryAttributes } from '../validators/category.validator.js';
 
 class CategoryService {
 
@@ -51,10 +56,14 @@ class CategoryService {
                 where: finalWhereClause
             });
 
-            // Add product count to each category
+            // Breadcrumbs need every category, not just this page
+            const allCategories = await Category.findAll({ attributes: ['id', 'name', 'parent_id'] });
+
+            // Add product count and breadcrumb path to each category
             const categoriesWithCount = rows.map(category => ({
                 ...category.toJSON(),
-                product_count: category.products.length
+                product_count: category.products.length,
+                path: Category.buildPath(category.id, allCategories)
             }));
 
             return {
@@ -78,10 +87,14 @@ class CategoryService {
                     as: 'products',
                     attributes: ['id', 'name', 'sku', 'price', 'is_active'],
                     include: [{
-                        model: 'Inventory',
+                        model: Inventory,
                         as: 'inventory',
-                        attributes: ['current_stock', 'available_stock']
+                        attributes: ['location_id', 'current_stock', 'reserved_stock']
                     }]
+                }, {
+                    model: Category,
+                    as: 'children',
+                    attributes: ['id', 'name', 'is_active']
                 }]
             });
 
@@ -89,7 +102,10 @@ class CategoryService {
                 throw new NotFoundError('Category not found');
             }
 
-            return category;
+            return {
+                ...category.toJSON(),
+                path: await Category.findPath(category.id)
+            };
         } catch (error) {
             if (error instanceof NotFoundError) {
                 throw error;
@@ -101,7 +117,7 @@ class CategoryService {
     // Create new category
     static async createCategory(categoryData) {
         try {
-            const { name, description, is_active = true } = categoryData;
+            const { name, description, parent_id = null, is_active = true } = categoryData;
 
             // Validate required fields
             const requiredValidation = ValidationUtil.validateRequired(categoryData, ['name']);
@@ -129,15 +145,21 @@ class CategoryService {
                 throw new ConflictError('Category name already exists');
             }
 
+            // New categories go at the top level unless a parent is given
+            if (parent_id && !(await Category.findByPk(parent_id))) {
+                throw new NotFoundError('Parent category not found');
+            }
+
             const category = await Category.create({
                 name: trimmedName,
                 description: ValidationUtil.sanitizeString(description),
+                parent_id: parent_id || null,
                 is_active: Boolean(is_active)
             });
 
             return category;
         } catch (error) {
-            if (error instanceof ValidationError || error instanceof ConflictError) {
+            if (error instanceof ValidationError || error instanceof ConflictError || error instanceof NotFoundError) {
                 throw error;
             }
             throw new Error(`Failed to create category: ${error.message}`);
@@ -201,6 +223,12 @@ class CategoryService {
                 throw new Error('Cannot delete category with active products. Please deactivate or move products first.');
             }
 
+            // Subcategories would be left under an inactive parent
+            const activeChildren = await Category.count({ where: { parent_id: category.id, is_active: true } });
+            if (activeChildren > 0) {
+                throw new Error('Cannot delete category with active subcategories. Please move or delete them first.');
+            }
+
             // Soft delete
             await category.update({ is_active: false });
 
@@ -210,7 +238,215 @@ class CategoryService {
         }
     }
 
-    // Get category statistics
+    /**
+     * Move a category under another parent, or to the top level when the
+     * parent is null. Its subcategories and products move with it. A
+     * category cannot be moved under itself or one of its own descendants.
+     */
+    static async moveCategory(id, parentId) {
+        const categoryId = parseInt(id);
+        const newParentId = parentId ? parseInt(parentId) : null;
+        const dbTransaction = await sequelize.transaction();
+
+        try {
+            // Lock both rows in id order so concurrent moves involving them run one after the other
+            const locked = await Category.findAll({
+                where: { id: { [Op.in]: [categoryId, newParentId].filter(Boolean) } },
+                order: [['id', 'ASC']],
+                transaction: dbTransaction,
+                lock: dbTransaction.LOCK.UPDATE
+            });
+
+            const category = locked.find(row => row.id === categoryId);
+            if (!category) {
+                throw new NotFoundError('Category not found');
+            }
+
+            if (newParentId) {
+                const parent = locked.find(row => row.id === newParentId);
+                if (!parent) {
+                    throw new NotFoundError('Parent category not found');
+                }
+
+                // Walk up from the new parent, locking each ancestor; meeting the category means a cycle
+                const visited = new Set();
+                let ancestor = parent;
+                while (ancestor) {
+                    if (ancestor.id === category.id) {
+                        throw new BusinessLogicError(newParentId === category.id
+                            ? 'A category cannot be its own parent'
+                            : `Cannot move ${category.name} under its own subcategory ${parent.name}`);
+                    }
+
+                    visited.add(ancestor.id);
+                    ancestor = ancestor.parent_id && !visited.has(ancestor.parent_id)
+                        ? await Category.findByPk(ancestor.parent_id, {
+                            attributes: ['id', 'parent_id'],
+                            transaction: dbTransaction,
+                            lock: dbTransaction.LOCK.UPDATE
+                        })
+                        : null;
+                }
+            }
+
+            await category.update({ parent_id: newParentId }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to move category: ${error.message}`);
+        }
+
+        return this.getCategoryById(categoryId);
+    }
+
+    // Get all categories as a nested tree (top-level categories with their children)
+    static async getCategoryTree(filters = {}) {
+        try {
+            const where = filters.is_active !== undefined
+                ? DatabaseUtil.buildBooleanFilter(filters.is_active, 'is_active')
+                : {};
+
+            const categories = await Category.findAll({
+                where,
+                attributes: ['id', 'name', 'description', 'parent_id', 'is_active'],
+                order: [['name', 'ASC']]
+            });
+
+            const nodes = new Map(categories.map(category => [category.id, { ...category.toJSON(), children: [] }]));
+            const roots = [];
+
+            nodes.forEach(node => {
+                // Categories under a filtered-out parent are shown at the top level
+                const parent = nodes.get(node.parent_id);
+                (parent ? parent.children : roots).push(node);
+            });
+
+            return roots;
+        } catch (error) {
+            throw new Error(`Failed to get category tree: ${error.message}`);
+        }
+    }
+
+    // Get a category's custom product attributes in display order
+    static async getCategoryAttributes(id) {
+        try {
+            const category = await Category.findByPk(id, {
+                attributes: ['id', 'name'],
+                include: [{
+                    model: CategoryAttribute,
+                    as: 'attribute_definitions'
+                }],
+                order: [[{ model: CategoryAttribute, as: 'attribute_definitions' }, 'position', 'ASC']]
+            });
+
+            if (!category) {
+                throw new NotFoundError('Category not found');
+            }
+
+            // Attributes from parent categories that this category's products carry as well
+            const effective = await CategoryAttribute.findEffective(category.id);
+
+            return {
+                ...category.toJSON(),
+                inherited_attributes: effective.filter(definition => definition.category_id !== category.id)
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get category attributes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace a category's custom product attributes. Values of attributes
+     * that are dropped are removed from the products of the category and its
+     * subcategories; values of
+     * attributes whose type changes are only re-checked when a product's
+     * attributes are next updated.
+     */
+    static async setCategoryAttributes(id, attributes) {
+        // Checked here as well: codes, types and enum options are relied on below
+        const validation = validateCategoryAttributes({ attributes });
+        if (!validation.isValid) {
+            throw new ValidationError('Invalid category attributes', validation.errors);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+
+        try {
+            const category = await Category.findByPk(id, {
+                include: [{
+                    model: CategoryAttribute,
+                    as: 'attribute_definitions'
+                }],
+                transaction: dbTransaction
+            });
+
+            if (!category) {
+                throw new NotFoundError('Category not found');
+            }
+
+            const definitions = attributes.map((entry, index) => ({
+                category_id: category.id,
+                code: entry.code,
+                label: StringUtil.normalizeWhitespace(entry.label),
+                data_type: entry.data_type,
+                options: entry.data_type === ATTRIBUTE_TYPES.ENUM ? entry.options.map(option => option.trim()) : null,
+                is_required: Boolean(entry.is_required),
+                position: index
+            }));
+
+            const removedCodes = category.attribute_definitions
+                .map(definition => definition.code)
+                .filter(code => !definitions.some(definition => definition.code === code));
+
+            await CategoryAttribute.destroy({
+                where: { category_id: category.id },
+                transaction: dbTransaction
+            });
+            await CategoryAttribute.bulkCreate(definitions, { transaction: dbTransaction, validate: true });
+
+            // Subcategories lose the value too, unless the code is still defined along their path
+            if (removedCodes.length > 0) {
+                const subtreeIds = await Category.findSubtreeIds(category.id, { transaction: dbTransaction });
+
+                for (const categoryId of subtreeIds) {
+                    const stillDefined = (await CategoryAttribute.findEffective(categoryId, { transaction: dbTransaction }))
+                        .map(definition => definition.code);
+
+                    for (const code of removedCodes.filter(entry => !stillDefined.includes(entry))) {
+                        await Product.update({
+                            custom_attributes: sequelize.literal(`custom_attributes - ${sequelize.escape(code)}`)
+                        }, {
+                            where: { category_id: categoryId },
+                            transaction: dbTransaction
+                        });
+                    }
+                }
+            }
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to update category attributes: ${error.message}`);
+        }
+
+        return this.getCategoryAttributes(id);
+    }
+
+    /**
+     * Get category statistics, rolled up through all subcategories. Variants
+     * count towards their parent's category, wherever they are filed.
+     * `subcategories` breaks the totals down by direct child.
+     */
     static async getCategoryStats(id) {
         try {
             const category = await Category.findByPk(id, {
@@ -218,7 +454,7 @@ class CategoryService {
                     model: Product,
                     as: 'products',
                     include: [{
-                        model: 'Inventory',
+                        model: Inventory,
                         as: 'inventory',
                         attributes: ['current_stock']
                     }]
@@ -229,19 +465,73 @@ class CategoryService {
                 throw new Error('Category not found');
             }
 
-            const stats = {
-                total_products: category.products.length,
-                active_products: category.products.filter(p => p.is_active).length,
-                total_stock: category.products.reduce((sum, product) => {
-                    return sum + (product.inventory?.current_stock || 0);
-                }, 0),
-                total_value: category.products.reduce((sum, product) => {
-                    return sum + (parseFloat(product.price) * (product.inventory?.current_stock || 0));
+            const allCategories = await Category.findAll({ attributes: ['id', 'name', 'parent_id'] });
+            const subtreeIds = Category.collectSubtreeIds(category.id, allCategories);
+
+            const products = (await Product.findAll({
+                where: {
+                    [Op.or]: [
+                        { category_id: { [Op.in]: subtreeIds } },
+                        { '$parent.category_id$': { [Op.in]: subtreeIds } }
+                    ]
+                },
+                include: [{
+                    model: Inventory,
+                    as: 'inventory',
+                    attributes: ['current_stock']
+                }, {
+                    model: Product,
+                    as: 'parent',
+                    attributes: ['id', 'category_id']
+                }]
+            })).filter(product => subtreeIds.includes(product.parent ? product.parent.category_id : product.category_id));
+
+            const summarize = (group) => ({
+                total_products: group.length,
+                active_products: group.filter(p => p.is_active).length,
+                total_styles: new Set(group.map(product => product.parent_product_id || product.id)).size,
+                total_stock: QuantityUtil.sum(group.map(product => Inventory.sumStock(product.inventory))),
+                total_value: group.reduce((sum, product) => {
+                    return sum + (parseFloat(product.price) * Inventory.sumStock(product.inventory));
                 }, 0)
+            });
+
+            const stockByStyle = new Map();
+            products.forEach(product => {
+                const styleId = product.parent_product_id || product.id;
+                stockByStyle.set(styleId, (stockByStyle.get(styleId) || 0) + Inventory.sumStock(product.inventory));
+            });
+
+            const stats = {
+                ...summarize(products),
+                // Stock per parent product, variants included
+                styles: products
+                    .filter(product => !product.parent_product_id && products.some(variant => variant.parent_product_id === product.id))
+                    .map(product => ({
+                        product_id: product.id,
+                        sku: product.sku,
+                        name: product.name,
+                        variant_count: products.filter(variant => variant.parent_product_id === product.id).length,
+                        total_stock: QuantityUtil.round(stockByStyle.get(product.id))
+                    })),
+                subcategories: allCategories
+                    .filter(child => child.parent_id === category.id)
+                    .map(child => {
+                        const childIds = Category.collectSubtreeIds(child.id, allCategories);
+                        return {
+                            category_id: child.id,
+                            category_name: child.name,
+                            ...summarize(products.filter(product =>
+                                childIds.includes(product.parent ? product.parent.category_id : product.category_id)))
+                        };
+                    })
             };
 
             return {
-                category: category.toJSON(),
+                category: {
+                    ...category.toJSON(),
+                    path: Category.buildPath(category.id, allCategories)
+                },
                 stats
             };
         } catch (error) {
@@ -0,0 +1,284 @@
+import { CostLayer, Transaction, Product, Category, Location } from '../models/index.js';
+import { Op, fn, literal } from 'sequelize';
+import { TRANSACTION_TYPES, COSTING_METHODS, COSTING } from '../constant/index.js';
+import { DatabaseUtil, QuantityUtil } from '../utils/index.js';
+
+const roundCost = (value, decimals) => parseFloat(value.toFixed(decimals));
+
+class CostingService {
+
+    // Costing method for this deployment; unknown values fall back to the default
+    static getCostingMethod() {
+        const method = (process.env.INVENTORY_COSTING_METHOD || COSTING.DEFAULT_METHOD).toLowerCase();
+        return Object.values(COSTING_METHODS).includes(method) ? method : COSTING.DEFAULT_METHOD;
+    }
+
+    /**
+     * Cost a stock movement before its ledger row is written, since ledger rows
+     * are never updated. Stock out consumes layers oldest first and returns the
+     * cost of goods; stock in only resolves its unit cost, and the caller opens
+     * the layer with openLayer() once the transaction exists. Under weighted
+     * average the open layers are re-costed at the running average whenever
+     * stock arrives, so the units consumed all carry that average.
+     */
+    static async applyCostMovement({ product, location, transaction_type, transfer_id, delta, unit_cost }, dbTransaction) {
+        let unitCost;
+        let totalCost;
+
+        if (delta > 0) {
+            unitCost = await this.resolveInboundCost({ product, location, transaction_type, transfer_id, unit_cost }, dbTransaction);
+            totalCost = delta * unitCost;
+        } else {
+            totalCost = await this.consumeLayers({ product, location, quantity: -delta }, dbTransaction);
+            unitCost = totalCost / -delta;
+        }
+
+        return {
+            unit_cost: roundCost(unitCost, 4),
+            total_cost: roundCost(totalCost, 2)
+        };
+    }
+
+    // Explicit cost (e.g. the PO line), the outbound leg's cost for transfers, else the current average
+    static async resolveInboundCost({ product, location, transaction_type, transfer_id, unit_cost }, dbTransaction) {
+        if (unit_cost !== undefined && unit_cost !== null && unit_cost !== '') {
+            return parseFloat(unit_cost);
+        }
+
+        if (transaction_type === TRANSACTION_TYPES.TRANSFER_IN && transfer_id) {
+            const outbound = await Transaction.findOne({
+                where: {
+                    transfer_id,
+                    transaction_type: TRANSACTION_TYPES.TRANSFER_OUT
+                },
+                transaction: dbTransaction
+            });
+            if (outbound && outbound.unit_cost !== null) {
+                return parseFloat(outbound.unit_cost);
+            }
+        }
+
+        const layers = await this.findOpenLayers(product.id, location.id, dbTransaction);
+        const average = this.averageCost(layers);
+
+        return average !== null ? average : parseFloat(product.cost_price || 0);
+    }
+
+    static async openLayer({ product, location, transaction, quantity, unitCost }, dbTransaction) {
+        let layerCost = unitCost;
+
+        if (this.getCostingMethod() === COSTING_METHODS.WEIGHTED_AVERAGE) {
+            const layers = await this.findOpenLayers(product.id, location.id, dbTransaction);
+            const onHand = layers.reduce((sum, layer) => sum + layer.quantity_remaining, 0);
+            const value = layers.reduce((sum, layer) => sum + layer.quantity_remaining * parseFloat(layer.unit_cost), 0);
+
+            layerCost = roundCost((value + quantity * unitCost) / (onHand + quantity), 4);
+
+            for (const layer of layers) {
+                if (parseFloat(layer.unit_cost) !== layerCost) {
+                    await layer.update({ unit_cost: layerCost }, { transaction: dbTransaction });
+                }
+            }
+        }
+
+        return await CostLayer.create({
+            product_id: product.id,
+            location_id: location.id,
+            transaction_id: transaction.id,
+            unit_cost: layerCost,
+            quantity_received: quantity,
+            quantity_remaining: quantity,
+            received_at: new Date()
+        }, { transaction: dbTransaction });
+    }
+
+    // Take quantity from the oldest layers and return its cost
+    static async consumeLayers({ product, location, quantity }, dbTransaction) {
+        const layers = await this.findOpenLayers(product.id, location.id, dbTransaction);
+
+        let remaining = quantity;
+        let totalCost = 0;
+        let lastCost = null;
+
+        for (const layer of layers) {
+            if (remaining <= 0) {
+                break;
+            }
+
+            const picked = Math.min(remaining, layer.quantity_remaining);
+            lastCost = parseFloat(layer.unit_cost);
+            totalCost += picked * lastCost;
+            remaining = QuantityUtil.round(remaining - picked);
+
+            await layer.update({
+                quantity_remaining: QuantityUtil.round(layer.quantity_remaining - picked)
+            }, { transaction: dbTransaction });
+        }
+
+        // Stock with no layer behind it is costed at the last layer's cost, or the product cost price
+        if (remaining > 0) {
+            totalCost += remaining * (lastCost !== null ? lastCost : parseFloat(product.cost_price || 0));
+        }
+
+        return totalCost;
+    }
+
+    static async findOpenLayers(productId, locationId, dbTransaction) {
+        return await CostLayer.findAll({
+            where: {
+                product_id: productId,
+                location_id: locationId,
+                quantity_remaining: { [Op.gt]: 0 }
+            },
+            order: [['received_at', 'ASC'], ['id', 'ASC']],
+            transaction: dbTransaction,
+            lock: dbTransaction ? dbTransaction.LOCK.UPDATE : undefined
+        });
+    }
+
+    static averageCost(layers) {
+        const onHand = layers.reduce((sum, layer) => sum + layer.quantity_remaining, 0);
+        if (onHand === 0) {
+            return null;
+        }
+        const value = layers.reduce((sum, layer) => sum + layer.quantity_remaining * parseFloat(layer.unit_cost), 0);
+        return roundCost(value / onHand, 4);
+    }
+
+    // Value of stock on hand at cost, per product, from the open cost layers
+    static async getValuation(filters = {}) {
+        try {
+            const layerWhere = { quantity_remaining: { [Op.gt]: 0 } };
+            if (filters.location_id) {
+                layerWhere.location_id = filters.location_id;
+            }
+
+            const productWhere = {};
+            if (filters.category_id) {
+                productWhere.category_id = { [Op.in]: await Category.findSubtreeIds(filters.category_id) };
+            }
+
+            const layers = await CostLayer.findAll({
+                where: layerWhere,
+                include: [{
+                    model: Product,
+                    as: 'product',
+                    where: productWhere,
+                    attributes: ['id', 'name', 'sku', 'unit', 'price'],
+                    include: [{
+                        model: Category,
+                        as: 'category',
+                        attributes: ['id', 'name']
+                    }]
+                }]
+            });
+
+            const byProduct = new Map();
+            layers.forEach(layer => {
+                if (!byProduct.has(layer.product_id)) {
+                    byProduct.set(layer.product_id, { product: layer.product, quantity: 0, value: 0 });
+                }
+                const entry = byProduct.get(layer.product_id);
+                entry.quantity = QuantityUtil.round(entry.quantity + layer.quantity_remaining);
+                entry.value += layer.quantity_remaining * parseFloat(layer.unit_cost);
+            });
+
+            const products = [...byProduct.values()]
+                .map(({ product, quantity, value }) => ({
+                    product: {
+                        id: product.id,
+                        name: product.name,
+                        sku: product.sku,
+                        unit: product.unit
+                    },
+                    category: product.category,
+                    quantity: QuantityUtil.round(quantity),
+                    average_unit_cost: roundCost(value / quantity, 4),
+                    inventory_value: roundCost(value, 2),
+                    retail_value: roundCost(quantity * parseFloat(product.price || 0), 2)
+                }))
+                .sort((a, b) => b.inventory_value - a.inventory_value);
+
+            return {
+                method: this.getCostingMethod(),
+                location_id: filters.location_id ? parseInt(filters.location_id) : null,
+                total_products: products.length,
+                total_quantity: QuantityUtil.sum(products.map(item => item.quantity)),
+                total_value: roundCost(products.reduce((sum, item) => sum + item.inventory_value, 0), 2),
+                total_retail_value: roundCost(products.reduce((sum, item) => sum + item.retail_value, 0), 2),
+                products
+            };
+        } catch (error) {
+            throw new Error(`Failed to calculate inventory valuation: ${error.message}`);
+        }
+    }
+
+    // Cost of goods sold: the cost recorded on OUT transactions in the date range, less reversed
+    // ones and kit legs (components consumed by assembly are not sold)
+    static async getCostOfGoodsSold(filters = {}) {
+        try {
+            const whereClause = {
+                transaction_type: TRANSACTION_TYPES.OUT,
+                reversed_at: null,
+                kit_operation: null,
+                ...DatabaseUtil.buildDateRangeFilter(filters.start_date, filters.end_date, 'transaction_date')
+            };
+            if (filters.location_id) {
+                whereClause.location_id = filters.location_id;
+            }
+
+            const transactions = await Transaction.findAll({
+                where: whereClause,
+                attributes: ['product_id', 'quantity', 'total_cost']
+            });
+
+            return {
+                start_date: filters.start_date || null,
+                end_date: filters.end_date || null,
+                quantity_sold: QuantityUtil.sum(transactions.map(transaction => transaction.quantity)),
+                total_cost: roundCost(transactions.reduce((sum, transaction) =>
+                    sum + parseFloat(transaction.total_cost || 0), 0), 2)
+            };
+        } catch (error) {
+            throw new Error(`Failed to calculate cost of goods sold: ${error.message}`);
+        }
+    }
+
+    // Valuation at cost plus COGS for the period, for reconciling with the books
+    static async getValuationReport(filters = {}) {
+        const [valuation, costOfGoodsSold] = await Promise.all([
+            this.getValuation(filters),
+            this.getCostOfGoodsSold(filters)
+        ]);
+
+        let location = null;
+        if (filters.location_id) {
+            location = await Location.findByPk(filters.location_id, { attributes: ['id', 'code', 'name'] });
+        }
+
+        return {
+            ...valuation,
+            location,
+            cost_of_goods_sold: costOfGoodsSold,
+            generated_at: new Date()
+        };
+    }
+
+    // Total value of stock on hand at cost (all locations, or one)
+    static async getStockValue(locationId = null) {
+        const layerWhere = { quantity_remaining: { [Op.gt]: 0 } };
+        if (locationId) {
+            layerWhere.location_id = locationId;
+        }
+
+        const [result] = await CostLayer.findAll({
+            where: layerWhere,
+            attributes: [[fn('SUM', literal('quantity_remaining * unit_cost')), 'total_value']],
+            raw: true
+        });
+
+        return roundCost(parseFloat(result.total_value || 0), 2);
+    }
+}
+
+export default CostingService;
@@ -0,0 +1,318 @@
+import { Inventory, Product, Transaction } from '../models/index.js';
+import { Op, fn, col } from 'sequelize';
+import { TRANSACTION_TYPES, ADJUSTMENT_REASONS, ABC_CLASSES, CYCLE_COUNT } from '../constant/index.js';
+import {
+    ValidationUtil,
+    QuantityUtil,
+    DateUtil,
+    NotFoundError,
+    ValidationError,
+    BusinessLogicError
+} from '../utils/index.js';
+import InventoryService from './inventory-services.js';
+import LocationService from './location-services.js';
+import UnitService from './unit-services.js';
+
+class CycleCountService {
+
+    /**
+     * Classify active products into A/B/C by outbound value (OUT quantity x price)
+     * over the analysis period, leaving out reversed sales and components consumed
+     * by kit assembly. Products without outbound movement fall into C.
+     */
+    static async classifyProducts(options = {}) {
+        try {
+            const periodDays = options.period_days
+                ? ValidationUtil.sanitizeNumber(options.period_days, true)
+                : CYCLE_COUNT.ANALYSIS_PERIOD_DAYS;
+
+            if (!periodDays || periodDays < 1) {
+                throw new ValidationError('Invalid analysis period', ['period_days must be a positive integer']);
+            }
+
+            const since = DateUtil.addDays(DateUtil.startOfDay(), -periodDays);
+
+            const outbound = await Transaction.findAll({
+                where: {
+                    transaction_type: TRANSACTION_TYPES.OUT,
+                    reversed_at: null,
+                    kit_operation: null,
+                    transaction_date: { [Op.gte]: since }
+                },
+                attributes: [
+                    'product_id',
+                    [fn('SUM', col('quantity')), 'total_quantity']
+                ],
+                group: ['product_id'],
+                raw: true
+            });
+            const quantityByProduct = new Map(
+                outbound.map(row => [row.product_id, QuantityUtil.parse(row.total_quantity) || 0])
+            );
+
+            const products = await Product.findAll({
+                where: { is_active: true },
+                attributes: ['id', 'price']
+            });
+
+            const ranked = products
+                .map(product => ({
+                    id: product.id,
+                    value: (quantityByProduct.get(product.id) || 0) * parseFloat(product.price)
+                }))
+                .sort((a, b) => b.value - a.value);
+
+            const totalValue = ranked.reduce((sum, item) => sum + item.value, 0);
+            const classes = {
+                [ABC_CLASSES.A]: { product_ids: [], value: 0 },
+                [ABC_CLASSES.B]: { product_ids: [], value: 0 },
+                [ABC_CLASSES.C]: { product_ids: [], value: 0 }
+            };
+
+            // Classify on the cumulative share reached before each item, so the top seller is always A
+            let cumulativeValue = 0;
+            ranked.forEach(item => {
+                const shareBefore = totalValue > 0 ? cumulativeValue / totalValue : 1;
+                let abcClass = ABC_CLASSES.C;
+
+                if (item.value > 0 && shareBefore < CYCLE_COUNT.CLASS_THRESHOLDS.A) {
+                    abcClass = ABC_CLASSES.A;
+                } else if (item.value > 0 && shareBefore < CYCLE_COUNT.CLASS_THRESHOLDS.B) {
+                    abcClass = ABC_CLASSES.B;
+                }
+
+                classes[abcClass].product_ids.push(item.id);
+                classes[abcClass].value += item.value;
+                cumulativeValue += item.value;
+            });
+
+            for (const [abcClass, { product_ids }] of Object.entries(classes)) {
+                if (product_ids.length > 0) {
+                    await Product.update({ abc_class: abcClass }, { where: { id: { [Op.in]: product_ids } } });
+                }
+            }
+
+            return {
+                period_days: periodDays,
+                total_value: parseFloat(totalValue.toFixed(2)),
+                classes: Object.fromEntries(Object.entries(classes).map(([abcClass, { product_ids, value }]) => [
+                    abcClass,
+                    {
+                        products: product_ids.length,
+                        value: parseFloat(value.toFixed(2)),
+                        value_share: totalValue > 0 ? parseFloat(((value / totalValue) * 100).toFixed(2)) : 0,
+                        frequency_days: CYCLE_COUNT.FREQUENCY_DAYS[abcClass]
+                    }
+                ]))
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to classify products: ${error.message}`);
+        }
+    }
+
+    // Get the current class distribution of active products
+    static async getClassification() {
+        try {
+            const rows = await Product.findAll({
+                where: { is_active: true },
+                attributes: [
+                    'abc_class',
+                    [fn('COUNT', col('id')), 'products']
+                ],
+                group: ['abc_class'],
+                raw: true
+            });
+
+            return Object.values(ABC_CLASSES).reduce((summary, abcClass) => {
+                const row = rows.find(r => r.abc_class === abcClass);
+                summary[abcClass] = {
+                    products: row ? parseInt(row.products) : 0,
+                    frequency_days: CYCLE_COUNT.FREQUENCY_DAYS[abcClass]
+                };
+                return summary;
+            }, {
+                unclassified: parseInt(rows.find(r => r.abc_class === null)?.products) || 0
+            });
+        } catch (error) {
+            throw new Error(`Failed to get ABC classification: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build today's count list for a location. Each class gets a daily quota of
+     * ceil(items / frequency_days) so the whole class is covered once per cycle;
+     * the quota is filled with the items counted longest ago. Unclassified
+     * products are planned as class C.
+     */
+    static async getTodayCountList(locationId = null) {
+        try {
+            const location = await LocationService.resolveLocation(locationId);
+            const today = DateUtil.startOfDay();
+
+            const inventory = await Inventory.findAll({
+                where: { location_id: location.id },
+                include: [{
+                    model: Product,
+                    as: 'product',
+                    where: { is_active: true },
+                    attributes: ['id', 'name', 'sku', 'unit', 'abc_class']
+                }],
+                order: [['last_counted_at', 'ASC NULLS FIRST'], ['product_id', 'ASC']]
+            });
+
+            const items = [];
+            const summary = {};
+
+            for (const abcClass of Object.values(ABC_CLASSES)) {
+                const classItems = inventory.filter(record => (record.product.abc_class || ABC_CLASSES.C) === abcClass);
+                const frequencyDays = CYCLE_COUNT.FREQUENCY_DAYS[abcClass];
+                const dailyQuota = Math.ceil(classItems.length / frequencyDays);
+                const countedToday = classItems.filter(record =>
+                    record.last_counted_at && new Date(record.last_counted_at) >= today
+                );
+                const remaining = Math.max(dailyQuota - countedToday.length, 0);
+
+                classItems
+                    .filter(record => !countedToday.includes(record))
+                    .slice(0, remaining)
+                    .forEach(record => items.push({
+                        inventory_id: record.id,
+                        product_id: record.product_id,
+                        product: record.product,
+                        abc_class: abcClass,
+                        last_counted_at: record.last_counted_at
+                    }));
+
+                summary[abcClass] = {
+                    total_items: classItems.length,
+                    frequency_days: frequencyDays,
+                    daily_quota: dailyQuota,
+                    counted_today: countedToday.length,
+                    remaining
+                };
+            }
+
+            return {
+                date: DateUtil.toDateOnly(today),
+                location: {
+                    id: location.id,
+                    code: location.code,
+                    name: location.name
+                },
+                summary,
+                items
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to build cycle count list: ${error.message}`);
+        }
+    }
+
+    /**
+     * Record cycle count results for a location. Differences against the live
+     * stock level are posted as ADJUSTMENT transactions through InventoryService.submitStockMovement,
+     * so variances above the counter's approval thresholds wait for approval.
+     */
+    static async recordCycleCount(recordData, userId = null) {
+        const entries = Array.isArray(recordData.counts) ? recordData.counts : [recordData];
+
+        const errors = [];
+        entries.forEach((entry, index) => {
+            const prefix = entries.length > 1 ? `counts[${index}].` : '';
+            if (!entry.product_id) {
+                errors.push(`${prefix}product_id is required`);
+            }
+            const quantityValidation = ValidationUtil.validateNumeric(entry.counted_quantity, `${prefix}counted_quantity`, {
+                required: true,
+                min: 0
+            });
+            errors.push(...quantityValidation.errors);
+        });
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid count data', errors);
+        }
+
+        try {
+            const location = await LocationService.resolveLocation(recordData.location_id);
+            const referenceNumber = `CC-${DateUtil.toDateOnly(new Date()).replace(/-/g, '')}-${location.code}`;
+
+            const results = [];
+            const failures = [];
+
+            for (const entry of entries) {
+                try {
+                    const product = await Product.findByPk(entry.product_id);
+                    if (!product) {
+                        throw new NotFoundError(`Product ${entry.product_id} not found`);
+                    }
+
+                    const countedStock = await UnitService.toBaseQuantity(product, entry.counted_quantity, entry.unit, {
+                        fieldName: 'counted_quantity',
+                        min: 0
+                    });
+                    const inventory = await Inventory.findOne({
+                        where: { product_id: product.id, location_id: location.id }
+                    });
+                    const previousStock = inventory ? inventory.current_stock : 0;
+                    const variance = QuantityUtil.round(countedStock - previousStock);
+
+                    // Large variances are held for approval like any other adjustment
+                    let pending = false;
+                    if (variance !== 0) {
+                        const outcome = await InventoryService.submitStockMovement(entry.product_id, {
+                            transaction_type: TRANSACTION_TYPES.ADJUSTMENT,
+                            quantity: countedStock,
+                            reason_code: ADJUSTMENT_REASONS.COUNT_CORRECTION,
+                            location_id: location.id,
+                            reference_number: referenceNumber,
+                            notes: entry.notes || `Cycle count variance ${variance > 0 ? '+' : ''}${variance}`,
+                            created_by: userId
+                        });
+                        pending = outcome.pending === true;
+                    }
+
+                    await Inventory.update(
+                        { last_counted_at: new Date() },
+                        { where: { product_id: entry.product_id, location_id: location.id } }
+                    );
+
+                    results.push({
+                        product_id: parseInt(entry.product_id),
+                        previous_stock: previousStock,
+                        counted_stock: countedStock,
+                        variance,
+                        adjusted: variance !== 0 && !pending,
+                        pending_approval: pending
+                    });
+                } catch (error) {
+                    failures.push({
+                        product_id: entry.product_id,
+                        error: error.message
+                    });
+                }
+            }
+
+            return {
+                location_id: location.id,
+                reference_number: referenceNumber,
+                total: entries.length,
+                successful: results.length,
+                failed: failures.length,
+                results,
+                errors: failures
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to record cycle count: ${error.message}`);
+        }
+    }
+}
+
+export default CycleCountService;
@@ -1,59 +1,52 @@
-import { Category, Product, Inventory, Transaction } from '../models/index.js';
+import { Category, Product, Inventory, Transaction, Location } from '../models/index.js';
 import { Op, Sequelize } from 'sequelize';
 import sequelize from '../config/sequelize.js';
+import { QuantityUtil } from '../utils/index.js';
+import CostingService from './costing-services.js';
 
 class DashboardService {
 
-    // Get overall inventory statistics
-    static async getInventoryStats() {
+    // Get overall inventory statistics (all locations, or a single location)
+    static async getInventoryStats(locationId = null) {
         try {
+            const inventoryWhere = locationId ? { location_id: locationId } : {};
+
             const stats = await Inventory.findAll({
                 attributes: [
-                    [Sequelize.fn('COUNT', Sequelize.col('id')), 'total_products'],
+                    [Sequelize.fn('COUNT', Sequelize.fn('DISTINCT', Sequelize.col('product_id'))), 'total_products'],
+                    [Sequelize.fn('COUNT', Sequelize.fn('DISTINCT', Sequelize.col('location_id'))), 'total_locations'],
                     [Sequelize.fn('SUM', Sequelize.col('current_stock')), 'total_stock'],
                     [Sequelize.fn('SUM', Sequelize.col('reserved_stock')), 'total_reserved'],
                     [Sequelize.fn('AVG', Sequelize.col('current_stock')), 'avg_stock_per_product']
                 ],
+                where: inventoryWhere,
                 raw: true
             });
 
-            const totalValue = await Product.findAll({
-                include: [{
-                    model: Inventory,
-                    as: 'inventory',
-                    attributes: ['current_stock']
-                }],
-                attributes: ['price'],
-                raw: true
-            });
-
-            let inventoryValue = 0;
-            totalValue.forEach(item => {
-                inventoryValue += parseFloat(item.price) * parseInt(item['inventory.current_stock'] || 0);
-            });
+            // Stock is valued at cost from the cost layers, not at the selling price
+            const inventoryValue = await CostingService.getStockValue(locationId);
 
             return {
                 ...stats[0],
+                location_id: locationId ? parseInt(locationId) : null,
                 total_inventory_value: inventoryValue.toFixed(2),
-                available_stock: parseInt(stats[0].total_stock || 0) - parseInt(stats[0].total_reserved || 0)
+                available_stock: QuantityUtil.round(QuantityUtil.parse(stats[0].total_stock || 0) - QuantityUtil.parse(stats[0].total_reserved || 0))
             };
         } catch (error) {
             throw new Error(`Failed to get inventory stats: ${error.message}`);
         }
     }
 
-    // Get low stock alerts
-    static async getLowStockAlerts() {
+    // Get low stock alerts (by location, or by total stock across all locations)
+    static async getLowStockAlerts(locationId = null) {
         try {
-            const lowStockProducts = await Product.findAll({
+            const products = await Product.findAll({
                 include: [{
                     model: Inventory,
                     as: 'inventory',
-                    where: {
-                        current_stock: {
-                            [Op.lte]: Sequelize.col('Product.minimum_stock')
-                        }
-                    }
+                    attributes: ['location_id', 'current_stock'],
+                    where: locationId ? { location_id: locationId } : undefined,
+                    required: Boolean(locationId)
                 }, {
                     model: Category,
                     as: 'category',
@@ -65,15 +58,21 @@ class DashboardService {
                 }
             });
 
-            return lowStockProducts.map(product => ({
-                id: product.id,
-                name: product.name,
-                sku: product.sku,
-                category: product.category.name,
-                current_stock: product.inventory.current_stock,
-                minimum_stock: product.minimum_stock,
-                shortage: product.minimum_stock - product.inventory.current_stock
-            }));
+            return products
+                .map(product => {
+                    const currentStock = Inventory.sumStock(product.inventory);
+                    return {
+                        id: product.id,
+                        name: product.name,
+                        sku: product.sku,
+                        category: product.category.name,
+                        location_id: locationId ? parseInt(locationId) : null,
+                        current_stock: currentStock,
+                        minimum_stock: product.minimum_stock,
+                        shortage: product.minimum_stock - currentStock
+                    };
+                })
+                .filter(alert => alert.current_stock <= alert.minimum_stock);
         } catch (error) {
             throw new Error(`Failed to get low stock alerts: ${error.message}`);
         }
@@ -113,42 +112,119 @@ class DashboardService {
         }
     }
 
-    // Get category-wise stock distribution
-    static async getCategoryWiseStock() {
+    /**
+     * Get category-wise stock distribution. Each category's totals include
+     * its subcategories, and variants count towards their parent's category,
+     * so a style's stock and value stay together even when a variant was
+     * filed elsewhere; total_styles counts each parent once. With a category
+     * filter only that category and its subcategories are listed. Parents and
+     * children overlap in the totals, so sum own_products/own_stock/own_value
+     * (the category's products alone) when adding rows up.
+     */
+    static async getCategoryWiseStock(locationId = null, categoryId = null) {
         try {
-            const categoryStats = await Category.findAll({
-                include: [{
-                    model: Product,
-                    as: 'products',
+            const [categories, products] = await Promise.all([
+                Category.findAll({ attributes: ['id', 'name', 'parent_id'] }),
+                Product.findAll({
                     include: [{
                         model: Inventory,
                         as: 'inventory',
-                        attributes: ['current_stock']
+                        attributes: ['current_stock'],
+                        where: locationId ? { location_id: locationId } : undefined,
+                        required: false
+                    }, {
+                        model: Product,
+                        as: 'parent',
+                        attributes: ['id', 'category_id']
                     }],
-                    attributes: ['id', 'price']
-                }],
-                attributes: ['id', 'name']
+                    attributes: ['id', 'price', 'category_id', 'parent_product_id']
+                })
+            ]);
+
+            const productsByCategory = new Map();
+            products.forEach(product => {
+                const productCategoryId = product.parent ? product.parent.category_id : product.category_id;
+                if (!productsByCategory.has(productCategoryId)) {
+                    productsByCategory.set(productCategoryId, []);
+                }
+                productsByCategory.get(productCategoryId).push(product);
             });
 
-            return categoryStats.map(category => {
-                const totalProducts = category.products.length;
-                const totalStock = category.products.reduce((sum, product) => {
-                    return sum + (product.inventory?.current_stock || 0);
-                }, 0);
-                const totalValue = category.products.reduce((sum, product) => {
-                    return sum + (parseFloat(product.price) * (product.inventory?.current_stock || 0));
-                }, 0);
+            const listed = categoryId
+                ? categories.filter(category => Category.collectSubtreeIds(categoryId, categories).includes(category.id))
+                : categories;
+
+            const stockOf = (categoryProducts) => QuantityUtil.sum(categoryProducts.map(product => Inventory.sumStock(product.inventory)));
+            const valueOf = (categoryProducts) => categoryProducts.reduce((sum, product) => {
+                return sum + (parseFloat(product.price) * Inventory.sumStock(product.inventory));
+            }, 0);
+
+            return listed.map(category => {
+                const ownProducts = productsByCategory.get(category.id) || [];
+                const categoryProducts = Category.collectSubtreeIds(category.id, categories)
+                    .flatMap(id => productsByCategory.get(id) || []);
+                const styles = new Set(categoryProducts.map(product => product.parent_product_id || product.id));
 
                 return {
                     category_id: category.id,
                     category_name: category.name,
-                    total_products: totalProducts,
+                    parent_id: category.parent_id,
+                    path: Category.buildPath(category.id, categories),
+                    total_products: categoryProducts.length,
+                    total_styles: styles.size,
+                    total_stock: stockOf(categoryProducts),
+                    total_value: valueOf(categoryProducts).toFixed(2),
+                    own_products: ownProducts.length,
+                    own_stock: stockOf(ownProducts),
+                    own_value: valueOf(ownProducts).toFixed(2)
+                };
+            });
+        } catch (error) {
+            throw new Error(`Failed to get category-wise stock: ${error.message}`);
+        }
+    }
+
+    // Get location-wise stock distribution
+    static async getLocationWiseStock() {
+        try {
+            const locations = await Location.findAll({
+                where: { is_active: true },
+                include: [{
+                    model: Inventory,
+                    as: 'inventory',
+                    attributes: ['current_stock', 'reserved_stock'],
+                    include: [{
+                        model: Product,
+                        as: 'product',
+                        attributes: ['id', 'price', 'minimum_stock']
+                    }]
+                }],
+                attributes: ['id', 'code', 'name', 'type'],
+                order: [['name', 'ASC']]
+            });
+
+            return locations.map(location => {
+                const totalStock = Inventory.sumStock(location.inventory);
+                const totalReserved = Inventory.sumStock(location.inventory, 'reserved_stock');
+                const totalValue = location.inventory.reduce((sum, record) => {
+                    return sum + (parseFloat(record.product.price) * record.current_stock);
+                }, 0);
+
+                return {
+                    location_id: location.id,
+                    location_code: location.code,
+                    location_name: location.name,
+                    location_type: location.type,
+                    total_products: location.inventory.length,
                     total_stock: totalStock,
+                    total_reserved: totalReserved,
+                    available_stock: QuantityUtil.round(totalStock - totalReserved),
+                    low_stock_items: location.inventory.filter(record => record.current_stock <= record.product.minimum_stock).length,
                     total_value: totalValue.toFixed(2)
                 };
             });
         } catch (error) {
-            throw new Error(`Failed to get category-wise stock: ${error.message}`);
+            throw new Error(`Failed to get location-wise stock: ${error.message}`);
         }
     }
 
@@ -182,9 +258,9 @@ class DashboardService {
             movements.forEach(movement => {
                 const date = movement.date;
                 if (!groupedMovements[date]) {
-                    groupedMovements[date] = { date, IN: 0, OUT: 0, ADJUSTMENT: 0 };
+                    groupedMovements[date] = { date, IN: 0, OUT: 0, ADJUSTMENT: 0, TRANSFER_IN: 0, TRANSFER_OUT: 0 };
                 }
-                groupedMovements[date][movement.transaction_type] = parseInt(movement.total_quantity);
+                groupedMovements[date][movement.transaction_type] = QuantityUtil.parse(movement.total_quantity);
             });
 
             return Object.values(groupedMovements);
@@ -212,7 +288,9 @@ class DashboardService {
                     [Sequelize.fn('SUM', Sequelize.col('quantity')), 'total_sold']
                 ],
                 where: {
-                    transaction_type: 'OUT'
+                    transaction_type: 'OUT',
+                    reversed_at: null,
+                    kit_operation: null
                 },
                 group: ['product_id', 'product.id', 'product.name', 'product.sku', 'product.category.id', 'product.category.name'],
                 order: [[Sequelize.fn('SUM', Sequelize.col('quantity')), 'DESC']],
@@ -224,30 +302,90 @@ class DashboardService {
                 product_name: item.product.name,
                 product_sku: item.product.sku,
                 category: item.product.category.name,
-                total_sold: parseInt(item.dataValues.total_sold)
+                total_sold: QuantityUtil.parse(item.dataValues.total_sold)
             }));
         } catch (error) {
             throw new Error(`Failed to get top selling products: ${error.message}`);
         }
     }
 
+    // Get top selling styles: OUT transactions of variants are credited to their parent product
+    static async getTopSellingStyles(limit = 5) {
+        try {
+            const styleId = Sequelize.fn('COALESCE', Sequelize.col('product.parent_product_id'), Sequelize.col('Transaction.product_id'));
+
+            const totals = await Transaction.findAll({
+                include: [{
+                    model: Product,
+                    as: 'product',
+                    attributes: []
+                }],
+                attributes: [
+                    [styleId, 'style_id'],
+                    [Sequelize.fn('SUM', Sequelize.col('quantity')), 'total_sold'],
+                    [Sequelize.fn('COUNT', Sequelize.fn('DISTINCT', Sequelize.col('Transaction.product_id'))), 'products_sold']
+                ],
+                where: {
+                    transaction_type: 'OUT',
+                    reversed_at: null,
+                    kit_operation: null
+                },
+                group: [styleId],
+                order: [[Sequelize.fn('SUM', Sequelize.col('quantity')), 'DESC']],
+                limit: limit,
+                raw: true
+            });
+
+            const styles = await Product.findAll({
+                where: { id: { [Op.in]: totals.map(row => row.style_id) } },
+                include: [{
+                    model: Category,
+                    as: 'category',
+                    attributes: ['name']
+                }],
+                attributes: ['id', 'name', 'sku']
+            });
+
+            return totals.map(row => {
+                const style = styles.find(product => product.id === parseInt(row.style_id));
+
+                return {
+                    product_id: style.id,
+                    product_name: style.name,
+                    product_sku: style.sku,
+                    category: style.category.name,
+                    products_sold: parseInt(row.products_sold),
+                    total_sold: QuantityUtil.parse(row.total_sold)
+                };
+            });
+        } catch (error) {
+            throw new Error(`Failed to get top selling styles: ${error.message}`);
+        }
+    }
+
     // Get complete dashboard data
-    static async getDashboardData() {
+    static async getDashboardData(filters = {}) {
         try {
+            const { location_id, category_id } = filters;
+
             const [
                 inventoryStats,
                 lowStockAlerts,
                 recentTransactions,
                 categoryWiseStock,
+                locationWiseStock,
                 stockMovementTrends,
-                topSellingProducts
+                topSellingProducts,
+                topSellingStyles
             ] = await Promise.all([
-                this.getInventoryStats(),
-                this.getLowStockAlerts(),
+                this.getInventoryStats(location_id),
+                this.getLowStockAlerts(location_id),
                 this.getRecentTransactions(10),
-                this.getCategoryWiseStock(),
+                this.getCategoryWiseStock(location_id, category_id),
+                this.getLocationWiseStock(),
                 this.getStockMovementTrends(),
-                this.getTopSellingProducts(5)
+                this.getTopSellingProducts(5),
+                this.getTopSellingStyles(5)
             ]);
 
             return {
@@ -255,8 +393,10 @@ class DashboardService {
                 low_stock_alerts: lowStockAlerts,
                 recent_transactions: recentTransactions,
                 category_wise_stock: categoryWiseStock,
+                location_wise_stock: locationWiseStock,
                 stock_movement_trends: stockMovementTrends,
                 top_selling_products: topSellingProducts,
+                top_selling_styles: topSellingStyles,
                 generated_at: new Date().toISOString()
             };
         } catch (error) {
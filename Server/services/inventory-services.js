@@ -1,15 +1,23 @@
-import { Inventory, Product, Category, Transaction } from '../models/index.js';
+import { Inventory, Product, Category, Transaction, Location } from '../models/index.js';
 import { Op, Sequelize } from 'sequelize';
 import sequelize from '../config/sequelize.js';
-import { TRANSACTION_TYPES, PAGINATION } from '../constant/index.js';
+import { TRANSACTION_TYPES, TRANSACTION_STATUS, LOCATION_TYPES, PAGINATION } from '../constant/index.js';
 import {
     DatabaseUtil,
     ValidationUtil,
+    QuantityUtil,
     NotFoundError,
     ValidationError,
     BusinessLogicError
 } from '../utils/index.js';
 import SocketService from './socket-services.js';
+import LocationService from './location-services.js';
+import LotService from './lot-services.js';
+import SerialService from './serial-services.js';
+import CostingService from './costing-services.js';
+import ApprovalService from './approval-services.js';
+import AdjustmentReasonService from './adjustment-reason-services.js';
+import UnitService from './unit-services.js';
 
 class InventoryService {
 
@@ -27,7 +35,7 @@ class InventoryService {
             // Build query options
             const queryOptions = DatabaseUtil.buildQueryOptions(filters, {
                 searchFields: [], // Search will be handled in product include
-                sortableFields: ['current_stock', 'last_updated', 'location'],
+                sortableFields: ['current_stock', 'last_updated', 'location_id'],
                 defaultSort: 'last_updated',
                 includes: [{
                     association: 'product',
@@ -35,16 +43,17 @@ class InventoryService {
                         association: 'category',
                         attributes: ['id', 'name']
                     }]
+                }, {
+                    association: 'location',
+                    attributes: ['id', 'code', 'name', 'type']
                 }]
             });
 
             // Add custom filters
             const whereConditions = [];
 
-            if (filters.location) {
-                whereConditions.push({
-                    location: { [Op.iLike]: `%${filters.location}%` }
-                });
+            if (filters.location_id) {
+                whereConditions.push({ location_id: filters.location_id });
             }
 
             if (filters.low_stock) {
@@ -70,13 +79,13 @@ class InventoryService {
                 }
             }
 
-            // Handle category filter
+            // Handle category filter (the category and all of its subcategories)
             if (filters.category_id) {
                 const productInclude = queryOptions.include.find(inc => inc.association === 'product');
                 if (productInclude) {
                     productInclude.where = {
                         ...productInclude.where,
-                        category_id: filters.category_id
+                        category_id: { [Op.in]: await Category.findSubtreeIds(filters.category_id) }
                     };
                 }
             }
@@ -101,11 +110,16 @@ class InventoryService {
         }
     }
 
-    // Get inventory by product ID
-    static async getInventoryByProductId(productId) {
+    // Get inventory by product ID, for one location or summed across all locations; quantities are reported in `unit` when given
+    static async getInventoryByProductId(productId, locationId = null, unit = null) {
         try {
-            const inventory = await Inventory.findOne({
-                where: { product_id: productId },
+            const whereClause = { product_id: productId };
+            if (locationId) {
+                whereClause.location_id = locationId;
+            }
+
+            const inventory = await Inventory.findAll({
+                where: whereClause,
                 include: [{
                     model: Product,
                     as: 'product',
@@ -113,16 +127,58 @@ class InventoryService {
                         model: Category,
                         as: 'category'
                     }]
-                }]
+                }, {
+                    model: Location,
+                    as: 'location',
+                    attributes: ['id', 'code', 'name', 'type']
+                }],
+                order: [['location_id', 'ASC']]
             });
 
-            if (!inventory) {
+            if (inventory.length === 0) {
                 throw new NotFoundError('Inventory record not found');
             }
 
-            return inventory;
+            const product = inventory[0].product;
+            const factor = unit ? await UnitService.getConversionFactor(product, unit) : 1;
+            const inUnit = quantity => UnitService.fromBaseQuantity(quantity, factor);
+            const reportedUnit = unit ? UnitService.normalizeUnit(unit) : product.unit;
+
+            if (locationId) {
+                if (!unit) {
+                    return inventory[0];
+                }
+
+                return {
+                    ...inventory[0].toJSON(),
+                    current_stock: inUnit(inventory[0].current_stock),
+                    reserved_stock: inUnit(inventory[0].reserved_stock),
+                    available_stock: inUnit(inventory[0].available_stock),
+                    unit: reportedUnit
+                };
+            }
+
+            const currentStock = Inventory.sumStock(inventory);
+            const reservedStock = Inventory.sumStock(inventory, 'reserved_stock');
+
+            return {
+                product_id: parseInt(productId),
+                product,
+                unit: reportedUnit,
+                current_stock: inUnit(currentStock),
+                reserved_stock: inUnit(reservedStock),
+                available_stock: inUnit(QuantityUtil.round(currentStock - reservedStock)),
+                locations: inventory.map(record => ({
+                    id: record.id,
+                    location: record.location,
+                    current_stock: inUnit(record.current_stock),
+                    reserved_stock: inUnit(record.reserved_stock),
+                    available_stock: inUnit(record.available_stock),
+                    last_updated: record.last_updated
+                }))
+            };
         } catch (error) {
-            if (error instanceof NotFoundError) {
+            if (error instanceof NotFoundError || error instanceof ValidationError) {
                 throw error;
             }
             throw new Error(`Failed to get inventory: ${error.message}`);
@@ -132,230 +188,528 @@ class InventoryService {
     // Update stock (with transaction logging)
     static async updateStock(productId, updateData) {
         const dbTransaction = await sequelize.transaction();
+        let movement;
 
         try {
-            const {
-                quantity,
-                transaction_type, // 'IN', 'OUT', 'ADJUSTMENT'
-                reference_number,
-                notes,
-                location
-            } = updateData;
-
-            // Validate required fields
-            const requiredValidation = ValidationUtil.validateRequired(updateData, [
-                'quantity', 'transaction_type'
-            ]);
-            if (!requiredValidation.isValid) {
-                throw new ValidationError('Missing required fields', requiredValidation.errors);
+            movement = await this.applyStockMovement(productId, updateData, dbTransaction);
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
             }
+            throw new Error(`Failed to update stock: ${error.message}`);
+        }
 
-            // Validate transaction type
-            const typeValidation = ValidationUtil.validateTransactionType(transaction_type);
-            if (!typeValidation.isValid) {
-                throw new ValidationError('Invalid transaction type', typeValidation.errors);
-            }
+        // Return updated inventory
+        return await this.publishStockMovement(movement);
+    }
 
-            // Validate quantity
-            const quantityValidation = ValidationUtil.validateNumeric(quantity, 'quantity', {
-                required: true,
-                min: 1,
-                integer: true
-            });
-            if (!quantityValidation.isValid) {
-                throw new ValidationError('Invalid quantity', quantityValidation.errors);
-            }
+    /**
+     * Post a manual stock movement, or hold it for approval when it exceeds the
+     * requesting user's thresholds. Returns the updated inventory record, or
+     * { pending: true, transaction, reasons } when the movement was held.
+     */
+    static async submitStockMovement(productId, movementData) {
+        const approval = await ApprovalService.evaluateMovement(productId, movementData);
+
+        if (approval.required) {
+            const transaction = await ApprovalService.createPendingTransaction(productId, movementData, approval);
+            return { pending: true, transaction, reasons: approval.reasons };
+        }
 
-            // Get current inventory
-            const inventory = await Inventory.findOne({
-                where: { product_id: productId },
-                include: [{
-                    model: Product,
-                    as: 'product'
-                }],
-                transaction: dbTransaction
-            });
+        return await this.updateStock(productId, movementData);
+    }
 
-            if (!inventory) {
-                throw new NotFoundError('Inventory record not found');
-            }
+    // Stock IN against an inventory record; lotData carries lot_number/manufacture_date/expiry_date or lots[]
+    static async addStock(inventoryId, quantity, notes, lotData = {}, serials, userId = null, unit = null) {
+        const inventory = await this.findInventoryRecord(inventoryId);
+
+        return await this.updateStock(inventory.product_id, {
+            ...lotData,
+            serials,
+            quantity,
+            unit,
+            notes,
+            transaction_type: TRANSACTION_TYPES.IN,
+            location_id: inventory.location_id,
+            created_by: userId
+        });
+    }
 
-            // Calculate new stock based on transaction type
-            let newStock = inventory.current_stock;
-            let transactionQuantity = ValidationUtil.sanitizeNumber(quantity, true);
-
-            switch (transaction_type) {
-                case TRANSACTION_TYPES.IN:
-                    newStock += transactionQuantity;
-                    break;
-                case TRANSACTION_TYPES.OUT:
-                    if (transactionQuantity > inventory.current_stock) {
-                        throw new BusinessLogicError('Insufficient stock for this transaction');
-                    }
-                    newStock -= transactionQuantity;
-                    transactionQuantity = -transactionQuantity; // Store as negative for OUT transactions
-                    break;
-                case TRANSACTION_TYPES.ADJUSTMENT:
-                    newStock = transactionQuantity;
-                    transactionQuantity = transactionQuantity - inventory.current_stock;
-                    break;
-            }
+    // Stock OUT against an inventory record; lot-tracked products are picked FEFO. Large write-offs wait for approval
+    static async removeStock(inventoryId, quantity, notes, serials, userId = null, unit = null) {
+        const inventory = await this.findInventoryRecord(inventoryId);
+
+        return await this.submitStockMovement(inventory.product_id, {
+            serials,
+            quantity,
+            unit,
+            notes,
+            transaction_type: TRANSACTION_TYPES.OUT,
+            location_id: inventory.location_id,
+            created_by: userId
+        });
+    }
+
+    // Set an inventory record to an absolute stock level for a reason code; large adjustments wait for approval
+    static async adjustStock(inventoryId, newQuantity, reasonCode, notes, serials, userId = null, unit = null) {
+        const inventory = await this.findInventoryRecord(inventoryId);
+
+        return await this.submitStockMovement(inventory.product_id, {
+            serials,
+            quantity: newQuantity,
+            unit,
+            reason_code: reasonCode,
+            notes,
+            transaction_type: TRANSACTION_TYPES.ADJUSTMENT,
+            location_id: inventory.location_id,
+            created_by: userId
+        });
+    }
+
+    static async findInventoryRecord(inventoryId) {
+        const inventory = await Inventory.findByPk(inventoryId);
+        if (!inventory) {
+            throw new NotFoundError('Inventory record not found');
+        }
+        return inventory;
+    }
+
+    /**
+     * Apply a single stock movement inside an open database transaction.
+     * Locks the inventory record for the product at the location, updates it and
+     * writes the ledger row. The caller commits and then calls publishStockMovement().
+     * With pending_transaction the held row is posted instead of a new one being
+     * written; an adjustment then sets the requested level as of approval time.
+     * Adjustments need the reason_code of an active adjustment reason; with
+     * adjust_by (a signed change) instead of quantity the target level is worked
+     * out from the locked stock. quantity and unit_cost may be given per one of the product's units; lot
+     * quantities are always in the base unit.
+     */
+    static async applyStockMovement(productId, movementData, dbTransaction) {
+        const {
+            quantity,
+            transaction_type, // 'IN', 'OUT', 'ADJUSTMENT', 'TRANSFER_IN', 'TRANSFER_OUT'
+            reference_number,
+            notes,
+            location_id,
+            transfer_id = null,
+            purchase_order_line_id = null,
+            sales_order_line_id = null,
+            return_line_id = null,
+            reversal_of_id = null,
+            kit_operation = null,
+            reason_code,
+            adjust_by = null,
+            lot_number,
+            manufacture_date,
+            expiry_date,
+            lots,
+            serials,
+            unit_cost,
+            unit,
+            created_by = null,
+            pending_transaction = null,
+            reviewed_by = null,
+            review_notes = null
+        } = movementData;
+
+        // Validate required fields
+        const requiredValidation = ValidationUtil.validateRequired(movementData, ['transaction_type']);
+        if (!requiredValidation.isValid) {
+            throw new ValidationError('Missing required fields', requiredValidation.errors);
+        }
+
+        // Validate transaction type
+        const typeValidation = ValidationUtil.validateTransactionType(transaction_type);
+        if (!typeValidation.isValid) {
+            throw new ValidationError('Invalid transaction type', typeValidation.errors);
+        }
+
+        // Validate quantity; an adjustment sets an absolute level, which may be zero, or moves it by adjust_by
+        const isRelativeAdjustment = transaction_type === TRANSACTION_TYPES.ADJUSTMENT && adjust_by !== null && adjust_by !== undefined;
+        const quantityValidation = isRelativeAdjustment
+            ? ValidationUtil.validateNumeric(adjust_by, 'adjust_by', { required: true })
+            : ValidationUtil.validateNumeric(quantity, 'quantity', { required: true, min: 0 });
+        if (!quantityValidation.isValid) {
+            throw new ValidationError('Invalid quantity', quantityValidation.errors);
+        }
 
-            if (newStock < 0) {
-                throw new BusinessLogicError('Stock cannot be negative');
+        // Every adjustment records why stock changed
+        const adjustmentReason = transaction_type === TRANSACTION_TYPES.ADJUSTMENT
+            ? await AdjustmentReasonService.resolveReason(reason_code, { transaction: dbTransaction })
+            : null;
+
+        // Resolve the branch the movement happens at (default location if none given)
+        const location = await LocationService.resolveLocation(location_id, { transaction: dbTransaction });
+
+        const product = await Product.findByPk(productId, { transaction: dbTransaction });
+        if (!product) {
+            throw new NotFoundError('Product not found');
+        }
+
+        // Quantities and costs may be given in any unit configured for the product; the ledger holds base units
+        const factor = await UnitService.getConversionFactor(product, unit, { transaction: dbTransaction });
+        const baseQuantity = UnitService.applyFactor(product, isRelativeAdjustment ? adjust_by : quantity, factor, {
+            fieldName: isRelativeAdjustment ? 'adjust_by' : 'quantity',
+            positive: transaction_type !== TRANSACTION_TYPES.ADJUSTMENT
+        });
+        const baseUnitCost = UnitService.toBaseCost(unit_cost, factor);
+
+        const isOutbound = [TRANSACTION_TYPES.OUT, TRANSACTION_TYPES.TRANSFER_OUT].includes(transaction_type);
+
+        // Get current inventory at this location; stock arriving at a new location opens a record
+        let inventory = await Inventory.findOne({
+            where: { product_id: productId, location_id: location.id },
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE
+        });
+
+        if (!inventory) {
+            if (isOutbound) {
+                throw new NotFoundError(`No inventory record for this product at location ${location.code}`);
             }
 
-            // Update inventory
-            await inventory.update({
-                current_stock: newStock,
-                location: ValidationUtil.sanitizeString(location) || inventory.location,
+            inventory = await Inventory.create({
+                product_id: productId,
+                location_id: location.id,
+                current_stock: 0,
+                reserved_stock: 0,
                 last_updated: new Date()
             }, { transaction: dbTransaction });
+        }
 
-            // Create transaction record
-            await Transaction.create({
-                product_id: productId,
-                transaction_type,
-                quantity: Math.abs(transactionQuantity),
-                reference_number: ValidationUtil.sanitizeString(reference_number),
-                notes: ValidationUtil.sanitizeString(notes),
-                transaction_date: new Date()
-            }, { transaction: dbTransaction });
+        // Calculate new stock based on transaction type
+        const previousStock = inventory.current_stock;
+        let newStock = previousStock;
+        let transactionQuantity = baseQuantity;
+
+        switch (transaction_type) {
+            case TRANSACTION_TYPES.IN:
+            case TRANSACTION_TYPES.TRANSFER_IN:
+                newStock = QuantityUtil.round(newStock + transactionQuantity);
+                break;
+            case TRANSACTION_TYPES.OUT:
+            case TRANSACTION_TYPES.TRANSFER_OUT:
+                if (transactionQuantity > previousStock) {
+                    throw new BusinessLogicError('Insufficient stock for this transaction');
+                }
+                newStock = QuantityUtil.round(newStock - transactionQuantity);
+                transactionQuantity = -transactionQuantity; // Store as negative for outbound transactions
+                break;
+            case TRANSACTION_TYPES.ADJUSTMENT:
+                newStock = isRelativeAdjustment ? QuantityUtil.round(previousStock + transactionQuantity) : transactionQuantity;
+                transactionQuantity = QuantityUtil.round(transactionQuantity - previousStock);
+                break;
+        }
 
-            await dbTransaction.commit();
+        if (newStock < 0) {
+            throw new BusinessLogicError('Stock cannot be negative');
+        }
 
-            // Get updated inventory data
-            const updatedInventory = await this.getInventoryByProductId(productId);
+        if (newStock < inventory.reserved_stock) {
+            throw new BusinessLogicError('Stock cannot drop below the reserved quantity');
+        }
 
-            // Emit socket events for real-time updates
-            SocketService.emitInventoryUpdate(productId, {
-                current_stock: newStock,
-                previous_stock: inventory.current_stock,
-                transaction_type,
-                quantity: Math.abs(transactionQuantity),
-                location: updatedInventory.location,
-                product: updatedInventory.product
-            });
+        if (transactionQuantity === 0) {
+            throw new BusinessLogicError('Stock level is already at the requested quantity');
+        }
 
-            // Check for low stock alert
-            if (newStock <= updatedInventory.product.minimum_stock && newStock > 0) {
-                SocketService.emitLowStockAlert(productId, {
-                    current_stock: newStock,
-                    minimum_stock: updatedInventory.product.minimum_stock,
-                    product: updatedInventory.product
-                });
-            }
+        if (adjustmentReason) {
+            AdjustmentReasonService.assertDirection(adjustmentReason, transactionQuantity);
+        }
 
-            // Check for out of stock alert
-            if (newStock === 0) {
-                SocketService.emitOutOfStockAlert(productId, {
-                    product: updatedInventory.product
-                });
-            }
+        // Cost the movement first so the ledger row is written once, complete
+        const costs = await CostingService.applyCostMovement({
+            product,
+            location,
+            transaction_type,
+            transfer_id,
+            delta: transactionQuantity,
+            unit_cost: baseUnitCost
+        }, dbTransaction);
+
+        // Update inventory
+        await inventory.update({
+            current_stock: newStock,
+            last_updated: new Date()
+        }, { transaction: dbTransaction });
+
+        // Append the ledger row (or post the approved pending row); it is never updated afterwards
+        const ledgerEntry = {
+            product_id: productId,
+            location_id: location.id,
+            transfer_id,
+            purchase_order_line_id,
+            sales_order_line_id,
+            return_line_id,
+            reversal_of_id,
+            kit_operation,
+            adjustment_reason_id: adjustmentReason ? adjustmentReason.id : null,
+            transaction_type,
+            quantity: Math.abs(transactionQuantity),
+            quantity_change: transactionQuantity,
+            balance_before: previousStock,
+            balance_after: newStock,
+            unit_cost: costs.unit_cost,
+            total_cost: costs.total_cost,
+            reference_number: ValidationUtil.sanitizeString(reference_number),
+            notes: ValidationUtil.sanitizeString(notes),
+            created_by,
+            transaction_date: new Date()
+        };
+
+        const transaction = pending_transaction
+            ? await pending_transaction.update({
+                ...ledgerEntry,
+                status: TRANSACTION_STATUS.POSTED,
+                reviewed_by,
+                reviewed_at: new Date(),
+                review_notes: ValidationUtil.sanitizeString(review_notes)
+            }, { transaction: dbTransaction })
+            : await Transaction.create(ledgerEntry, { transaction: dbTransaction });
+
+        // Stock in opens a cost layer against the new ledger row
+        if (transactionQuantity > 0) {
+            await CostingService.openLayer({
+                product,
+                location,
+                transaction,
+                quantity: transactionQuantity,
+                unitCost: costs.unit_cost
+            }, dbTransaction);
+        }
 
-            // Emit dashboard update for overall statistics
-            SocketService.emitDashboardUpdate();
+        // Lot-tracked products book receipts to lots and pick issues FEFO
+        let lotAllocations = [];
+        if (product.is_lot_tracked) {
+            lotAllocations = await LotService.applyLotMovement({
+                product,
+                location,
+                transaction,
+                delta: transactionQuantity,
+                lots: lots || (lot_number || expiry_date || manufacture_date
+                    ? [{ lot_number, manufacture_date, expiry_date }]
+                    : null)
+            }, dbTransaction);
+        }
 
-            // Return updated inventory
-            return updatedInventory;
-        } catch (error) {
-            await dbTransaction.rollback();
-            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
-                throw error;
-            }
-            throw new Error(`Failed to update stock: ${error.message}`);
+        // Serialized products must name every unit that moved
+        let serialNumbers = [];
+        if (product.is_serialized) {
+            serialNumbers = await SerialService.applySerialMovement({
+                product,
+                location,
+                transaction,
+                transaction_type,
+                delta: transactionQuantity,
+                serials
+            }, dbTransaction);
         }
+
+        return {
+            product,
+            location,
+            inventory,
+            transaction,
+            transaction_type,
+            quantity: Math.abs(transactionQuantity),
+            previous_stock: previousStock,
+            new_stock: newStock,
+            lots: lotAllocations,
+            serials: serialNumbers
+        };
     }
 
-    // Reserve stock
-    static async reserveStock(productId, quantity) {
-        try {
-            const inventory = await Inventory.findOne({
-                where: { product_id: productId }
+    // Emit socket events for a committed stock movement and return the updated inventory record
+    static async publishStockMovement(movement) {
+        const { product, location, transaction_type, quantity, previous_stock, new_stock } = movement;
+
+        // Get updated inventory data
+        const updatedInventory = await this.getInventoryByProductId(product.id, location.id);
+
+        // Emit socket events for real-time updates
+        SocketService.emitStockUpdate({
+            product_id: product.id,
+            location_id: location.id,
+            current_stock: new_stock,
+            previous_stock,
+            transaction_type,
+            quantity,
+            location: updatedInventory.location,
+            product: updatedInventory.product
+        });
+
+        // Check for low stock alert
+        if (new_stock <= product.minimum_stock && new_stock > 0) {
+            SocketService.emitLowStockAlert({
+                product_id: product.id,
+                location_id: location.id,
+                current_stock: new_stock,
+                minimum_stock: product.minimum_stock,
+                product: updatedInventory.product
             });
+        }
 
-            if (!inventory) {
-                throw new Error('Inventory record not found');
-            }
+        // Check for out of stock alert
+        if (new_stock === 0) {
+            SocketService.emitOutOfStockAlert({
+                product_id: product.id,
+                location_id: location.id,
+                product: updatedInventory.product
+            });
+        }
 
-            const availableStock = inventory.current_stock - inventory.reserved_stock;
+        // Check for received lots that are close to expiry
+        if (new_stock > previous_stock) {
+            LotService.publishLotAlerts(movement);
+        }
 
-            if (quantity > availableStock) {
-                throw new Error('Insufficient available stock for reservation');
-            }
+        // Emit dashboard update for overall statistics
+        SocketService.emitDashboardUpdate({ location_id: location.id });
 
-            await inventory.update({
-                reserved_stock: inventory.reserved_stock + parseInt(quantity),
-                last_updated: new Date()
-            });
+        return updatedInventory;
+    }
 
-            return await this.getInventoryByProductId(productId);
-        } catch (error) {
-            throw new Error(`Failed to reserve stock: ${error.message}`);
+    /**
+     * Increase reserved_stock inside an open database transaction; fails if not enough is available.
+     * Holds are tracked by ReservationService, which is the only caller outside this class.
+     */
+    static async applyReservation(productId, quantity, locationId, dbTransaction) {
+        const location = await LocationService.resolveLocation(locationId, { transaction: dbTransaction });
+        if (location.type === LOCATION_TYPES.QUARANTINE) {
+            throw new BusinessLogicError(`Stock at quarantine location ${location.code} cannot be reserved`);
         }
+
+        const inventory = await this.findLockedInventory(productId, location.id, dbTransaction);
+        const availableStock = QuantityUtil.round(inventory.current_stock - inventory.reserved_stock);
+
+        if (quantity > availableStock) {
+            throw new BusinessLogicError(`Insufficient available stock for reservation (available: ${availableStock})`);
+        }
+
+        await inventory.update({
+            reserved_stock: QuantityUtil.round(inventory.reserved_stock + Number(quantity)),
+            last_updated: new Date()
+        }, { transaction: dbTransaction });
+
+        return inventory;
     }
 
-    // Release reserved stock
-    static async releaseStock(productId, quantity) {
-        try {
-            const inventory = await Inventory.findOne({
-                where: { product_id: productId }
-            });
+    // Decrease reserved_stock inside an open database transaction
+    static async applyRelease(productId, quantity, locationId, dbTransaction) {
+        const inventory = await this.findLockedInventory(productId, locationId, dbTransaction);
 
-            if (!inventory) {
-                throw new Error('Inventory record not found');
-            }
+        if (quantity > inventory.reserved_stock) {
+            throw new BusinessLogicError('Cannot release more stock than is reserved');
+        }
 
-            if (quantity > inventory.reserved_stock) {
-                throw new Error('Cannot release more stock than is reserved');
-            }
+        await inventory.update({
+            reserved_stock: QuantityUtil.round(inventory.reserved_stock - Number(quantity)),
+            last_updated: new Date()
+        }, { transaction: dbTransaction });
 
-            await inventory.update({
-                reserved_stock: inventory.reserved_stock - parseInt(quantity),
-                last_updated: new Date()
-            });
+        return inventory;
+    }
 
-            return await this.getInventoryByProductId(productId);
-        } catch (error) {
-            throw new Error(`Failed to release stock: ${error.message}`);
+    static async findLockedInventory(productId, locationId, dbTransaction) {
+        const location = await LocationService.resolveLocation(locationId, { transaction: dbTransaction });
+
+        const inventory = await Inventory.findOne({
+            where: { product_id: productId, location_id: location.id },
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE
+        });
+
+        if (!inventory) {
+            throw new NotFoundError(`No inventory record for this product at location ${location.code}`);
         }
+
+        return inventory;
     }
 
-    // Get low stock items
-    static async getLowStockItems() {
+    // Stock on hand valued at cost with the configured costing method
+    static async getInventoryValuation(filters = {}) {
+        return await CostingService.getValuation(filters);
+    }
+
+    // Get low stock items: per record for one location, or by total stock across all locations
+    static async getLowStockItems(locationId = null) {
         try {
-            const lowStockItems = await Inventory.findAll({
-                where: {
-                    current_stock: {
-                        [Op.lte]: Sequelize.col('product.minimum_stock')
-                    }
-                },
+            if (locationId) {
+                const lowStockItems = await Inventory.findAll({
+                    where: {
+                        location_id: locationId,
+                        current_stock: {
+                            [Op.lte]: Sequelize.col('product.minimum_stock')
+                        }
+                    },
+                    include: [{
+                        model: Product,
+                        as: 'product',
+                        where: { is_active: true },
+                        include: [{
+                            model: Category,
+                            as: 'category'
+                        }]
+                    }, {
+                        model: Location,
+                        as: 'location',
+                        attributes: ['id', 'code', 'name', 'type']
+                    }],
+                    order: [['current_stock', 'ASC']]
+                });
+
+                return lowStockItems.map(item => ({
+                    ...item.toJSON(),
+                    shortage: QuantityUtil.round(item.product.minimum_stock - item.current_stock)
+                }));
+            }
+
+            const products = await Product.findAll({
+                where: { is_active: true },
                 include: [{
-                    model: Product,
-                    as: 'product',
-                    where: { is_active: true },
+                    model: Inventory,
+                    as: 'inventory',
                     include: [{
-                        model: Category,
-                        as: 'category'
+                        model: Location,
+                        as: 'location',
+                        attributes: ['id', 'code', 'name', 'type']
                     }]
-                }],
-                order: [['current_stock', 'ASC']]
+                }, {
+                    model: Category,
+                    as: 'category'
+                }]
             });
 
-            return lowStockItems.map(item => ({
-                ...item.toJSON(),
-                shortage: item.product.minimum_stock - item.current_stock
-            }));
+            return products
+                .map(product => {
+                    const currentStock = Inventory.sumStock(product.inventory);
+                    return {
+                        product: product.toJSON(),
+                        current_stock: currentStock,
+                        reserved_stock: Inventory.sumStock(product.inventory, 'reserved_stock'),
+                        shortage: QuantityUtil.round(product.minimum_stock - currentStock)
+                    };
+                })
+                .filter(item => item.current_stock <= item.product.minimum_stock)
+                .sort((a, b) => a.current_stock - b.current_stock);
         } catch (error) {
             throw new Error(`Failed to get low stock items: ${error.message}`);
         }
     }
 
     // Get out of stock items
-    static async getOutOfStockItems() {
+    static async getOutOfStockItems(locationId = null) {
         try {
+            const whereClause = { current_stock: 0 };
+            if (locationId) {
+                whereClause.location_id = locationId;
+            }
+
             const outOfStockItems = await Inventory.findAll({
-                where: { current_stock: 0 },
+                where: whereClause,
                 include: [{
                     model: Product,
                     as: 'product',
@@ -364,6 +718,10 @@ class InventoryService {
                         model: Category,
                         as: 'category'
                     }]
+                }, {
+                    model: Location,
+                    as: 'location',
+                    attributes: ['id', 'code', 'name', 'type']
                 }],
                 order: [['last_updated', 'DESC']]
             });
@@ -373,46 +731,6 @@ class InventoryService {
             throw new Error(`Failed to get out of stock items: ${error.message}`);
         }
     }
-
-    // Update inventory location
-    static async updateLocation(productId, location) {
-        try {
-            const inventory = await Inventory.findOne({
-                where: { product_id: productId }
-            });
-
-            if (!inventory) {
-                throw new Error('Inventory record not found');
-            }
-
-            const previousLocation = inventory.location;
-
-            await inventory.update({
-                location: location.trim(),
-                last_updated: new Date()
-            });
-
-            const updatedInventory = await this.getInventoryByProductId(productId);
-
-            // Emit socket event for location update
-            SocketService.emitInventoryLocationUpdate(productId, {
-                previous_location: previousLocation,
-                new_location: location.trim(),
-                product: updatedInventory.product
-            });
-
-            // Emit general inventory update
-            SocketService.emitInventoryUpdate(productId, {
-                current_stock: updatedInventory.current_stock,
-                location: updatedInventory.location,
-                product: updatedInventory.product
-            });
-
-            return updatedInventory;
-        } catch (error) {
-            throw new Error(`Failed to update location: ${error.message}`);
-        }
-    }
 }
 
 export default InventoryService;
\ No newline at end of file
@@ -0,0 +1,473 @@
+import { Product, ProductComponent, Inventory, Location, SerialNumber } from '../models/index.js';
+import { Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import { TRANSACTION_TYPES, LOCATION_TYPES, SERIAL_STATUS, KIT_OPERATIONS } from '../constant/index.js';
+import {
+    DatabaseUtil,
+    ValidationUtil,
+    QuantityUtil,
+    DateUtil,
+    StringUtil,
+    NotFoundError,
+    ValidationError,
+    BusinessLogicError
+} from '../utils/index.js';
+import InventoryService from './inventory-services.js';
+import LocationService from './location-services.js';
+
+const COMPONENT_INCLUDE = {
+    model: ProductComponent,
+    as: 'components',
+    include: [{
+        model: Product,
+        as: 'component',
+        attributes: ['id', 'name', 'sku', 'unit', 'cost_price', 'is_active', 'is_lot_tracked', 'is_serialized']
+    }]
+};
+
+class KitService {
+
+    // Get all kits (products with a bill of materials)
+    static async getAllKits(filters = {}) {
+        try {
+            const paginationValidation = ValidationUtil.validatePagination(filters);
+            if (!paginationValidation.isValid) {
+                throw new ValidationError('Invalid pagination parameters', paginationValidation.errors);
+            }
+
+            const { page, limit } = paginationValidation.sanitized;
+            const pagination = DatabaseUtil.buildPagination(page, limit);
+
+            const whereConditions = [];
+
+            if (filters.is_active !== undefined) {
+                whereConditions.push(DatabaseUtil.buildBooleanFilter(filters.is_active, 'is_active'));
+            }
+
+            if (filters.search) {
+                whereConditions.push(DatabaseUtil.combineFilters([
+                    { name: { [Op.iLike]: `%${filters.search}%` } },
+                    { sku: { [Op.iLike]: `%${filters.search}%` } }
+                ], 'OR'));
+            }
+
+            const { count, rows } = await Product.findAndCountAll({
+                where: DatabaseUtil.combineFilters(whereConditions),
+                attributes: ['id', 'name', 'sku', 'unit', 'is_active'],
+                include: [{ ...COMPONENT_INCLUDE, required: true }],
+                ...pagination,
+                order: [['name', 'ASC']],
+                distinct: true
+            });
+
+            return {
+                kits: rows,
+                pagination: DatabaseUtil.calculatePaginationMeta(count, page, limit)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get kits: ${error.message}`);
+        }
+    }
+
+    // Get a kit with its bill of materials and availability (optionally at one location)
+    static async getKitById(id, locationId = null) {
+        try {
+            const kit = await this.findKit(id);
+
+            return {
+                ...kit.toJSON(),
+                availability: await this.getKitAvailability(kit, locationId)
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to get kit: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace a product's bill of materials. An empty list removes it, after
+     * which the product is no longer a kit. Components must be active, listed
+     * once, and must not contain the kit themselves (directly or through their
+     * own components).
+     */
+    static async setComponents(kitId, components) {
+        if (!Array.isArray(components)) {
+            throw new ValidationError('Invalid components', ['components must be an array']);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+
+        try {
+            const kit = await Product.findByPk(kitId, { transaction: dbTransaction });
+            if (!kit) {
+                throw new NotFoundError('Product not found');
+            }
+
+            const errors = [];
+            const seen = new Set();
+            const lines = components.map((entry, index) => {
+                const componentId = parseInt(entry.product_id);
+                const quantityValidation = QuantityUtil.validate(entry.quantity, `components[${index}].quantity`, null, {
+                    positive: true
+                });
+
+                if (!quantityValidation.isValid) {
+                    errors.push(...quantityValidation.errors);
+                }
+                if (componentId === kit.id) {
+                    errors.push(`components[${index}] is the kit itself`);
+                }
+                if (seen.has(componentId)) {
+                    errors.push(`components[${index}] lists product ${componentId} more than once`);
+                }
+                seen.add(componentId);
+
+                return {
+                    kit_product_id: kit.id,
+                    component_product_id: componentId,
+                    quantity: QuantityUtil.round(entry.quantity),
+                    notes: ValidationUtil.sanitizeString(entry.notes)
+                };
+            });
+
+            if (errors.length > 0) {
+                throw new ValidationError('Invalid components', errors);
+            }
+
+            if (lines.length > 0) {
+                const products = await Product.findAll({
+                    where: { id: { [Op.in]: [...seen] } },
+                    attributes: ['id', 'sku', 'is_active'],
+                    transaction: dbTransaction
+                });
+
+                const missing = [...seen].filter(id => !products.some(product => product.id === id));
+                if (missing.length > 0) {
+                    throw new NotFoundError(`Component product ${missing[0]} not found`);
+                }
+
+                const inactive = products.find(product => !product.is_active);
+                if (inactive) {
+                    throw new BusinessLogicError(`Component ${inactive.sku} is inactive`);
+                }
+
+                await this.assertNoCycle(kit.id, [...seen], dbTransaction);
+            }
+
+            await ProductComponent.destroy({
+                where: { kit_product_id: kit.id },
+                transaction: dbTransaction
+            });
+            await ProductComponent.bulkCreate(lines, { transaction: dbTransaction, validate: true });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to update kit components: ${error.message}`);
+        }
+
+        const kit = await Product.findByPk(kitId, {
+            attributes: ['id', 'name', 'sku', 'unit', 'is_active'],
+            include: [COMPONENT_INCLUDE],
+            order: [[{ model: ProductComponent, as: 'components' }, 'id', 'ASC']]
+        });
+
+        return kit;
+    }
+
+    /**
+     * How many kits can be had at each location: kits already on hand plus the
+     * number that could be assembled from the components' available stock
+     * there. Components are not pooled across locations, and quarantine
+     * locations are left out since their stock cannot be sold.
+     */
+    static async getKitAvailability(kit, locationId = null) {
+        const productIds = [kit.id, ...kit.components.map(line => line.component_product_id)];
+        const inventoryWhere = { product_id: { [Op.in]: productIds } };
+        if (locationId) {
+            inventoryWhere.location_id = locationId;
+        }
+
+        const records = await Inventory.findAll({
+            where: inventoryWhere,
+            include: [{
+                model: Location,
+                as: 'location',
+                attributes: ['id', 'code', 'name', 'type'],
+                where: { type: { [Op.ne]: LOCATION_TYPES.QUARANTINE } }
+            }]
+        });
+
+        const byLocation = new Map();
+        records.forEach(record => {
+            if (!byLocation.has(record.location_id)) {
+                byLocation.set(record.location_id, { location: record.location, stock: new Map() });
+            }
+            byLocation.get(record.location_id).stock.set(record.product_id, record.available_stock);
+        });
+
+        const locations = [...byLocation.values()].map(({ location, stock }) => {
+            const kitAvailable = stock.get(kit.id) || 0;
+            const assemblable = Math.min(...kit.components.map(line =>
+                Math.floor(QuantityUtil.round((stock.get(line.component_product_id) || 0) / line.quantity))
+            ));
+
+            return {
+                location: {
+                    id: location.id,
+                    code: location.code,
+                    name: location.name
+                },
+                kit_available_stock: kitAvailable,
+                assemblable_quantity: assemblable,
+                available_stock: QuantityUtil.round(kitAvailable + assemblable)
+            };
+        });
+
+        return {
+            location_id: locationId ? parseInt(locationId) : null,
+            kit_available_stock: QuantityUtil.sum(locations.map(entry => entry.kit_available_stock)),
+            assemblable_quantity: locations.reduce((sum, entry) => sum + entry.assemblable_quantity, 0),
+            available_stock: QuantityUtil.sum(locations.map(entry => entry.available_stock)),
+            locations: locations.sort((a, b) => a.location.id - b.location.id)
+        };
+    }
+
+    /**
+     * Assemble kits at a location: every component goes OUT and the kits come
+     * IN, in one transaction. The kits are costed at what the components cost.
+     * Serialized or lot-tracked components and kits take their serials and lots
+     * from the request (components per product_id under `components`).
+     */
+    static async assembleKit(kitId, assemblyData = {}, userId = null) {
+        const { quantity, location_id, notes, serials, lots, lot_number, manufacture_date, expiry_date, components } = assemblyData;
+        this.validateQuantity(quantity);
+
+        const kitQuantity = QuantityUtil.round(quantity);
+        const dbTransaction = await sequelize.transaction();
+        const movements = [];
+        let referenceNumber;
+
+        try {
+            const kit = await this.findKit(kitId, dbTransaction);
+            const location = await this.resolveAssemblyLocation(location_id, dbTransaction);
+            referenceNumber = this.generateReferenceNumber('ASM');
+
+            let componentCost = 0;
+            for (const line of kit.components) {
+                const override = this.findComponentEntry(components, line.component_product_id);
+                const movement = await InventoryService.applyStockMovement(line.component_product_id, {
+                    transaction_type: TRANSACTION_TYPES.OUT,
+                    quantity: QuantityUtil.round(line.quantity * kitQuantity),
+                    location_id: location.id,
+                    reference_number: referenceNumber,
+                    kit_operation: KIT_OPERATIONS.ASSEMBLY,
+                    notes: `Assembled into ${kitQuantity} x ${kit.sku}`,
+                    lots: override.lots,
+                    serials: override.serials,
+                    created_by: userId
+                }, dbTransaction);
+
+                componentCost += parseFloat(movement.transaction.total_cost || 0);
+                movements.push(movement);
+            }
+
+            movements.push(await InventoryService.applyStockMovement(kit.id, {
+                transaction_type: TRANSACTION_TYPES.IN,
+                quantity: kitQuantity,
+                location_id: location.id,
+                reference_number: referenceNumber,
+                kit_operation: KIT_OPERATIONS.ASSEMBLY,
+                notes: notes || `Assembled from ${kit.components.length} component(s)`,
+                unit_cost: componentCost / kitQuantity,
+                lots,
+                lot_number,
+                manufacture_date,
+                expiry_date,
+                serials,
+                created_by: userId
+            }, dbTransaction));
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to assemble kit: ${error.message}`);
+        }
+
+        return await this.publishMovements(referenceNumber, kitId, kitQuantity, movements);
+    }
+
+    /**
+     * Break kits back into their components: the kits go OUT and every
+     * component comes IN, in one transaction. The kits' cost is shared across
+     * the components by their cost price (by quantity when none is set).
+     */
+    static async disassembleKit(kitId, disassemblyData = {}, userId = null) {
+        const { quantity, location_id, notes, serials, lots, components } = disassemblyData;
+        this.validateQuantity(quantity);
+
+        const kitQuantity = QuantityUtil.round(quantity);
+        const dbTransaction = await sequelize.transaction();
+        const movements = [];
+        let referenceNumber;
+
+        try {
+            const kit = await this.findKit(kitId, dbTransaction);
+            const location = await this.resolveAssemblyLocation(location_id, dbTransaction);
+            referenceNumber = this.generateReferenceNumber('DIS');
+
+            const kitMovement = await InventoryService.applyStockMovement(kit.id, {
+                transaction_type: TRANSACTION_TYPES.OUT,
+                quantity: kitQuantity,
+                location_id: location.id,
+                reference_number: referenceNumber,
+                kit_operation: KIT_OPERATIONS.DISASSEMBLY,
+                notes: notes || `Disassembled into ${kit.components.length} component(s)`,
+                lots,
+                serials,
+                created_by: userId
+            }, dbTransaction);
+            movements.push(kitMovement);
+
+            const kitCost = parseFloat(kitMovement.transaction.total_cost || 0);
+            const weightOf = (line) => line.quantity * parseFloat(line.component.cost_price || 0);
+            const totalWeight = kit.components.reduce((sum, line) => sum + weightOf(line), 0);
+
+            for (const line of kit.components) {
+                const override = this.findComponentEntry(components, line.component_product_id);
+                const share = totalWeight > 0
+                    ? weightOf(line) / totalWeight
+                    : line.quantity / kit.components.reduce((sum, entry) => sum + entry.quantity, 0);
+
+                const movement = await InventoryService.applyStockMovement(line.component_product_id, {
+                    transaction_type: TRANSACTION_TYPES.IN,
+                    quantity: QuantityUtil.round(line.quantity * kitQuantity),
+                    location_id: location.id,
+                    reference_number: referenceNumber,
+                    kit_operation: KIT_OPERATIONS.DISASSEMBLY,
+                    notes: `Disassembled from ${kitQuantity} x ${kit.sku}`,
+                    unit_cost: kitCost * share / (line.quantity * kitQuantity),
+                    lots: override.lots,
+                    serials: override.serials,
+                    created_by: userId
+                }, dbTransaction);
+                movements.push(movement);
+
+                // Units that went into the kit are back in stock, not returned by a customer
+                if (movement.serials.length > 0) {
+                    await SerialNumber.update({ status: SERIAL_STATUS.IN_STOCK }, {
+                        where: { id: { [Op.in]: movement.serials.map(serial => serial.id) } },
+                        transaction: dbTransaction
+                    });
+                }
+            }
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to disassemble kit: ${error.message}`);
+        }
+
+        return await this.publishMovements(referenceNumber, kitId, kitQuantity, movements);
+    }
+
+    static async publishMovements(referenceNumber, kitId, quantity, movements) {
+        for (const movement of movements) {
+            await InventoryService.publishStockMovement(movement);
+        }
+
+        return {
+            reference_number: referenceNumber,
+            kit_product_id: parseInt(kitId),
+            location_id: movements[0].location.id,
+            quantity,
+            transactions: movements.map(movement => movement.transaction)
+        };
+    }
+
+    static async findKit(id, dbTransaction = null) {
+        const kit = await Product.findByPk(id, {
+            attributes: ['id', 'name', 'sku', 'unit', 'is_active', 'is_lot_tracked', 'is_serialized'],
+            include: [COMPONENT_INCLUDE],
+            order: [[{ model: ProductComponent, as: 'components' }, 'id', 'ASC']],
+            transaction: dbTransaction
+        });
+
+        if (!kit) {
+            throw new NotFoundError('Product not found');
+        }
+
+        if (kit.components.length === 0) {
+            throw new BusinessLogicError(`Product ${kit.sku} has no components`);
+        }
+
+        return kit;
+    }
+
+    // Kits are assembled where stock can be sold, never in quarantine
+    static async resolveAssemblyLocation(locationId, dbTransaction) {
+        const location = await LocationService.resolveLocation(locationId, { transaction: dbTransaction });
+
+        if (location.type === LOCATION_TYPES.QUARANTINE) {
+            throw new BusinessLogicError(`Kits cannot be assembled or disassembled at quarantine location ${location.code}`);
+        }
+
+        return location;
+    }
+
+    // Walk down the components' own bills of materials; reaching the kit again would be a cycle
+    static async assertNoCycle(kitId, componentIds, dbTransaction) {
+        const visited = new Set();
+        let pending = componentIds;
+
+        while (pending.length > 0) {
+            if (pending.includes(kitId)) {
+                throw new BusinessLogicError('A kit cannot contain itself through its components');
+            }
+
+            pending.forEach(id => visited.add(id));
+            const lines = await ProductComponent.findAll({
+                where: { kit_product_id: { [Op.in]: pending } },
+                attributes: ['component_product_id'],
+                transaction: dbTransaction
+            });
+            pending = [...new Set(lines.map(line => line.component_product_id))].filter(id => !visited.has(id));
+        }
+    }
+
+    static findComponentEntry(components, productId) {
+        return (Array.isArray(components) ? components : [])
+            .find(entry => parseInt(entry.product_id) === productId) || {};
+    }
+
+    static validateQuantity(quantity) {
+        const quantityValidation = QuantityUtil.validate(quantity, 'quantity', null, {
+            positive: true
+        });
+
+        if (!quantityValidation.isValid) {
+            throw new ValidationError('Invalid quantity', quantityValidation.errors);
+        }
+    }
+
+    static generateReferenceNumber(prefix) {
+        const datePart = DateUtil.toDateOnly(new Date()).replace(/-/g, '');
+        return `${prefix}-${datePart}-${StringUtil.generateAlphanumeric(6)}`;
+    }
+}
+
+export default KitService;
@@ -0,0 +1,278 @@
+import { Location, Inventory } from '../models/index.js';
+import { Op } from 'sequelize';
+import { LOCATION_TYPES, DATABASE_CONSTRAINTS } from '../constant/index.js';
+import {
+    DatabaseUtil,
+    ValidationUtil,
+    StringUtil,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    BusinessLogicError
+} from '../utils/index.js';
+
+class LocationService {
+
+    // Get all locations with optional filters
+    static async getAllLocations(filters = {}) {
+        try {
+            // Validate pagination
+            const paginationValidation = ValidationUtil.validatePagination(filters);
+            if (!paginationValidation.isValid) {
+                throw new ValidationError('Invalid pagination parameters', paginationValidation.errors);
+            }
+
+            const { page, limit } = paginationValidation.sanitized;
+
+            const queryOptions = DatabaseUtil.buildQueryOptions({
+                page,
+                limit,
+                search: filters.search,
+                sort_by: filters.sort_by,
+                sort_order: filters.sort_order
+            }, {
+                searchFields: ['code', 'name'],
+                sortableFields: ['code', 'name', 'type', 'created_at'],
+                defaultSort: 'name',
+                defaultOrder: 'ASC'
+            });
+
+            const whereConditions = [];
+
+            if (filters.type) {
+                whereConditions.push({ type: filters.type });
+            }
+
+            if (filters.is_active !== undefined) {
+                whereConditions.push(
+                    DatabaseUtil.buildBooleanFilter(filters.is_active === true || filters.is_active === 'true', 'is_active')
+                );
+            }
+
+            const finalWhereClause = DatabaseUtil.combineFilters([queryOptions.where, ...whereConditions]);
+
+            const { count, rows } = await Location.findAndCountAll({
+                ...queryOptions,
+                where: finalWhereClause
+            });
+
+            return {
+                locations: rows,
+                pagination: DatabaseUtil.calculatePaginationMeta(count, page, limit)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get locations: ${error.message}`);
+        }
+    }
+
+    // Get location by ID with its stock totals
+    static async getLocationById(id) {
+        try {
+            const location = await Location.findByPk(id);
+
+            if (!location) {
+                throw new NotFoundError('Location not found');
+            }
+
+            const inventory = await Inventory.findAll({
+                where: { location_id: id },
+                attributes: ['current_stock', 'reserved_stock']
+            });
+
+            const totalStock = Inventory.sumStock(inventory);
+            const totalReserved = Inventory.sumStock(inventory, 'reserved_stock');
+
+            return {
+                ...location.toJSON(),
+                stock_summary: {
+                    total_products: inventory.length,
+                    total_stock: totalStock,
+                    total_reserved: totalReserved,
+                    available_stock: totalStock - totalReserved
+                }
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get location: ${error.message}`);
+        }
+    }
+
+    // Resolve a location ID to an active location, falling back to the default location
+    static async resolveLocation(locationId, options = {}) {
+        const location = locationId
+            ? await Location.findByPk(locationId, options)
+            : await Location.findDefault(options);
+
+        if (!location) {
+            throw new NotFoundError(locationId ? 'Location not found' : 'No default location configured');
+        }
+
+        if (!location.is_active) {
+            throw new BusinessLogicError(`Location ${location.code} is inactive`);
+        }
+
+        return location;
+    }
+
+    // Create new location
+    static async createLocation(locationData) {
+        try {
+            const { code, name, type = LOCATION_TYPES.WAREHOUSE, address, is_default = false } = locationData;
+
+            // Validate required fields
+            const requiredValidation = ValidationUtil.validateRequired(locationData, ['code', 'name']);
+            if (!requiredValidation.isValid) {
+                throw new ValidationError('Missing required fields', requiredValidation.errors);
+            }
+
+            const codeValidation = ValidationUtil.validateStringLength(code, 'code', {
+                required: true,
+                min: DATABASE_CONSTRAINTS.LOCATION_CODE.MIN_LENGTH,
+                max: DATABASE_CONSTRAINTS.LOCATION_CODE.MAX_LENGTH
+            });
+            const nameValidation = ValidationUtil.validateStringLength(name, 'name', {
+                required: true,
+                min: 2,
+                max: DATABASE_CONSTRAINTS.LOCATION.MAX_LENGTH
+            });
+            const locationValidation = ValidationUtil.combineValidations([codeValidation, nameValidation]);
+            if (!locationValidation.isValid) {
+                throw new ValidationError('Invalid location data', locationValidation.errors);
+            }
+
+            if (!Object.values(LOCATION_TYPES).includes(type)) {
+                throw new ValidationError('Invalid location type', [
+                    `Type must be one of: ${Object.values(LOCATION_TYPES).join(', ')}`
+                ]);
+            }
+
+            const normalizedCode = code.trim().toUpperCase();
+            const existingLocation = await Location.findOne({ where: { code: normalizedCode } });
+            if (existingLocation) {
+                throw new ConflictError('Location code already exists');
+            }
+
+            const location = await Location.create({
+                code: normalizedCode,
+                name: StringUtil.normalizeWhitespace(name),
+                type,
+                address: ValidationUtil.sanitizeString(address),
+                is_default: false,
+                is_active: true
+            });
+
+            if (is_default) {
+                await this.setDefaultLocation(location.id);
+            }
+
+            return await Location.findByPk(location.id);
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error(`Failed to create location: ${error.message}`);
+        }
+    }
+
+    // Update location
+    static async updateLocation(id, updateData) {
+        try {
+            const location = await Location.findByPk(id);
+
+            if (!location) {
+                throw new NotFoundError('Location not found');
+            }
+
+            if (updateData.code && updateData.code.trim().toUpperCase() !== location.code) {
+                const existingLocation = await Location.findOne({
+                    where: {
+                        code: updateData.code.trim().toUpperCase(),
+                        id: { [Op.ne]: id }
+                    }
+                });
+
+                if (existingLocation) {
+                    throw new ConflictError('Location code already exists');
+                }
+            }
+
+            if (updateData.type && !Object.values(LOCATION_TYPES).includes(updateData.type)) {
+                throw new ValidationError('Invalid location type', [
+                    `Type must be one of: ${Object.values(LOCATION_TYPES).join(', ')}`
+                ]);
+            }
+
+            if (updateData.is_active === false && location.is_default) {
+                throw new BusinessLogicError('The default location cannot be deactivated');
+            }
+
+            await location.update({
+                code: updateData.code?.trim().toUpperCase() || location.code,
+                name: updateData.name ? StringUtil.normalizeWhitespace(updateData.name) : location.name,
+                type: updateData.type || location.type,
+                address: updateData.address !== undefined ? ValidationUtil.sanitizeString(updateData.address) : location.address,
+                is_active: updateData.is_active !== undefined ? Boolean(updateData.is_active) : location.is_active
+            });
+
+            if (updateData.is_default === true && !location.is_default) {
+                await this.setDefaultLocation(location.id);
+            }
+
+            return await Location.findByPk(id);
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError ||
+                error instanceof ConflictError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to update location: ${error.message}`);
+        }
+    }
+
+    // Mark a single location as the default one
+    static async setDefaultLocation(id) {
+        await Location.update({ is_default: false }, { where: { is_default: true } });
+        await Location.update({ is_default: true }, { where: { id } });
+    }
+
+    // Delete location (soft delete by setting is_active to false)
+    static async deleteLocation(id) {
+        try {
+            const location = await Location.findByPk(id);
+
+            if (!location) {
+                throw new NotFoundError('Location not found');
+            }
+
+            if (location.is_default) {
+                throw new BusinessLogicError('The default location cannot be deleted');
+            }
+
+            const stockedItems = await Inventory.count({
+                where: {
+                    location_id: id,
+                    current_stock: { [Op.gt]: 0 }
+                }
+            });
+
+            if (stockedItems > 0) {
+                throw new BusinessLogicError('Cannot delete location that still holds stock. Please transfer or adjust stock to zero first.');
+            }
+
+            await location.update({ is_active: false });
+
+            return { message: 'Location deleted successfully' };
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to delete location: ${error.message}`);
+        }
+    }
+}
+
+export default LocationService;
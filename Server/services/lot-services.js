@@ -0,0 +1,470 @@
+import { StockLot, TransactionLot, Transaction, Product, Location } from '../models/index.js';
+import { Op } from 'sequelize';
+import { TRANSACTION_TYPES, LOTS } from '../constant/index.js';
+import {
+    DatabaseUtil,
+    ValidationUtil,
+    QuantityUtil,
+    DateUtil,
+    StringUtil,
+    ValidationError,
+    BusinessLogicError
+} from '../utils/index.js';
+import SocketService from './socket-services.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class LotService {
+    static expiryTimer = null;
+
+    // Get stock lots with filters; empty lots are hidden unless include_empty is set
+    static async getAllLots(filters = {}) {
+        try {
+            // Validate pagination
+            const paginationValidation = ValidationUtil.validatePagination(filters);
+            if (!paginationValidation.isValid) {
+                throw new ValidationError('Invalid pagination parameters', paginationValidation.errors);
+            }
+
+            const { page, limit } = paginationValidation.sanitized;
+            const pagination = DatabaseUtil.buildPagination(page, limit);
+
+            const whereConditions = [];
+
+            if (filters.product_id) {
+                whereConditions.push({ product_id: filters.product_id });
+            }
+
+            if (filters.location_id) {
+                whereConditions.push({ location_id: filters.location_id });
+            }
+
+            if (filters.search) {
+                whereConditions.push({ lot_number: { [Op.iLike]: `%${filters.search}%` } });
+            }
+
+            if (filters.include_empty !== 'true' && filters.include_empty !== true) {
+                whereConditions.push({ quantity: { [Op.gt]: 0 } });
+            }
+
+            const { count, rows } = await StockLot.findAndCountAll({
+                where: DatabaseUtil.combineFilters(whereConditions),
+                include: this.defaultIncludes(),
+                ...pagination,
+                order: this.fefoOrder()
+            });
+
+            return {
+                lots: rows,
+                pagination: DatabaseUtil.calculatePaginationMeta(count, page, limit)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get stock lots: ${error.message}`);
+        }
+    }
+
+    // Lots with stock left that expire within the given number of days (already expired lots included)
+    static async getExpiringLots(filters = {}) {
+        const daysValidation = ValidationUtil.validateNumeric(filters.days, 'days', { min: 0, integer: true });
+        if (!daysValidation.isValid) {
+            throw new ValidationError('Invalid expiry window', daysValidation.errors);
+        }
+
+        try {
+            const days = filters.days !== undefined && filters.days !== ''
+                ? ValidationUtil.sanitizeNumber(filters.days, true)
+                : LOTS.EXPIRY_ALERT_DAYS;
+            const today = DateUtil.startOfDay();
+
+            const whereClause = {
+                quantity: { [Op.gt]: 0 },
+                expiry_date: { [Op.lte]: DateUtil.toDateOnly(DateUtil.addDays(today, days)) }
+            };
+            if (filters.location_id) {
+                whereClause.location_id = filters.location_id;
+            }
+            if (filters.product_id) {
+                whereClause.product_id = filters.product_id;
+            }
+
+            const lots = await StockLot.findAll({
+                where: whereClause,
+                include: this.defaultIncludes(),
+                order: this.fefoOrder()
+            });
+
+            const items = lots.map(lot => {
+                const daysToExpiry = Math.round((new Date(lot.expiry_date) - today) / MS_PER_DAY);
+                return {
+                    ...lot.toJSON(),
+                    days_to_expiry: daysToExpiry,
+                    is_expired: daysToExpiry < 0
+                };
+            });
+
+            return {
+                as_of: DateUtil.toDateOnly(today),
+                days,
+                total_lots: items.length,
+                total_quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+                expired_quantity: items.filter(item => item.is_expired).reduce((sum, item) => sum + item.quantity, 0),
+                lots: items
+            };
+        } catch (error) {
+            throw new Error(`Failed to get expiring lots: ${error.message}`);
+        }
+    }
+
+    /**
+     * Keep the lots of a lot-tracked product in step with a stock movement that
+     * has just been written. Stock coming in is booked to the given lots (or a
+     * generated lot); stock going out is taken from the named lots, if any, and
+     * otherwise picked first-expiring-first-out. Sales and other OUT movements do
+     * not pick expired lots; those leave only when named (e.g. a write-off).
+     * Returns the allocations [{ stock_lot_id, lot_number, expiry_date, quantity }].
+     */
+    static async applyLotMovement({ product, location, transaction, delta, lots }, dbTransaction) {
+        if (delta > 0) {
+            return await this.receiveLots({ product, location, transaction, quantity: delta, lots }, dbTransaction);
+        }
+
+        return await this.consumeLots({
+            product,
+            location,
+            transaction,
+            quantity: -delta,
+            lots,
+            skipExpired: transaction.transaction_type === TRANSACTION_TYPES.OUT
+        }, dbTransaction);
+    }
+
+    static async receiveLots({ product, location, transaction, quantity, lots }, dbTransaction) {
+        const entries = this.normalizeLots(lots, quantity);
+        const allocations = [];
+
+        for (const entry of entries) {
+            const lotNumber = entry.lot_number || this.generateLotNumber();
+
+            let lot = await StockLot.findOne({
+                where: { product_id: product.id, location_id: location.id, lot_number: lotNumber },
+                transaction: dbTransaction,
+                lock: dbTransaction ? dbTransaction.LOCK.UPDATE : undefined
+            });
+
+            if (lot) {
+                if (entry.expiry_date && lot.expiry_date && entry.expiry_date !== lot.expiry_date) {
+                    throw new ValidationError('Invalid lot', [
+                        `Lot ${lotNumber} already exists with expiry date ${lot.expiry_date}`
+                    ]);
+                }
+
+                await lot.update({
+                    quantity: QuantityUtil.round(lot.quantity + entry.quantity),
+                    expiry_date: lot.expiry_date || entry.expiry_date,
+                    manufacture_date: lot.manufacture_date || entry.manufacture_date
+                }, { transaction: dbTransaction });
+            } else {
+                lot = await StockLot.create({
+                    product_id: product.id,
+                    location_id: location.id,
+                    lot_number: lotNumber,
+                    manufacture_date: entry.manufacture_date,
+                    expiry_date: entry.expiry_date,
+                    quantity: entry.quantity,
+                    received_at: new Date()
+                }, { transaction: dbTransaction });
+            }
+
+            allocations.push(await this.recordAllocation(transaction, lot, entry.quantity, dbTransaction));
+        }
+
+        return allocations;
+    }
+
+    // Pick stock from the lots at a location: named lots first, then earliest expiry first (lots without expiry last)
+    static async consumeLots({ product, location, transaction, quantity, lots: requestedLots, skipExpired = false }, dbTransaction) {
+        const allocations = [];
+        let remaining = quantity;
+
+        // Lots named by the caller (e.g. undoing a receipt) are taken exactly as given
+        const named = requestedLots && requestedLots.length > 0
+            ? this.normalizeLots(requestedLots, quantity).filter(entry => entry.lot_number)
+            : [];
+
+        for (const entry of named) {
+            const lot = await StockLot.findOne({
+                where: { product_id: product.id, location_id: location.id, lot_number: entry.lot_number },
+                transaction: dbTransaction,
+                lock: dbTransaction ? dbTransaction.LOCK.UPDATE : undefined
+            });
+
+            if (!lot || lot.quantity < entry.quantity) {
+                throw new BusinessLogicError(
+                    `Lot ${entry.lot_number} does not hold ${entry.quantity} units at location ${location.code}`
+                );
+            }
+
+            await lot.update({ quantity: QuantityUtil.round(lot.quantity - entry.quantity) }, { transaction: dbTransaction });
+            allocations.push(await this.recordAllocation(transaction, lot, entry.quantity, dbTransaction));
+            remaining = QuantityUtil.round(remaining - entry.quantity);
+        }
+
+        const lots = await StockLot.findAll({
+            where: {
+                product_id: product.id,
+                location_id: location.id,
+                quantity: { [Op.gt]: 0 }
+            },
+            order: this.fefoOrder(),
+            transaction: dbTransaction,
+            lock: dbTransaction ? dbTransaction.LOCK.UPDATE : undefined
+        });
+
+        // Stock outside any lot: the balance before the movement less what the lots held
+        const namedQuantity = QuantityUtil.round(quantity - remaining);
+        const untracked = QuantityUtil.round(transaction.balance_before - QuantityUtil.sum(lots.map(lot => lot.quantity)) - namedQuantity);
+
+        const today = DateUtil.toDateOnly(DateUtil.startOfDay());
+        const pickable = skipExpired
+            ? lots.filter(lot => !lot.expiry_date || DateUtil.toDateOnly(lot.expiry_date) >= today)
+            : lots;
+
+        for (const lot of pickable) {
+            if (remaining <= 0) {
+                break;
+            }
+
+            const picked = Math.min(remaining, lot.quantity);
+            await lot.update({ quantity: QuantityUtil.round(lot.quantity - picked) }, { transaction: dbTransaction });
+            allocations.push(await this.recordAllocation(transaction, lot, picked, dbTransaction));
+            remaining = QuantityUtil.round(remaining - picked);
+        }
+
+        if (skipExpired && remaining > untracked) {
+            throw new BusinessLogicError(
+                `Only ${QuantityUtil.round(quantity - remaining + Math.max(untracked, 0))} units of ${product.sku} at location ${location.code} ` +
+                'are outside expired lots; name the lots to remove expired stock'
+            );
+        }
+
+        // Any remainder is stock from before lot tracking was switched on; it carries no lot
+        return allocations;
+    }
+
+    /**
+     * Lots shipped on the outbound leg of a transfer, for booking the inbound leg.
+     * Quantity the outbound leg could not attribute to a lot gets a generated lot.
+     */
+    static async getTransferLots(transfer, dbTransaction) {
+        return await this.getAllocatedLots({
+            transfer_id: transfer.id,
+            transaction_type: TRANSACTION_TYPES.TRANSFER_OUT
+        }, transfer.quantity, dbTransaction);
+    }
+
+    // Lots a transaction moved, for moving the same lots back when it is reversed
+    static async getTransactionLots(transaction, dbTransaction) {
+        return await this.getAllocatedLots({ id: transaction.id }, transaction.quantity, dbTransaction);
+    }
+
+    static async getAllocatedLots(transactionWhere, quantity, dbTransaction) {
+        const allocations = await TransactionLot.findAll({
+            include: [
+                {
+                    model: Transaction,
+                    as: 'transaction',
+                    attributes: [],
+                    where: transactionWhere
+                },
+                {
+                    model: StockLot,
+                    as: 'lot'
+                }
+            ],
+            transaction: dbTransaction
+        });
+
+        const lots = allocations.map(allocation => ({
+            lot_number: allocation.lot.lot_number,
+            manufacture_date: allocation.lot.manufacture_date,
+            expiry_date: allocation.lot.expiry_date,
+            quantity: allocation.quantity
+        }));
+
+        const untracked = QuantityUtil.round(quantity - QuantityUtil.sum(lots.map(lot => lot.quantity)));
+        if (untracked > 0) {
+            lots.push({ quantity: untracked });
+        }
+
+        return lots;
+    }
+
+    // Emit expiry alerts for received lots that are already inside the alert window
+    static publishLotAlerts(movement) {
+        const expiring = (movement.lots || []).filter(lot => this.isExpiringSoon(lot.expiry_date));
+
+        if (expiring.length > 0) {
+            SocketService.emitExpiryAlert({
+                product_id: movement.product.id,
+                location_id: movement.location.id,
+                days: LOTS.EXPIRY_ALERT_DAYS,
+                lots: expiring
+            });
+        }
+    }
+
+    // Scan for lots inside the alert window and emit one alert per location
+    static async checkExpiringLots() {
+        const report = await this.getExpiringLots();
+        const byLocation = new Map();
+
+        report.lots.forEach(lot => {
+            if (!byLocation.has(lot.location_id)) {
+                byLocation.set(lot.location_id, []);
+            }
+            byLocation.get(lot.location_id).push(lot);
+        });
+
+        byLocation.forEach((lots, locationId) => {
+            SocketService.emitExpiryAlert({
+                location_id: locationId,
+                days: report.days,
+                lots
+            });
+        });
+
+        return { total_lots: report.total_lots, locations: byLocation.size };
+    }
+
+    // Run the expiry scan now and then on an interval; safe to call more than once
+    static startExpiryMonitor(intervalMs = LOTS.EXPIRY_SCAN_INTERVAL_MS) {
+        if (this.expiryTimer) {
+            return;
+        }
+
+        const scan = () => this.checkExpiringLots()
+            .catch(error => console.error('Lot expiry scan failed:', error.message));
+
+        scan();
+        this.expiryTimer = setInterval(scan, intervalMs);
+
+        // Do not keep the process alive just for the monitor
+        this.expiryTimer.unref();
+    }
+
+    static stopExpiryMonitor() {
+        if (this.expiryTimer) {
+            clearInterval(this.expiryTimer);
+            this.expiryTimer = null;
+        }
+    }
+
+    static async recordAllocation(transaction, lot, quantity, dbTransaction) {
+        await TransactionLot.create({
+            transaction_id: transaction.id,
+            stock_lot_id: lot.id,
+            quantity
+        }, { transaction: dbTransaction });
+
+        return {
+            stock_lot_id: lot.id,
+            lot_number: lot.lot_number,
+            expiry_date: lot.expiry_date,
+            quantity
+        };
+    }
+
+    // Validate incoming lot entries; they must add up to the received quantity
+    static normalizeLots(lots, quantity) {
+        if (!lots || lots.length === 0) {
+            return [{ quantity }];
+        }
+
+        const errors = [];
+        const entries = lots.map((lot, index) => {
+            const prefix = lots.length > 1 ? `lots[${index}].` : '';
+
+            const lotNumber = lot.lot_number !== undefined && lot.lot_number !== null
+                ? ValidationUtil.sanitizeString(String(lot.lot_number))
+                : null;
+            if (lotNumber && lotNumber.length > 50) {
+                errors.push(`${prefix}lot_number cannot exceed 50 characters`);
+            }
+
+            ['manufacture_date', 'expiry_date'].forEach(field => {
+                if (lot[field] && isNaN(Date.parse(lot[field]))) {
+                    errors.push(`${prefix}${field} must be a valid date`);
+                }
+            });
+
+            const manufactureDate = lot.manufacture_date && !isNaN(Date.parse(lot.manufacture_date))
+                ? DateUtil.toDateOnly(lot.manufacture_date)
+                : null;
+            const expiryDate = lot.expiry_date && !isNaN(Date.parse(lot.expiry_date))
+                ? DateUtil.toDateOnly(lot.expiry_date)
+                : null;
+            if (manufactureDate && expiryDate && expiryDate < manufactureDate) {
+                errors.push(`${prefix}expiry_date cannot be before manufacture_date`);
+            }
+
+            return {
+                lot_number: lotNumber ? lotNumber.toUpperCase() : null,
+                manufacture_date: manufactureDate,
+                expiry_date: expiryDate,
+                quantity: lots.length === 1 && lot.quantity === undefined
+                    ? quantity
+                    : Number(lot.quantity)
+            };
+        });
+
+        const total = QuantityUtil.sum(entries.map(entry => entry.quantity));
+        if (entries.some(entry => !(entry.quantity > 0) || !QuantityUtil.hasValidScale(entry.quantity))) {
+            errors.push('Each lot quantity must be a positive number with at most 3 decimal places');
+        } else if (total !== quantity) {
+            errors.push(`Lot quantities add up to ${total} but ${quantity} units are being received`);
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid lot details', errors);
+        }
+
+        return entries;
+    }
+
+    static isExpiringSoon(expiryDate) {
+        if (!expiryDate) {
+            return false;
+        }
+        const limit = DateUtil.addDays(DateUtil.startOfDay(), LOTS.EXPIRY_ALERT_DAYS);
+        return new Date(expiryDate) <= limit;
+    }
+
+    static fefoOrder() {
+        return [['expiry_date', 'ASC NULLS LAST'], ['received_at', 'ASC'], ['id', 'ASC']];
+    }
+
+    static generateLotNumber() {
+        const datePart = DateUtil.toDateOnly(new Date()).replace(/-/g, '');
+        return `LOT-${datePart}-${StringUtil.generateAlphanumeric(6)}`;
+    }
+
+    static defaultIncludes() {
+        return [
+            {
+                model: Product,
+                as: 'product',
+                attributes: ['id', 'name', 'sku', 'unit']
+            },
+            {
+                model: Location,
+                as: 'location',
+                attributes: ['id', 'code', 'name']
+            }
+        ];
+    }
+}
+
+export default LotService;
@@ -0,0 +1,417 @@
+import { PhysicalCount, PhysicalCountLine, Inventory, Product, Location } from '../models/index.js';
+import { Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import { TRANSACTION_TYPES, ADJUSTMENT_REASONS, PHYSICAL_COUNT_STATUS } from '../constant/index.js';
+import {
+    DatabaseUtil,
+    ValidationUtil,
+    QuantityUtil,
+    DateUtil,
+    StringUtil,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    BusinessLogicError
+} from '../utils/index.js';
+import InventoryService from './inventory-services.js';
+import LocationService from './location-services.js';
+import UnitService from './unit-services.js';
+
+class PhysicalCountService {
+
+    // Get all count sessions with filters
+    static async getAllCounts(filters = {}) {
+        try {
+            // Validate pagination
+            const paginationValidation = ValidationUtil.validatePagination(filters);
+            if (!paginationValidation.isValid) {
+                throw new ValidationError('Invalid pagination parameters', paginationValidation.errors);
+            }
+
+            const { page, limit } = paginationValidation.sanitized;
+            const pagination = DatabaseUtil.buildPagination(page, limit);
+
+            const whereClause = {};
+
+            if (filters.status) {
+                whereClause.status = filters.status;
+            }
+
+            if (filters.location_id) {
+                whereClause.location_id = filters.location_id;
+            }
+
+            const { count, rows } = await PhysicalCount.findAndCountAll({
+                where: whereClause,
+                include: [{
+                    model: Location,
+                    as: 'location',
+                    attributes: ['id', 'code', 'name', 'type']
+                }],
+                ...pagination,
+                order: [['started_at', 'DESC']]
+            });
+
+            return {
+                counts: rows,
+                pagination: DatabaseUtil.calculatePaginationMeta(count, page, limit)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get physical counts: ${error.message}`);
+        }
+    }
+
+    // Get a count session with its lines and variance summary
+    static async getCountById(id) {
+        try {
+            const count = await PhysicalCount.findByPk(id, {
+                include: [
+                    {
+                        model: Location,
+                        as: 'location',
+                        attributes: ['id', 'code', 'name', 'type']
+                    },
+                    {
+                        model: PhysicalCountLine,
+                        as: 'lines',
+                        include: [{
+                            model: Product,
+                            as: 'product',
+                            attributes: ['id', 'name', 'sku', 'unit', 'cost_price']
+                        }]
+                    }
+                ],
+                order: [[{ model: PhysicalCountLine, as: 'lines' }, 'product_id', 'ASC']]
+            });
+
+            if (!count) {
+                throw new NotFoundError('Physical count not found');
+            }
+
+            return {
+                ...count.toJSON(),
+                variance_report: this.buildVarianceReport(count.lines)
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get physical count: ${error.message}`);
+        }
+    }
+
+    // Start a count session at a location, freezing the current stock of every product in scope
+    static async startCount(countData, userId = null) {
+        const { location_id, product_ids, category_id, notes } = countData;
+
+        if (product_ids !== undefined && (!Array.isArray(product_ids) || product_ids.length === 0)) {
+            throw new ValidationError('Invalid product list', ['product_ids must be a non-empty array']);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+        let count;
+
+        try {
+            const location = await LocationService.resolveLocation(location_id, { transaction: dbTransaction });
+
+            const openCount = await PhysicalCount.findOne({
+                where: { location_id: location.id, status: PHYSICAL_COUNT_STATUS.IN_PROGRESS },
+                transaction: dbTransaction
+            });
+            if (openCount) {
+                throw new ConflictError(`Physical count ${openCount.count_number} is already in progress at location ${location.code}`);
+            }
+
+            const productWhere = { is_active: true };
+            if (product_ids) {
+                productWhere.id = { [Op.in]: product_ids };
+            }
+            if (category_id) {
+                productWhere.category_id = category_id;
+            }
+
+            const products = await Product.findAll({
+                where: productWhere,
+                attributes: ['id'],
+                include: [{
+                    model: Inventory,
+                    as: 'inventory',
+                    where: { location_id: location.id },
+                    attributes: ['current_stock'],
+                    // Explicitly listed products are counted even if the location never stocked them
+                    required: !product_ids
+                }],
+                transaction: dbTransaction
+            });
+
+            if (products.length === 0) {
+                throw new BusinessLogicError(`No stocked products to count at location ${location.code}`);
+            }
+
+            count = await PhysicalCount.create({
+                count_number: this.generateCountNumber(),
+                location_id: location.id,
+                status: PHYSICAL_COUNT_STATUS.IN_PROGRESS,
+                notes: ValidationUtil.sanitizeString(notes),
+                started_by: userId,
+                started_at: new Date()
+            }, { transaction: dbTransaction });
+
+            await PhysicalCountLine.bulkCreate(products.map(product => ({
+                physical_count_id: count.id,
+                product_id: product.id,
+                system_stock: Inventory.sumStock(product.inventory)
+            })), { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError ||
+                error instanceof ConflictError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to start physical count: ${error.message}`);
+        }
+
+        return await this.getCountById(count.id);
+    }
+
+    // Record counted quantities; accepts a single { product_id, counted_quantity, unit } or a counts array
+    static async recordCount(id, recordData, userId = null) {
+        const entries = Array.isArray(recordData.counts) ? recordData.counts : [recordData];
+
+        const errors = [];
+        entries.forEach((entry, index) => {
+            const prefix = entries.length > 1 ? `counts[${index}].` : '';
+            if (!entry.product_id) {
+                errors.push(`${prefix}product_id is required`);
+            }
+            const quantityValidation = ValidationUtil.validateNumeric(entry.counted_quantity, `${prefix}counted_quantity`, {
+                required: true,
+                min: 0
+            });
+            errors.push(...quantityValidation.errors);
+        });
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid count data', errors);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+
+        try {
+            const count = await this.findOpenCount(id, dbTransaction);
+
+            for (const entry of entries) {
+                const product = await Product.findByPk(entry.product_id, { transaction: dbTransaction });
+                if (!product) {
+                    throw new NotFoundError(`Product ${entry.product_id} not found`);
+                }
+
+                // Counts may be entered in any unit of the product, e.g. full cases plus loose pieces counted separately
+                const countedStock = await UnitService.toBaseQuantity(product, entry.counted_quantity, entry.unit, {
+                    fieldName: 'counted_quantity',
+                    min: 0,
+                    transaction: dbTransaction
+                });
+
+                let line = await PhysicalCountLine.findOne({
+                    where: { physical_count_id: count.id, product_id: product.id },
+                    transaction: dbTransaction
+                });
+
+                // Product found on the shelf that was not in the snapshot
+                if (!line) {
+                    const inventory = await Inventory.findOne({
+                        where: { product_id: product.id, location_id: count.location_id },
+                        transaction: dbTransaction
+                    });
+
+                    line = await PhysicalCountLine.create({
+                        physical_count_id: count.id,
+                        product_id: product.id,
+                        system_stock: inventory ? inventory.current_stock : 0
+                    }, { transaction: dbTransaction });
+                }
+
+                if (line.posted_at) {
+                    throw new BusinessLogicError(`Variance for product ${line.product_id} has already been posted`);
+                }
+
+                await line.update({
+                    counted_stock: countedStock,
+                    variance: QuantityUtil.round(countedStock - line.system_stock),
+                    notes: entry.notes !== undefined ? ValidationUtil.sanitizeString(entry.notes) : line.notes,
+                    counted_by: userId,
+                    counted_at: new Date()
+                }, { transaction: dbTransaction });
+            }
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to record physical count: ${error.message}`);
+        }
+
+        return await this.getCountById(id);
+    }
+
+    /**
+     * Finalize a count session. Each variance is posted as an ADJUSTMENT relative to
+     * the live stock level, so movements made while the count was open are preserved.
+     * The session and the inventory rows stay locked until every variance is posted.
+     * Lines that were never counted are left untouched.
+     */
+    static async finalizeCount(id, userId = null) {
+        const dbTransaction = await sequelize.transaction();
+        const movements = [];
+
+        try {
+            const count = await this.findOpenCount(id, dbTransaction);
+
+            const lines = await PhysicalCountLine.findAll({
+                where: { physical_count_id: count.id },
+                transaction: dbTransaction
+            });
+
+            const pendingLines = lines.filter(line =>
+                line.counted_stock !== null && line.variance !== 0 && !line.posted_at
+            );
+
+            const inventoryRecords = await Inventory.findAll({
+                where: {
+                    location_id: count.location_id,
+                    product_id: { [Op.in]: pendingLines.map(line => line.product_id) }
+                },
+                order: [['product_id', 'ASC']],
+                transaction: dbTransaction,
+                lock: dbTransaction.LOCK.UPDATE
+            });
+            const inventoryByProduct = new Map(inventoryRecords.map(record => [record.product_id, record]));
+
+            // Check every adjustment before posting any of them
+            const blocked = pendingLines.filter(line => {
+                const inventory = inventoryByProduct.get(line.product_id);
+                const targetStock = QuantityUtil.round((inventory ? inventory.current_stock : 0) + line.variance);
+                return targetStock < 0 || targetStock < (inventory ? inventory.reserved_stock : 0);
+            });
+            if (blocked.length > 0) {
+                throw new BusinessLogicError(
+                    `Variance cannot be posted for product(s) ${blocked.map(line => line.product_id).join(', ')}: ` +
+                    'stock would drop below zero or below the reserved quantity'
+                );
+            }
+
+            for (const line of pendingLines) {
+                movements.push(await InventoryService.applyStockMovement(line.product_id, {
+                    transaction_type: TRANSACTION_TYPES.ADJUSTMENT,
+                    adjust_by: line.variance,
+                    reason_code: ADJUSTMENT_REASONS.COUNT_CORRECTION,
+                    location_id: count.location_id,
+                    reference_number: count.count_number,
+                    notes: `Physical count variance ${line.variance > 0 ? '+' : ''}${line.variance}`,
+                    created_by: userId
+                }, dbTransaction));
+
+                await line.update({ posted_at: new Date() }, { transaction: dbTransaction });
+            }
+
+            // A full count also satisfies the cycle-count schedule for every counted product
+            await Inventory.update({ last_counted_at: new Date() }, {
+                where: {
+                    location_id: count.location_id,
+                    product_id: {
+                        [Op.in]: lines
+                            .filter(line => line.counted_stock !== null)
+                            .map(line => line.product_id)
+                    }
+                },
+                transaction: dbTransaction
+            });
+
+            await count.update({
+                status: PHYSICAL_COUNT_STATUS.FINALIZED,
+                finalized_by: userId,
+                finalized_at: new Date()
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to finalize physical count: ${error.message}`);
+        }
+
+        for (const movement of movements) {
+            await InventoryService.publishStockMovement(movement);
+        }
+
+        return await this.getCountById(id);
+    }
+
+    // Summarize counted vs. frozen stock for a set of count lines
+    static buildVarianceReport(lines = []) {
+        const counted = lines.filter(line => line.counted_stock !== null);
+        const withVariance = counted.filter(line => line.variance !== 0);
+
+        const varianceValue = (line) => line.variance * parseFloat(line.product?.cost_price || 0);
+
+        return {
+            total_lines: lines.length,
+            counted_lines: counted.length,
+            uncounted_lines: lines.length - counted.length,
+            lines_with_variance: withVariance.length,
+            shortage_units: QuantityUtil.sum(withVariance
+                .filter(line => line.variance < 0)
+                .map(line => Math.abs(line.variance))),
+            overage_units: QuantityUtil.sum(withVariance
+                .filter(line => line.variance > 0)
+                .map(line => line.variance)),
+            net_variance_units: QuantityUtil.sum(withVariance.map(line => line.variance)),
+            net_variance_value: parseFloat(
+                withVariance.reduce((sum, line) => sum + varianceValue(line), 0).toFixed(2)
+            ),
+            variances: withVariance.map(line => ({
+                product_id: line.product_id,
+                product: line.product,
+                system_stock: line.system_stock,
+                counted_stock: line.counted_stock,
+                variance: line.variance,
+                variance_value: parseFloat(varianceValue(line).toFixed(2)),
+                posted: Boolean(line.posted_at)
+            }))
+        };
+    }
+
+    // Lock an in-progress count session for update
+    static async findOpenCount(id, dbTransaction) {
+        const count = await PhysicalCount.findByPk(id, {
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE
+        });
+
+        if (!count) {
+            throw new NotFoundError('Physical count not found');
+        }
+
+        if (count.status !== PHYSICAL_COUNT_STATUS.IN_PROGRESS) {
+            throw new BusinessLogicError(`Physical count is already ${count.status.replace('_', ' ')}`);
+        }
+
+        return count;
+    }
+
+    static generateCountNumber() {
+        const datePart = DateUtil.toDateOnly(new Date()).replace(/-/g, '');
+        return `PC-${datePart}-${StringUtil.generateAlphanumeric(6)}`;
+    }
+}
+
+export default PhysicalCountService;
@@ -1,15 +1,22 @@
-import { Product, Category, Inventory, Transaction } from '../models/index.js';
+import { Product, Category, CategoryAttribute, Inventory, Transaction, Supplier, SupplierProduct, ProductComponent, ProductUnit, ProductAttachment } from '../models/index.js';
 import { Op } from 'sequelize';
-import { PRODUCT_UNITS, DATABASE_CONSTRAINTS, PAGINATION } from '../constant/index.js';
+import sequelize from '../config/sequelize.js';
+import { TRANSACTION_TYPES, PRODUCT_UNITS, DATABASE_CONSTRAINTS, PAGINATION, ATTRIBUTE_TYPES } from '../constant/index.js';
 import {
     DatabaseUtil,
     ValidationUtil,
+    QuantityUtil,
     StringUtil,
     NotFoundError,
     ValidationError,
     ConflictError
 } from '../utils/index.js';
 import SocketService from './socket-services.js';
+import LocationService from './location-services.js';
+import ReplenishmentService from './replenishment-services.js';
+import SerialService from './serial-services.js';
+import InventoryService from './inventory-services.js';
+import { validateProductAttributes } from '../validators/product.validator.js';
 
 class ProductService {
 
@@ -24,8 +31,11 @@ class ProductService {
 
             const { page, limit } = paginationValidation.sanitized;
 
+            // Custom attribute filters (?attr[voltage]=220) are matched separately
+            const { attributeFilters, otherFilters } = this.splitAttributeFilters(filters);
+
             // Build query options
-            const queryOptions = DatabaseUtil.buildQueryOptions(filters, {
+            const queryOptions = DatabaseUtil.buildQueryOptions(otherFilters, {
                 searchFields: ['name', 'sku', 'barcode'],
                 sortableFields: ['name', 'sku', 'price', 'created_at', 'updated_at'],
                 defaultSort: 'created_at',
@@ -36,7 +46,7 @@ class ProductService {
                     },
                     {
                         association: 'inventory',
-                        attributes: ['current_stock', 'reserved_stock', 'location', 'last_updated']
+                        attributes: ['location_id', 'current_stock', 'reserved_stock', 'last_updated']
                     }
                 ]
             });
@@ -54,6 +64,14 @@ class ProductService {
                 );
             }
 
+            // Comma-separated values match any of them, e.g. ?attr[color]=red,blue
+            Object.entries(attributeFilters).forEach(([code, value]) => {
+                const values = String(value).split(',').map(entry => entry.trim()).filter(Boolean);
+                whereConditions.push({
+                    [`custom_attributes.${code}`]: values.length > 1 ? { [Op.in]: values } : values[0]
+                });
+            });
+
             // Add low stock filter if requested
             if (filters.low_stock) {
                 // This will be handled in the include clause
@@ -97,13 +115,64 @@ class ProductService {
                     },
                     {
                         model: Inventory,
-                        as: 'inventory'
+                        as: 'inventory',
+                        include: [{
+                            association: 'location',
+                            attributes: ['id', 'code', 'name', 'type']
+                        }]
                     },
                     {
                         model: Transaction,
                         as: 'transactions',
                         limit: 10,
                         order: [['transaction_date', 'DESC']]
+                    },
+                    {
+                        model: SupplierProduct,
+                        as: 'supplier_products',
+                        where: { is_active: true },
+                        required: false,
+                        include: [{
+                            model: Supplier,
+                            as: 'supplier',
+                            attributes: ['id', 'code', 'name', 'is_active']
+                        }]
+                    },
+                    {
+                        // Units the product is handled in besides its base unit
+                        model: ProductUnit,
+                        as: 'units',
+                        attributes: ['id', 'unit', 'conversion_factor']
+                    },
+                    {
+                        // Bill of materials when the product is a kit
+                        model: ProductComponent,
+                        as: 'components',
+                        include: [{
+                            model: Product,
+                            as: 'component',
+                            attributes: ['id', 'name', 'sku', 'unit']
+                        }]
+                    },
+                    {
+                        // Style product when this is a variant
+                        model: Product,
+                        as: 'parent',
+                        attributes: ['id', 'name', 'sku']
+                    },
+                    {
+                        // Size/color/... variants when this is a parent product
+                        model: Product,
+                        as: 'variants',
+                        attributes: ['id', 'name', 'sku', 'variant_options', 'is_active']
+                    },
+                    {
+                        // Images and documents; files are fetched through their file_url
+                        model: ProductAttachment,
+                        as: 'attachments',
+                        attributes: { exclude: ['storage_key'] },
+                        separate: true,
+                        order: [['kind', 'ASC'], ['position', 'ASC'], ['id', 'ASC']]
                     }
                 ]
             });
@@ -112,14 +181,23 @@ class ProductService {
                 throw new Error('Product not found');
             }
 
-            return product;
+            // Same ordering as SupplierProduct.findPreferred: flagged supplier first, then cheapest
+            const [preferredSupplier = null] = [...product.supplier_products].sort((a, b) =>
+                (b.is_preferred - a.is_preferred) || (parseFloat(a.unit_cost) - parseFloat(b.unit_cost))
+            );
+
+            return {
+                ...product.toJSON(),
+                preferred_supplier: preferredSupplier,
+                replenishment: await ReplenishmentService.getReorderPoint(product.id)
+            };
         } catch (error) {
             throw new Error(`Failed to get product: ${error.message}`);
         }
     }
 
     // Create new product
-    static async createProduct(productData) {
+    static async createProduct(productData, userId = null) {
         try {
             const {
                 sku,
@@ -133,7 +211,14 @@ class ProductService {
                 minimum_stock = 0,
                 maximum_stock = 1000,
                 initial_stock = 0,
-                location
+                location_id,
+                is_lot_tracked = false,
+                is_serialized = false,
+                serials,
+                lot_number,
+                manufacture_date,
+                expiry_date,
+                custom_attributes
             } = productData;
 
             // Check if SKU already exists
@@ -162,40 +247,78 @@ class ProductService {
                 throw new Error('Category not found');
             }
 
-            // Create product
-            const product = await Product.create({
-                sku: sku.trim().toUpperCase(),
-                name: name.trim(),
-                description: description?.trim(),
-                category_id,
-                price: parseFloat(price),
-                cost_price: cost_price ? parseFloat(cost_price) : null,
+            const customAttributes = await this.resolveCustomAttributes(category.id, custom_attributes);
+
+            // Measured products (kg, liter, ...) may open with a fractional quantity
+            const stockValidation = QuantityUtil.validate(initial_stock, 'initial_stock', {
                 unit,
-                barcode: barcode?.trim(),
-                minimum_stock: parseInt(minimum_stock),
-                maximum_stock: parseInt(maximum_stock),
-                is_active: true
-            });
+                is_serialized: Boolean(is_serialized)
+            }, { min: 0 });
+            if (!stockValidation.isValid) {
+                throw new Error(stockValidation.errors.join(', '));
+            }
+            const initialStock = QuantityUtil.round(initial_stock);
 
-            // Create initial inventory record
-            await Inventory.create({
-                product_id: product.id,
-                current_stock: parseInt(initial_stock),
-                reserved_stock: 0,
-                location: location?.trim(),
-                last_updated: new Date()
-            });
+            // Serialized initial stock must list every unit before anything is written
+            if (is_serialized && initialStock > 0) {
+                SerialService.normalizeSerials(serials, initialStock);
+            }
 
-            // Create initial transaction if stock > 0
-            if (initial_stock > 0) {
-                await Transaction.create({
-                    product_id: product.id,
-                    transaction_type: 'IN',
-                    quantity: parseInt(initial_stock),
-                    reference_number: `INITIAL-${product.sku}`,
-                    notes: 'Initial stock entry',
-                    transaction_date: new Date()
-                });
+            // The product and its opening stock are written together, or not at all
+            const dbTransaction = await sequelize.transaction();
+            let product;
+            let location;
+
+            try {
+                // Initial stock is booked at the given location, or the default one
+                location = await LocationService.resolveLocation(location_id, { transaction: dbTransaction });
+
+                product = await Product.create({
+                    sku: sku.trim().toUpperCase(),
+                    name: name.trim(),
+                    description: description?.trim(),
+                    category_id,
+                    price: parseFloat(price),
+                    cost_price: cost_price ? parseFloat(cost_price) : null,
+                    unit,
+                    barcode: barcode?.trim(),
+                    minimum_stock: parseInt(minimum_stock),
+                    maximum_stock: parseInt(maximum_stock),
+                    is_lot_tracked: Boolean(is_lot_tracked),
+                    is_serialized: Boolean(is_serialized),
+                    custom_attributes: customAttributes,
+                    is_active: true
+                }, { transaction: dbTransaction });
+
+                if (initialStock > 0) {
+                    // Posted like any receipt: opens the inventory record, the ledger row and
+                    // the cost layer (at the cost price), and a single lot or the serial numbers
+                    await InventoryService.applyStockMovement(product.id, {
+                        transaction_type: TRANSACTION_TYPES.IN,
+                        quantity: initialStock,
+                        location_id: location.id,
+                        reference_number: `INITIAL-${product.sku}`,
+                        notes: 'Initial stock entry',
+                        lot_number,
+                        manufacture_date,
+                        expiry_date,
+                        serials,
+                        created_by: userId
+                    }, dbTransaction);
+                } else {
+                    await Inventory.create({
+                        product_id: product.id,
+                        location_id: location.id,
+                        current_stock: 0,
+                        reserved_stock: 0,
+                        last_updated: new Date()
+                    }, { transaction: dbTransaction });
+                }
+
+                await dbTransaction.commit();
+            } catch (error) {
+                await dbTransaction.rollback();
+                throw error;
             }
 
             // Return product with relations
@@ -206,18 +329,18 @@ class ProductService {
                 sku: createdProduct.sku,
                 name: createdProduct.name,
                 category: createdProduct.category,
-                initial_stock: parseInt(initial_stock),
-                location: location?.trim()
+                initial_stock: initialStock,
+                location_id: location.id
             });
 
             // If initial stock added, emit inventory update
-            if (initial_stock > 0) {
+            if (initialStock > 0) {
                 SocketService.emitInventoryUpdate(product.id, {
-                    current_stock: parseInt(initial_stock),
+                    current_stock: initialStock,
                     previous_stock: 0,
-                    transaction_type: 'IN',
-                    quantity: parseInt(initial_stock),
-                    location: location?.trim(),
+                    transaction_type: TRANSACTION_TYPES.IN,
+                    quantity: initialStock,
+                    location_id: location.id,
                     product: createdProduct
                 });
             }
@@ -276,6 +399,35 @@ class ProductService {
                 }
             }
 
+            // Custom attributes are checked against the definitions of the (new) category
+            let customAttributes = product.custom_attributes;
+            const categoryChanged = Boolean(updateData.category_id) && parseInt(updateData.category_id) !== product.category_id;
+            if (updateData.custom_attributes !== undefined || categoryChanged) {
+                customAttributes = await this.resolveCustomAttributes(
+                    updateData.category_id || product.category_id,
+                    updateData.custom_attributes,
+                    product.custom_attributes,
+                    { partial: !categoryChanged }
+                );
+            }
+
+            // Existing stock has no serial numbers to track
+            if (updateData.is_serialized && !product.is_serialized) {
+                const stockCount = await Inventory.sum('current_stock', { where: { product_id: id } });
+                if (stockCount > 0) {
+                    throw new Error('Cannot enable serial tracking while the product has stock');
+                }
+            }
+
+            // Stock and unit conversions are held in the base unit, so it only changes on an empty product
+            if (updateData.unit && updateData.unit !== product.unit) {
+                const stockCount = await Inventory.sum('current_stock', { where: { product_id: id } });
+                const conversionCount = await ProductUnit.count({ where: { product_id: id } });
+                if (stockCount > 0 || conversionCount > 0) {
+                    throw new Error('Cannot change the base unit while the product has stock or unit conversions');
+                }
+            }
+
             // Update product
             await product.update({
                 sku: updateData.sku?.trim().toUpperCase() || product.sku,
@@ -291,6 +443,11 @@ class ProductService {
                     parseInt(updateData.minimum_stock) : product.minimum_stock,
                 maximum_stock: updateData.maximum_stock !== undefined ?
                     parseInt(updateData.maximum_stock) : product.maximum_stock,
+                is_lot_tracked: updateData.is_lot_tracked !== undefined ?
+                    Boolean(updateData.is_lot_tracked) : product.is_lot_tracked,
+                is_serialized: updateData.is_serialized !== undefined ?
+                    Boolean(updateData.is_serialized) : product.is_serialized,
+                custom_attributes: customAttributes,
                 is_active: updateData.is_active !== undefined ? updateData.is_active : product.is_active
             });
 
@@ -316,6 +473,69 @@ class ProductService {
         }
     }
 
+    /**
+     * Check custom attribute values against the category's definitions and
+     * merge them over the product's current values. Values of attributes the
+     * category no longer defines are dropped, numbers are stored as numbers
+     * and null clears a value. Unless partial, required attributes must end
+     * up set.
+     */
+    static async resolveCustomAttributes(categoryId, values, current = {}, { partial = false } = {}) {
+        // Subcategories inherit the attributes of the categories above them
+        const definitions = await CategoryAttribute.findEffective(categoryId);
+
+        const resolved = Object.fromEntries(Object.entries(current || {})
+            .filter(([code]) => definitions.some(definition => definition.code === code)));
+
+        const validation = validateProductAttributes(partial ? values : { ...resolved, ...values }, definitions, { partial });
+        if (!validation.isValid) {
+            throw new Error(validation.errors.join(', '));
+        }
+
+        Object.entries(values || {}).forEach(([code, value]) => {
+            const definition = definitions.find(entry => entry.code === code);
+
+            if (value === null) {
+                delete resolved[code];
+            } else if (definition.data_type === ATTRIBUTE_TYPES.NUMBER) {
+                resolved[code] = Number(value);
+            } else {
+                resolved[code] = typeof value === 'string' ? value.trim() : value;
+            }
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Separate custom attribute filters from the other query filters. Both
+     * ?attr[voltage]=220 parsed into an object and the flat `attr[voltage]`
+     * keys of the simple query parser are accepted.
+     */
+    static splitAttributeFilters(filters) {
+        const attributeFilters = {};
+        const otherFilters = {};
+
+        Object.entries(filters).forEach(([key, value]) => {
+            const flatKey = key.match(/^attr\[([^\]]+)\]$/);
+
+            if (key === 'attr' && value && typeof value === 'object') {
+                Object.assign(attributeFilters, value);
+            } else if (flatKey) {
+                attributeFilters[flatKey[1]] = value;
+            } else {
+                otherFilters[key] = value;
+            }
+        });
+
+        const invalid = Object.keys(attributeFilters).filter(code => !/^[a-z][a-z0-9_]*$/.test(code));
+        if (invalid.length > 0) {
+            throw new ValidationError('Invalid attribute filters', invalid.map(code => `Invalid custom attribute code: ${code}`));
+        }
+
+        return { attributeFilters, otherFilters };
+    }
+
     // Delete product (soft delete)
     static async deleteProduct(id) {
         try {
@@ -330,9 +550,9 @@ class ProductService {
                 throw new Error('Product not found');
             }
 
-            // Check if product has stock
-            if (product.inventory && product.inventory.current_stock > 0) {
-                throw new Error('Cannot delete product with current stock. Please adjust stock to zero first.');
+            // Check if product has stock at any location
+            if (Inventory.sumStock(product.inventory) > 0) {
+                throw new Error('Cannot delete product with current stock. Please adjust stock to zero at every location first.');
             }
 
             // Soft delete
@@ -367,6 +587,12 @@ class ProductService {
                     {
                         model: Inventory,
                         as: 'inventory'
+                    },
+                    {
+                        // Variants resolve like any product and point at their style
+                        model: Product,
+                        as: 'parent',
+                        attributes: ['id', 'name', 'sku']
                     }
                 ]
             });
@@ -394,6 +620,11 @@ class ProductService {
                     {
                         model: Inventory,
                         as: 'inventory'
+                    },
+                    {
+                        model: Product,
+                        as: 'parent',
+                        attributes: ['id', 'name', 'sku']
                     }
                 ]
             });
@@ -0,0 +1,556 @@
+import { PurchaseOrder, PurchaseOrderLine, Supplier, SupplierProduct, Product, Location } from '../models/index.js';
+import { Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import { TRANSACTION_TYPES, PURCHASE_ORDER_STATUS } from '../constant/index.js';
+import {
+    DatabaseUtil,
+    ValidationUtil,
+    QuantityUtil,
+    DateUtil,
+    StringUtil,
+    NotFoundError,
+    ValidationError,
+    BusinessLogicError
+} from '../utils/index.js';
+import InventoryService from './inventory-services.js';
+import LocationService from './location-services.js';
+import UnitService from './unit-services.js';
+
+class PurchaseOrderService {
+
+    // Get all purchase orders with filters
+    static async getAllPurchaseOrders(filters = {}) {
+        try {
+            // Validate pagination
+            const paginationValidation = ValidationUtil.validatePagination(filters);
+            if (!paginationValidation.isValid) {
+                throw new ValidationError('Invalid pagination parameters', paginationValidation.errors);
+            }
+
+            const { page, limit } = paginationValidation.sanitized;
+            const pagination = DatabaseUtil.buildPagination(page, limit);
+
+            const whereConditions = [];
+
+            if (filters.status) {
+                whereConditions.push({ status: filters.status });
+            }
+
+            if (filters.supplier_id) {
+                whereConditions.push({ supplier_id: filters.supplier_id });
+            }
+
+            if (filters.location_id) {
+                whereConditions.push({ location_id: filters.location_id });
+            }
+
+            if (filters.search) {
+                whereConditions.push({ po_number: { [Op.iLike]: `%${filters.search}%` } });
+            }
+
+            if (filters.start_date || filters.end_date) {
+                whereConditions.push(
+                    DatabaseUtil.buildDateRangeFilter(filters.start_date, filters.end_date, 'order_date')
+                );
+            }
+
+            const { count, rows } = await PurchaseOrder.findAndCountAll({
+                where: DatabaseUtil.combineFilters(whereConditions),
+                include: [
+                    {
+                        model: Supplier,
+                        as: 'supplier',
+                        attributes: ['id', 'code', 'name']
+                    },
+                    {
+                        model: Location,
+                        as: 'location',
+                        attributes: ['id', 'code', 'name']
+                    }
+                ],
+                ...pagination,
+                order: [['created_at', 'DESC']],
+                distinct: true
+            });
+
+            return {
+                purchase_orders: rows,
+                pagination: DatabaseUtil.calculatePaginationMeta(count, page, limit)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get purchase orders: ${error.message}`);
+        }
+    }
+
+    // Get purchase order by ID with lines and ordered vs. received totals
+    static async getPurchaseOrderById(id) {
+        try {
+            const purchaseOrder = await PurchaseOrder.findByPk(id, {
+                include: [
+                    {
+                        model: Supplier,
+                        as: 'supplier'
+                    },
+                    {
+                        model: Location,
+                        as: 'location',
+                        attributes: ['id', 'code', 'name', 'type']
+                    },
+                    {
+                        model: PurchaseOrderLine,
+                        as: 'lines',
+                        include: [{
+                            model: Product,
+                            as: 'product',
+                            attributes: ['id', 'name', 'sku', 'unit']
+                        }]
+                    }
+                ],
+                order: [[{ model: PurchaseOrderLine, as: 'lines' }, 'id', 'ASC']]
+            });
+
+            if (!purchaseOrder) {
+                throw new NotFoundError('Purchase order not found');
+            }
+
+            const lines = purchaseOrder.lines;
+
+            return {
+                ...purchaseOrder.toJSON(),
+                totals: {
+                    quantity_ordered: QuantityUtil.sum(lines.map(line => line.quantity_ordered)),
+                    quantity_received: QuantityUtil.sum(lines.map(line => line.quantity_received)),
+                    quantity_outstanding: QuantityUtil.sum(lines.map(line => line.quantity_outstanding)),
+                    order_value: parseFloat(lines.reduce((sum, line) =>
+                        sum + line.quantity_ordered * parseFloat(line.unit_cost), 0).toFixed(2)),
+                    received_value: parseFloat(lines.reduce((sum, line) =>
+                        sum + line.quantity_received * parseFloat(line.unit_cost), 0).toFixed(2))
+                }
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get purchase order: ${error.message}`);
+        }
+    }
+
+    // Create a draft purchase order with its lines
+    static async createPurchaseOrder(orderData, userId = null) {
+        const { supplier_id, location_id, expected_date, notes, lines } = orderData;
+
+        const requiredValidation = ValidationUtil.validateRequired(orderData, ['supplier_id', 'lines']);
+        if (!requiredValidation.isValid) {
+            throw new ValidationError('Missing required fields', requiredValidation.errors);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+        let purchaseOrder;
+
+        try {
+            const supplier = await this.findActiveSupplier(supplier_id, dbTransaction);
+            const location = await LocationService.resolveLocation(location_id, { transaction: dbTransaction });
+            const orderLines = await this.buildOrderLines(lines, supplier.id, dbTransaction);
+
+            purchaseOrder = await PurchaseOrder.create({
+                po_number: this.generatePoNumber(),
+                supplier_id: supplier.id,
+                location_id: location.id,
+                status: PURCHASE_ORDER_STATUS.DRAFT,
+                order_date: DateUtil.toDateOnly(new Date()),
+                expected_date: expected_date || null,
+                notes: ValidationUtil.sanitizeString(notes),
+                created_by: userId
+            }, { transaction: dbTransaction });
+
+            await PurchaseOrderLine.bulkCreate(orderLines.map(line => ({
+                ...line,
+                purchase_order_id: purchaseOrder.id
+            })), { transaction: dbTransaction, validate: true });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to create purchase order: ${error.message}`);
+        }
+
+        return await this.getPurchaseOrderById(purchaseOrder.id);
+    }
+
+    // Update a draft purchase order; passing lines replaces all existing lines
+    static async updatePurchaseOrder(id, updateData) {
+        const dbTransaction = await sequelize.transaction();
+
+        try {
+            const purchaseOrder = await this.findPurchaseOrder(id, dbTransaction);
+
+            if (purchaseOrder.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+                throw new BusinessLogicError('Only draft purchase orders can be edited');
+            }
+
+            const changes = {};
+
+            if (updateData.supplier_id !== undefined) {
+                const supplier = await this.findActiveSupplier(updateData.supplier_id, dbTransaction);
+                changes.supplier_id = supplier.id;
+            }
+
+            if (updateData.location_id !== undefined) {
+                const location = await LocationService.resolveLocation(updateData.location_id, { transaction: dbTransaction });
+                changes.location_id = location.id;
+            }
+
+            if (updateData.expected_date !== undefined) {
+                changes.expected_date = updateData.expected_date || null;
+            }
+
+            if (updateData.notes !== undefined) {
+                changes.notes = ValidationUtil.sanitizeString(updateData.notes);
+            }
+
+            await purchaseOrder.update(changes, { transaction: dbTransaction });
+
+            if (updateData.lines !== undefined) {
+                const orderLines = await this.buildOrderLines(
+                    updateData.lines,
+                    changes.supplier_id || purchaseOrder.supplier_id,
+                    dbTransaction
+                );
+
+                await PurchaseOrderLine.destroy({
+                    where: { purchase_order_id: purchaseOrder.id },
+                    transaction: dbTransaction
+                });
+                await PurchaseOrderLine.bulkCreate(orderLines.map(line => ({
+                    ...line,
+                    purchase_order_id: purchaseOrder.id
+                })), { transaction: dbTransaction, validate: true });
+            }
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to update purchase order: ${error.message}`);
+        }
+
+        return await this.getPurchaseOrderById(id);
+    }
+
+    // Mark a draft purchase order as sent to the supplier
+    static async sendPurchaseOrder(id) {
+        try {
+            const purchaseOrder = await PurchaseOrder.findByPk(id);
+
+            if (!purchaseOrder) {
+                throw new NotFoundError('Purchase order not found');
+            }
+
+            if (purchaseOrder.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+                throw new BusinessLogicError('Only draft purchase orders can be sent');
+            }
+
+            await purchaseOrder.update({
+                status: PURCHASE_ORDER_STATUS.SENT,
+                sent_at: new Date()
+            });
+
+            return await this.getPurchaseOrderById(id);
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to send purchase order: ${error.message}`);
+        }
+    }
+
+    /**
+     * Receive goods against a sent purchase order. Each received line posts an IN
+     * transaction at the order's location, linked to the PO line. Without a lines
+     * array every outstanding quantity is received.
+     */
+    static async receivePurchaseOrder(id, receiptData = {}, userId = null) {
+        const dbTransaction = await sequelize.transaction();
+        const movements = [];
+
+        try {
+            const purchaseOrder = await this.findPurchaseOrder(id, dbTransaction);
+
+            if (![PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED].includes(purchaseOrder.status)) {
+                throw new BusinessLogicError(`Cannot receive a purchase order with status ${purchaseOrder.status}`);
+            }
+
+            const orderLines = await PurchaseOrderLine.findAll({
+                where: { purchase_order_id: purchaseOrder.id },
+                transaction: dbTransaction,
+                lock: dbTransaction.LOCK.UPDATE
+            });
+
+            const receipts = await this.resolveReceiptLines(orderLines, receiptData.lines, dbTransaction);
+
+            for (const { line, quantity, notes, lot, serials } of receipts) {
+                const movement = await InventoryService.applyStockMovement(line.product_id, {
+                    ...lot,
+                    serials,
+                    transaction_type: TRANSACTION_TYPES.IN,
+                    quantity,
+                    unit_cost: line.unit_cost,
+                    location_id: purchaseOrder.location_id,
+                    purchase_order_line_id: line.id,
+                    reference_number: purchaseOrder.po_number,
+                    notes: notes || receiptData.notes || `Received against ${purchaseOrder.po_number}`,
+                    created_by: userId
+                }, dbTransaction);
+                movements.push(movement);
+
+                await line.update({
+                    quantity_received: QuantityUtil.round(line.quantity_received + quantity)
+                }, { transaction: dbTransaction });
+            }
+
+            const fullyReceived = orderLines.every(line => line.quantity_received >= line.quantity_ordered);
+
+            await purchaseOrder.update({
+                status: fullyReceived ? PURCHASE_ORDER_STATUS.RECEIVED : PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED,
+                received_at: fullyReceived ? new Date() : null
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to receive purchase order: ${error.message}`);
+        }
+
+        for (const movement of movements) {
+            await InventoryService.publishStockMovement(movement);
+        }
+
+        return await this.getPurchaseOrderById(id);
+    }
+
+    // Cancel a purchase order that has not received any goods yet
+    static async cancelPurchaseOrder(id, reason = null) {
+        try {
+            const purchaseOrder = await PurchaseOrder.findByPk(id);
+
+            if (!purchaseOrder) {
+                throw new NotFoundError('Purchase order not found');
+            }
+
+            if (![PURCHASE_ORDER_STATUS.DRAFT, PURCHASE_ORDER_STATUS.SENT].includes(purchaseOrder.status)) {
+                throw new BusinessLogicError(`Cannot cancel a purchase order with status ${purchaseOrder.status}`);
+            }
+
+            await purchaseOrder.update({
+                status: PURCHASE_ORDER_STATUS.CANCELLED,
+                cancelled_at: new Date(),
+                notes: [purchaseOrder.notes, reason && `Cancelled: ${ValidationUtil.sanitizeString(reason)}`]
+                    .filter(Boolean)
+                    .join('\n') || null
+            });
+
+            return await this.getPurchaseOrderById(id);
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to cancel purchase order: ${error.message}`);
+        }
+    }
+
+    // Validate requested lines and normalize them for PurchaseOrderLine.bulkCreate
+    static async buildOrderLines(lines, supplierId, dbTransaction) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            throw new ValidationError('Invalid purchase order lines', ['lines must be a non-empty array']);
+        }
+
+        const errors = [];
+        const seenProducts = new Set();
+
+        lines.forEach((line, index) => {
+            if (!line.product_id) {
+                errors.push(`lines[${index}].product_id is required`);
+            } else if (seenProducts.has(String(line.product_id))) {
+                errors.push(`lines[${index}].product_id appears more than once`);
+            } else {
+                seenProducts.add(String(line.product_id));
+            }
+
+            errors.push(...ValidationUtil.validateNumeric(line.quantity_ordered, `lines[${index}].quantity_ordered`, {
+                required: true,
+                min: 0
+            }).errors);
+
+            errors.push(...ValidationUtil.validateNumeric(line.unit_cost, `lines[${index}].unit_cost`, {
+                min: 0
+            }).errors);
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid purchase order lines', errors);
+        }
+
+        const products = await Product.findAll({
+            where: { id: { [Op.in]: lines.map(line => line.product_id) } },
+            transaction: dbTransaction
+        });
+        const productsById = new Map(products.map(product => [product.id, product]));
+
+        // Unit costs default to the supplier's catalog price, then to the product cost price
+        const catalog = await SupplierProduct.findAll({
+            where: { supplier_id: supplierId, product_id: { [Op.in]: products.map(product => product.id) } },
+            transaction: dbTransaction
+        });
+        const catalogByProduct = new Map(catalog.map(item => [item.product_id, item]));
+
+        const orderLines = [];
+        for (const [index, line] of lines.entries()) {
+            const product = productsById.get(parseInt(line.product_id));
+            if (!product) {
+                throw new NotFoundError(`Product ${line.product_id} not found`);
+            }
+            if (!product.is_active) {
+                throw new BusinessLogicError(`Product ${product.sku} is inactive`);
+            }
+
+            // Quantity and cost may be given per case or pack; the line stores base units
+            const factor = await UnitService.getConversionFactor(product, line.unit, { transaction: dbTransaction });
+
+            orderLines.push({
+                product_id: product.id,
+                quantity_ordered: UnitService.applyFactor(product, line.quantity_ordered, factor, {
+                    fieldName: `lines[${index}].quantity_ordered`,
+                    positive: true
+                }),
+                unit_cost: line.unit_cost !== undefined && line.unit_cost !== null
+                    ? UnitService.toBaseCost(ValidationUtil.sanitizeNumber(line.unit_cost), factor)
+                    : parseFloat(catalogByProduct.get(product.id)?.unit_cost ?? product.cost_price ?? 0),
+                notes: ValidationUtil.sanitizeString(line.notes)
+            });
+        }
+
+        return orderLines;
+    }
+
+    // Match requested receipt lines (by line_id or product_id) against the order lines; quantities may be given in any unit of the product
+    static async resolveReceiptLines(orderLines, requestedLines, dbTransaction) {
+        if (requestedLines === undefined) {
+            const outstanding = orderLines
+                .filter(line => line.quantity_outstanding > 0)
+                .map(line => ({ line, quantity: line.quantity_outstanding }));
+
+            if (outstanding.length === 0) {
+                throw new BusinessLogicError('Nothing left to receive on this purchase order');
+            }
+
+            return outstanding;
+        }
+
+        if (!Array.isArray(requestedLines) || requestedLines.length === 0) {
+            throw new ValidationError('Invalid receipt lines', ['lines must be a non-empty array']);
+        }
+
+        const errors = [];
+        const pendingByLine = new Map();
+        const receipts = [];
+        for (const [index, requested] of requestedLines.entries()) {
+            const line = orderLines.find(orderLine =>
+                (requested.line_id && orderLine.id === parseInt(requested.line_id)) ||
+                (!requested.line_id && orderLine.product_id === parseInt(requested.product_id))
+            );
+
+            if (!line) {
+                errors.push(`lines[${index}] does not match any line on this purchase order`);
+                continue;
+            }
+
+            let quantity;
+            try {
+                const product = await Product.findByPk(line.product_id, { transaction: dbTransaction });
+                quantity = await UnitService.toBaseQuantity(product, requested.quantity, requested.unit, {
+                    fieldName: `lines[${index}].quantity`,
+                    positive: true,
+                    transaction: dbTransaction
+                });
+            } catch (error) {
+                if (error instanceof ValidationError) {
+                    errors.push(...error.errors);
+                    continue;
+                }
+                throw error;
+            }
+
+            const pending = QuantityUtil.round((pendingByLine.get(line.id) || 0) + quantity);
+            if (pending > line.quantity_outstanding) {
+                errors.push(`lines[${index}].quantity exceeds the outstanding quantity of ${line.quantity_outstanding}`);
+                continue;
+            }
+            pendingByLine.set(line.id, pending);
+
+            receipts.push({
+                line,
+                quantity,
+                notes: ValidationUtil.sanitizeString(requested.notes),
+                // Lot details only apply to lot-tracked products
+                lot: {
+                    lot_number: requested.lot_number,
+                    manufacture_date: requested.manufacture_date,
+                    expiry_date: requested.expiry_date
+                },
+                // Required when the product is serialized
+                serials: requested.serials
+            });
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid receipt lines', errors);
+        }
+
+        return receipts;
+    }
+
+    static async findPurchaseOrder(id, dbTransaction) {
+        const purchaseOrder = await PurchaseOrder.findByPk(id, {
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE
+        });
+
+        if (!purchaseOrder) {
+            throw new NotFoundError('Purchase order not found');
+        }
+
+        return purchaseOrder;
+    }
+
+    static async findActiveSupplier(supplierId, dbTransaction) {
+        const supplier = await Supplier.findByPk(supplierId, { transaction: dbTransaction });
+
+        if (!supplier) {
+            throw new NotFoundError('Supplier not found');
+        }
+
+        if (!supplier.is_active) {
+            throw new BusinessLogicError(`Supplier ${supplier.code} is inactive`);
+        }
+
+        return supplier;
+    }
+
+    static generatePoNumber() {
+        const datePart = DateUtil.toDateOnly(new Date()).replace(/-/g, '');
+        return `PO-${datePart}-${StringUtil.generateAlphanumeric(6)}`;
+    }
+}
+
+export default PurchaseOrderService;
@@ -0,0 +1,331 @@
+import {
+    Product,
+    Inventory,
+    Supplier,
+    SupplierProduct,
+    PurchaseOrder,
+    PurchaseOrderLine,
+    StockTransfer,
+    Transaction
+} from '../models/index.js';
+import { Op, fn, col } from 'sequelize';
+import { TRANSACTION_TYPES, PURCHASE_ORDER_STATUS, TRANSFER_STATUS, REPLENISHMENT } from '../constant/index.js';
+import {
+    DateUtil,
+    QuantityUtil,
+    NotFoundError,
+    ValidationError,
+    BusinessLogicError
+} from '../utils/index.js';
+import LocationService from './location-services.js';
+import PurchaseOrderService from './purchase-order-services.js';
+
+// Purchase orders whose outstanding quantities are already on the way (or planned)
+const OPEN_PURCHASE_ORDER_STATUSES = [
+    PURCHASE_ORDER_STATUS.DRAFT,
+    PURCHASE_ORDER_STATUS.SENT,
+    PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED
+];
+
+class ReplenishmentService {
+
+    /**
+     * Suggest order quantities for every active product at or below its reorder point.
+     * Quantities order up to maximum_stock, net of reserved stock and open inbound
+     * quantities, and are grouped by the product's preferred supplier.
+     */
+    static async getSuggestions(filters = {}) {
+        try {
+            const location = filters.location_id
+                ? await LocationService.resolveLocation(filters.location_id)
+                : null;
+            const locationWhere = location ? { location_id: location.id } : {};
+
+            const products = await Product.findAll({
+                where: { is_active: true },
+                attributes: ['id', 'name', 'sku', 'unit', 'cost_price', 'minimum_stock', 'maximum_stock'],
+                include: [{
+                    model: SupplierProduct,
+                    as: 'supplier_products',
+                    where: { is_active: true },
+                    required: false,
+                    include: [{
+                        model: Supplier,
+                        as: 'supplier',
+                        where: { is_active: true },
+                        attributes: ['id', 'code', 'name']
+                    }]
+                }]
+            });
+
+            if (products.length === 0) {
+                return this.formatSuggestions(location, []);
+            }
+
+            const productIds = products.map(product => product.id);
+
+            const [inventory, inbound, demand] = await Promise.all([
+                Inventory.findAll({
+                    where: { product_id: { [Op.in]: productIds }, ...locationWhere },
+                    attributes: ['product_id', 'current_stock', 'reserved_stock']
+                }),
+                this.getInboundQuantities(productIds, location?.id),
+                this.getAverageDailyDemand(productIds, location?.id)
+            ]);
+
+            const lines = [];
+
+            for (const product of products) {
+                const records = inventory.filter(record => record.product_id === product.id);
+                const onHand = Inventory.sumStock(records);
+                const reserved = Inventory.sumStock(records, 'reserved_stock');
+                const inboundQuantity = inbound.get(product.id) || 0;
+                const stockPosition = QuantityUtil.round(onHand - reserved + inboundQuantity);
+
+                const supplierProduct = this.pickPreferred(product.supplier_products);
+                const leadTimeDays = supplierProduct ? supplierProduct.lead_time_days : 0;
+                const averageDailyDemand = demand.get(product.id) || 0;
+                const reorderPoint = this.calculateReorderPoint(product.minimum_stock, leadTimeDays, averageDailyDemand);
+
+                if (stockPosition > reorderPoint) {
+                    continue;
+                }
+
+                let suggestedQuantity = QuantityUtil.round(product.maximum_stock - stockPosition);
+                if (suggestedQuantity <= 0) {
+                    continue;
+                }
+                if (supplierProduct) {
+                    suggestedQuantity = Math.max(suggestedQuantity, supplierProduct.minimum_order_quantity);
+                }
+
+                const unitCost = parseFloat(supplierProduct ? supplierProduct.unit_cost : (product.cost_price || 0));
+
+                lines.push({
+                    product: {
+                        id: product.id,
+                        name: product.name,
+                        sku: product.sku,
+                        unit: product.unit
+                    },
+                    supplier: supplierProduct ? supplierProduct.supplier : null,
+                    supplier_sku: supplierProduct ? supplierProduct.supplier_sku : null,
+                    current_stock: onHand,
+                    reserved_stock: reserved,
+                    inbound_quantity: inboundQuantity,
+                    stock_position: stockPosition,
+                    minimum_stock: product.minimum_stock,
+                    maximum_stock: product.maximum_stock,
+                    lead_time_days: leadTimeDays,
+                    average_daily_demand: parseFloat(averageDailyDemand.toFixed(2)),
+                    reorder_point: reorderPoint,
+                    minimum_order_quantity: supplierProduct ? supplierProduct.minimum_order_quantity : 1,
+                    suggested_quantity: suggestedQuantity,
+                    unit_cost: unitCost,
+                    currency: supplierProduct ? supplierProduct.currency : null,
+                    estimated_cost: parseFloat((suggestedQuantity * unitCost).toFixed(2))
+                });
+            }
+
+            return this.formatSuggestions(location, lines);
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to get replenishment suggestions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Turn the current suggestions into draft purchase orders, one per supplier.
+     * Products without an active supplier cannot be ordered and are reported back.
+     */
+    static async createDraftPurchaseOrders(requestData = {}, userId = null) {
+        const { location_id, supplier_id, product_ids } = requestData;
+
+        if (product_ids !== undefined && (!Array.isArray(product_ids) || product_ids.length === 0)) {
+            throw new ValidationError('Invalid product list', ['product_ids must be a non-empty array']);
+        }
+
+        try {
+            const location = await LocationService.resolveLocation(location_id);
+            const suggestions = await this.getSuggestions({ location_id: location_id ? location.id : undefined });
+
+            const selectedProducts = product_ids ? new Set(product_ids.map(id => parseInt(id))) : null;
+            const groups = suggestions.suppliers
+                .filter(group => !supplier_id || (group.supplier && group.supplier.id === parseInt(supplier_id)))
+                .map(group => ({
+                    ...group,
+                    lines: group.lines.filter(line => !selectedProducts || selectedProducts.has(line.product.id))
+                }))
+                .filter(group => group.lines.length > 0);
+
+            const orderableGroups = groups.filter(group => group.supplier);
+            if (orderableGroups.length === 0) {
+                throw new BusinessLogicError('No replenishment suggestions with an active supplier to order');
+            }
+
+            const purchaseOrders = [];
+            for (const group of orderableGroups) {
+                const purchaseOrder = await PurchaseOrderService.createPurchaseOrder({
+                    supplier_id: group.supplier.id,
+                    location_id: location.id,
+                    notes: 'Generated from replenishment suggestions',
+                    lines: group.lines.map(line => ({
+                        product_id: line.product.id,
+                        quantity_ordered: line.suggested_quantity,
+                        unit_cost: line.unit_cost
+                    }))
+                }, userId);
+                purchaseOrders.push(purchaseOrder);
+            }
+
+            return {
+                purchase_orders: purchaseOrders,
+                unassigned_products: groups
+                    .filter(group => !group.supplier)
+                    .flatMap(group => group.lines.map(line => line.product))
+            };
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to create draft purchase orders: ${error.message}`);
+        }
+    }
+
+    // Quantities still to arrive per product: open PO lines, plus in-transit transfers into the location
+    static async getInboundQuantities(productIds, locationId = null) {
+        const inbound = new Map();
+        const add = (productId, quantity) => inbound.set(productId, (inbound.get(productId) || 0) + quantity);
+
+        const orderLines = await PurchaseOrderLine.findAll({
+            where: { product_id: { [Op.in]: productIds } },
+            attributes: ['product_id', 'quantity_ordered', 'quantity_received'],
+            include: [{
+                model: PurchaseOrder,
+                as: 'purchase_order',
+                attributes: [],
+                where: {
+                    status: { [Op.in]: OPEN_PURCHASE_ORDER_STATUSES },
+                    ...(locationId ? { location_id: locationId } : {})
+                }
+            }]
+        });
+        orderLines.forEach(line => add(line.product_id, line.quantity_outstanding));
+
+        // Network-wide, stock in transit is already counted as leaving its source
+        if (locationId) {
+            const transfers = await StockTransfer.findAll({
+                where: {
+                    product_id: { [Op.in]: productIds },
+                    to_location_id: locationId,
+                    status: TRANSFER_STATUS.IN_TRANSIT
+                },
+                attributes: ['product_id', 'quantity']
+            });
+            transfers.forEach(transfer => add(transfer.product_id, transfer.quantity));
+        }
+
+        return inbound;
+    }
+
+    // Average units shipped per day over the demand window, keyed by product ID
+    static async getAverageDailyDemand(productIds, locationId = null, periodDays = REPLENISHMENT.DEMAND_PERIOD_DAYS) {
+        const since = DateUtil.addDays(DateUtil.startOfDay(), -periodDays);
+
+        const whereClause = {
+            product_id: { [Op.in]: productIds },
+            transaction_type: TRANSACTION_TYPES.OUT,
+            reversed_at: null,
+            transaction_date: { [Op.gte]: since }
+        };
+        if (locationId) {
+            whereClause.location_id = locationId;
+        }
+
+        const rows = await Transaction.findAll({
+            where: whereClause,
+            attributes: [
+                'product_id',
+                [fn('SUM', col('quantity')), 'total_quantity']
+            ],
+            group: ['product_id'],
+            raw: true
+        });
+
+        const demand = new Map(productIds.map(id => [parseInt(id), 0]));
+        rows.forEach(row => {
+            demand.set(row.product_id, (QuantityUtil.parse(row.total_quantity) || 0) / periodDays);
+        });
+
+        return demand;
+    }
+
+    /**
+     * Stock level at which a product must be reordered: the safety stock
+     * (minimum_stock) plus the demand expected while the order is in transit.
+     */
+    static calculateReorderPoint(minimumStock, leadTimeDays, averageDailyDemand) {
+        return minimumStock + Math.ceil(averageDailyDemand * leadTimeDays);
+    }
+
+    // Reorder point for a single product using its preferred supplier's lead time
+    static async getReorderPoint(productId) {
+        const product = await Product.findByPk(productId, {
+            attributes: ['id', 'minimum_stock']
+        });
+
+        if (!product) {
+            throw new NotFoundError('Product not found');
+        }
+
+        const supplierProduct = await SupplierProduct.findPreferred(product.id);
+        const leadTimeDays = supplierProduct ? supplierProduct.lead_time_days : 0;
+        const demand = await this.getAverageDailyDemand([product.id]);
+        const averageDailyDemand = demand.get(product.id);
+
+        return {
+            lead_time_days: leadTimeDays,
+            average_daily_demand: parseFloat(averageDailyDemand.toFixed(2)),
+            reorder_point: this.calculateReorderPoint(product.minimum_stock, leadTimeDays, averageDailyDemand)
+        };
+    }
+
+    // Same ordering as SupplierProduct.findPreferred: flagged supplier first, then cheapest
+    static pickPreferred(supplierProducts = []) {
+        const [preferred = null] = [...supplierProducts].sort((a, b) =>
+            (b.is_preferred - a.is_preferred) || (parseFloat(a.unit_cost) - parseFloat(b.unit_cost))
+        );
+        return preferred;
+    }
+
+    static formatSuggestions(location, lines) {
+        const groups = new Map();
+
+        lines.forEach(line => {
+            const key = line.supplier ? line.supplier.id : 'unassigned';
+            if (!groups.has(key)) {
+                groups.set(key, { supplier: line.supplier, lines: [] });
+            }
+            groups.get(key).lines.push(line);
+        });
+
+        const suppliers = [...groups.values()].map(group => ({
+            supplier: group.supplier,
+            total_products: group.lines.length,
+            total_quantity: QuantityUtil.sum(group.lines.map(line => line.suggested_quantity)),
+            estimated_cost: parseFloat(group.lines.reduce((sum, line) => sum + line.estimated_cost, 0).toFixed(2)),
+            lines: group.lines.map(({ supplier, ...line }) => line)
+        }));
+
+        return {
+            location: location ? { id: location.id, code: location.code, name: location.name } : null,
+            generated_at: new Date(),
+            total_products: lines.length,
+            suppliers
+        };
+    }
+}
+
+export default ReplenishmentService;
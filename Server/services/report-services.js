@@ -0,0 +1,715 @@
+import { Product, Category, Inventory, Transaction, Location, AdjustmentReason, Return, ReturnLine } from '../models/index.js';
+import { Op, fn, col, literal } from 'sequelize';
+import { TRANSACTION_TYPES, REPORTS, MOVEMENT_CLASSES, RETURN_STATUS, RETURN_DISPOSITIONS } from '../constant/index.js';
+import { DateUtil, QuantityUtil, ValidationError } from '../utils/index.js';
+import CostingService from './costing-services.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const INBOUND_TYPES = [TRANSACTION_TYPES.IN, TRANSACTION_TYPES.TRANSFER_IN];
+const OUTBOUND_TYPES = [TRANSACTION_TYPES.OUT, TRANSACTION_TYPES.TRANSFER_OUT];
+
+const round = (value, decimals = 2) => parseFloat(value.toFixed(decimals));
+
+class ReportService {
+
+    // Stock, value and movement summary for the period
+    static async getOverviewReport(filters = {}) {
+        const period = this.resolvePeriod(filters);
+
+        try {
+            const inventoryWhere = filters.location_id ? { location_id: filters.location_id } : {};
+
+            const [records, flows, stockValue, costOfGoodsSold] = await Promise.all([
+                Inventory.findAll({
+                    where: inventoryWhere,
+                    attributes: ['product_id', 'current_stock', 'reserved_stock'],
+                    include: [{
+                        model: Product,
+                        as: 'product',
+                        attributes: ['id', 'minimum_stock'],
+                        where: { is_active: true }
+                    }]
+                }),
+                this.getFlowsByType(period.start, period.end, filters.location_id),
+                CostingService.getStockValue(filters.location_id),
+                CostingService.getCostOfGoodsSold({ ...filters, start_date: period.start, end_date: period.end })
+            ]);
+
+            const totalStock = Inventory.sumStock(records);
+            const totalReserved = Inventory.sumStock(records, 'reserved_stock');
+
+            return {
+                period: this.formatPeriod(period),
+                location_id: filters.location_id ? parseInt(filters.location_id) : null,
+                stock: {
+                    total_products: new Set(records.map(record => record.product_id)).size,
+                    total_stock: totalStock,
+                    total_reserved: totalReserved,
+                    available_stock: QuantityUtil.round(totalStock - totalReserved),
+                    low_stock_records: records.filter(record =>
+                        record.current_stock > 0 && record.current_stock <= record.product.minimum_stock).length,
+                    out_of_stock_records: records.filter(record => record.current_stock === 0).length,
+                    inventory_value: stockValue
+                },
+                movements: Object.values(TRANSACTION_TYPES).reduce((summary, type) => {
+                    summary[type] = flows[type] || { transactions: 0, quantity: 0 };
+                    return summary;
+                }, {}),
+                cost_of_goods_sold: costOfGoodsSold.total_cost
+            };
+        } catch (error) {
+            throw new Error(`Failed to generate inventory overview: ${error.message}`);
+        }
+    }
+
+    /**
+     * Turnover per product and category for the period: units shipped (OUT) over
+     * the average of opening and closing stock, and days of supply left at the
+     * period's rate of demand.
+     */
+    static async getTurnoverReport(filters = {}) {
+        const period = this.resolvePeriod(filters);
+
+        try {
+            const products = await this.getProductMovements(filters, period);
+
+            const categories = new Map();
+            products.forEach(item => {
+                const key = item.category ? item.category.id : null;
+                if (!categories.has(key)) {
+                    categories.set(key, {
+                        category: item.category,
+                        total_products: 0,
+                        units_sold: 0,
+                        opening_stock: 0,
+                        closing_stock: 0
+                    });
+                }
+                const entry = categories.get(key);
+                entry.total_products += 1;
+                entry.units_sold = QuantityUtil.round(entry.units_sold + item.units_sold);
+                entry.opening_stock = QuantityUtil.round(entry.opening_stock + item.opening_stock);
+                entry.closing_stock = QuantityUtil.round(entry.closing_stock + item.closing_stock);
+            });
+
+            return {
+                period: this.formatPeriod(period),
+                location_id: filters.location_id ? parseInt(filters.location_id) : null,
+                products: products.sort((a, b) => (b.turnover_ratio || 0) - (a.turnover_ratio || 0)),
+                categories: [...categories.values()].map(entry => ({
+                    ...entry,
+                    ...this.calculateTurnover(entry.units_sold, entry.opening_stock, entry.closing_stock, period.days)
+                }))
+            };
+        } catch (error) {
+            throw new Error(`Failed to generate turnover report: ${error.message}`);
+        }
+    }
+
+    // Stock on hand grouped by days since it was last received at its location (IN or transfer in), as of the end of the period
+    static async getAgingReport(filters = {}) {
+        const period = this.resolvePeriod(filters);
+
+        try {
+            const inventoryWhere = { current_stock: { [Op.gt]: 0 } };
+            if (filters.location_id) {
+                inventoryWhere.location_id = filters.location_id;
+            }
+
+            const productWhere = { is_active: true };
+            if (filters.category_id) {
+                productWhere.category_id = { [Op.in]: await Category.findSubtreeIds(filters.category_id) };
+            }
+
+            const records = await Inventory.findAll({
+                where: inventoryWhere,
+                include: [{
+                    model: Product,
+                    as: 'product',
+                    attributes: ['id', 'name', 'sku', 'unit'],
+                    where: productWhere
+                }, {
+                    model: Location,
+                    as: 'location',
+                    attributes: ['id', 'code', 'name']
+                }]
+            });
+
+            const lastReceipts = await Transaction.findAll({
+                where: {
+                    transaction_type: { [Op.in]: INBOUND_TYPES },
+                    transaction_date: { [Op.lte]: period.end },
+                    product_id: { [Op.in]: records.map(record => record.product_id) }
+                },
+                attributes: ['product_id', 'location_id', [fn('MAX', col('transaction_date')), 'last_received_at']],
+                group: ['product_id', 'location_id'],
+                raw: true
+            });
+
+            const lastReceivedAt = new Map(lastReceipts.map(row =>
+                [`${row.product_id}:${row.location_id}`, new Date(row.last_received_at)]
+            ));
+
+            const buckets = this.buildAgingBuckets();
+            const items = records.map(record => {
+                const receivedAt = lastReceivedAt.get(`${record.product_id}:${record.location_id}`) || null;
+                const ageDays = receivedAt ? Math.floor((period.end - receivedAt) / MS_PER_DAY) : null;
+                const bucket = ageDays === null
+                    ? buckets[buckets.length - 1]
+                    : buckets.find(candidate => candidate.max_days === null || ageDays <= candidate.max_days);
+
+                bucket.records += 1;
+                bucket.quantity = QuantityUtil.round(bucket.quantity + record.current_stock);
+
+                return {
+                    product: record.product,
+                    location: record.location,
+                    current_stock: record.current_stock,
+                    last_received_at: receivedAt,
+                    age_days: ageDays,
+                    bucket: bucket.label
+                };
+            });
+
+            return {
+                as_of: period.end,
+                location_id: filters.location_id ? parseInt(filters.location_id) : null,
+                buckets,
+                items: items.sort((a, b) => (b.age_days ?? Infinity) - (a.age_days ?? Infinity))
+            };
+        } catch (error) {
+            throw new Error(`Failed to generate aging report: ${error.message}`);
+        }
+    }
+
+    // Classify products as fast, slow or dead stock by their annualized turnover in the period
+    static async getMovementAnalysisReport(filters = {}) {
+        const period = this.resolvePeriod(filters);
+
+        try {
+            const products = await this.getProductMovements(filters, period);
+
+            const classified = products.map(item => {
+                const annualTurnover = item.turnover_ratio !== null
+                    ? round(item.turnover_ratio * 365 / period.days)
+                    : null;
+
+                let movementClass = MOVEMENT_CLASSES.SLOW;
+                if (item.units_sold === 0) {
+                    movementClass = MOVEMENT_CLASSES.DEAD;
+                } else if (annualTurnover === null || annualTurnover >= REPORTS.FAST_MOVING_ANNUAL_TURNOVER) {
+                    movementClass = MOVEMENT_CLASSES.FAST;
+                }
+
+                return { ...item, annual_turnover: annualTurnover, movement_class: movementClass };
+            });
+
+            const summary = Object.values(MOVEMENT_CLASSES).reduce((result, movementClass) => {
+                const members = classified.filter(item => item.movement_class === movementClass);
+                result[movementClass] = {
+                    total_products: members.length,
+                    closing_stock: QuantityUtil.sum(members.map(item => item.closing_stock))
+                };
+                return result;
+            }, {});
+
+            return {
+                period: this.formatPeriod(period),
+                location_id: filters.location_id ? parseInt(filters.location_id) : null,
+                fast_moving_annual_turnover: REPORTS.FAST_MOVING_ANNUAL_TURNOVER,
+                summary,
+                products: classified.sort((a, b) => (b.annual_turnover || 0) - (a.annual_turnover || 0))
+            };
+        } catch (error) {
+            throw new Error(`Failed to generate movement analysis: ${error.message}`);
+        }
+    }
+
+    /**
+     * Shrinkage for the period: adjustments broken down by reason code, product
+     * category, location and period (day, week or month). Units and cost are
+     * split into lost (stock decreased) and found (stock increased). Reversed
+     * adjustments and the reversals themselves cancel out and are left out, as
+     * are older adjustments recorded without a signed quantity change.
+     */
+    static async getShrinkageReport(filters = {}) {
+        const period = this.resolvePeriod(filters);
+        const interval = filters.interval || REPORTS.DEFAULT_SHRINKAGE_INTERVAL;
+
+        if (!REPORTS.SHRINKAGE_INTERVALS.includes(interval)) {
+            throw new ValidationError('Invalid interval', [
+                `Interval must be one of: ${REPORTS.SHRINKAGE_INTERVALS.join(', ')}`
+            ]);
+        }
+
+        try {
+            const whereClause = {
+                transaction_type: TRANSACTION_TYPES.ADJUSTMENT,
+                transaction_date: { [Op.between]: [period.start, period.end] },
+                quantity_change: { [Op.ne]: null },
+                reversal_of_id: null,
+                reversed_at: null
+            };
+
+            if (filters.location_id) {
+                whereClause.location_id = filters.location_id;
+            }
+
+            if (filters.reason_code) {
+                const reason = await AdjustmentReason.findOne({ where: { code: filters.reason_code } });
+                if (!reason) {
+                    throw new ValidationError('Invalid adjustment reason', [`Unknown adjustment reason code: ${filters.reason_code}`]);
+                }
+                whereClause.adjustment_reason_id = reason.id;
+            }
+
+            if (filters.category_id) {
+                // The category's subcategories count too, as in the stock roll-ups
+                const products = await Product.findAll({
+                    where: { category_id: { [Op.in]: await Category.findSubtreeIds(filters.category_id) } },
+                    attributes: ['id']
+                });
+                whereClause.product_id = { [Op.in]: products.map(product => product.id) };
+            }
+
+            const periodStart = fn('date_trunc', interval, col('transaction_date'));
+            const rows = await Transaction.findAll({
+                where: whereClause,
+                attributes: [
+                    'adjustment_reason_id',
+                    'location_id',
+                    'product_id',
+                    [periodStart, 'period_start'],
+                    [fn('COUNT', col('id')), 'adjustments'],
+                    [fn('SUM', literal('CASE WHEN quantity_change < 0 THEN -quantity_change ELSE 0 END')), 'units_lost'],
+                    [fn('SUM', literal('CASE WHEN quantity_change > 0 THEN quantity_change ELSE 0 END')), 'units_found'],
+                    [fn('SUM', literal('CASE WHEN quantity_change < 0 THEN COALESCE(total_cost, 0) ELSE 0 END')), 'value_lost'],
+                    [fn('SUM', literal('CASE WHEN quantity_change > 0 THEN COALESCE(total_cost, 0) ELSE 0 END')), 'value_found']
+                ],
+                group: ['adjustment_reason_id', 'location_id', 'product_id', periodStart],
+                raw: true
+            });
+
+            const unique = (field) => [...new Set(rows.map(row => row[field]).filter(id => id !== null))];
+            const [reasons, locations, products] = await Promise.all([
+                AdjustmentReason.findAll({
+                    where: { id: { [Op.in]: unique('adjustment_reason_id') } },
+                    attributes: ['id', 'code', 'name', 'direction']
+                }),
+                Location.findAll({
+                    where: { id: { [Op.in]: unique('location_id') } },
+                    attributes: ['id', 'code', 'name']
+                }),
+                Product.findAll({
+                    where: { id: { [Op.in]: unique('product_id') } },
+                    attributes: ['id'],
+                    include: [{
+                        model: Category,
+                        as: 'category',
+                        attributes: ['id', 'name']
+                    }]
+                })
+            ]);
+
+            const reasonById = new Map(reasons.map(reason => [reason.id, reason]));
+            const locationById = new Map(locations.map(location => [location.id, location]));
+            const categoryByProduct = new Map(products.map(product => [product.id, product.category || null]));
+
+            const entries = rows.map(row => ({
+                reason: reasonById.get(row.adjustment_reason_id) || null,
+                location: locationById.get(row.location_id) || null,
+                category: categoryByProduct.get(row.product_id) || null,
+                period_start: new Date(row.period_start),
+                adjustments: parseInt(row.adjustments) || 0,
+                units_lost: QuantityUtil.parse(row.units_lost) || 0,
+                units_found: QuantityUtil.parse(row.units_found) || 0,
+                value_lost: parseFloat(row.value_lost) || 0,
+                value_found: parseFloat(row.value_found) || 0
+            }));
+
+            const byValueLost = (a, b) => b.value_lost - a.value_lost;
+            const [totals = {
+                adjustments: 0,
+                units_lost: 0,
+                units_found: 0,
+                value_lost: 0,
+                value_found: 0,
+                net_units: 0,
+                net_value: 0
+            }] = this.summarizeShrinkage(entries, () => 'total', () => ({}));
+
+            return {
+                period: this.formatPeriod(period),
+                interval,
+                location_id: filters.location_id ? parseInt(filters.location_id) : null,
+                category_id: filters.category_id ? parseInt(filters.category_id) : null,
+                reason_code: filters.reason_code || null,
+                totals,
+                by_reason: this.summarizeShrinkage(entries,
+                    entry => entry.reason?.id ?? null,
+                    entry => ({ reason: entry.reason })
+                ).sort(byValueLost),
+                by_category: this.summarizeShrinkage(entries,
+                    entry => entry.category?.id ?? null,
+                    entry => ({ category: entry.category })
+                ).sort(byValueLost),
+                by_location: this.summarizeShrinkage(entries,
+                    entry => entry.location?.id ?? null,
+                    entry => ({ location: entry.location })
+                ).sort(byValueLost),
+                by_period: this.summarizeShrinkage(entries,
+                    entry => entry.period_start.getTime(),
+                    entry => ({ period_start: entry.period_start })
+                ).sort((a, b) => a.period_start - b.period_start)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to generate shrinkage report: ${error.message}`);
+        }
+    }
+
+    /**
+     * Returns rate per product for the period: units on returns received in the
+     * period over units sold (OUT) in the period, with the returned units split
+     * by disposition. Products with returns but no sales in the period have no
+     * rate. Filtering by location uses the location a return was received at.
+     */
+    static async getReturnsReport(filters = {}) {
+        const period = this.resolvePeriod(filters);
+
+        try {
+            const returnWhere = {
+                status: RETURN_STATUS.RECEIVED,
+                received_at: { [Op.between]: [period.start, period.end] }
+            };
+            if (filters.location_id) {
+                returnWhere.location_id = filters.location_id;
+            }
+
+            const [returnLines, flows] = await Promise.all([
+                ReturnLine.findAll({
+                    attributes: ['return_id', 'product_id', 'quantity', 'disposition'],
+                    include: [{
+                        model: Return,
+                        as: 'return',
+                        attributes: [],
+                        where: returnWhere
+                    }]
+                }),
+                this.getFlowsByProduct(period.start, period.end, filters.location_id)
+            ]);
+
+            const returned = new Map();
+            returnLines.forEach(line => {
+                if (!returned.has(line.product_id)) {
+                    const entry = { returns: new Set(), units_returned: 0 };
+                    Object.values(RETURN_DISPOSITIONS).forEach(disposition => {
+                        entry[disposition] = 0;
+                    });
+                    returned.set(line.product_id, entry);
+                }
+                const entry = returned.get(line.product_id);
+                entry.returns.add(line.return_id);
+                entry.units_returned = QuantityUtil.round(entry.units_returned + line.quantity);
+                entry[line.disposition] = QuantityUtil.round(entry[line.disposition] + line.quantity);
+            });
+
+            const productIds = new Set(returned.keys());
+            flows.forEach((flow, productId) => {
+                if (flow.sold > 0) {
+                    productIds.add(productId);
+                }
+            });
+
+            const productWhere = { id: { [Op.in]: [...productIds] } };
+            if (filters.category_id) {
+                productWhere.category_id = { [Op.in]: await Category.findSubtreeIds(filters.category_id) };
+            }
+
+            const products = await Product.findAll({
+                where: productWhere,
+                attributes: ['id', 'name', 'sku', 'unit'],
+                include: [{
+                    model: Category,
+                    as: 'category',
+                    attributes: ['id', 'name']
+                }]
+            });
+
+            const rows = products.map(product => {
+                const entry = returned.get(product.id);
+                const unitsSold = (flows.get(product.id) || { sold: 0 }).sold;
+                const unitsReturned = entry ? entry.units_returned : 0;
+
+                return {
+                    product: {
+                        id: product.id,
+                        name: product.name,
+                        sku: product.sku,
+                        unit: product.unit
+                    },
+                    category: product.category,
+                    units_sold: unitsSold,
+                    units_returned: unitsReturned,
+                    units_restocked: entry ? entry[RETURN_DISPOSITIONS.RESTOCK] : 0,
+                    units_quarantined: entry ? entry[RETURN_DISPOSITIONS.QUARANTINE] : 0,
+                    units_scrapped: entry ? entry[RETURN_DISPOSITIONS.SCRAP] : 0,
+                    returns: entry ? entry.returns.size : 0,
+                    returns_rate: unitsSold > 0 ? round(unitsReturned / unitsSold * 100) : null
+                };
+            });
+
+            const totals = rows.reduce((sum, row) => ({
+                units_sold: QuantityUtil.round(sum.units_sold + row.units_sold),
+                units_returned: QuantityUtil.round(sum.units_returned + row.units_returned),
+                units_restocked: QuantityUtil.round(sum.units_restocked + row.units_restocked),
+                units_quarantined: QuantityUtil.round(sum.units_quarantined + row.units_quarantined),
+                units_scrapped: QuantityUtil.round(sum.units_scrapped + row.units_scrapped)
+            }), { units_sold: 0, units_returned: 0, units_restocked: 0, units_quarantined: 0, units_scrapped: 0 });
+
+            return {
+                period: this.formatPeriod(period),
+                location_id: filters.location_id ? parseInt(filters.location_id) : null,
+                category_id: filters.category_id ? parseInt(filters.category_id) : null,
+                totals: {
+                    ...totals,
+                    returns_rate: totals.units_sold > 0 ? round(totals.units_returned / totals.units_sold * 100) : null
+                },
+                products: rows.sort((a, b) =>
+                    (b.returns_rate ?? -1) - (a.returns_rate ?? -1) || b.units_returned - a.units_returned
+                )
+            };
+        } catch (error) {
+            throw new Error(`Failed to generate returns report: ${error.message}`);
+        }
+    }
+
+    // Sum shrinkage entries per key; net is found less lost, so a negative net is shrinkage
+    static summarizeShrinkage(entries, keyOf, describe) {
+        const groups = new Map();
+
+        entries.forEach(entry => {
+            const key = keyOf(entry);
+            if (!groups.has(key)) {
+                groups.set(key, {
+                    ...describe(entry),
+                    adjustments: 0,
+                    units_lost: 0,
+                    units_found: 0,
+                    value_lost: 0,
+                    value_found: 0
+                });
+            }
+            const group = groups.get(key);
+            group.adjustments += entry.adjustments;
+            group.units_lost = QuantityUtil.round(group.units_lost + entry.units_lost);
+            group.units_found = QuantityUtil.round(group.units_found + entry.units_found);
+            group.value_lost += entry.value_lost;
+            group.value_found += entry.value_found;
+        });
+
+        return [...groups.values()].map(group => ({
+            ...group,
+            value_lost: round(group.value_lost),
+            value_found: round(group.value_found),
+            net_units: QuantityUtil.round(group.units_found - group.units_lost),
+            net_value: round(group.value_found - group.value_lost)
+        }));
+    }
+
+    /**
+     * Opening/closing stock, flows and turnover for every active product in the period.
+     * Closing stock is the current stock less movements after the period; opening
+     * stock is closing stock less the period's net flow. Adjustments count by
+     * their signed quantity_change; older ones recorded without it are left out.
+     */
+    static async getProductMovements(filters, period) {
+        const productWhere = { is_active: true };
+        if (filters.category_id) {
+            productWhere.category_id = { [Op.in]: await Category.findSubtreeIds(filters.category_id) };
+        }
+
+        const products = await Product.findAll({
+            where: productWhere,
+            attributes: ['id', 'name', 'sku', 'unit'],
+            include: [{
+                model: Category,
+                as: 'category',
+                attributes: ['id', 'name']
+            }, {
+                model: Inventory,
+                as: 'inventory',
+                attributes: ['current_stock'],
+                where: filters.location_id ? { location_id: filters.location_id } : undefined,
+                required: false
+            }]
+        });
+
+        const [periodFlows, laterFlows] = await Promise.all([
+            this.getFlowsByProduct(period.start, period.end, filters.location_id),
+            this.getFlowsByProduct(period.end, null, filters.location_id)
+        ]);
+
+        return products.map(product => {
+            const during = periodFlows.get(product.id) || { inbound: 0, outbound: 0, adjusted: 0, sold: 0 };
+            const after = laterFlows.get(product.id) || { inbound: 0, outbound: 0, adjusted: 0, sold: 0 };
+
+            const closingStock = Math.max(
+                Inventory.sumStock(product.inventory) - after.inbound + after.outbound - after.adjusted, 0
+            );
+            const openingStock = Math.max(closingStock - during.inbound + during.outbound - during.adjusted, 0);
+
+            return {
+                product: {
+                    id: product.id,
+                    name: product.name,
+                    sku: product.sku,
+                    unit: product.unit
+                },
+                category: product.category,
+                opening_stock: openingStock,
+                closing_stock: closingStock,
+                units_received: during.inbound,
+                units_issued: during.outbound,
+                units_adjusted: during.adjusted,
+                units_sold: during.sold,
+                ...this.calculateTurnover(during.sold, openingStock, closingStock, period.days)
+            };
+        });
+    }
+
+    static calculateTurnover(unitsSold, openingStock, closingStock, periodDays) {
+        const averageStock = (openingStock + closingStock) / 2;
+        const averageDailyDemand = unitsSold / periodDays;
+
+        return {
+            average_stock: round(averageStock),
+            turnover_ratio: averageStock > 0 ? round(unitsSold / averageStock) : null,
+            average_daily_demand: round(averageDailyDemand),
+            days_of_supply: averageDailyDemand > 0 ? round(closingStock / averageDailyDemand, 1) : null
+        };
+    }
+
+    // Inbound, outbound, net adjusted and sold (OUT) quantities per product between two dates.
+    // Reversed sales stay in the outbound flow (their reversal is an adjustment) but are not sold,
+    // and neither are components consumed by kit assembly
+    static async getFlowsByProduct(from, to, locationId = null) {
+        const whereClause = {
+            transaction_date: to ? { [Op.gt]: from, [Op.lte]: to } : { [Op.gt]: from }
+        };
+        if (locationId) {
+            whereClause.location_id = locationId;
+        }
+
+        const rows = await Transaction.findAll({
+            where: whereClause,
+            attributes: [
+                'product_id',
+                'transaction_type',
+                [fn('SUM', col('quantity')), 'total_quantity'],
+                [fn('SUM', col('quantity_change')), 'net_change'],
+                [fn('SUM', literal('CASE WHEN reversed_at IS NULL AND kit_operation IS NULL THEN quantity ELSE 0 END')), 'sold_quantity']
+            ],
+            group: ['product_id', 'transaction_type'],
+            raw: true
+        });
+
+        const flows = new Map();
+        rows.forEach(row => {
+            if (!flows.has(row.product_id)) {
+                flows.set(row.product_id, { inbound: 0, outbound: 0, adjusted: 0, sold: 0 });
+            }
+            const entry = flows.get(row.product_id);
+            const quantity = QuantityUtil.parse(row.total_quantity) || 0;
+
+            if (INBOUND_TYPES.includes(row.transaction_type)) {
+                entry.inbound = QuantityUtil.round(entry.inbound + quantity);
+            } else if (OUTBOUND_TYPES.includes(row.transaction_type)) {
+                entry.outbound = QuantityUtil.round(entry.outbound + quantity);
+            } else if (row.transaction_type === TRANSACTION_TYPES.ADJUSTMENT) {
+                entry.adjusted = QuantityUtil.round(entry.adjusted + (QuantityUtil.parse(row.net_change) || 0));
+            }
+            if (row.transaction_type === TRANSACTION_TYPES.OUT) {
+                entry.sold = QuantityUtil.round(entry.sold + (QuantityUtil.parse(row.sold_quantity) || 0));
+            }
+        });
+
+        return flows;
+    }
+
+    static async getFlowsByType(from, to, locationId = null) {
+        const whereClause = { transaction_date: { [Op.between]: [from, to] } };
+        if (locationId) {
+            whereClause.location_id = locationId;
+        }
+
+        const rows = await Transaction.findAll({
+            where: whereClause,
+            attributes: [
+                'transaction_type',
+                [fn('COUNT', col('id')), 'transactions'],
+                [fn('SUM', col('quantity')), 'total_quantity']
+            ],
+            group: ['transaction_type'],
+            raw: true
+        });
+
+        return rows.reduce((flows, row) => {
+            flows[row.transaction_type] = {
+                transactions: parseInt(row.transactions) || 0,
+                quantity: QuantityUtil.parse(row.total_quantity) || 0
+            };
+            return flows;
+        }, {});
+    }
+
+    static buildAgingBuckets() {
+        const bounds = REPORTS.AGING_BUCKETS;
+        const buckets = bounds.map((maxDays, index) => ({
+            label: `${index === 0 ? 0 : bounds[index - 1] + 1}-${maxDays}`,
+            max_days: maxDays,
+            records: 0,
+            quantity: 0
+        }));
+
+        // Stock never received through an IN (e.g. opening balances) counts as the oldest
+        buckets.push({ label: `${bounds[bounds.length - 1]}+`, max_days: null, records: 0, quantity: 0 });
+
+        return buckets;
+    }
+
+    // Date range from start_date/end_date, defaulting to the last REPORTS.DEFAULT_PERIOD_DAYS days
+    static resolvePeriod(filters = {}) {
+        // A date without a time means that whole day: from its start, or up to its end
+        const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const end = filters.end_date
+            ? (isDateOnly(filters.end_date) ? DateUtil.endOfDay(`${filters.end_date}T00:00:00`) : new Date(filters.end_date))
+            : new Date();
+        const start = filters.start_date
+            ? (isDateOnly(filters.start_date) ? DateUtil.startOfDay(`${filters.start_date}T00:00:00`) : new Date(filters.start_date))
+            : DateUtil.addDays(DateUtil.startOfDay(end), -REPORTS.DEFAULT_PERIOD_DAYS);
+
+        if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+            throw new ValidationError('Invalid date range', ['start_date must be a valid date on or before end_date']);
+        }
+
+        return {
+            start,
+            end,
+            days: Math.max(Math.ceil((end - start) / MS_PER_DAY), 1)
+        };
+    }
+
+    static formatPeriod(period) {
+        return {
+            start_date: period.start,
+            end_date: period.end,
+            days: period.days
+        };
+    }
+}
+
+export default ReportService;
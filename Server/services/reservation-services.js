@@ -0,0 +1,432 @@
+import { StockReservation, SalesOrderLine, Product, Location } from '../models/index.js';
+import sequelize from '../config/sequelize.js';
+import { RESERVATION_STATUS, RESERVATION_OWNER_TYPES, RESERVATIONS } from '../constant/index.js';
+import {
+    DatabaseUtil,
+    ValidationUtil,
+    QuantityUtil,
+    NotFoundError,
+    ValidationError,
+    BusinessLogicError
+} from '../utils/index.js';
+import InventoryService from './inventory-services.js';
+import UnitService from './unit-services.js';
+import LocationService from './location-services.js';
+import AuditService from './audit-services.js';
+import SocketService from './socket-services.js';
+
+const AUDIT_ENTITY = 'stock_reservation';
+
+class ReservationService {
+    static sweepTimer = null;
+    static isSweeping = false;
+
+    // Get all reservations with filters
+    static async getAllReservations(filters = {}) {
+        try {
+            // Validate pagination
+            const paginationValidation = ValidationUtil.validatePagination(filters);
+            if (!paginationValidation.isValid) {
+                throw new ValidationError('Invalid pagination parameters', paginationValidation.errors);
+            }
+
+            const { page, limit } = paginationValidation.sanitized;
+            const pagination = DatabaseUtil.buildPagination(page, limit);
+
+            const whereConditions = [];
+
+            ['status', 'product_id', 'location_id', 'owner_type', 'owner_id'].forEach(field => {
+                if (filters[field]) {
+                    whereConditions.push({ [field]: filters[field] });
+                }
+            });
+
+            const { count, rows } = await StockReservation.findAndCountAll({
+                where: DatabaseUtil.combineFilters(whereConditions),
+                include: this.defaultIncludes(),
+                ...pagination,
+                order: [['created_at', 'DESC']],
+                distinct: true
+            });
+
+            return {
+                reservations: rows,
+                pagination: DatabaseUtil.calculatePaginationMeta(count, page, limit)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get reservations: ${error.message}`);
+        }
+    }
+
+    // Get reservation by ID with its audit history
+    static async getReservationById(id) {
+        try {
+            const reservation = await StockReservation.findByPk(id, {
+                include: this.defaultIncludes()
+            });
+
+            if (!reservation) {
+                throw new NotFoundError('Reservation not found');
+            }
+
+            return {
+                ...reservation.toJSON(),
+                history: await AuditService.getHistory(AUDIT_ENTITY, reservation.id)
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get reservation: ${error.message}`);
+        }
+    }
+
+    /**
+     * Hold stock for a cart, quote or manual owner. Holds always expire: at
+     * expires_at if given, otherwise after ttl_minutes or the default TTL.
+     * Sales order holds are created by SalesOrderService on confirmation.
+     */
+    static async createReservation(reservationData, userId = null) {
+        const { product_id, location_id, quantity, unit, owner_type, owner_id } = reservationData;
+
+        const requiredValidation = ValidationUtil.validateRequired(reservationData, ['product_id', 'owner_type', 'owner_id']);
+        if (!requiredValidation.isValid) {
+            throw new ValidationError('Missing required fields', requiredValidation.errors);
+        }
+
+        const quantityValidation = ValidationUtil.validateNumeric(quantity, 'quantity', {
+            required: true,
+            min: 0
+        });
+        if (!quantityValidation.isValid) {
+            throw new ValidationError('Invalid quantity', quantityValidation.errors);
+        }
+
+        if (owner_type === RESERVATION_OWNER_TYPES.SALES_ORDER) {
+            throw new BusinessLogicError('Sales order reservations are created by confirming the sales order');
+        }
+
+        if (!Object.values(RESERVATION_OWNER_TYPES).includes(owner_type)) {
+            throw new ValidationError('Invalid owner type', [
+                `owner_type must be one of: ${Object.values(RESERVATION_OWNER_TYPES).join(', ')}`
+            ]);
+        }
+
+        const expiresAt = this.resolveExpiry(reservationData);
+
+        const dbTransaction = await sequelize.transaction();
+        let reservation;
+
+        try {
+            const location = await LocationService.resolveLocation(location_id, { transaction: dbTransaction });
+
+            const product = await Product.findByPk(product_id, { transaction: dbTransaction });
+            if (!product) {
+                throw new NotFoundError('Product not found');
+            }
+
+            reservation = await this.holdStock({
+                product_id,
+                location_id: location.id,
+                quantity: await UnitService.toBaseQuantity(product, quantity, unit, {
+                    positive: true,
+                    transaction: dbTransaction
+                }),
+                owner_type,
+                owner_id: String(owner_id),
+                expires_at: expiresAt
+            }, dbTransaction, userId);
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to create reservation: ${error.message}`);
+        }
+
+        await this.publishReservationUpdates('created', [reservation]);
+
+        return await this.getReservationById(reservation.id);
+    }
+
+    // Release an active reservation before it expires
+    static async releaseReservation(id, reason = null, userId = null) {
+        const dbTransaction = await sequelize.transaction();
+        let reservation;
+
+        try {
+            reservation = await this.findActiveReservation(id, dbTransaction);
+
+            if (reservation.owner_type === RESERVATION_OWNER_TYPES.SALES_ORDER) {
+                throw new BusinessLogicError('Sales order reservations are released by cancelling the sales order');
+            }
+
+            await this.endReservation(reservation, RESERVATION_STATUS.RELEASED, reason, dbTransaction, userId);
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to release reservation: ${error.message}`);
+        }
+
+        await this.publishReservationUpdates('released', [reservation]);
+
+        return await this.getReservationById(id);
+    }
+
+    /**
+     * Release every active reservation whose expires_at has passed. Each hold is
+     * released in its own database transaction so one failure does not block the rest.
+     */
+    static async sweepExpiredReservations() {
+        const expired = await StockReservation.findExpired({ attributes: ['id'] });
+        const released = [];
+        const failures = [];
+
+        for (const { id } of expired) {
+            const dbTransaction = await sequelize.transaction();
+
+            try {
+                const reservation = await StockReservation.findByPk(id, {
+                    transaction: dbTransaction,
+                    lock: dbTransaction.LOCK.UPDATE
+                });
+
+                // Consumed, released or extended since the lookup
+                if (!reservation || reservation.status !== RESERVATION_STATUS.ACTIVE ||
+                    !reservation.expires_at || reservation.expires_at > new Date()) {
+                    await dbTransaction.rollback();
+                    continue;
+                }
+
+                const quantity = reservation.quantity;
+                await this.endReservation(reservation, RESERVATION_STATUS.EXPIRED, 'Reservation expired', dbTransaction);
+
+                if (reservation.sales_order_line_id) {
+                    await SalesOrderLine.decrement('quantity_reserved', {
+                        by: quantity,
+                        where: { id: reservation.sales_order_line_id },
+                        transaction: dbTransaction
+                    });
+                }
+
+                await dbTransaction.commit();
+                released.push(reservation);
+            } catch (error) {
+                await dbTransaction.rollback();
+                failures.push({ reservation_id: id, error: error.message });
+            }
+        }
+
+        await this.publishReservationUpdates('expired', released);
+
+        return {
+            total: expired.length,
+            released: released.length,
+            failed: failures.length,
+            errors: failures
+        };
+    }
+
+    // Run the expiry sweep on an interval; safe to call more than once
+    static startExpirySweeper(intervalMs = RESERVATIONS.SWEEP_INTERVAL_MS) {
+        if (this.sweepTimer) {
+            return;
+        }
+
+        this.sweepTimer = setInterval(async () => {
+            // Skip a tick if the previous sweep is still running
+            if (this.isSweeping) {
+                return;
+            }
+
+            this.isSweeping = true;
+            try {
+                const result = await this.sweepExpiredReservations();
+                if (result.released > 0 || result.failed > 0) {
+                    console.log(`⏱️ Reservation sweep: ${result.released} expired, ${result.failed} failed`);
+                }
+            } catch (error) {
+                console.error('Reservation sweep failed:', error.message);
+            } finally {
+                this.isSweeping = false;
+            }
+        }, intervalMs);
+
+        // Do not keep the process alive just for the sweeper
+        this.sweepTimer.unref();
+    }
+
+    static stopExpirySweeper() {
+        if (this.sweepTimer) {
+            clearInterval(this.sweepTimer);
+            this.sweepTimer = null;
+        }
+    }
+
+    // Reserve stock and record the hold inside an open database transaction
+    static async holdStock(holdData, dbTransaction, userId = null) {
+        const { product_id, location_id, quantity, owner_type, owner_id, sales_order_line_id = null, expires_at = null } = holdData;
+
+        await InventoryService.applyReservation(product_id, quantity, location_id, dbTransaction);
+
+        const reservation = await StockReservation.create({
+            product_id,
+            location_id,
+            quantity,
+            status: RESERVATION_STATUS.ACTIVE,
+            owner_type,
+            owner_id,
+            sales_order_line_id,
+            expires_at,
+            created_by: userId
+        }, { transaction: dbTransaction });
+
+        await this.audit(reservation, 'created', { quantity }, dbTransaction, userId);
+
+        return reservation;
+    }
+
+    // Turn part or all of a hold into an outbound movement; the caller posts the OUT transaction
+    static async consumeReservation(reservation, quantity, dbTransaction, userId = null) {
+        if (quantity > reservation.quantity) {
+            throw new BusinessLogicError('Cannot consume more than the reserved quantity');
+        }
+
+        await InventoryService.applyRelease(reservation.product_id, quantity, reservation.location_id, dbTransaction);
+
+        const remaining = QuantityUtil.round(reservation.quantity - quantity);
+        await reservation.update({
+            quantity: remaining,
+            status: remaining === 0 ? RESERVATION_STATUS.CONSUMED : RESERVATION_STATUS.ACTIVE,
+            released_at: remaining === 0 ? new Date() : null
+        }, { transaction: dbTransaction });
+
+        await this.audit(reservation, 'consumed', { quantity, remaining }, dbTransaction, userId);
+
+        return reservation;
+    }
+
+    // Give back whatever the hold still reserves and close it as released or expired
+    static async endReservation(reservation, status, reason, dbTransaction, userId = null) {
+        const quantity = reservation.quantity;
+
+        if (quantity > 0) {
+            await InventoryService.applyRelease(reservation.product_id, quantity, reservation.location_id, dbTransaction);
+        }
+
+        await reservation.update({
+            quantity: 0,
+            status,
+            released_at: new Date(),
+            release_reason: ValidationUtil.sanitizeString(reason)
+        }, { transaction: dbTransaction });
+
+        await this.audit(reservation, status, { quantity, reason: reservation.release_reason }, dbTransaction, userId);
+
+        return reservation;
+    }
+
+    // Emit reservation events with the resulting stock levels so dashboards update available_stock
+    static async publishReservationUpdates(event, reservations) {
+        for (const reservation of reservations) {
+            const inventory = await InventoryService.getInventoryByProductId(reservation.product_id, reservation.location_id);
+
+            SocketService.emitReservationUpdate(event, {
+                reservation_id: reservation.id,
+                product_id: reservation.product_id,
+                location_id: reservation.location_id,
+                owner_type: reservation.owner_type,
+                owner_id: reservation.owner_id,
+                status: reservation.status,
+                quantity: reservation.quantity,
+                current_stock: inventory.current_stock,
+                reserved_stock: inventory.reserved_stock,
+                available_stock: inventory.available_stock
+            });
+        }
+
+        new Set(reservations.map(reservation => reservation.location_id)).forEach(locationId => {
+            SocketService.emitDashboardUpdate({ location_id: locationId });
+        });
+    }
+
+    static async audit(reservation, action, details, dbTransaction, userId = null) {
+        return await AuditService.record({
+            entity_type: AUDIT_ENTITY,
+            entity_id: reservation.id,
+            action,
+            user_id: userId,
+            details: {
+                product_id: reservation.product_id,
+                location_id: reservation.location_id,
+                owner_type: reservation.owner_type,
+                owner_id: reservation.owner_id,
+                ...details
+            }
+        }, dbTransaction);
+    }
+
+    static resolveExpiry({ expires_at, ttl_minutes }) {
+        if (expires_at !== undefined && expires_at !== null) {
+            const expiresAt = new Date(expires_at);
+            if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+                throw new ValidationError('Invalid expiry', ['expires_at must be a valid date in the future']);
+            }
+            return expiresAt;
+        }
+
+        const ttlValidation = ValidationUtil.validateNumeric(ttl_minutes, 'ttl_minutes', { min: 1, integer: true });
+        if (!ttlValidation.isValid) {
+            throw new ValidationError('Invalid expiry', ttlValidation.errors);
+        }
+
+        const ttlMinutes = ttl_minutes !== undefined && ttl_minutes !== null && ttl_minutes !== ''
+            ? ValidationUtil.sanitizeNumber(ttl_minutes, true)
+            : RESERVATIONS.DEFAULT_TTL_MINUTES;
+
+        return new Date(Date.now() + ttlMinutes * 60 * 1000);
+    }
+
+    static async findActiveReservation(id, dbTransaction) {
+        const reservation = await StockReservation.findByPk(id, {
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE
+        });
+
+        if (!reservation) {
+            throw new NotFoundError('Reservation not found');
+        }
+
+        if (reservation.status !== RESERVATION_STATUS.ACTIVE) {
+            throw new BusinessLogicError(`Reservation is already ${reservation.status}`);
+        }
+
+        return reservation;
+    }
+
+    static defaultIncludes() {
+        return [
+            {
+                model: Product,
+                as: 'product',
+                attributes: ['id', 'name', 'sku', 'unit']
+            },
+            {
+                model: Location,
+                as: 'location',
+                attributes: ['id', 'code', 'name']
+            }
+        ];
+    }
+}
+
+export default ReservationService;
@@ -0,0 +1,658 @@
+import { Return, ReturnLine, SalesOrder, SalesOrderLine, Transaction, Product, Location, SerialNumber } from '../models/index.js';
+import { Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import {
+    TRANSACTION_TYPES,
+    SALES_ORDER_STATUS,
+    RETURN_STATUS,
+    RETURN_DISPOSITIONS,
+    ADJUSTMENT_REASONS,
+    LOCATION_TYPES,
+    SERIAL_STATUS
+} from '../constant/index.js';
+import {
+    DatabaseUtil,
+    ValidationUtil,
+    QuantityUtil,
+    DateUtil,
+    StringUtil,
+    NotFoundError,
+    ValidationError,
+    BusinessLogicError
+} from '../utils/index.js';
+import InventoryService from './inventory-services.js';
+import LocationService from './location-services.js';
+import LotService from './lot-services.js';
+import SocketService from './socket-services.js';
+
+class ReturnService {
+
+    // Get all returns with filters
+    static async getAllReturns(filters = {}) {
+        try {
+            const paginationValidation = ValidationUtil.validatePagination(filters);
+            if (!paginationValidation.isValid) {
+                throw new ValidationError('Invalid pagination parameters', paginationValidation.errors);
+            }
+
+            const { page, limit } = paginationValidation.sanitized;
+            const pagination = DatabaseUtil.buildPagination(page, limit);
+
+            const whereConditions = [];
+
+            if (filters.status) {
+                whereConditions.push({ status: filters.status });
+            }
+
+            if (filters.location_id) {
+                whereConditions.push({ location_id: filters.location_id });
+            }
+
+            if (filters.sales_order_id) {
+                whereConditions.push({ sales_order_id: filters.sales_order_id });
+            }
+
+            if (filters.search) {
+                whereConditions.push(DatabaseUtil.combineFilters([
+                    { return_number: { [Op.iLike]: `%${filters.search}%` } },
+                    { customer_name: { [Op.iLike]: `%${filters.search}%` } }
+                ], 'OR'));
+            }
+
+            if (filters.start_date || filters.end_date) {
+                whereConditions.push(
+                    DatabaseUtil.buildDateRangeFilter(filters.start_date, filters.end_date, 'created_at')
+                );
+            }
+
+            const { count, rows } = await Return.findAndCountAll({
+                where: DatabaseUtil.combineFilters(whereConditions),
+                include: [{
+                    model: Location,
+                    as: 'location',
+                    attributes: ['id', 'code', 'name']
+                }, {
+                    model: SalesOrder,
+                    as: 'sales_order',
+                    attributes: ['id', 'order_number']
+                }],
+                ...pagination,
+                order: [['created_at', 'DESC']],
+                distinct: true
+            });
+
+            return {
+                returns: rows,
+                pagination: DatabaseUtil.calculatePaginationMeta(count, page, limit)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get returns: ${error.message}`);
+        }
+    }
+
+    // Get return by ID with its lines and quantities per disposition
+    static async getReturnById(id) {
+        try {
+            const returnDocument = await Return.findByPk(id, {
+                include: [
+                    {
+                        model: Location,
+                        as: 'location',
+                        attributes: ['id', 'code', 'name', 'type']
+                    },
+                    {
+                        model: SalesOrder,
+                        as: 'sales_order',
+                        attributes: ['id', 'order_number', 'customer_name']
+                    },
+                    {
+                        model: Transaction,
+                        as: 'source_transaction',
+                        attributes: ['id', 'reference_number', 'quantity', 'transaction_date']
+                    },
+                    {
+                        model: ReturnLine,
+                        as: 'lines',
+                        include: [{
+                            model: Product,
+                            as: 'product',
+                            attributes: ['id', 'name', 'sku', 'unit']
+                        }, {
+                            model: Location,
+                            as: 'location',
+                            attributes: ['id', 'code', 'name', 'type']
+                        }]
+                    }
+                ],
+                order: [[{ model: ReturnLine, as: 'lines' }, 'id', 'ASC']]
+            });
+
+            if (!returnDocument) {
+                throw new NotFoundError('Return not found');
+            }
+
+            const totals = { quantity: 0 };
+            Object.values(RETURN_DISPOSITIONS).forEach(disposition => {
+                totals[disposition] = 0;
+            });
+            returnDocument.lines.forEach(line => {
+                totals.quantity = QuantityUtil.round(totals.quantity + line.quantity);
+                totals[line.disposition] = QuantityUtil.round(totals[line.disposition] + line.quantity);
+            });
+
+            return {
+                ...returnDocument.toJSON(),
+                totals
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get return: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open a return against a sales order or a single OUT transaction. Lines
+     * cannot return more than was shipped, less what open or received returns
+     * already cover. Stock does not move until the return is received.
+     */
+    static async createReturn(returnData, userId = null) {
+        const { sales_order_id, transaction_id, location_id, customer_name, reason, notes, lines } = returnData;
+
+        if (Boolean(sales_order_id) === Boolean(transaction_id)) {
+            throw new ValidationError('Invalid return reference', [
+                'Provide either sales_order_id or transaction_id for the sale being returned'
+            ]);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+        let returnDocument;
+
+        try {
+            const source = sales_order_id
+                ? await this.findSalesOrderSource(sales_order_id, dbTransaction)
+                : await this.findTransactionSource(transaction_id, dbTransaction);
+
+            const returnLines = await this.buildReturnLines(source, lines, dbTransaction);
+
+            // Returns come back to the location the goods left from unless another one is named
+            const location = await LocationService.resolveLocation(location_id || source.location_id, { transaction: dbTransaction });
+            if (location.type === LOCATION_TYPES.QUARANTINE) {
+                throw new BusinessLogicError('A return must be received at a sellable location; quarantine is chosen per line');
+            }
+
+            returnDocument = await Return.create({
+                return_number: this.generateReturnNumber(),
+                sales_order_id: source.sales_order ? source.sales_order.id : null,
+                source_transaction_id: source.transaction ? source.transaction.id : null,
+                location_id: location.id,
+                customer_name: ValidationUtil.sanitizeString(customer_name) || source.customer_name || null,
+                reason: ValidationUtil.sanitizeString(reason),
+                status: RETURN_STATUS.OPEN,
+                notes: ValidationUtil.sanitizeString(notes),
+                created_by: userId
+            }, { transaction: dbTransaction });
+
+            await ReturnLine.bulkCreate(returnLines.map(line => ({
+                ...line,
+                return_id: returnDocument.id
+            })), { transaction: dbTransaction, validate: true });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to create return: ${error.message}`);
+        }
+
+        const createdReturn = await this.getReturnById(returnDocument.id);
+        SocketService.emitReturnUpdate('created', createdReturn);
+
+        return createdReturn;
+    }
+
+    /**
+     * Receive an open return and post each line by its disposition (which the
+     * receipt may still change per line):
+     * - restock: IN at the return's location, back to sellable stock
+     * - quarantine: IN at a quarantine location, held until inspected
+     * - scrap: IN at the return's location, written off straight away
+     * Units come back at the cost they left with. Lot-tracked lines reuse the
+     * lots that were shipped unless lots are given; serialized lines must list
+     * the serial numbers returned.
+     */
+    static async receiveReturn(id, receiptData = {}, userId = null) {
+        const dbTransaction = await sequelize.transaction();
+        const movements = [];
+
+        try {
+            const returnDocument = await this.findReturn(id, dbTransaction);
+
+            if (returnDocument.status !== RETURN_STATUS.OPEN) {
+                throw new BusinessLogicError(`Cannot receive a return with status ${returnDocument.status}`);
+            }
+
+            const returnLines = await ReturnLine.findAll({
+                where: { return_id: returnDocument.id },
+                include: [{ model: Product, as: 'product' }],
+                order: [['id', 'ASC']],
+                transaction: dbTransaction
+            });
+            const receipts = this.resolveReceiptLines(returnLines, receiptData.lines);
+
+            for (const { line, disposition, location_id, lots, serials, notes } of receipts) {
+                const location = await this.resolveDispositionLocation(returnDocument, disposition, location_id, dbTransaction);
+                const outboundWhere = returnDocument.sales_order_id
+                    ? { sales_order_line_id: line.sales_order_line_id, transaction_type: TRANSACTION_TYPES.OUT }
+                    : { id: returnDocument.source_transaction_id };
+
+                const returnedLots = line.product.is_lot_tracked
+                    ? lots || this.takeLots(await LotService.getAllocatedLots(outboundWhere, line.quantity, dbTransaction), line.quantity)
+                    : undefined;
+
+                const received = await InventoryService.applyStockMovement(line.product_id, {
+                    transaction_type: TRANSACTION_TYPES.IN,
+                    quantity: line.quantity,
+                    location_id: location.id,
+                    return_line_id: line.id,
+                    reference_number: returnDocument.return_number,
+                    notes: notes || line.notes || `Returned on ${returnDocument.return_number} (${disposition})`,
+                    unit_cost: await this.getOutboundUnitCost(outboundWhere, dbTransaction),
+                    lots: returnedLots,
+                    serials,
+                    created_by: userId
+                }, dbTransaction);
+                movements.push(received);
+
+                // Restocked units are sellable again; quarantined ones stay marked as returned
+                if (disposition === RETURN_DISPOSITIONS.RESTOCK && received.serials.length > 0) {
+                    await SerialNumber.update({ status: SERIAL_STATUS.IN_STOCK }, {
+                        where: { id: { [Op.in]: received.serials.map(serial => serial.id) } },
+                        transaction: dbTransaction
+                    });
+                }
+
+                if (disposition === RETURN_DISPOSITIONS.SCRAP) {
+                    movements.push(await InventoryService.applyStockMovement(line.product_id, {
+                        transaction_type: TRANSACTION_TYPES.ADJUSTMENT,
+                        quantity: received.new_stock - line.quantity,
+                        reason_code: ADJUSTMENT_REASONS.RETURN_SCRAP,
+                        location_id: location.id,
+                        return_line_id: line.id,
+                        reference_number: returnDocument.return_number,
+                        notes: `Scrapped on receipt of ${returnDocument.return_number}`,
+                        lots: received.lots.length > 0
+                            ? received.lots.map(lot => ({ lot_number: lot.lot_number, quantity: lot.quantity }))
+                            : undefined,
+                        serials: received.serials.map(serial => serial.serial_number),
+                        created_by: userId
+                    }, dbTransaction));
+                }
+
+                await line.update({ disposition, location_id: location.id }, { transaction: dbTransaction });
+            }
+
+            await returnDocument.update({
+                status: RETURN_STATUS.RECEIVED,
+                received_at: new Date(),
+                notes: [returnDocument.notes, ValidationUtil.sanitizeString(receiptData.notes)]
+                    .filter(Boolean)
+                    .join('\n') || null
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to receive return: ${error.message}`);
+        }
+
+        for (const movement of movements) {
+            await InventoryService.publishStockMovement(movement);
+        }
+
+        const receivedReturn = await this.getReturnById(id);
+        SocketService.emitReturnUpdate('received', receivedReturn);
+
+        return receivedReturn;
+    }
+
+    // Cancel an open return; nothing was posted for it
+    static async cancelReturn(id, reason = null) {
+        const dbTransaction = await sequelize.transaction();
+
+        try {
+            const returnDocument = await this.findReturn(id, dbTransaction);
+
+            if (returnDocument.status !== RETURN_STATUS.OPEN) {
+                throw new BusinessLogicError(`Cannot cancel a return with status ${returnDocument.status}`);
+            }
+
+            await returnDocument.update({
+                status: RETURN_STATUS.CANCELLED,
+                cancelled_at: new Date(),
+                notes: [returnDocument.notes, reason && `Cancelled: ${ValidationUtil.sanitizeString(reason)}`]
+                    .filter(Boolean)
+                    .join('\n') || null
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to cancel return: ${error.message}`);
+        }
+
+        const cancelledReturn = await this.getReturnById(id);
+        SocketService.emitReturnUpdate('cancelled', cancelledReturn);
+
+        return cancelledReturn;
+    }
+
+    // A shipped (or partially shipped) sales order and the quantity still returnable per line
+    static async findSalesOrderSource(salesOrderId, dbTransaction) {
+        const salesOrder = await SalesOrder.findByPk(salesOrderId, { transaction: dbTransaction });
+        if (!salesOrder) {
+            throw new NotFoundError('Sales order not found');
+        }
+
+        if (![SALES_ORDER_STATUS.PARTIALLY_SHIPPED, SALES_ORDER_STATUS.SHIPPED].includes(salesOrder.status)) {
+            throw new BusinessLogicError('Only shipped sales orders can be returned against');
+        }
+
+        const orderLines = await SalesOrderLine.findAll({
+            where: { sales_order_id: salesOrder.id },
+            transaction: dbTransaction
+        });
+        const returned = await this.getReturnedQuantities({ sales_order_id: salesOrder.id }, dbTransaction);
+
+        return {
+            sales_order: salesOrder,
+            location_id: salesOrder.location_id,
+            customer_name: salesOrder.customer_name,
+            candidates: orderLines.map(line => ({
+                product_id: line.product_id,
+                sales_order_line_id: line.id,
+                returnable: QuantityUtil.round(line.quantity_shipped - (returned.get(`line:${line.id}`) || 0))
+            }))
+        };
+    }
+
+    // A posted OUT transaction and the quantity still returnable from it
+    static async findTransactionSource(transactionId, dbTransaction) {
+        // Locked so the transaction cannot be reversed while the return is being created
+        const transaction = await Transaction.findByPk(transactionId, {
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE
+        });
+        if (!transaction) {
+            throw new NotFoundError('Transaction not found');
+        }
+
+        if (transaction.transaction_type !== TRANSACTION_TYPES.OUT) {
+            throw new BusinessLogicError('Only OUT transactions can be returned against');
+        }
+
+        if (transaction.reversed_at) {
+            throw new BusinessLogicError('A reversed transaction cannot be returned against');
+        }
+
+        // Shipments of a sales order are returned against the order
+        if (transaction.sales_order_line_id) {
+            throw new BusinessLogicError('This transaction belongs to a sales order; return it against the sales order');
+        }
+
+        const returned = await this.getReturnedQuantities({ source_transaction_id: transaction.id }, dbTransaction);
+
+        return {
+            transaction,
+            location_id: transaction.location_id,
+            customer_name: null,
+            candidates: [{
+                product_id: transaction.product_id,
+                sales_order_line_id: null,
+                returnable: QuantityUtil.round(transaction.quantity - (returned.get(`product:${transaction.product_id}`) || 0))
+            }]
+        };
+    }
+
+    // Quantities already on open or received returns for a sale, keyed by order line and by product
+    static async getReturnedQuantities(returnWhere, dbTransaction) {
+        const lines = await ReturnLine.findAll({
+            include: [{
+                model: Return,
+                as: 'return',
+                attributes: [],
+                where: {
+                    ...returnWhere,
+                    status: { [Op.ne]: RETURN_STATUS.CANCELLED }
+                }
+            }],
+            transaction: dbTransaction
+        });
+
+        const returned = new Map();
+        lines.forEach(line => {
+            const keys = [`product:${line.product_id}`];
+            if (line.sales_order_line_id) {
+                keys.push(`line:${line.sales_order_line_id}`);
+            }
+            keys.forEach(key => returned.set(key, QuantityUtil.round((returned.get(key) || 0) + line.quantity)));
+        });
+
+        return returned;
+    }
+
+    // Validate requested lines against what the sale can still take back
+    static async buildReturnLines(source, lines, dbTransaction) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            throw new ValidationError('Invalid return lines', ['lines must be a non-empty array']);
+        }
+
+        const errors = [];
+        const requestedByCandidate = new Map();
+
+        const returnLines = lines.map((requested, index) => {
+            const candidate = source.candidates.find(entry =>
+                (requested.line_id && entry.sales_order_line_id === parseInt(requested.line_id)) ||
+                (!requested.line_id && entry.product_id === parseInt(requested.product_id))
+            );
+
+            if (!candidate) {
+                errors.push(`lines[${index}] does not match anything shipped on this sale`);
+                return null;
+            }
+
+            const quantityValidation = QuantityUtil.validate(requested.quantity, `lines[${index}].quantity`, null, {
+                positive: true
+            });
+            if (!quantityValidation.isValid) {
+                errors.push(...quantityValidation.errors);
+                return null;
+            }
+
+            const quantity = QuantityUtil.round(requested.quantity);
+            const requestedTotal = QuantityUtil.round((requestedByCandidate.get(candidate) || 0) + quantity);
+            if (requestedTotal > candidate.returnable) {
+                errors.push(`lines[${index}].quantity exceeds the returnable quantity of ${Math.max(candidate.returnable, 0)}`);
+                return null;
+            }
+            requestedByCandidate.set(candidate, requestedTotal);
+
+            const disposition = requested.disposition || RETURN_DISPOSITIONS.RESTOCK;
+            if (!Object.values(RETURN_DISPOSITIONS).includes(disposition)) {
+                errors.push(`lines[${index}].disposition must be one of: ${Object.values(RETURN_DISPOSITIONS).join(', ')}`);
+                return null;
+            }
+
+            return {
+                product_id: candidate.product_id,
+                sales_order_line_id: candidate.sales_order_line_id,
+                quantity,
+                disposition,
+                reason: ValidationUtil.sanitizeString(requested.reason),
+                notes: ValidationUtil.sanitizeString(requested.notes)
+            };
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid return lines', errors);
+        }
+
+        const products = await Product.findAll({
+            where: { id: { [Op.in]: returnLines.map(line => line.product_id) } },
+            attributes: ['id', 'sku', 'is_active'],
+            transaction: dbTransaction
+        });
+        const inactive = products.filter(product => !product.is_active);
+        if (inactive.length > 0) {
+            throw new BusinessLogicError(`Product ${inactive[0].sku} is inactive`);
+        }
+
+        return returnLines;
+    }
+
+    // Match receipt lines (by line_id or product_id) to the return's lines; every line is received
+    static resolveReceiptLines(returnLines, requestedLines) {
+        if (requestedLines !== undefined && !Array.isArray(requestedLines)) {
+            throw new ValidationError('Invalid receipt lines', ['lines must be an array']);
+        }
+
+        const errors = [];
+        const receipts = returnLines.map(line => {
+            const requested = (requestedLines || []).find(entry =>
+                (entry.line_id && parseInt(entry.line_id) === line.id) ||
+                (!entry.line_id && parseInt(entry.product_id) === line.product_id)
+            ) || {};
+
+            const disposition = requested.disposition || line.disposition;
+            if (!Object.values(RETURN_DISPOSITIONS).includes(disposition)) {
+                errors.push(`Disposition of line ${line.id} must be one of: ${Object.values(RETURN_DISPOSITIONS).join(', ')}`);
+            }
+
+            if (requested.lots !== undefined && !Array.isArray(requested.lots)) {
+                errors.push(`Lots of line ${line.id} must be an array`);
+            }
+
+            return {
+                line,
+                disposition,
+                location_id: requested.location_id || null,
+                lots: requested.lots,
+                // Required when the product is serialized
+                serials: requested.serials,
+                notes: ValidationUtil.sanitizeString(requested.notes)
+            };
+        });
+
+        (requestedLines || []).forEach((requested, index) => {
+            const matched = returnLines.some(line =>
+                (requested.line_id && parseInt(requested.line_id) === line.id) ||
+                (!requested.line_id && parseInt(requested.product_id) === line.product_id)
+            );
+            if (!matched) {
+                errors.push(`lines[${index}] does not match any line on this return`);
+            }
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid receipt lines', errors);
+        }
+
+        return receipts;
+    }
+
+    // Restocked and scrapped lines are booked at the return's location; quarantined ones at a quarantine location
+    static async resolveDispositionLocation(returnDocument, disposition, locationId, dbTransaction) {
+        if (disposition !== RETURN_DISPOSITIONS.QUARANTINE) {
+            const location = await LocationService.resolveLocation(locationId || returnDocument.location_id, { transaction: dbTransaction });
+            if (location.type === LOCATION_TYPES.QUARANTINE) {
+                throw new BusinessLogicError(`Location ${location.code} is a quarantine location; use the quarantine disposition`);
+            }
+            return location;
+        }
+
+        if (locationId) {
+            const location = await LocationService.resolveLocation(locationId, { transaction: dbTransaction });
+            if (location.type !== LOCATION_TYPES.QUARANTINE) {
+                throw new BusinessLogicError(`Location ${location.code} is not a quarantine location`);
+            }
+            return location;
+        }
+
+        const location = await Location.findOne({
+            where: { type: LOCATION_TYPES.QUARANTINE, is_active: true },
+            order: [['id', 'ASC']],
+            transaction: dbTransaction
+        });
+
+        if (!location) {
+            throw new BusinessLogicError('No active quarantine location configured');
+        }
+
+        return location;
+    }
+
+    // Average cost per unit of the outbound transactions being returned, or null to use the current cost
+    static async getOutboundUnitCost(outboundWhere, dbTransaction) {
+        const outbound = await Transaction.findAll({
+            where: { ...outboundWhere, total_cost: { [Op.ne]: null } },
+            attributes: ['quantity', 'total_cost'],
+            transaction: dbTransaction
+        });
+
+        const quantity = QuantityUtil.sum(outbound.map(transaction => transaction.quantity));
+        if (quantity === 0) {
+            return null;
+        }
+
+        return outbound.reduce((sum, transaction) => sum + parseFloat(transaction.total_cost), 0) / quantity;
+    }
+
+    // The first `quantity` units of the lots that were shipped
+    static takeLots(lots, quantity) {
+        const taken = [];
+        let remaining = quantity;
+
+        for (const lot of lots) {
+            if (remaining <= 0) {
+                break;
+            }
+            const lotQuantity = Math.min(lot.quantity, remaining);
+            taken.push({ ...lot, quantity: lotQuantity });
+            remaining = QuantityUtil.round(remaining - lotQuantity);
+        }
+
+        return taken;
+    }
+
+    static async findReturn(id, dbTransaction) {
+        const returnDocument = await Return.findByPk(id, {
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE
+        });
+
+        if (!returnDocument) {
+            throw new NotFoundError('Return not found');
+        }
+
+        return returnDocument;
+    }
+
+    static generateReturnNumber() {
+        const datePart = DateUtil.toDateOnly(new Date()).replace(/-/g, '');
+        return `RMA-${datePart}-${StringUtil.generateAlphanumeric(6)}`;
+    }
+}
+
+export default ReturnService;
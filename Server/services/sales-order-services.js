@@ -0,0 +1,581 @@
+import { SalesOrder, SalesOrderLine, StockReservation, Product, Location } from '../models/index.js';
+import { Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import { TRANSACTION_TYPES, SALES_ORDER_STATUS, RESERVATION_STATUS, RESERVATION_OWNER_TYPES } from '../constant/index.js';
+import {
+    DatabaseUtil,
+    ValidationUtil,
+    QuantityUtil,
+    DateUtil,
+    StringUtil,
+    NotFoundError,
+    ValidationError,
+    BusinessLogicError
+} from '../utils/index.js';
+import InventoryService from './inventory-services.js';
+import LocationService from './location-services.js';
+import ReservationService from './reservation-services.js';
+import SocketService from './socket-services.js';
+
+class SalesOrderService {
+
+    // Get all sales orders with filters
+    static async getAllSalesOrders(filters = {}) {
+        try {
+            // Validate pagination
+            const paginationValidation = ValidationUtil.validatePagination(filters);
+            if (!paginationValidation.isValid) {
+                throw new ValidationError('Invalid pagination parameters', paginationValidation.errors);
+            }
+
+            const { page, limit } = paginationValidation.sanitized;
+            const pagination = DatabaseUtil.buildPagination(page, limit);
+
+            const whereConditions = [];
+
+            if (filters.status) {
+                whereConditions.push({ status: filters.status });
+            }
+
+            if (filters.location_id) {
+                whereConditions.push({ location_id: filters.location_id });
+            }
+
+            if (filters.search) {
+                whereConditions.push(DatabaseUtil.combineFilters([
+                    { order_number: { [Op.iLike]: `%${filters.search}%` } },
+                    { customer_name: { [Op.iLike]: `%${filters.search}%` } },
+                    { customer_reference: { [Op.iLike]: `%${filters.search}%` } }
+                ], 'OR'));
+            }
+
+            if (filters.start_date || filters.end_date) {
+                whereConditions.push(
+                    DatabaseUtil.buildDateRangeFilter(filters.start_date, filters.end_date, 'order_date')
+                );
+            }
+
+            const { count, rows } = await SalesOrder.findAndCountAll({
+                where: DatabaseUtil.combineFilters(whereConditions),
+                include: [{
+                    model: Location,
+                    as: 'location',
+                    attributes: ['id', 'code', 'name']
+                }],
+                ...pagination,
+                order: [['created_at', 'DESC']],
+                distinct: true
+            });
+
+            return {
+                sales_orders: rows,
+                pagination: DatabaseUtil.calculatePaginationMeta(count, page, limit)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get sales orders: ${error.message}`);
+        }
+    }
+
+    // Get sales order by ID with lines and ordered / reserved / shipped totals
+    static async getSalesOrderById(id) {
+        try {
+            const salesOrder = await SalesOrder.findByPk(id, {
+                include: [
+                    {
+                        model: Location,
+                        as: 'location',
+                        attributes: ['id', 'code', 'name', 'type']
+                    },
+                    {
+                        model: SalesOrderLine,
+                        as: 'lines',
+                        include: [{
+                            model: Product,
+                            as: 'product',
+                            attributes: ['id', 'name', 'sku', 'unit']
+                        }]
+                    }
+                ],
+                order: [[{ model: SalesOrderLine, as: 'lines' }, 'id', 'ASC']]
+            });
+
+            if (!salesOrder) {
+                throw new NotFoundError('Sales order not found');
+            }
+
+            const lines = salesOrder.lines;
+
+            return {
+                ...salesOrder.toJSON(),
+                totals: {
+                    quantity_ordered: QuantityUtil.sum(lines.map(line => line.quantity_ordered)),
+                    quantity_reserved: QuantityUtil.sum(lines.map(line => line.quantity_reserved)),
+                    quantity_shipped: QuantityUtil.sum(lines.map(line => line.quantity_shipped)),
+                    quantity_outstanding: QuantityUtil.sum(lines.map(line => line.quantity_outstanding)),
+                    order_value: parseFloat(lines.reduce((sum, line) =>
+                        sum + line.quantity_ordered * parseFloat(line.unit_price), 0).toFixed(2))
+                }
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get sales order: ${error.message}`);
+        }
+    }
+
+    // Create a draft sales order with its lines; nothing is reserved until it is confirmed
+    static async createSalesOrder(orderData, userId = null) {
+        const { customer_name, customer_email, customer_reference, location_id, notes, lines } = orderData;
+
+        const requiredValidation = ValidationUtil.validateRequired(orderData, ['customer_name', 'lines']);
+        if (!requiredValidation.isValid) {
+            throw new ValidationError('Missing required fields', requiredValidation.errors);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+        let salesOrder;
+
+        try {
+            const location = await LocationService.resolveLocation(location_id, { transaction: dbTransaction });
+            const orderLines = await this.buildOrderLines(lines, dbTransaction);
+
+            salesOrder = await SalesOrder.create({
+                order_number: this.generateOrderNumber(),
+                customer_name: ValidationUtil.sanitizeString(customer_name),
+                customer_email: ValidationUtil.sanitizeString(customer_email),
+                customer_reference: ValidationUtil.sanitizeString(customer_reference),
+                location_id: location.id,
+                status: SALES_ORDER_STATUS.DRAFT,
+                order_date: DateUtil.toDateOnly(new Date()),
+                notes: ValidationUtil.sanitizeString(notes),
+                created_by: userId
+            }, { transaction: dbTransaction });
+
+            await SalesOrderLine.bulkCreate(orderLines.map(line => ({
+                ...line,
+                sales_order_id: salesOrder.id
+            })), { transaction: dbTransaction, validate: true });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to create sales order: ${error.message}`);
+        }
+
+        return await this.getSalesOrderById(salesOrder.id);
+    }
+
+    // Update a draft sales order; passing lines replaces all existing lines
+    static async updateSalesOrder(id, updateData) {
+        const dbTransaction = await sequelize.transaction();
+
+        try {
+            const salesOrder = await this.findSalesOrder(id, dbTransaction);
+
+            if (salesOrder.status !== SALES_ORDER_STATUS.DRAFT) {
+                throw new BusinessLogicError('Only draft sales orders can be edited');
+            }
+
+            const changes = {};
+
+            ['customer_name', 'customer_email', 'customer_reference', 'notes'].forEach(field => {
+                if (updateData[field] !== undefined) {
+                    changes[field] = ValidationUtil.sanitizeString(updateData[field]);
+                }
+            });
+
+            if (updateData.location_id !== undefined) {
+                const location = await LocationService.resolveLocation(updateData.location_id, { transaction: dbTransaction });
+                changes.location_id = location.id;
+            }
+
+            await salesOrder.update(changes, { transaction: dbTransaction });
+
+            if (updateData.lines !== undefined) {
+                const orderLines = await this.buildOrderLines(updateData.lines, dbTransaction);
+
+                await SalesOrderLine.destroy({
+                    where: { sales_order_id: salesOrder.id },
+                    transaction: dbTransaction
+                });
+                await SalesOrderLine.bulkCreate(orderLines.map(line => ({
+                    ...line,
+                    sales_order_id: salesOrder.id
+                })), { transaction: dbTransaction, validate: true });
+            }
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to update sales order: ${error.message}`);
+        }
+
+        return await this.getSalesOrderById(id);
+    }
+
+    /**
+     * Confirm a draft sales order. Every line is reserved in full at the order's
+     * location as a tracked hold owned by the order; if any line cannot be covered
+     * by available stock nothing is reserved. Holds only expire when expires_at is given.
+     */
+    static async confirmSalesOrder(id, confirmData = {}, userId = null) {
+        const expiresAt = confirmData.expires_at ? new Date(confirmData.expires_at) : null;
+        if (expiresAt && (isNaN(expiresAt.getTime()) || expiresAt <= new Date())) {
+            throw new ValidationError('Invalid expiry', ['expires_at must be a valid date in the future']);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+        const reservations = [];
+
+        try {
+            const salesOrder = await this.findSalesOrder(id, dbTransaction);
+
+            if (salesOrder.status !== SALES_ORDER_STATUS.DRAFT) {
+                throw new BusinessLogicError('Only draft sales orders can be confirmed');
+            }
+
+            const orderLines = await this.findOrderLines(salesOrder.id, dbTransaction);
+
+            for (const line of orderLines) {
+                const reservation = await ReservationService.holdStock({
+                    product_id: line.product_id,
+                    location_id: salesOrder.location_id,
+                    quantity: line.quantity_ordered,
+                    owner_type: RESERVATION_OWNER_TYPES.SALES_ORDER,
+                    owner_id: salesOrder.order_number,
+                    sales_order_line_id: line.id,
+                    expires_at: expiresAt
+                }, dbTransaction, userId);
+                reservations.push(reservation);
+
+                await line.update({ quantity_reserved: line.quantity_ordered }, { transaction: dbTransaction });
+            }
+
+            await salesOrder.update({
+                status: SALES_ORDER_STATUS.CONFIRMED,
+                confirmed_at: new Date()
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to confirm sales order: ${error.message}`);
+        }
+
+        await ReservationService.publishReservationUpdates('created', reservations);
+
+        const confirmedOrder = await this.getSalesOrderById(id);
+        SocketService.emitSalesOrderUpdate('confirmed', confirmedOrder);
+
+        return confirmedOrder;
+    }
+
+    /**
+     * Ship a confirmed sales order. For each shipped line the reservation is
+     * converted into an OUT transaction linked to the order line. Without a lines
+     * array every outstanding quantity is shipped.
+     */
+    static async shipSalesOrder(id, shipmentData = {}, userId = null) {
+        const dbTransaction = await sequelize.transaction();
+        const movements = [];
+        const reservations = [];
+
+        try {
+            const salesOrder = await this.findSalesOrder(id, dbTransaction);
+
+            if (![SALES_ORDER_STATUS.CONFIRMED, SALES_ORDER_STATUS.PARTIALLY_SHIPPED].includes(salesOrder.status)) {
+                throw new BusinessLogicError(`Cannot ship a sales order with status ${salesOrder.status}`);
+            }
+
+            const orderLines = await this.findOrderLines(salesOrder.id, dbTransaction);
+            const shipments = this.resolveShipmentLines(orderLines, shipmentData.lines);
+
+            const activeReservations = await this.findActiveReservations(orderLines, dbTransaction);
+
+            for (const { line, quantity, notes, serials } of shipments) {
+                // Consume the hold first so the OUT is not blocked by its own reservation
+                const reservation = activeReservations.find(hold => hold.sales_order_line_id === line.id);
+                const released = reservation ? Math.min(quantity, reservation.quantity) : 0;
+                if (released > 0) {
+                    await ReservationService.consumeReservation(reservation, released, dbTransaction, userId);
+                    reservations.push(reservation);
+                }
+
+                const movement = await InventoryService.applyStockMovement(line.product_id, {
+                    transaction_type: TRANSACTION_TYPES.OUT,
+                    quantity,
+                    location_id: salesOrder.location_id,
+                    sales_order_line_id: line.id,
+                    reference_number: salesOrder.order_number,
+                    notes: notes || shipmentData.notes || `Shipped against ${salesOrder.order_number}`,
+                    serials,
+                    created_by: userId
+                }, dbTransaction);
+                movements.push(movement);
+
+                await line.update({
+                    quantity_shipped: QuantityUtil.round(line.quantity_shipped + quantity),
+                    quantity_reserved: QuantityUtil.round(line.quantity_reserved - released)
+                }, { transaction: dbTransaction });
+            }
+
+            const fullyShipped = orderLines.every(line => line.quantity_shipped >= line.quantity_ordered);
+
+            await salesOrder.update({
+                status: fullyShipped ? SALES_ORDER_STATUS.SHIPPED : SALES_ORDER_STATUS.PARTIALLY_SHIPPED,
+                shipped_at: fullyShipped ? new Date() : null
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to ship sales order: ${error.message}`);
+        }
+
+        for (const movement of movements) {
+            await InventoryService.publishStockMovement(movement);
+        }
+        await ReservationService.publishReservationUpdates('consumed', [...new Set(reservations)]);
+
+        const shippedOrder = await this.getSalesOrderById(id);
+        SocketService.emitSalesOrderUpdate('shipped', shippedOrder);
+
+        return shippedOrder;
+    }
+
+    // Cancel a sales order that is not fully shipped; any stock still reserved for it is released
+    static async cancelSalesOrder(id, reason = null, userId = null) {
+        const dbTransaction = await sequelize.transaction();
+        let reservations = [];
+
+        try {
+            const salesOrder = await this.findSalesOrder(id, dbTransaction);
+
+            if ([SALES_ORDER_STATUS.SHIPPED, SALES_ORDER_STATUS.CANCELLED].includes(salesOrder.status)) {
+                throw new BusinessLogicError(`Cannot cancel a sales order with status ${salesOrder.status}`);
+            }
+
+            const orderLines = await this.findOrderLines(salesOrder.id, dbTransaction);
+            reservations = await this.findActiveReservations(orderLines, dbTransaction);
+
+            for (const reservation of reservations) {
+                await ReservationService.endReservation(
+                    reservation,
+                    RESERVATION_STATUS.RELEASED,
+                    reason || `Sales order ${salesOrder.order_number} cancelled`,
+                    dbTransaction,
+                    userId
+                );
+            }
+
+            for (const line of orderLines.filter(orderLine => orderLine.quantity_reserved > 0)) {
+                await line.update({ quantity_reserved: 0 }, { transaction: dbTransaction });
+            }
+
+            await salesOrder.update({
+                status: SALES_ORDER_STATUS.CANCELLED,
+                cancelled_at: new Date(),
+                notes: [salesOrder.notes, reason && `Cancelled: ${ValidationUtil.sanitizeString(reason)}`]
+                    .filter(Boolean)
+                    .join('\n') || null
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to cancel sales order: ${error.message}`);
+        }
+
+        await ReservationService.publishReservationUpdates('released', reservations);
+
+        const cancelledOrder = await this.getSalesOrderById(id);
+        SocketService.emitSalesOrderUpdate('cancelled', cancelledOrder);
+
+        return cancelledOrder;
+    }
+
+    // Validate requested lines and normalize them for SalesOrderLine.bulkCreate
+    static async buildOrderLines(lines, dbTransaction) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            throw new ValidationError('Invalid sales order lines', ['lines must be a non-empty array']);
+        }
+
+        const errors = [];
+        const seenProducts = new Set();
+
+        lines.forEach((line, index) => {
+            if (!line.product_id) {
+                errors.push(`lines[${index}].product_id is required`);
+            } else if (seenProducts.has(String(line.product_id))) {
+                errors.push(`lines[${index}].product_id appears more than once`);
+            } else {
+                seenProducts.add(String(line.product_id));
+            }
+
+            errors.push(...QuantityUtil.validate(line.quantity_ordered, `lines[${index}].quantity_ordered`, null, {
+                positive: true
+            }).errors);
+
+            errors.push(...ValidationUtil.validateNumeric(line.unit_price, `lines[${index}].unit_price`, {
+                min: 0
+            }).errors);
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid sales order lines', errors);
+        }
+
+        const products = await Product.findAll({
+            where: { id: { [Op.in]: lines.map(line => line.product_id) } },
+            transaction: dbTransaction
+        });
+        const productsById = new Map(products.map(product => [product.id, product]));
+
+        return lines.map((line, index) => {
+            const product = productsById.get(parseInt(line.product_id));
+            if (!product) {
+                throw new NotFoundError(`Product ${line.product_id} not found`);
+            }
+            if (!product.is_active) {
+                throw new BusinessLogicError(`Product ${product.sku} is inactive`);
+            }
+
+            const quantityValidation = QuantityUtil.validate(line.quantity_ordered, `lines[${index}].quantity_ordered`, product);
+            if (!quantityValidation.isValid) {
+                throw new ValidationError('Invalid sales order lines', quantityValidation.errors);
+            }
+
+            return {
+                product_id: product.id,
+                quantity_ordered: QuantityUtil.round(line.quantity_ordered),
+                // Unit prices default to the product's list price
+                unit_price: line.unit_price !== undefined && line.unit_price !== null
+                    ? ValidationUtil.sanitizeNumber(line.unit_price)
+                    : parseFloat(product.price),
+                notes: ValidationUtil.sanitizeString(line.notes)
+            };
+        });
+    }
+
+    // Match requested shipment lines (by line_id or product_id) against the order lines
+    static resolveShipmentLines(orderLines, requestedLines) {
+        if (requestedLines === undefined) {
+            const outstanding = orderLines
+                .filter(line => line.quantity_outstanding > 0)
+                .map(line => ({ line, quantity: line.quantity_outstanding }));
+
+            if (outstanding.length === 0) {
+                throw new BusinessLogicError('Nothing left to ship on this sales order');
+            }
+
+            return outstanding;
+        }
+
+        if (!Array.isArray(requestedLines) || requestedLines.length === 0) {
+            throw new ValidationError('Invalid shipment lines', ['lines must be a non-empty array']);
+        }
+
+        const errors = [];
+        const pendingByLine = new Map();
+        const shipments = requestedLines.map((requested, index) => {
+            const line = orderLines.find(orderLine =>
+                (requested.line_id && orderLine.id === parseInt(requested.line_id)) ||
+                (!requested.line_id && orderLine.product_id === parseInt(requested.product_id))
+            );
+
+            if (!line) {
+                errors.push(`lines[${index}] does not match any line on this sales order`);
+                return null;
+            }
+
+            const quantityValidation = QuantityUtil.validate(requested.quantity, `lines[${index}].quantity`, null, {
+                positive: true
+            });
+            if (!quantityValidation.isValid) {
+                errors.push(...quantityValidation.errors);
+                return null;
+            }
+
+            const quantity = QuantityUtil.round(requested.quantity);
+            const pending = QuantityUtil.round((pendingByLine.get(line.id) || 0) + quantity);
+            if (pending > line.quantity_outstanding) {
+                errors.push(`lines[${index}].quantity exceeds the outstanding quantity of ${line.quantity_outstanding}`);
+                return null;
+            }
+            pendingByLine.set(line.id, pending);
+
+            return {
+                line,
+                quantity,
+                notes: ValidationUtil.sanitizeString(requested.notes),
+                // Required when the product is serialized
+                serials: requested.serials
+            };
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid shipment lines', errors);
+        }
+
+        return shipments;
+    }
+
+    static async findSalesOrder(id, dbTransaction) {
+        const salesOrder = await SalesOrder.findByPk(id, {
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE
+        });
+
+        if (!salesOrder) {
+            throw new NotFoundError('Sales order not found');
+        }
+
+        return salesOrder;
+    }
+
+    static async findOrderLines(salesOrderId, dbTransaction) {
+        return await SalesOrderLine.findAll({
+            where: { sales_order_id: salesOrderId },
+            order: [['id', 'ASC']],
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE
+        });
+    }
+
+    static async findActiveReservations(orderLines, dbTransaction) {
+        return await StockReservation.findAll({
+            where: {
+                sales_order_line_id: { [Op.in]: orderLines.map(line => line.id) },
+                status: RESERVATION_STATUS.ACTIVE
+            },
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE
+        });
+    }
+
+    static generateOrderNumber() {
+        const datePart = DateUtil.toDateOnly(new Date()).replace(/-/g, '');
+        return `SO-${datePart}-${StringUtil.generateAlphanumeric(6)}`;
+    }
+}
+
+export default SalesOrderService;
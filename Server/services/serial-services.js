@@ -0,0 +1,327 @@
+import { SerialNumber, TransactionSerial, Transaction, Product, Location } from '../models/index.js';
+import { Op } from 'sequelize';
+import { TRANSACTION_TYPES, SERIAL_STATUS } from '../constant/index.js';
+import {
+    DatabaseUtil,
+    ValidationUtil,
+    NotFoundError,
+    ValidationError,
+    BusinessLogicError
+} from '../utils/index.js';
+
+// Units that are physically on hand at their location
+const ON_HAND_STATUSES = [SERIAL_STATUS.IN_STOCK, SERIAL_STATUS.RESERVED, SERIAL_STATUS.RETURNED];
+
+// Status changes allowed outside of a stock movement
+const MANUAL_TRANSITIONS = {
+    [SERIAL_STATUS.IN_STOCK]: [SERIAL_STATUS.RESERVED],
+    [SERIAL_STATUS.RESERVED]: [SERIAL_STATUS.IN_STOCK],
+    [SERIAL_STATUS.RETURNED]: [SERIAL_STATUS.IN_STOCK]
+};
+
+class SerialService {
+
+    // Get serial numbers with filters
+    static async getAllSerials(filters = {}) {
+        try {
+            // Validate pagination
+            const paginationValidation = ValidationUtil.validatePagination(filters);
+            if (!paginationValidation.isValid) {
+                throw new ValidationError('Invalid pagination parameters', paginationValidation.errors);
+            }
+
+            const { page, limit } = paginationValidation.sanitized;
+            const pagination = DatabaseUtil.buildPagination(page, limit);
+
+            const whereConditions = [];
+
+            if (filters.product_id) {
+                whereConditions.push({ product_id: filters.product_id });
+            }
+
+            if (filters.location_id) {
+                whereConditions.push({ location_id: filters.location_id });
+            }
+
+            if (filters.status) {
+                whereConditions.push({ status: filters.status });
+            }
+
+            if (filters.search) {
+                whereConditions.push({ serial_number: { [Op.iLike]: `%${filters.search}%` } });
+            }
+
+            const { count, rows } = await SerialNumber.findAndCountAll({
+                where: DatabaseUtil.combineFilters(whereConditions),
+                include: this.defaultIncludes(),
+                ...pagination,
+                order: [['serial_number', 'ASC']]
+            });
+
+            return {
+                serials: rows,
+                pagination: DatabaseUtil.calculatePaginationMeta(count, page, limit)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get serial numbers: ${error.message}`);
+        }
+    }
+
+    /**
+     * Look up a unit by its serial number with every transaction that moved it.
+     * The same serial can exist for different products; product_id picks one.
+     */
+    static async getSerialHistory(serialNumber, productId = null) {
+        try {
+            const whereClause = { serial_number: String(serialNumber).trim() };
+            if (productId) {
+                whereClause.product_id = productId;
+            }
+
+            const units = await SerialNumber.findAll({
+                where: whereClause,
+                include: this.defaultIncludes()
+            });
+
+            if (units.length === 0) {
+                throw new NotFoundError('Serial number not found');
+            }
+
+            if (units.length > 1) {
+                throw new ValidationError('Serial number is ambiguous', [
+                    `Serial number ${serialNumber} exists for ${units.length} products; pass product_id to choose one`
+                ]);
+            }
+
+            const unit = units[0];
+            const movements = await TransactionSerial.findAll({
+                where: { serial_number_id: unit.id },
+                include: [{
+                    model: Transaction,
+                    as: 'transaction',
+                    include: [{
+                        model: Location,
+                        as: 'location',
+                        attributes: ['id', 'code', 'name']
+                    }]
+                }],
+                order: [['created_at', 'ASC'], ['id', 'ASC']]
+            });
+
+            return {
+                ...unit.toJSON(),
+                history: movements.map(movement => movement.transaction)
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get serial number history: ${error.message}`);
+        }
+    }
+
+    // Reserve or un-reserve a unit, or put a returned unit back into sellable stock
+    static async updateSerialStatus(id, status) {
+        try {
+            const unit = await SerialNumber.findByPk(id);
+
+            if (!unit) {
+                throw new NotFoundError('Serial number not found');
+            }
+
+            const allowed = MANUAL_TRANSITIONS[unit.status] || [];
+            if (!allowed.includes(status)) {
+                throw new BusinessLogicError(`Cannot change a serial number from ${unit.status} to ${status}`);
+            }
+
+            await unit.update({ status });
+
+            return await SerialNumber.findByPk(id, { include: this.defaultIncludes() });
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to update serial number: ${error.message}`);
+        }
+    }
+
+    /**
+     * Move the units of a serialized product along with a stock movement that has
+     * just been written. The serials listed must match the quantity moved: inbound
+     * serials are created (or brought back), outbound serials must be on hand at
+     * the location. Returns [{ id, serial_number, status }].
+     */
+    static async applySerialMovement({ product, location, transaction, transaction_type, delta, serials }, dbTransaction) {
+        const serialNumbers = this.normalizeSerials(serials, Math.abs(delta));
+        const moved = [];
+
+        for (const serialNumber of serialNumbers) {
+            let unit = await SerialNumber.findOne({
+                where: { product_id: product.id, serial_number: serialNumber },
+                transaction: dbTransaction,
+                lock: dbTransaction ? dbTransaction.LOCK.UPDATE : undefined
+            });
+
+            if (delta > 0) {
+                unit = await this.receiveUnit(unit, { product, location, serialNumber, transaction_type }, dbTransaction);
+            } else {
+                unit = await this.issueUnit(unit, { location, serialNumber, transaction_type }, dbTransaction);
+            }
+
+            await TransactionSerial.create({
+                transaction_id: transaction.id,
+                serial_number_id: unit.id
+            }, { transaction: dbTransaction });
+
+            moved.push({ id: unit.id, serial_number: unit.serial_number, status: unit.status });
+        }
+
+        return moved;
+    }
+
+    static async receiveUnit(unit, { product, location, serialNumber, transaction_type }, dbTransaction) {
+        // The inbound leg of a transfer picks up units that left on the outbound leg
+        if (transaction_type === TRANSACTION_TYPES.TRANSFER_IN) {
+            if (!unit || unit.location_id !== null || !ON_HAND_STATUSES.includes(unit.status)) {
+                throw new BusinessLogicError(`Serial number ${serialNumber} is not in transit`);
+            }
+            return await unit.update({ location_id: location.id }, { transaction: dbTransaction });
+        }
+
+        if (!unit) {
+            return await SerialNumber.create({
+                product_id: product.id,
+                serial_number: serialNumber,
+                status: SERIAL_STATUS.IN_STOCK,
+                location_id: location.id,
+                received_at: new Date()
+            }, { transaction: dbTransaction });
+        }
+
+        if (ON_HAND_STATUSES.includes(unit.status)) {
+            throw new BusinessLogicError(`Serial number ${serialNumber} is already in stock`);
+        }
+
+        // A sold unit coming back is a return; anything else is back in stock
+        return await unit.update({
+            status: unit.status === SERIAL_STATUS.SOLD ? SERIAL_STATUS.RETURNED : SERIAL_STATUS.IN_STOCK,
+            location_id: location.id,
+            received_at: new Date(),
+            sold_at: null
+        }, { transaction: dbTransaction });
+    }
+
+    static async issueUnit(unit, { location, serialNumber, transaction_type }, dbTransaction) {
+        if (!unit || unit.location_id !== location.id || !ON_HAND_STATUSES.includes(unit.status)) {
+            throw new BusinessLogicError(`Serial number ${serialNumber} is not in stock at location ${location.code}`);
+        }
+
+        switch (transaction_type) {
+            case TRANSACTION_TYPES.OUT:
+                return await unit.update({
+                    status: SERIAL_STATUS.SOLD,
+                    location_id: null,
+                    sold_at: new Date()
+                }, { transaction: dbTransaction });
+            case TRANSACTION_TYPES.TRANSFER_OUT:
+                // In transit until the inbound leg books it at the destination
+                return await unit.update({ location_id: null }, { transaction: dbTransaction });
+            default:
+                // Counted down in an adjustment: the unit is written off
+                return await unit.update({
+                    status: SERIAL_STATUS.SCRAPPED,
+                    location_id: null
+                }, { transaction: dbTransaction });
+        }
+    }
+
+    // Serial numbers that left on the outbound leg of a transfer
+    static async getTransferSerials(transfer, dbTransaction) {
+        return await this.getAllocatedSerials({
+            transfer_id: transfer.id,
+            transaction_type: TRANSACTION_TYPES.TRANSFER_OUT
+        }, dbTransaction);
+    }
+
+    // Serial numbers a transaction moved, for moving the same units back when it is reversed
+    static async getTransactionSerials(transaction, dbTransaction) {
+        return await this.getAllocatedSerials({ id: transaction.id }, dbTransaction);
+    }
+
+    static async getAllocatedSerials(transactionWhere, dbTransaction) {
+        const allocations = await TransactionSerial.findAll({
+            include: [
+                {
+                    model: Transaction,
+                    as: 'transaction',
+                    attributes: [],
+                    where: transactionWhere
+                },
+                {
+                    model: SerialNumber,
+                    as: 'serial',
+                    attributes: ['serial_number']
+                }
+            ],
+            transaction: dbTransaction
+        });
+
+        return allocations.map(allocation => allocation.serial.serial_number);
+    }
+
+    // Serials must be unique, non-empty and exactly one per unit moved
+    static normalizeSerials(serials, quantity) {
+        if (!Array.isArray(serials) || serials.length === 0) {
+            throw new ValidationError('Serial numbers required', [
+                'serials must list the serial number of every unit moved for a serialized product'
+            ]);
+        }
+
+        const errors = [];
+        const serialNumbers = serials.map(serial =>
+            serial === undefined || serial === null ? '' : String(serial).trim()
+        );
+
+        if (serialNumbers.some(serial => serial.length === 0)) {
+            errors.push('Serial numbers cannot be empty');
+        }
+
+        if (serialNumbers.some(serial => serial.length > 100)) {
+            errors.push('Serial numbers cannot exceed 100 characters');
+        }
+
+        if (new Set(serialNumbers).size !== serialNumbers.length) {
+            errors.push('Serial numbers must be unique');
+        }
+
+        if (serialNumbers.length !== quantity) {
+            errors.push(`${serialNumbers.length} serial numbers given for a quantity of ${quantity}`);
+        }
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid serial numbers', errors);
+        }
+
+        return serialNumbers;
+    }
+
+    static defaultIncludes() {
+        return [
+            {
+                model: Product,
+                as: 'product',
+                attributes: ['id', 'name', 'sku']
+            },
+            {
+                model: Location,
+                as: 'location',
+                attributes: ['id', 'code', 'name']
+            }
+        ];
+    }
+}
+
+export default SerialService;
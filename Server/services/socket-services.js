@@ -31,6 +31,12 @@ class SocketService {
                 console.log(`User ${socket.id} subscribed to product: ${productId}`);
             });
 
+            // Join user to location-specific rooms for branch updates
+            socket.on('subscribe_location', (locationId) => {
+                socket.join(`location_${locationId}`);
+                console.log(`User ${socket.id} subscribed to location: ${locationId}`);
+            });
+
             // Join dashboard room for real-time stats
             socket.on('join_dashboard', () => {
                 socket.join('dashboard');
@@ -52,6 +58,11 @@ class SocketService {
             // Emit to specific product subscribers
             this.io.to(`product_${data.product_id}`).emit('product:stock_changed', data);
 
+            // Emit to the branch where the stock moved
+            if (data.location_id) {
+                this.io.to(`location_${data.location_id}`).emit('location:stock_changed', data);
+            }
+
             // Emit to dashboard
             this.io.to('dashboard').emit('dashboard:inventory_changed', data);
         }
@@ -62,6 +73,22 @@ class SocketService {
             // Send to admins and managers only
             this.io.to('role_admin').emit('inventory:low_stock_alert', data);
             this.io.to('role_manager').emit('inventory:low_stock_alert', data);
+
+            if (data.location_id) {
+                this.io.to(`location_${data.location_id}`).emit('inventory:low_stock_alert', data);
+            }
+        }
+    }
+
+    static emitExpiryAlert(data) {
+        if (this.io) {
+            // Same audience as low stock alerts
+            this.io.to('role_admin').emit('inventory:expiry_alert', data);
+            this.io.to('role_manager').emit('inventory:expiry_alert', data);
+
+            if (data.location_id) {
+                this.io.to(`location_${data.location_id}`).emit('inventory:expiry_alert', data);
+            }
         }
     }
 
@@ -80,6 +107,60 @@ class SocketService {
         }
     }
 
+    static emitTransactionReversed(data) {
+        if (this.io) {
+            this.io.emit('transaction:reversed', data);
+            this.io.to('dashboard').emit('dashboard:transaction_reversed', data);
+        }
+    }
+
+    // Approval Events (requested/approved/rejected) go to the approvers' rooms
+    static emitApprovalUpdate(event, data) {
+        if (this.io) {
+            this.io.to('role_admin').emit(`transaction:approval_${event}`, data);
+            this.io.to('role_manager').emit(`transaction:approval_${event}`, data);
+        }
+    }
+
+    // Transfer Events
+    static emitTransferUpdate(event, data) {
+        if (this.io) {
+            // Notify both branches involved in the transfer
+            this.io.to(`location_${data.from_location_id}`).emit(`transfer:${event}`, data);
+            this.io.to(`location_${data.to_location_id}`).emit(`transfer:${event}`, data);
+
+            this.io.to('dashboard').emit(`dashboard:transfer_${event}`, data);
+        }
+    }
+
+    // Sales Order Events (confirm/cancel change reserved and available stock)
+    static emitSalesOrderUpdate(event, data) {
+        if (this.io) {
+            this.io.to(`location_${data.location_id}`).emit(`sales_order:${event}`, data);
+
+            this.io.to('dashboard').emit(`dashboard:sales_order_${event}`, data);
+        }
+    }
+
+    // Return Events
+    static emitReturnUpdate(event, data) {
+        if (this.io) {
+            this.io.to(`location_${data.location_id}`).emit(`return:${event}`, data);
+
+            this.io.to('dashboard').emit(`dashboard:return_${event}`, data);
+        }
+    }
+
+    // Reservation Events (carry the new reserved/available stock for the product at the location)
+    static emitReservationUpdate(event, data) {
+        if (this.io) {
+            this.io.to(`location_${data.location_id}`).emit(`reservation:${event}`, data);
+            this.io.to(`product_${data.product_id}`).emit(`reservation:${event}`, data);
+
+            this.io.to('dashboard').emit(`dashboard:reservation_${event}`, data);
+        }
+    }
+
     // Product Events
     static emitProductCreated(data) {
         if (this.io) {
@@ -0,0 +1,202 @@
+import { Inventory, Transaction, Product, Location } from '../models/index.js';
+import { Op } from 'sequelize';
+import { TRANSACTION_TYPES, STOCK_HISTORY } from '../constant/index.js';
+import { DateUtil, QuantityUtil, NotFoundError, ValidationError } from '../utils/index.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class StockHistoryService {
+
+    // Daily end-of-day stock levels for one inventory record (a product at a location)
+    static async getInventoryHistory(inventoryId, filters = {}) {
+        const period = this.resolvePeriod(filters);
+
+        try {
+            const inventory = await Inventory.findByPk(inventoryId, {
+                include: [{
+                    model: Product,
+                    as: 'product',
+                    attributes: ['id', 'name', 'sku', 'unit']
+                }, {
+                    model: Location,
+                    as: 'location',
+                    attributes: ['id', 'code', 'name']
+                }]
+            });
+
+            if (!inventory) {
+                throw new NotFoundError('Inventory record not found');
+            }
+
+            return {
+                inventory_id: inventory.id,
+                product: inventory.product,
+                location: inventory.location,
+                start_date: period.days[0],
+                end_date: period.days[period.days.length - 1],
+                points: await this.buildSeries(inventory, period)
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get stock history: ${error.message}`);
+        }
+    }
+
+    // Daily end-of-day stock levels for a product, summed over its locations (or one location)
+    static async getProductHistory(productId, filters = {}) {
+        const period = this.resolvePeriod(filters);
+
+        try {
+            const product = await Product.findByPk(productId, {
+                attributes: ['id', 'name', 'sku', 'unit']
+            });
+
+            if (!product) {
+                throw new NotFoundError('Product not found');
+            }
+
+            const whereClause = { product_id: product.id };
+            if (filters.location_id) {
+                whereClause.location_id = filters.location_id;
+            }
+
+            const records = await Inventory.findAll({
+                where: whereClause,
+                include: [{
+                    model: Location,
+                    as: 'location',
+                    attributes: ['id', 'code', 'name']
+                }],
+                order: [['location_id', 'ASC']]
+            });
+
+            const locations = [];
+            for (const record of records) {
+                locations.push({
+                    location: record.location,
+                    points: await this.buildSeries(record, period)
+                });
+            }
+
+            const points = period.days.map((date, index) => ({
+                date,
+                stock_level: QuantityUtil.sum(locations.map(entry => entry.points[index].stock_level)),
+                transactions: locations.reduce((sum, entry) => sum + entry.points[index].transactions, 0)
+            }));
+
+            return {
+                product,
+                location_id: filters.location_id ? parseInt(filters.location_id) : null,
+                start_date: period.days[0],
+                end_date: period.days[period.days.length - 1],
+                points,
+                locations
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get stock history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rebuild end-of-day levels from the ledger. Each transaction records the
+     * balance after it, so the level on any day is the balance of the last
+     * transaction up to that day. Older rows written before balances were
+     * recorded are replayed from the current stock instead.
+     */
+    static async buildSeries(inventory, period) {
+        const scope = { product_id: inventory.product_id, location_id: inventory.location_id };
+
+        const [lastBefore, transactions] = await Promise.all([
+            Transaction.findOne({
+                where: {
+                    ...scope,
+                    transaction_date: { [Op.lt]: period.start },
+                    balance_after: { [Op.ne]: null }
+                },
+                order: [['transaction_date', 'DESC'], ['id', 'DESC']]
+            }),
+            Transaction.findAll({
+                where: { ...scope, transaction_date: { [Op.gte]: period.start } },
+                attributes: ['id', 'transaction_type', 'quantity', 'quantity_change', 'balance_after', 'transaction_date'],
+                order: [['transaction_date', 'ASC'], ['id', 'ASC']]
+            })
+        ]);
+
+        let level = lastBefore
+            ? lastBefore.balance_after
+            : QuantityUtil.round(inventory.current_stock - QuantityUtil.sum(transactions.map(transaction => this.signedQuantity(transaction))));
+
+        const byDay = new Map();
+        transactions.forEach(transaction => {
+            const day = DateUtil.toDateOnly(transaction.transaction_date);
+            if (!byDay.has(day)) {
+                byDay.set(day, []);
+            }
+            byDay.get(day).push(transaction);
+        });
+
+        return period.days.map(date => {
+            const dayTransactions = byDay.get(date) || [];
+            dayTransactions.forEach(transaction => {
+                level = transaction.balance_after !== null
+                    ? transaction.balance_after
+                    : QuantityUtil.round(level + this.signedQuantity(transaction));
+            });
+
+            return { date, stock_level: Math.max(level, 0), transactions: dayTransactions.length };
+        });
+    }
+
+    // Stock change of a ledger row; older adjustments without quantity_change have no known direction
+    static signedQuantity(transaction) {
+        if (transaction.quantity_change !== null && transaction.quantity_change !== undefined) {
+            return transaction.quantity_change;
+        }
+
+        switch (transaction.transaction_type) {
+            case TRANSACTION_TYPES.IN:
+            case TRANSACTION_TYPES.TRANSFER_IN:
+                return transaction.quantity;
+            case TRANSACTION_TYPES.OUT:
+            case TRANSACTION_TYPES.TRANSFER_OUT:
+                return -transaction.quantity;
+            default:
+                return 0;
+        }
+    }
+
+    // Whole days (UTC) from start_date to end_date, defaulting to the last STOCK_HISTORY.DEFAULT_PERIOD_DAYS
+    static resolvePeriod(filters = {}) {
+        const endDay = DateUtil.toDateOnly(filters.end_date ? new Date(filters.end_date) : new Date());
+        const startDay = filters.start_date
+            ? DateUtil.toDateOnly(new Date(filters.start_date))
+            : DateUtil.toDateOnly(new Date(Date.parse(endDay) - (STOCK_HISTORY.DEFAULT_PERIOD_DAYS - 1) * MS_PER_DAY));
+
+        const start = new Date(startDay);
+        const totalDays = Math.round((Date.parse(endDay) - start.getTime()) / MS_PER_DAY) + 1;
+
+        if (totalDays < 1) {
+            throw new ValidationError('Invalid date range', ['start_date cannot be later than end_date']);
+        }
+
+        if (totalDays > STOCK_HISTORY.MAX_PERIOD_DAYS) {
+            throw new ValidationError('Invalid date range', [
+                `Stock history covers at most ${STOCK_HISTORY.MAX_PERIOD_DAYS} days per request`
+            ]);
+        }
+
+        const days = [];
+        for (let index = 0; index < totalDays; index++) {
+            days.push(DateUtil.toDateOnly(new Date(start.getTime() + index * MS_PER_DAY)));
+        }
+
+        return { start, days };
+    }
+}
+
+export default StockHistoryService;
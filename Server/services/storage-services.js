@@ -0,0 +1,76 @@
+import fs from 'fs';
+import fsPromises from 'fs/promises';
+import path from 'path';
+import { NotFoundError } from '../utils/index.js';
+
+/**
+ * Files on local disk under a root directory (UPLOAD_DIR, default ./uploads).
+ * Keys are relative paths such as products/12/<uuid>.png.
+ */
+export class LocalDiskStorage {
+    constructor(rootDir = process.env.UPLOAD_DIR || 'uploads') {
+        this.rootDir = path.resolve(rootDir);
+    }
+
+    // Keys must stay inside the root directory
+    resolve(key) {
+        const filePath = path.resolve(this.rootDir, key);
+        if (!filePath.startsWith(this.rootDir + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async put(key, buffer) {
+        const filePath = this.resolve(key);
+        await fsPromises.mkdir(path.dirname(filePath), { recursive: true });
+        await fsPromises.writeFile(filePath, buffer);
+    }
+
+    async getStream(key) {
+        const filePath = this.resolve(key);
+        try {
+            await fsPromises.access(filePath);
+        } catch {
+            throw new NotFoundError('File not found in storage');
+        }
+        return fs.createReadStream(filePath);
+    }
+
+    async remove(key) {
+        await fsPromises.rm(this.resolve(key), { force: true });
+    }
+}
+
+/**
+ * Storage backend registry. The backend is picked by FILE_STORAGE_DRIVER
+ * (default `local`); other backends (e.g. S3) register a factory returning
+ * an object with put(key, buffer, { contentType }), getStream(key) and
+ * remove(key).
+ */
+class StorageService {
+    static factories = {
+        local: () => new LocalDiskStorage()
+    };
+
+    static instance = null;
+
+    static registerBackend(name, factory) {
+        this.factories[name] = factory;
+        this.instance = null;
+    }
+
+    static getBackend() {
+        if (!this.instance) {
+            const driver = process.env.FILE_STORAGE_DRIVER || 'local';
+            const factory = this.factories[driver];
+            if (!factory) {
+                throw new Error(`Unknown file storage driver: ${driver}`);
+            }
+            this.instance = factory();
+        }
+        return this.instance;
+    }
+}
+
+export default StorageService;
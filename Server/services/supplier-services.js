@@ -0,0 +1,410 @@
+import { Supplier, SupplierProduct, Product, PurchaseOrder } from '../models/index.js';
+import { Op } from 'sequelize';
+import { DATABASE_CONSTRAINTS, PURCHASE_ORDER_STATUS, SUPPLIER_CATALOG } from '../constant/index.js';
+import {
+    DatabaseUtil,
+    ValidationUtil,
+    StringUtil,
+    NotFoundError,
+    ValidationError,
+    ConflictError,
+    BusinessLogicError
+} from '../utils/index.js';
+
+class SupplierService {
+
+    // Get all suppliers with optional filters
+    static async getAllSuppliers(filters = {}) {
+        try {
+            // Validate pagination
+            const paginationValidation = ValidationUtil.validatePagination(filters);
+            if (!paginationValidation.isValid) {
+                throw new ValidationError('Invalid pagination parameters', paginationValidation.errors);
+            }
+
+            const { page, limit } = paginationValidation.sanitized;
+
+            const queryOptions = DatabaseUtil.buildQueryOptions({
+                page,
+                limit,
+                search: filters.search,
+                sort_by: filters.sort_by,
+                sort_order: filters.sort_order
+            }, {
+                searchFields: ['code', 'name', 'contact_name', 'email'],
+                sortableFields: ['code', 'name', 'created_at'],
+                defaultSort: 'name',
+                defaultOrder: 'ASC'
+            });
+
+            const whereConditions = [];
+
+            if (filters.is_active !== undefined) {
+                whereConditions.push(
+                    DatabaseUtil.buildBooleanFilter(filters.is_active === true || filters.is_active === 'true', 'is_active')
+                );
+            }
+
+            const finalWhereClause = DatabaseUtil.combineFilters([queryOptions.where, ...whereConditions]);
+
+            const { count, rows } = await Supplier.findAndCountAll({
+                ...queryOptions,
+                where: finalWhereClause
+            });
+
+            return {
+                suppliers: rows,
+                pagination: DatabaseUtil.calculatePaginationMeta(count, page, limit)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get suppliers: ${error.message}`);
+        }
+    }
+
+    // Get supplier by ID
+    static async getSupplierById(id) {
+        try {
+            const supplier = await Supplier.findByPk(id);
+
+            if (!supplier) {
+                throw new NotFoundError('Supplier not found');
+            }
+
+            const openOrders = await PurchaseOrder.count({
+                where: {
+                    supplier_id: id,
+                    status: { [Op.in]: [PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED] }
+                }
+            });
+
+            return {
+                ...supplier.toJSON(),
+                open_purchase_orders: openOrders
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get supplier: ${error.message}`);
+        }
+    }
+
+    // Create new supplier
+    static async createSupplier(supplierData) {
+        try {
+            const { code, name, contact_name, email, phone, address } = supplierData;
+
+            // Validate required fields
+            const requiredValidation = ValidationUtil.validateRequired(supplierData, ['code', 'name']);
+            if (!requiredValidation.isValid) {
+                throw new ValidationError('Missing required fields', requiredValidation.errors);
+            }
+
+            const codeValidation = ValidationUtil.validateStringLength(code, 'code', {
+                required: true,
+                min: DATABASE_CONSTRAINTS.SUPPLIER_CODE.MIN_LENGTH,
+                max: DATABASE_CONSTRAINTS.SUPPLIER_CODE.MAX_LENGTH
+            });
+            const nameValidation = ValidationUtil.validateStringLength(name, 'name', {
+                required: true,
+                min: DATABASE_CONSTRAINTS.SUPPLIER_NAME.MIN_LENGTH,
+                max: DATABASE_CONSTRAINTS.SUPPLIER_NAME.MAX_LENGTH
+            });
+            const supplierValidation = ValidationUtil.combineValidations([codeValidation, nameValidation]);
+            if (!supplierValidation.isValid) {
+                throw new ValidationError('Invalid supplier data', supplierValidation.errors);
+            }
+
+            if (email && !ValidationUtil.isValidEmail(email)) {
+                throw new ValidationError('Invalid supplier data', ['Invalid email format']);
+            }
+
+            const normalizedCode = code.trim().toUpperCase();
+            const existingSupplier = await Supplier.findOne({ where: { code: normalizedCode } });
+            if (existingSupplier) {
+                throw new ConflictError('Supplier code already exists');
+            }
+
+            const supplier = await Supplier.create({
+                code: normalizedCode,
+                name: StringUtil.normalizeWhitespace(name),
+                contact_name: ValidationUtil.sanitizeString(contact_name),
+                email: email ? email.trim().toLowerCase() : null,
+                phone: ValidationUtil.sanitizeString(phone),
+                address: ValidationUtil.sanitizeString(address),
+                is_active: true
+            });
+
+            return supplier;
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error(`Failed to create supplier: ${error.message}`);
+        }
+    }
+
+    // Update supplier
+    static async updateSupplier(id, updateData) {
+        try {
+            const supplier = await Supplier.findByPk(id);
+
+            if (!supplier) {
+                throw new NotFoundError('Supplier not found');
+            }
+
+            if (updateData.code && updateData.code.trim().toUpperCase() !== supplier.code) {
+                const existingSupplier = await Supplier.findOne({
+                    where: {
+                        code: updateData.code.trim().toUpperCase(),
+                        id: { [Op.ne]: id }
+                    }
+                });
+
+                if (existingSupplier) {
+                    throw new ConflictError('Supplier code already exists');
+                }
+            }
+
+            if (updateData.email && !ValidationUtil.isValidEmail(updateData.email)) {
+                throw new ValidationError('Invalid supplier data', ['Invalid email format']);
+            }
+
+            await supplier.update({
+                code: updateData.code?.trim().toUpperCase() || supplier.code,
+                name: updateData.name ? StringUtil.normalizeWhitespace(updateData.name) : supplier.name,
+                contact_name: updateData.contact_name !== undefined ? ValidationUtil.sanitizeString(updateData.contact_name) : supplier.contact_name,
+                email: updateData.email !== undefined ? (updateData.email ? updateData.email.trim().toLowerCase() : null) : supplier.email,
+                phone: updateData.phone !== undefined ? ValidationUtil.sanitizeString(updateData.phone) : supplier.phone,
+                address: updateData.address !== undefined ? ValidationUtil.sanitizeString(updateData.address) : supplier.address,
+                is_active: updateData.is_active !== undefined ? Boolean(updateData.is_active) : supplier.is_active
+            });
+
+            return supplier;
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error(`Failed to update supplier: ${error.message}`);
+        }
+    }
+
+    // Delete supplier (soft delete by setting is_active to false)
+    static async deleteSupplier(id) {
+        try {
+            const supplier = await Supplier.findByPk(id);
+
+            if (!supplier) {
+                throw new NotFoundError('Supplier not found');
+            }
+
+            const openOrders = await PurchaseOrder.count({
+                where: {
+                    supplier_id: id,
+                    status: { [Op.in]: [PURCHASE_ORDER_STATUS.SENT, PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED] }
+                }
+            });
+
+            if (openOrders > 0) {
+                throw new BusinessLogicError('Cannot delete supplier with open purchase orders. Please receive or cancel them first.');
+            }
+
+            await supplier.update({ is_active: false });
+
+            return { message: 'Supplier deleted successfully' };
+        } catch (error) {
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to delete supplier: ${error.message}`);
+        }
+    }
+
+    // Get the catalog of products a supplier offers
+    static async getSupplierCatalog(supplierId, filters = {}) {
+        try {
+            const supplier = await Supplier.findByPk(supplierId);
+
+            if (!supplier) {
+                throw new NotFoundError('Supplier not found');
+            }
+
+            const whereClause = { supplier_id: supplierId };
+            if (filters.is_active !== undefined) {
+                whereClause.is_active = filters.is_active === true || filters.is_active === 'true';
+            }
+
+            const catalog = await SupplierProduct.findAll({
+                where: whereClause,
+                include: [{
+                    model: Product,
+                    as: 'product',
+                    attributes: ['id', 'name', 'sku', 'unit', 'cost_price']
+                }],
+                order: [['product_id', 'ASC']]
+            });
+
+            return {
+                supplier,
+                catalog
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get supplier catalog: ${error.message}`);
+        }
+    }
+
+    // Add a product to a supplier's catalog
+    static async addCatalogItem(supplierId, itemData) {
+        try {
+            const requiredValidation = ValidationUtil.validateRequired(itemData, ['product_id']);
+            if (!requiredValidation.isValid) {
+                throw new ValidationError('Missing required fields', requiredValidation.errors);
+            }
+
+            const catalogValidation = this.validateCatalogTerms(itemData);
+            if (!catalogValidation.isValid) {
+                throw new ValidationError('Invalid catalog data', catalogValidation.errors);
+            }
+
+            const supplier = await Supplier.findByPk(supplierId);
+            if (!supplier) {
+                throw new NotFoundError('Supplier not found');
+            }
+
+            const product = await Product.findByPk(itemData.product_id);
+            if (!product) {
+                throw new NotFoundError('Product not found');
+            }
+
+            const existingItem = await SupplierProduct.findOne({
+                where: { supplier_id: supplierId, product_id: product.id }
+            });
+            if (existingItem) {
+                throw new ConflictError('Product is already in this supplier catalog');
+            }
+
+            const item = await SupplierProduct.create({
+                supplier_id: supplier.id,
+                product_id: product.id,
+                supplier_sku: ValidationUtil.sanitizeString(itemData.supplier_sku),
+                unit_cost: itemData.unit_cost !== undefined
+                    ? ValidationUtil.sanitizeNumber(itemData.unit_cost)
+                    : parseFloat(product.cost_price || 0),
+                currency: itemData.currency ? itemData.currency.trim().toUpperCase() : SUPPLIER_CATALOG.DEFAULT_CURRENCY,
+                lead_time_days: itemData.lead_time_days !== undefined
+                    ? ValidationUtil.sanitizeNumber(itemData.lead_time_days, true)
+                    : SUPPLIER_CATALOG.DEFAULT_LEAD_TIME_DAYS,
+                minimum_order_quantity: itemData.minimum_order_quantity !== undefined
+                    ? ValidationUtil.sanitizeNumber(itemData.minimum_order_quantity, true)
+                    : 1,
+                is_preferred: false,
+                is_active: true
+            });
+
+            if (itemData.is_preferred) {
+                await this.setPreferredSupplier(product.id, supplier.id);
+            }
+
+            return await SupplierProduct.findByPk(item.id, {
+                include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'sku'] }]
+            });
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error(`Failed to add catalog item: ${error.message}`);
+        }
+    }
+
+    // Update a supplier's terms for a product
+    static async updateCatalogItem(supplierId, productId, updateData) {
+        try {
+            const item = await SupplierProduct.findOne({
+                where: { supplier_id: supplierId, product_id: productId }
+            });
+
+            if (!item) {
+                throw new NotFoundError('Product is not in this supplier catalog');
+            }
+
+            const catalogValidation = this.validateCatalogTerms(updateData);
+            if (!catalogValidation.isValid) {
+                throw new ValidationError('Invalid catalog data', catalogValidation.errors);
+            }
+
+            await item.update({
+                supplier_sku: updateData.supplier_sku !== undefined ? ValidationUtil.sanitizeString(updateData.supplier_sku) : item.supplier_sku,
+                unit_cost: updateData.unit_cost !== undefined ? ValidationUtil.sanitizeNumber(updateData.unit_cost) : item.unit_cost,
+                currency: updateData.currency ? updateData.currency.trim().toUpperCase() : item.currency,
+                lead_time_days: updateData.lead_time_days !== undefined
+                    ? ValidationUtil.sanitizeNumber(updateData.lead_time_days, true) : item.lead_time_days,
+                minimum_order_quantity: updateData.minimum_order_quantity !== undefined
+                    ? ValidationUtil.sanitizeNumber(updateData.minimum_order_quantity, true) : item.minimum_order_quantity,
+                is_preferred: updateData.is_preferred === false ? false : item.is_preferred,
+                is_active: updateData.is_active !== undefined ? Boolean(updateData.is_active) : item.is_active
+            });
+
+            if (updateData.is_preferred === true) {
+                await this.setPreferredSupplier(item.product_id, item.supplier_id);
+            }
+
+            return await SupplierProduct.findByPk(item.id, {
+                include: [{ model: Product, as: 'product', attributes: ['id', 'name', 'sku'] }]
+            });
+        } catch (error) {
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to update catalog item: ${error.message}`);
+        }
+    }
+
+    // Remove a product from a supplier's catalog
+    static async removeCatalogItem(supplierId, productId) {
+        try {
+            const item = await SupplierProduct.findOne({
+                where: { supplier_id: supplierId, product_id: productId }
+            });
+
+            if (!item) {
+                throw new NotFoundError('Product is not in this supplier catalog');
+            }
+
+            await item.destroy();
+
+            return { message: 'Catalog item removed successfully' };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to remove catalog item: ${error.message}`);
+        }
+    }
+
+    // Mark a single supplier as preferred for a product
+    static async setPreferredSupplier(productId, supplierId) {
+        await SupplierProduct.update({ is_preferred: false }, { where: { product_id: productId, is_preferred: true } });
+        await SupplierProduct.update({ is_preferred: true }, { where: { product_id: productId, supplier_id: supplierId } });
+    }
+
+    static validateCatalogTerms(itemData) {
+        const currencyErrors = itemData.currency !== undefined && !/^[A-Za-z]{3}$/.test(String(itemData.currency).trim())
+            ? ['currency must be a 3-letter ISO code']
+            : [];
+
+        return ValidationUtil.combineValidations([
+            ValidationUtil.validateNumeric(itemData.unit_cost, 'unit_cost', { min: 0 }),
+            ValidationUtil.validateNumeric(itemData.lead_time_days, 'lead_time_days', { min: 0, integer: true }),
+            ValidationUtil.validateNumeric(itemData.minimum_order_quantity, 'minimum_order_quantity', { min: 1, integer: true }),
+            { isValid: currencyErrors.length === 0, errors: currencyErrors }
+        ]);
+    }
+}
+
+export default SupplierService;
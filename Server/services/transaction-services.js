@@ -1,8 +1,13 @@
-import { Transaction, Product, Category } from '../models/index.js';
+import { Transaction, Product, Category, Location, User, AdjustmentReason, Return } from '../models/index.js';
 import { Op } from 'sequelize';
-import { TRANSACTION_TYPES, PAGINATION } from '../constant/index.js';
-import { DatabaseUtil, ValidationUtil, NotFoundError, ValidationError } from '../utils/index.js';
+import { TRANSACTION_TYPES, TRANSACTION_STATUS, ADJUSTMENT_REASONS, RETURN_STATUS, PAGINATION } from '../constant/index.js';
+import sequelize from '../config/sequelize.js';
+import { DatabaseUtil, ValidationUtil, QuantityUtil, NotFoundError, ValidationError, BusinessLogicError } from '../utils/index.js';
 import SocketService from './socket-services.js';
+import InventoryService from './inventory-services.js';
+import LotService from './lot-services.js';
+import SerialService from './serial-services.js';
+import ApprovalService from './approval-services.js';
 
 class TransactionService {
 
@@ -29,6 +34,15 @@ class TransactionService {
                         association: 'category',
                         attributes: ['id', 'name']
                     }]
+                }, {
+                    association: 'location',
+                    attributes: ['id', 'code', 'name']
+                }, {
+                    association: 'adjustment_reason',
+                    attributes: ['id', 'code', 'name']
+                }, {
+                    association: 'creator',
+                    attributes: ['id', 'username']
                 }]
             });
 
@@ -48,6 +62,11 @@ class TransactionService {
                 whereConditions.push({ transaction_type: filters.transaction_type });
             }
 
+            if (filters.reason_code) {
+                const reason = await AdjustmentReason.findOne({ where: { code: filters.reason_code } });
+                whereConditions.push({ adjustment_reason_id: reason ? reason.id : null });
+            }
+
             if (filters.reference_number) {
                 whereConditions.push({
                     reference_number: { [Op.iLike]: `%${filters.reference_number}%` }
@@ -89,6 +108,26 @@ class TransactionService {
                         model: Category,
                         as: 'category'
                     }]
+                }, {
+                    model: Location,
+                    as: 'location',
+                    attributes: ['id', 'code', 'name']
+                }, {
+                    model: AdjustmentReason,
+                    as: 'adjustment_reason',
+                    attributes: ['id', 'code', 'name', 'direction']
+                }, {
+                    model: User,
+                    as: 'creator',
+                    attributes: ['id', 'username']
+                }, {
+                    model: User,
+                    as: 'reverser',
+                    attributes: ['id', 'username']
+                }, {
+                    model: Transaction,
+                    as: 'reversal',
+                    attributes: ['id', 'quantity_change', 'balance_after', 'transaction_date']
                 }]
             });
 
@@ -180,7 +219,7 @@ class TransactionService {
             transactions.forEach(transaction => {
                 summary[transaction.transaction_type] = {
                     count: parseInt(transaction.count),
-                    total_quantity: parseInt(transaction.total_quantity)
+                    total_quantity: QuantityUtil.parse(transaction.total_quantity)
                 };
             });
 
@@ -190,77 +229,390 @@ class TransactionService {
         }
     }
 
-    // Create manual transaction (for adjustments)
-    static async createTransaction(transactionData) {
+    /**
+     * Create a manual transaction (for adjustments). It is posted through
+     * InventoryService.applyStockMovement like any other movement, so the ledger
+     * row carries its balances and the inventory record moves with it. Above
+     * the user's approval thresholds it is stored as pending instead.
+     */
+    static async createTransaction(transactionData, userId = null) {
+        const {
+            product_id,
+            transaction_type,
+            quantity,
+            unit,
+            reason_code,
+            reference_number,
+            notes,
+            location_id
+        } = transactionData;
+
+        // Validate required fields
+        const requiredValidation = ValidationUtil.validateRequired(transactionData, [
+            'product_id', 'transaction_type', 'quantity'
+        ]);
+        if (!requiredValidation.isValid) {
+            throw new ValidationError('Missing required fields', requiredValidation.errors);
+        }
+
+        const movementData = {
+            transaction_type,
+            quantity,
+            unit,
+            reason_code,
+            reference_number,
+            notes,
+            location_id,
+            created_by: userId
+        };
+
+        const approval = await ApprovalService.evaluateMovement(product_id, movementData);
+        if (approval.required) {
+            return await ApprovalService.createPendingTransaction(product_id, movementData, approval);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+        let movement;
+
         try {
-            const {
-                product_id,
-                transaction_type,
-                quantity,
-                reference_number,
-                notes
-            } = transactionData;
-
-            // Validate required fields
-            const requiredValidation = ValidationUtil.validateRequired(transactionData, [
-                'product_id', 'transaction_type', 'quantity'
-            ]);
-            if (!requiredValidation.isValid) {
-                throw new ValidationError('Missing required fields', requiredValidation.errors);
-            }
+            movement = await InventoryService.applyStockMovement(product_id, movementData, dbTransaction);
 
-            // Validate transaction type
-            const typeValidation = ValidationUtil.validateTransactionType(transaction_type);
-            if (!typeValidation.isValid) {
-                throw new ValidationError('Invalid transaction type', typeValidation.errors);
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
             }
+            throw new Error(`Failed to create transaction: ${error.message}`);
+        }
 
-            // Validate quantity
-            const quantityValidation = ValidationUtil.validateNumeric(quantity, 'quantity', {
-                required: true,
-                min: 1,
-                integer: true
+        await InventoryService.publishStockMovement(movement);
+
+        const createdTransaction = await this.getTransactionById(movement.transaction.id);
+
+        // Emit socket event for new transaction
+        SocketService.emitNewTransaction({
+            id: createdTransaction.id,
+            transaction_type,
+            quantity: createdTransaction.quantity,
+            quantity_change: createdTransaction.quantity_change,
+            balance_after: createdTransaction.balance_after,
+            reference_number: createdTransaction.reference_number,
+            product: createdTransaction.product,
+            transaction_date: createdTransaction.transaction_date
+        });
+
+        return createdTransaction;
+    }
+
+    /**
+     * Reverse a posted transaction. A compensating ADJUSTMENT puts the stock at
+     * the location back by the original's signed change (moving the same lots and
+     * serial numbers back), and the original is flagged as reversed with the
+     * reason. Both happen in one database transaction; nothing is deleted.
+     */
+    static async reverseTransaction(id, reason, userId = null) {
+        const reversalReason = ValidationUtil.sanitizeString(reason);
+        if (!reversalReason) {
+            throw new ValidationError('Reversal reason is required', ['reason is required']);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+        let movement;
+
+        try {
+            const original = await Transaction.findByPk(id, {
+                transaction: dbTransaction,
+                lock: dbTransaction.LOCK.UPDATE
             });
-            if (!quantityValidation.isValid) {
-                throw new ValidationError('Invalid quantity', quantityValidation.errors);
+
+            if (!original) {
+                throw new NotFoundError('Transaction not found');
+            }
+
+            if (original.reversed_at) {
+                throw new BusinessLogicError('Transaction has already been reversed');
             }
 
-            // Verify product exists
-            const product = await Product.findByPk(product_id);
-            if (!product) {
-                throw new NotFoundError('Product not found');
+            if (original.reversal_of_id) {
+                throw new BusinessLogicError('A reversal cannot itself be reversed');
             }
 
-            const transaction = await Transaction.create({
-                product_id,
-                transaction_type,
-                quantity: ValidationUtil.sanitizeNumber(quantity, true),
-                reference_number: ValidationUtil.sanitizeString(reference_number),
-                notes: ValidationUtil.sanitizeString(notes),
-                transaction_date: new Date()
+            // Transfers, order lines and returns track these quantities; they are corrected through the document
+            if (original.transfer_id || original.purchase_order_line_id || original.sales_order_line_id || original.return_line_id) {
+                throw new BusinessLogicError(
+                    'Transactions posted by a transfer, purchase order, sales order or return must be corrected through that document'
+                );
+            }
+
+            // Returned units come back through the return; reversing as well would restock them twice
+            const openReturns = await Return.count({
+                where: {
+                    source_transaction_id: original.id,
+                    status: { [Op.ne]: RETURN_STATUS.CANCELLED }
+                },
+                transaction: dbTransaction
             });
+            if (openReturns > 0) {
+                throw new BusinessLogicError('Transaction has returns against it; cancel open returns, or correct received ones through the return, instead of reversing it');
+            }
+
+            // Kit assembly and disassembly legs only balance together; reversing one would leave the other in stock
+            if (original.kit_operation) {
+                throw new BusinessLogicError(
+                    'Transactions posted by a kit assembly or disassembly cannot be reversed one at a time; run the opposite kit operation instead'
+                );
+            }
+
+            if (original.quantity_change === null) {
+                throw new BusinessLogicError('Transaction was recorded without a signed quantity change and cannot be reversed');
+            }
+
+            const inventory = await InventoryService.findLockedInventory(original.product_id, original.location_id, dbTransaction);
+            const targetStock = QuantityUtil.round(inventory.current_stock - original.quantity_change);
+
+            if (targetStock < 0) {
+                throw new BusinessLogicError('Not enough stock left at the location to reverse this transaction');
+            }
+
+            movement = await InventoryService.applyStockMovement(original.product_id, {
+                transaction_type: TRANSACTION_TYPES.ADJUSTMENT,
+                quantity: targetStock,
+                location_id: original.location_id,
+                reversal_of_id: original.id,
+                reason_code: ADJUSTMENT_REASONS.REVERSAL,
+                reference_number: original.reference_number,
+                notes: `Reversal of transaction #${original.id}: ${reversalReason}`,
+                // Stock coming back is valued at the cost it left with
+                unit_cost: original.quantity_change < 0 ? original.unit_cost : null,
+                lots: await LotService.getTransactionLots(original, dbTransaction),
+                serials: await SerialService.getTransactionSerials(original, dbTransaction),
+                created_by: userId
+            }, dbTransaction);
+
+            await original.update({
+                reversed_at: new Date(),
+                reversed_by: userId,
+                reversal_reason: reversalReason
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to reverse transaction: ${error.message}`);
+        }
+
+        await InventoryService.publishStockMovement(movement);
+
+        const [original, reversal] = await Promise.all([
+            this.getTransactionById(id),
+            this.getTransactionById(movement.transaction.id)
+        ]);
+
+        SocketService.emitTransactionReversed({
+            transaction_id: original.id,
+            reversal_id: reversal.id,
+            product_id: original.product_id,
+            location_id: original.location_id,
+            quantity_change: reversal.quantity_change,
+            balance_after: reversal.balance_after,
+            reason: original.reversal_reason,
+            reversed_by: userId,
+            reversed_at: original.reversed_at
+        });
+
+        return { original, reversal };
+    }
+
+    // Transactions waiting for approval, oldest first
+    static async getPendingTransactions(filters = {}) {
+        try {
+            const paginationValidation = ValidationUtil.validatePagination(filters);
+            if (!paginationValidation.isValid) {
+                throw new ValidationError('Invalid pagination parameters', paginationValidation.errors);
+            }
+
+            const { page, limit } = paginationValidation.sanitized;
 
-            const createdTransaction = await this.getTransactionById(transaction.id);
+            const whereClause = { status: TRANSACTION_STATUS.PENDING };
+            if (filters.location_id) {
+                whereClause.location_id = filters.location_id;
+            }
+            if (filters.product_id) {
+                whereClause.product_id = filters.product_id;
+            }
 
-            // Emit socket event for new transaction
-            SocketService.emitTransactionCreated(transaction.id, {
-                transaction_type,
-                quantity: createdTransaction.quantity,
-                reference_number: createdTransaction.reference_number,
-                product: createdTransaction.product,
-                transaction_date: createdTransaction.transaction_date
+            const { count, rows } = await Transaction.unscoped().findAndCountAll({
+                where: whereClause,
+                include: [{
+                    association: 'product',
+                    attributes: ['id', 'name', 'sku', 'unit']
+                }, {
+                    association: 'location',
+                    attributes: ['id', 'code', 'name']
+                }, {
+                    association: 'adjustment_reason',
+                    attributes: ['id', 'code', 'name']
+                }, {
+                    association: 'creator',
+                    attributes: ['id', 'username']
+                }],
+                ...DatabaseUtil.buildPagination(page, limit),
+                order: [['created_at', 'ASC']]
             });
 
-            // Emit dashboard update for transaction statistics
-            SocketService.emitDashboardUpdate();
+            return {
+                transactions: rows,
+                pagination: DatabaseUtil.calculatePaginationMeta(count, page, limit)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get pending transactions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Approve a pending transaction: its requested movement is posted now, in
+     * the same row, and stock moves. The requester cannot approve their own.
+     */
+    static async approveTransaction(id, userId = null, notes = null) {
+        const dbTransaction = await sequelize.transaction();
+        let movement;
 
-            return createdTransaction;
+        try {
+            const pending = await this.findPendingTransaction(id, userId, dbTransaction);
+
+            movement = await InventoryService.applyStockMovement(pending.product_id, {
+                ...pending.movement_data,
+                transaction_type: pending.transaction_type,
+                location_id: pending.location_id,
+                reference_number: pending.reference_number,
+                notes: pending.notes,
+                created_by: pending.created_by,
+                pending_transaction: pending,
+                reviewed_by: userId,
+                review_notes: notes
+            }, dbTransaction);
+
+            await dbTransaction.commit();
         } catch (error) {
-            if (error instanceof ValidationError || error instanceof NotFoundError) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
                 throw error;
             }
-            throw new Error(`Failed to create transaction: ${error.message}`);
+            throw new Error(`Failed to approve transaction: ${error.message}`);
+        }
+
+        await InventoryService.publishStockMovement(movement);
+
+        const approved = await this.getTransactionById(id);
+
+        SocketService.emitApprovalUpdate('approved', {
+            transaction_id: approved.id,
+            product_id: approved.product_id,
+            location_id: approved.location_id,
+            transaction_type: approved.transaction_type,
+            quantity_change: approved.quantity_change,
+            balance_after: approved.balance_after,
+            requested_by: approved.created_by,
+            reviewed_by: userId
+        });
+
+        return approved;
+    }
+
+    // Reject a pending transaction; stock is left as it is
+    static async rejectTransaction(id, reason, userId = null) {
+        const rejectionReason = ValidationUtil.sanitizeString(reason);
+        if (!rejectionReason) {
+            throw new ValidationError('Rejection reason is required', ['reason is required']);
         }
+
+        const dbTransaction = await sequelize.transaction();
+
+        try {
+            const pending = await this.findPendingTransaction(id, null, dbTransaction);
+
+            await pending.update({
+                status: TRANSACTION_STATUS.REJECTED,
+                reviewed_by: userId,
+                reviewed_at: new Date(),
+                review_notes: rejectionReason
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to reject transaction: ${error.message}`);
+        }
+
+        const rejected = await ApprovalService.getPendingTransactionById(id);
+
+        SocketService.emitApprovalUpdate('rejected', {
+            transaction_id: rejected.id,
+            product_id: rejected.product_id,
+            location_id: rejected.location_id,
+            transaction_type: rejected.transaction_type,
+            quantity_change: rejected.quantity_change,
+            requested_by: rejected.created_by,
+            reviewed_by: userId,
+            reason: rejectionReason
+        });
+
+        return rejected;
+    }
+
+    // Lock a transaction that is still pending; approverId, when given, must not be the requester
+    static async findPendingTransaction(id, approverId, dbTransaction) {
+        const pending = await Transaction.unscoped().findByPk(id, {
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE
+        });
+
+        if (!pending) {
+            throw new NotFoundError('Transaction not found');
+        }
+
+        if (pending.status !== TRANSACTION_STATUS.PENDING) {
+            throw new BusinessLogicError(`Transaction is ${pending.status}, not pending approval`);
+        }
+
+        if (approverId && pending.created_by === approverId) {
+            throw new BusinessLogicError('Transactions cannot be approved by the user who requested them');
+        }
+
+        return pending;
+    }
+
+    // Reverse several transactions with one reason; each is reversed on its own, failures are reported
+    static async bulkReverseTransactions(ids, reason, userId = null) {
+        const results = [];
+        const failures = [];
+
+        for (const id of ids) {
+            try {
+                const { reversal } = await this.reverseTransaction(id, reason, userId);
+                results.push({ transaction_id: parseInt(id), reversal_id: reversal.id });
+            } catch (error) {
+                failures.push({ transaction_id: parseInt(id), error: error.message });
+            }
+        }
+
+        return {
+            total: ids.length,
+            successful: results.length,
+            failed: failures.length,
+            results,
+            errors: failures
+        };
     }
 
     // Get recent transactions
@@ -0,0 +1,334 @@
+import { StockTransfer, Inventory, Product, Location, Transaction } from '../models/index.js';
+import sequelize from '../config/sequelize.js';
+import { TRANSACTION_TYPES, TRANSFER_STATUS } from '../constant/index.js';
+import {
+    DatabaseUtil,
+    ValidationUtil,
+    QuantityUtil,
+    DateUtil,
+    StringUtil,
+    NotFoundError,
+    ValidationError,
+    BusinessLogicError
+} from '../utils/index.js';
+import InventoryService from './inventory-services.js';
+import LocationService from './location-services.js';
+import UnitService from './unit-services.js';
+import LotService from './lot-services.js';
+import SerialService from './serial-services.js';
+import SocketService from './socket-services.js';
+
+class TransferService {
+
+    // Get all transfers with filters
+    static async getAllTransfers(filters = {}) {
+        try {
+            // Validate pagination
+            const paginationValidation = ValidationUtil.validatePagination(filters);
+            if (!paginationValidation.isValid) {
+                throw new ValidationError('Invalid pagination parameters', paginationValidation.errors);
+            }
+
+            const { page, limit } = paginationValidation.sanitized;
+            const pagination = DatabaseUtil.buildPagination(page, limit);
+
+            const whereConditions = [];
+
+            if (filters.status) {
+                whereConditions.push({ status: filters.status });
+            }
+
+            if (filters.product_id) {
+                whereConditions.push({ product_id: filters.product_id });
+            }
+
+            // A location filter matches transfers leaving or arriving at the branch
+            if (filters.location_id) {
+                whereConditions.push(DatabaseUtil.combineFilters([
+                    { from_location_id: filters.location_id },
+                    { to_location_id: filters.location_id }
+                ], 'OR'));
+            }
+
+            if (filters.start_date || filters.end_date) {
+                whereConditions.push(
+                    DatabaseUtil.buildDateRangeFilter(filters.start_date, filters.end_date, 'shipped_at')
+                );
+            }
+
+            const { count, rows } = await StockTransfer.findAndCountAll({
+                where: DatabaseUtil.combineFilters(whereConditions),
+                include: this.defaultIncludes(),
+                ...pagination,
+                order: [['shipped_at', 'DESC']],
+                distinct: true
+            });
+
+            return {
+                transfers: rows,
+                pagination: DatabaseUtil.calculatePaginationMeta(count, page, limit)
+            };
+        } catch (error) {
+            if (error instanceof ValidationError) {
+                throw error;
+            }
+            throw new Error(`Failed to get transfers: ${error.message}`);
+        }
+    }
+
+    // Get transfer by ID, including both ledger legs
+    static async getTransferById(id) {
+        try {
+            const transfer = await StockTransfer.findByPk(id, {
+                include: [
+                    ...this.defaultIncludes(),
+                    {
+                        model: Transaction,
+                        as: 'transactions'
+                    }
+                ],
+                order: [[{ model: Transaction, as: 'transactions' }, 'transaction_date', 'ASC']]
+            });
+
+            if (!transfer) {
+                throw new NotFoundError('Transfer not found');
+            }
+
+            return transfer;
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get transfer: ${error.message}`);
+        }
+    }
+
+    // Ship stock from an inventory record to another location; the quantity stays in transit until received
+    static async createTransfer(inventoryId, transferData, userId = null) {
+        const { to_location_id, quantity, unit, notes, serials } = transferData;
+
+        const requiredValidation = ValidationUtil.validateRequired(transferData, ['to_location_id', 'quantity']);
+        if (!requiredValidation.isValid) {
+            throw new ValidationError('Missing required fields', requiredValidation.errors);
+        }
+
+        const quantityValidation = ValidationUtil.validateNumeric(quantity, 'quantity', {
+            required: true,
+            min: 0
+        });
+        if (!quantityValidation.isValid) {
+            throw new ValidationError('Invalid quantity', quantityValidation.errors);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+        let movement;
+        let transfer;
+
+        try {
+            const source = await Inventory.findByPk(inventoryId, { transaction: dbTransaction });
+            if (!source) {
+                throw new NotFoundError('Inventory record not found');
+            }
+
+            const destination = await LocationService.resolveLocation(to_location_id, { transaction: dbTransaction });
+            if (destination.id === source.location_id) {
+                throw new BusinessLogicError('Source and destination locations must be different');
+            }
+
+            const product = await Product.findByPk(source.product_id, { transaction: dbTransaction });
+
+            transfer = await StockTransfer.create({
+                transfer_number: this.generateTransferNumber(),
+                product_id: source.product_id,
+                from_location_id: source.location_id,
+                to_location_id: destination.id,
+                quantity: await UnitService.toBaseQuantity(product, quantity, unit, {
+                    positive: true,
+                    transaction: dbTransaction
+                }),
+                status: TRANSFER_STATUS.IN_TRANSIT,
+                notes: ValidationUtil.sanitizeString(notes),
+                shipped_by: userId,
+                shipped_at: new Date()
+            }, { transaction: dbTransaction });
+
+            // Outbound leg: stock leaves the source location
+            movement = await InventoryService.applyStockMovement(source.product_id, {
+                transaction_type: TRANSACTION_TYPES.TRANSFER_OUT,
+                quantity: transfer.quantity,
+                location_id: source.location_id,
+                transfer_id: transfer.id,
+                reference_number: transfer.transfer_number,
+                notes: `Transfer to ${destination.code}`,
+                serials,
+                created_by: userId
+            }, dbTransaction);
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to create transfer: ${error.message}`);
+        }
+
+        await InventoryService.publishStockMovement(movement);
+
+        const createdTransfer = await this.getTransferById(transfer.id);
+        SocketService.emitTransferUpdate('dispatched', createdTransfer.toJSON());
+
+        return createdTransfer;
+    }
+
+    // Receive an in-transit transfer at its destination
+    static async receiveTransfer(id, userId = null) {
+        const dbTransaction = await sequelize.transaction();
+        let movement;
+
+        try {
+            const transfer = await this.findOpenTransfer(id, dbTransaction);
+            const source = await Location.findByPk(transfer.from_location_id, { transaction: dbTransaction });
+
+            // Inbound leg: stock arrives at the destination location
+            movement = await InventoryService.applyStockMovement(transfer.product_id, {
+                transaction_type: TRANSACTION_TYPES.TRANSFER_IN,
+                quantity: transfer.quantity,
+                location_id: transfer.to_location_id,
+                transfer_id: transfer.id,
+                reference_number: transfer.transfer_number,
+                notes: `Transfer from ${source.code}`,
+                // Lot-tracked and serialized stock arrives as it left
+                lots: await LotService.getTransferLots(transfer, dbTransaction),
+                serials: await SerialService.getTransferSerials(transfer, dbTransaction),
+                created_by: userId
+            }, dbTransaction);
+
+            await transfer.update({
+                status: TRANSFER_STATUS.RECEIVED,
+                received_by: userId,
+                received_at: new Date()
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to receive transfer: ${error.message}`);
+        }
+
+        await InventoryService.publishStockMovement(movement);
+
+        const receivedTransfer = await this.getTransferById(id);
+        SocketService.emitTransferUpdate('received', receivedTransfer.toJSON());
+
+        return receivedTransfer;
+    }
+
+    // Cancel an in-transit transfer; the quantity is returned to the source location
+    static async cancelTransfer(id, reason = null, userId = null) {
+        const dbTransaction = await sequelize.transaction();
+        let movement;
+
+        try {
+            const transfer = await this.findOpenTransfer(id, dbTransaction);
+
+            movement = await InventoryService.applyStockMovement(transfer.product_id, {
+                transaction_type: TRANSACTION_TYPES.TRANSFER_IN,
+                quantity: transfer.quantity,
+                location_id: transfer.from_location_id,
+                transfer_id: transfer.id,
+                reference_number: transfer.transfer_number,
+                notes: `Transfer cancelled${reason ? `: ${reason}` : ''}`,
+                lots: await LotService.getTransferLots(transfer, dbTransaction),
+                serials: await SerialService.getTransferSerials(transfer, dbTransaction),
+                created_by: userId
+            }, dbTransaction);
+
+            await transfer.update({
+                status: TRANSFER_STATUS.CANCELLED,
+                received_by: userId,
+                received_at: new Date(),
+                notes: [transfer.notes, reason && `Cancelled: ${ValidationUtil.sanitizeString(reason)}`]
+                    .filter(Boolean)
+                    .join('\n') || null
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to cancel transfer: ${error.message}`);
+        }
+
+        await InventoryService.publishStockMovement(movement);
+
+        const cancelledTransfer = await this.getTransferById(id);
+        SocketService.emitTransferUpdate('cancelled', cancelledTransfer.toJSON());
+
+        return cancelledTransfer;
+    }
+
+    // Total quantity currently in transit for a product, optionally towards one location
+    static async getInTransitQuantity(productId, toLocationId = null) {
+        const whereClause = {
+            product_id: productId,
+            status: TRANSFER_STATUS.IN_TRANSIT
+        };
+        if (toLocationId) {
+            whereClause.to_location_id = toLocationId;
+        }
+
+        const total = await StockTransfer.sum('quantity', { where: whereClause });
+        return QuantityUtil.parse(total) || 0;
+    }
+
+    // Lock an in-transit transfer for update
+    static async findOpenTransfer(id, dbTransaction) {
+        const transfer = await StockTransfer.findByPk(id, {
+            transaction: dbTransaction,
+            lock: dbTransaction.LOCK.UPDATE
+        });
+
+        if (!transfer) {
+            throw new NotFoundError('Transfer not found');
+        }
+
+        if (transfer.status !== TRANSFER_STATUS.IN_TRANSIT) {
+            throw new BusinessLogicError(`Transfer is already ${transfer.status.replace('_', ' ')}`);
+        }
+
+        return transfer;
+    }
+
+    static generateTransferNumber() {
+        const datePart = DateUtil.toDateOnly(new Date()).replace(/-/g, '');
+        return `TRF-${datePart}-${StringUtil.generateAlphanumeric(6)}`;
+    }
+
+    static defaultIncludes() {
+        return [
+            {
+                model: Product,
+                as: 'product',
+                attributes: ['id', 'name', 'sku']
+            },
+            {
+                model: Location,
+                as: 'from_location',
+                attributes: ['id', 'code', 'name', 'type']
+            },
+            {
+                model: Location,
+                as: 'to_location',
+                attributes: ['id', 'code', 'name', 'type']
+            }
+        ];
+    }
+}
+
+export default TransferService;
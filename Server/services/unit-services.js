@@ -0,0 +1,196 @@
+import { Product, ProductUnit } from '../models/index.js';
+import sequelize from '../config/sequelize.js';
+import { DATABASE_CONSTRAINTS } from '../constant/index.js';
+import {
+    QuantityUtil,
+    NotFoundError,
+    ValidationError
+} from '../utils/index.js';
+
+const UNIT_PATTERN = /^[a-z0-9_-]+$/;
+const FACTOR_DECIMALS = 6;
+
+class UnitService {
+
+    // A product's base unit and the units configured for it
+    static async getProductUnits(productId) {
+        try {
+            const product = await Product.findByPk(productId, {
+                attributes: ['id', 'name', 'sku', 'unit', 'is_serialized'],
+                include: [{
+                    model: ProductUnit,
+                    as: 'units'
+                }],
+                order: [[{ model: ProductUnit, as: 'units' }, 'conversion_factor', 'ASC']]
+            });
+
+            if (!product) {
+                throw new NotFoundError('Product not found');
+            }
+
+            return this.describeUnits(product);
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get product units: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace a product's unit conversions. The base unit is implicit and
+     * cannot be listed. Products counted in whole units (and serialized ones)
+     * only take whole-number factors, so every converted quantity stays whole.
+     */
+    static async setProductUnits(productId, units) {
+        if (!Array.isArray(units)) {
+            throw new ValidationError('Invalid units', ['units must be an array']);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+
+        try {
+            const product = await Product.findByPk(productId, { transaction: dbTransaction });
+            if (!product) {
+                throw new NotFoundError('Product not found');
+            }
+
+            const errors = [];
+            const seen = new Set();
+            const rows = units.map((entry, index) => {
+                const unit = this.normalizeUnit(entry.unit);
+                const factor = Number(entry.conversion_factor);
+                const { MIN_LENGTH, MAX_LENGTH } = DATABASE_CONSTRAINTS.UNIT_CODE;
+
+                if (!unit || unit.length < MIN_LENGTH || unit.length > MAX_LENGTH || !UNIT_PATTERN.test(unit)) {
+                    errors.push(`units[${index}].unit must be ${MIN_LENGTH}-${MAX_LENGTH} lowercase letters, numbers, dashes or underscores`);
+                } else if (unit === product.unit) {
+                    errors.push(`units[${index}].unit is the base unit ${product.unit}`);
+                } else if (seen.has(unit)) {
+                    errors.push(`units[${index}].unit ${unit} is listed more than once`);
+                }
+                seen.add(unit);
+
+                if (isNaN(factor) || factor <= 0) {
+                    errors.push(`units[${index}].conversion_factor must be a positive number`);
+                } else if (!QuantityUtil.allowsFractions(product) && !Number.isInteger(factor)) {
+                    errors.push(`units[${index}].conversion_factor must be a whole number of ${product.unit}`);
+                } else if (parseFloat(factor.toFixed(FACTOR_DECIMALS)) !== factor) {
+                    errors.push(`units[${index}].conversion_factor cannot have more than ${FACTOR_DECIMALS} decimal places`);
+                }
+
+                return {
+                    product_id: product.id,
+                    unit,
+                    conversion_factor: factor
+                };
+            });
+
+            if (errors.length > 0) {
+                throw new ValidationError('Invalid units', errors);
+            }
+
+            await ProductUnit.destroy({
+                where: { product_id: product.id },
+                transaction: dbTransaction
+            });
+            await ProductUnit.bulkCreate(rows, { transaction: dbTransaction, validate: true });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to update product units: ${error.message}`);
+        }
+
+        return await this.getProductUnits(productId);
+    }
+
+    // Base units in one of `unit` for the product; no unit (or the base unit) is 1
+    static async getConversionFactor(product, unit, options = {}) {
+        const normalized = this.normalizeUnit(unit);
+        if (!normalized || normalized === product.unit) {
+            return 1;
+        }
+
+        const productUnit = await ProductUnit.findOne({
+            where: { product_id: product.id, unit: normalized },
+            ...options
+        });
+
+        if (!productUnit) {
+            throw new ValidationError('Invalid unit', [
+                `Unit ${normalized} is not configured for product ${product.sku}; its base unit is ${product.unit}`
+            ]);
+        }
+
+        return productUnit.conversion_factor;
+    }
+
+    /**
+     * Convert a quantity entered in `unit` to the product's base unit. The
+     * result must still be a valid quantity for the product (e.g. half a case
+     * of 5 pcs is not).
+     */
+    static async toBaseQuantity(product, quantity, unit, options = {}) {
+        const { fieldName = 'quantity', min = null, positive = false, ...queryOptions } = options;
+        const factor = await this.getConversionFactor(product, unit, queryOptions);
+
+        return this.applyFactor(product, quantity, factor, { fieldName, min, positive });
+    }
+
+    // Multiply a quantity by a known factor and validate the base-unit result
+    static applyFactor(product, quantity, factor, options = {}) {
+        const { fieldName = 'quantity', min = null, positive = false } = options;
+        const baseQuantity = QuantityUtil.round(Number(quantity) * factor);
+
+        const validation = QuantityUtil.validate(baseQuantity, fieldName, product, { min, positive });
+        if (!validation.isValid) {
+            throw new ValidationError(`Invalid ${fieldName}`, validation.errors);
+        }
+
+        return baseQuantity;
+    }
+
+    // A cost quoted per `unit` expressed per base unit
+    static toBaseCost(unitCost, factor) {
+        if (unitCost === null || unitCost === undefined || unitCost === '') {
+            return unitCost;
+        }
+        return Number(unitCost) / factor;
+    }
+
+    // Express a base-unit quantity in another unit given its factor
+    static fromBaseQuantity(quantity, factor) {
+        return quantity === null || quantity === undefined ? quantity : QuantityUtil.round(quantity / factor);
+    }
+
+    static describeUnits(product) {
+        return {
+            product: {
+                id: product.id,
+                name: product.name,
+                sku: product.sku
+            },
+            base_unit: product.unit,
+            allows_fractions: QuantityUtil.allowsFractions(product),
+            units: [
+                { unit: product.unit, conversion_factor: 1, is_base: true },
+                ...product.units.map(productUnit => ({
+                    id: productUnit.id,
+                    unit: productUnit.unit,
+                    conversion_factor: productUnit.conversion_factor,
+                    is_base: false
+                }))
+            ]
+        };
+    }
+
+    static normalizeUnit(unit) {
+        return typeof unit === 'string' ? unit.trim().toLowerCase() : unit;
+    }
+}
+
+export default UnitService;
@@ -0,0 +1,451 @@
+import { Product, VariantAttribute, Inventory, Category } from '../models/index.js';
+import { Op } from 'sequelize';
+import sequelize from '../config/sequelize.js';
+import { DATABASE_CONSTRAINTS } from '../constant/index.js';
+import {
+    QuantityUtil,
+    NotFoundError,
+    ValidationError,
+    BusinessLogicError,
+    ConflictError
+} from '../utils/index.js';
+import SocketService from './socket-services.js';
+import LocationService from './location-services.js';
+
+// Upper bound on one generation run, so a typo in the values cannot create thousands of products
+const MAX_VARIANTS_PER_PARENT = 500;
+
+const VARIANT_ATTRIBUTES = ['id', 'sku', 'name', 'barcode', 'variant_options', 'price', 'is_active'];
+
+class VariantService {
+
+    /**
+     * Get a product's variant family: the parent with its attribute
+     * definitions and variants, and stock rolled up to the parent (in total
+     * and per attribute value). A variant ID resolves to its parent.
+     */
+    static async getVariantFamily(id) {
+        try {
+            const product = await Product.findByPk(id, { attributes: ['id', 'parent_product_id'] });
+            if (!product) {
+                throw new NotFoundError('Product not found');
+            }
+
+            const parent = await Product.findByPk(product.parent_product_id || product.id, {
+                include: [{
+                    model: Category,
+                    as: 'category',
+                    attributes: ['id', 'name']
+                }, {
+                    model: VariantAttribute,
+                    as: 'variant_attributes'
+                }, {
+                    model: Product,
+                    as: 'variants',
+                    attributes: VARIANT_ATTRIBUTES,
+                    include: [{
+                        model: Inventory,
+                        as: 'inventory',
+                        attributes: ['location_id', 'current_stock', 'reserved_stock']
+                    }]
+                }],
+                order: [
+                    [{ model: VariantAttribute, as: 'variant_attributes' }, 'position', 'ASC'],
+                    [{ model: Product, as: 'variants' }, 'sku', 'ASC']
+                ]
+            });
+
+            const variants = parent.variants.map(variant => ({
+                ...variant.toJSON(),
+                total_stock: Inventory.sumStock(variant.inventory),
+                available_stock: QuantityUtil.sum(variant.inventory.map(record => record.available_stock))
+            }));
+
+            // Stock per attribute value, e.g. { size: { S: 4, M: 10 } }
+            const stockByAttribute = {};
+            parent.variant_attributes.forEach(attribute => {
+                stockByAttribute[attribute.name] = Object.fromEntries(attribute.values.map(value => [
+                    value,
+                    QuantityUtil.sum(variants
+                        .filter(variant => variant.variant_options?.[attribute.name] === value)
+                        .map(variant => variant.total_stock))
+                ]));
+            });
+
+            return {
+                ...parent.toJSON(),
+                variants,
+                stock: {
+                    total_stock: QuantityUtil.sum(variants.map(variant => variant.total_stock)),
+                    available_stock: QuantityUtil.sum(variants.map(variant => variant.available_stock)),
+                    by_attribute: stockByAttribute
+                }
+            };
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to get product variants: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace the attributes a parent's variants differ by. A variant cannot
+     * be a parent itself, and values still used by an existing variant cannot
+     * be removed.
+     */
+    static async setAttributes(parentId, attributes) {
+        if (!Array.isArray(attributes)) {
+            throw new ValidationError('Invalid variant attributes', ['attributes must be an array']);
+        }
+
+        const errors = [];
+        const seen = new Set();
+        const definitions = attributes.map((entry, index) => {
+            const name = typeof entry.name === 'string' ? entry.name.trim() : '';
+            const values = Array.isArray(entry.values) ? entry.values.map(value => String(value).trim()) : [];
+
+            if (!name) {
+                errors.push(`attributes[${index}].name is required`);
+            }
+            if (seen.has(name.toLowerCase())) {
+                errors.push(`attributes[${index}] repeats attribute ${name}`);
+            }
+            seen.add(name.toLowerCase());
+
+            if (values.length === 0 || values.some(value => !value)) {
+                errors.push(`attributes[${index}].values must be a non-empty list of values`);
+            }
+            if (new Set(values.map(value => value.toLowerCase())).size !== values.length) {
+                errors.push(`attributes[${index}].values lists a value more than once`);
+            }
+
+            return {
+                product_id: parseInt(parentId),
+                name,
+                values,
+                position: index
+            };
+        });
+
+        if (errors.length > 0) {
+            throw new ValidationError('Invalid variant attributes', errors);
+        }
+
+        const dbTransaction = await sequelize.transaction();
+
+        try {
+            const parent = await Product.findByPk(parentId, {
+                include: [{
+                    model: Product,
+                    as: 'variants',
+                    attributes: ['id', 'sku', 'variant_options']
+                }],
+                transaction: dbTransaction
+            });
+            if (!parent) {
+                throw new NotFoundError('Product not found');
+            }
+
+            if (parent.parent_product_id) {
+                throw new BusinessLogicError(`Product ${parent.sku} is a variant and cannot have variants of its own`);
+            }
+
+            // Existing variants must still describe a valid combination
+            parent.variants.forEach(variant => {
+                const problem = this.checkOptions(definitions, variant.variant_options);
+                if (problem) {
+                    throw new BusinessLogicError(`Variant ${variant.sku} would no longer match the attributes: ${problem}`);
+                }
+            });
+
+            await VariantAttribute.destroy({
+                where: { product_id: parent.id },
+                transaction: dbTransaction
+            });
+            await VariantAttribute.bulkCreate(definitions, { transaction: dbTransaction, validate: true });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof NotFoundError || error instanceof BusinessLogicError) {
+                throw error;
+            }
+            throw new Error(`Failed to update variant attributes: ${error.message}`);
+        }
+
+        return this.getVariantFamily(parentId);
+    }
+
+    /**
+     * Create the missing variants of the attribute matrix. Each variant copies
+     * the parent's category, unit, prices, stock levels and tracking flags,
+     * gets the SKU `<parent SKU>-<value codes>` (e.g. TSHIRT-M-RED) and opens
+     * with no stock at the given location (or the default one). Combinations
+     * that already have a variant are skipped.
+     */
+    static async generateVariants(parentId, generationData = {}) {
+        const dbTransaction = await sequelize.transaction();
+        let created = [];
+
+        try {
+            const parent = await Product.findByPk(parentId, {
+                include: [{
+                    model: VariantAttribute,
+                    as: 'variant_attributes'
+                }, {
+                    model: Product,
+                    as: 'variants',
+                    attributes: ['id', 'variant_options']
+                }],
+                order: [[{ model: VariantAttribute, as: 'variant_attributes' }, 'position', 'ASC']],
+                transaction: dbTransaction
+            });
+            if (!parent) {
+                throw new NotFoundError('Product not found');
+            }
+
+            if (parent.parent_product_id) {
+                throw new BusinessLogicError(`Product ${parent.sku} is a variant and cannot have variants of its own`);
+            }
+
+            const attributes = parent.variant_attributes;
+            if (attributes.length === 0) {
+                throw new BusinessLogicError(`Product ${parent.sku} has no variant attributes`);
+            }
+
+            const combinations = attributes.reduce((matrix, attribute) => matrix.flatMap(options =>
+                attribute.values.map(value => ({ ...options, [attribute.name]: value }))
+            ), [{}]);
+
+            if (combinations.length > MAX_VARIANTS_PER_PARENT) {
+                throw new BusinessLogicError(`The attribute matrix has ${combinations.length} combinations; at most ${MAX_VARIANTS_PER_PARENT} variants are allowed per product`);
+            }
+
+            const existing = new Set(parent.variants.map(variant => this.optionsKey(attributes, variant.variant_options)));
+            const missing = combinations.filter(options => !existing.has(this.optionsKey(attributes, options)));
+
+            const rows = missing.map(options => ({
+                sku: this.buildVariantSku(parent.sku, attributes, options),
+                name: `${parent.name} - ${attributes.map(attribute => options[attribute.name]).join(' / ')}`,
+                description: parent.description,
+                category_id: parent.category_id,
+                price: parent.price,
+                cost_price: parent.cost_price,
+                unit: parent.unit,
+                minimum_stock: parent.minimum_stock,
+                maximum_stock: parent.maximum_stock,
+                abc_class: parent.abc_class,
+                is_lot_tracked: parent.is_lot_tracked,
+                is_serialized: parent.is_serialized,
+                is_active: parent.is_active,
+                parent_product_id: parent.id,
+                variant_options: options
+            }));
+
+            const tooLong = rows.find(row => row.sku.length > DATABASE_CONSTRAINTS.SKU.MAX_LENGTH);
+            if (tooLong) {
+                throw new ValidationError('Invalid variant SKU', [`Generated SKU ${tooLong.sku} exceeds ${DATABASE_CONSTRAINTS.SKU.MAX_LENGTH} characters`]);
+            }
+
+            if (rows.length > 0) {
+                const taken = await Product.findOne({
+                    where: { sku: { [Op.in]: rows.map(row => row.sku) } },
+                    attributes: ['sku'],
+                    transaction: dbTransaction
+                });
+                if (taken) {
+                    throw new ConflictError(`SKU ${taken.sku} already exists`);
+                }
+
+                const location = await LocationService.resolveLocation(generationData.location_id, { transaction: dbTransaction });
+
+                created = await Product.bulkCreate(rows, { transaction: dbTransaction, validate: true });
+                await Inventory.bulkCreate(created.map(variant => ({
+                    product_id: variant.id,
+                    location_id: location.id,
+                    current_stock: 0,
+                    reserved_stock: 0,
+                    last_updated: new Date()
+                })), { transaction: dbTransaction });
+            }
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error(`Failed to generate variants: ${error.message}`);
+        }
+
+        created.forEach(variant => SocketService.emitProductCreated({
+            id: variant.id,
+            sku: variant.sku,
+            name: variant.name,
+            parent_product_id: variant.parent_product_id
+        }));
+        if (created.length > 0) {
+            SocketService.emitDashboardUpdate();
+        }
+
+        return {
+            created: created.map(variant => variant.sku),
+            family: await this.getVariantFamily(parentId)
+        };
+    }
+
+    /**
+     * Attach an existing product to a parent as one of its variants, e.g. when
+     * sizes were set up as separate products before variants existed. The
+     * options must name one value for every attribute of the parent.
+     */
+    static async linkVariant(parentId, linkData) {
+        const dbTransaction = await sequelize.transaction();
+
+        try {
+            const parent = await Product.findByPk(parentId, {
+                include: [{
+                    model: VariantAttribute,
+                    as: 'variant_attributes'
+                }, {
+                    model: Product,
+                    as: 'variants',
+                    attributes: ['id', 'sku', 'variant_options']
+                }],
+                transaction: dbTransaction
+            });
+            if (!parent) {
+                throw new NotFoundError('Product not found');
+            }
+
+            const variant = await Product.findByPk(linkData.product_id, {
+                include: [{
+                    model: Product,
+                    as: 'variants',
+                    attributes: ['id']
+                }],
+                transaction: dbTransaction
+            });
+            if (!variant) {
+                throw new NotFoundError('Variant product not found');
+            }
+
+            if (parent.parent_product_id) {
+                throw new BusinessLogicError(`Product ${parent.sku} is a variant and cannot have variants of its own`);
+            }
+            if (variant.id === parent.id) {
+                throw new BusinessLogicError('A product cannot be a variant of itself');
+            }
+            if (variant.parent_product_id && variant.parent_product_id !== parent.id) {
+                throw new BusinessLogicError(`Product ${variant.sku} is already a variant of another product`);
+            }
+            if (variant.variants.length > 0) {
+                throw new BusinessLogicError(`Product ${variant.sku} has variants of its own`);
+            }
+            if (parent.variant_attributes.length === 0) {
+                throw new BusinessLogicError(`Product ${parent.sku} has no variant attributes`);
+            }
+
+            const options = this.normalizeOptions(parent.variant_attributes, linkData.options);
+            const problem = this.checkOptions(parent.variant_attributes, options);
+            if (problem) {
+                throw new ValidationError('Invalid variant options', [problem]);
+            }
+
+            const key = this.optionsKey(parent.variant_attributes, options);
+            const duplicate = parent.variants.find(other => other.id !== variant.id
+                && this.optionsKey(parent.variant_attributes, other.variant_options) === key);
+            if (duplicate) {
+                throw new ConflictError(`Variant ${duplicate.sku} already has these options`);
+            }
+
+            await variant.update({
+                parent_product_id: parent.id,
+                variant_options: options
+            }, { transaction: dbTransaction });
+
+            await dbTransaction.commit();
+        } catch (error) {
+            await dbTransaction.rollback();
+            if (error instanceof ValidationError || error instanceof NotFoundError || error instanceof BusinessLogicError || error instanceof ConflictError) {
+                throw error;
+            }
+            throw new Error(`Failed to link variant: ${error.message}`);
+        }
+
+        return this.getVariantFamily(parentId);
+    }
+
+    // Detach a variant from its parent; it stays a product with its own SKU and stock
+    static async unlinkVariant(parentId, variantId) {
+        try {
+            const variant = await Product.findOne({
+                where: { id: variantId, parent_product_id: parentId }
+            });
+            if (!variant) {
+                throw new NotFoundError('Variant not found');
+            }
+
+            await variant.update({
+                parent_product_id: null,
+                variant_options: null
+            });
+
+            return this.getVariantFamily(parentId);
+        } catch (error) {
+            if (error instanceof NotFoundError) {
+                throw error;
+            }
+            throw new Error(`Failed to unlink variant: ${error.message}`);
+        }
+    }
+
+    // Match option names to the parent's attributes (case-insensitively) and trim the values
+    static normalizeOptions(attributes, options) {
+        if (!options || typeof options !== 'object' || Array.isArray(options)) {
+            return {};
+        }
+
+        return Object.fromEntries(Object.entries(options).map(([name, value]) => {
+            const attribute = attributes.find(entry => entry.name.toLowerCase() === name.trim().toLowerCase());
+            return [attribute ? attribute.name : name, String(value).trim()];
+        }));
+    }
+
+    // Why options do not fit the attribute definitions, or null when they do
+    static checkOptions(attributes, options) {
+        const values = options || {};
+        const unknown = Object.keys(values).find(name => !attributes.some(attribute => attribute.name === name));
+        if (unknown) {
+            return `unknown attribute ${unknown}`;
+        }
+
+        for (const attribute of attributes) {
+            if (values[attribute.name] === undefined) {
+                return `no value for ${attribute.name}`;
+            }
+            if (!attribute.values.includes(values[attribute.name])) {
+                return `${values[attribute.name]} is not a value of ${attribute.name}`;
+            }
+        }
+
+        return null;
+    }
+
+    static optionsKey(attributes, options) {
+        return attributes.map(attribute => `${attribute.name}=${options?.[attribute.name] ?? ''}`).join('|');
+    }
+
+    // e.g. TSHIRT + { size: 'XL', color: 'Navy Blue' } -> TSHIRT-XL-NAVYBLUE
+    static buildVariantSku(parentSku, attributes, options) {
+        const codes = attributes.map(attribute => {
+            const code = String(options[attribute.name]).toUpperCase().replace(/[^A-Z0-9]+/g, '');
+            return code || String(attribute.values.indexOf(options[attribute.name]) + 1);
+        });
+
+        return [parentSku, ...codes].join('-');
+    }
+}
+
+export default VariantService;
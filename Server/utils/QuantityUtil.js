@@ -0,0 +1,105 @@
+import { FRACTIONAL_UNITS, DATABASE_CONSTRAINTS } from '../constant/index.js';
+
+const { SCALE } = DATABASE_CONSTRAINTS.QUANTITY;
+const FACTOR = 10 ** SCALE;
+
+/**
+ * Stock quantity utility functions
+ */
+class QuantityUtil {
+
+    /**
+     * Parse a stored quantity (NUMERIC columns and sums come back as strings)
+     * @param {string|number|null} value - Stored value
+     * @returns {number|null} Quantity as a number
+     */
+    static parse(value) {
+        if (value === null || value === undefined) return value;
+
+        const num = parseFloat(value);
+        return isNaN(num) ? null : num;
+    }
+
+    /**
+     * Round a quantity to the stored scale, dropping floating point noise
+     * @param {number} value - Quantity
+     * @returns {number} Rounded quantity
+     */
+    static round(value) {
+        return Math.round(Number(value) * FACTOR) / FACTOR;
+    }
+
+    /**
+     * Add quantities without accumulating floating point noise
+     * @param {Array<number>} values - Quantities
+     * @returns {number} Rounded sum
+     */
+    static sum(values = []) {
+        return this.round(values.reduce((total, value) => total + (Number(value) || 0), 0));
+    }
+
+    /**
+     * Whether a product's quantities may be fractional: measured base units,
+     * never serialized products (every unit is one serial number)
+     * @param {Object} product - Product with unit and is_serialized
+     * @returns {boolean}
+     */
+    static allowsFractions(product) {
+        return Boolean(product) && FRACTIONAL_UNITS.includes(product.unit) && !product.is_serialized;
+    }
+
+    /**
+     * Whether a value has no more decimal places than the stored scale
+     * @param {*} value - Value to check
+     * @returns {boolean}
+     */
+    static hasValidScale(value) {
+        const num = Number(value);
+        return !isNaN(num) && Math.abs(num * FACTOR - Math.round(num * FACTOR)) < 1e-6;
+    }
+
+    /**
+     * Validate a quantity for a product: whole units unless the product allows fractions.
+     * Without a product only the scale is checked; the stock movement checks the unit later
+     * @param {*} value - Quantity to validate
+     * @param {string} fieldName - Field name for error messages
+     * @param {Object|null} product - Product the quantity is for
+     * @param {Object} options - { min, positive, required }
+     * @returns {Object} Validation result
+     */
+    static validate(value, fieldName, product, options = {}) {
+        const { min = null, positive = false, required = true } = options;
+        const errors = [];
+
+        if (value === null || value === undefined || value === '') {
+            if (required) {
+                errors.push(`${fieldName} is required`);
+            }
+            return { isValid: errors.length === 0, errors };
+        }
+
+        const num = Number(value);
+        if (isNaN(num)) {
+            errors.push(`${fieldName} must be a valid number`);
+        } else {
+            if (product && !this.allowsFractions(product) && !Number.isInteger(this.round(num))) {
+                errors.push(`${fieldName} must be a whole number of ${product.unit}`);
+            } else if (!this.hasValidScale(num)) {
+                errors.push(`${fieldName} cannot have more than ${SCALE} decimal places`);
+            }
+
+            if (positive && num <= 0) {
+                errors.push(`${fieldName} must be greater than 0`);
+            } else if (min !== null && num < min) {
+                errors.push(`${fieldName} must be at least ${min}`);
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors
+        };
+    }
+}
+
+export default QuantityUtil;
@@ -4,6 +4,7 @@ import ValidationUtil from './ValidationUtil.js';
 import DateUtil from './DateUtil.js';
 import StringUtil from './StringUtil.js';
 import DatabaseUtil from './DatabaseUtil.js';
+import QuantityUtil from './QuantityUtil.js';
 import ErrorUtil, {
     AppError,
     ValidationError,
@@ -22,6 +23,7 @@ export {
     DateUtil,
     StringUtil,
     DatabaseUtil,
+    QuantityUtil,
     ErrorUtil,
     AppError,
     ValidationError,
@@ -40,6 +42,7 @@ export default {
     DateUtil,
     StringUtil,
     DatabaseUtil,
+    QuantityUtil,
     ErrorUtil,
     AppError,
     ValidationError,
@@ -0,0 +1,110 @@
+import { ADJUSTMENT_DIRECTIONS } from '../constant/index.js';
+
+/**
+ * Adjustment reason creation validation
+ */
+export const validateAdjustmentReasonCreation = (reasonData) => {
+    const errors = [];
+    const { code, name, description, direction } = reasonData;
+
+    // Code validation
+    if (!code) {
+        errors.push('Reason code is required');
+    } else if (typeof code !== 'string') {
+        errors.push('Reason code must be a string');
+    } else if (code.trim().length < 2) {
+        errors.push('Reason code must be at least 2 characters long');
+    } else if (code.trim().length > 50) {
+        errors.push('Reason code cannot exceed 50 characters');
+    } else if (!/^[a-zA-Z0-9_]+$/.test(code.trim())) {
+        errors.push('Reason code can only contain letters, numbers, and underscores');
+    }
+
+    // Name validation
+    if (!name) {
+        errors.push('Reason name is required');
+    } else if (typeof name !== 'string') {
+        errors.push('Reason name must be a string');
+    } else if (name.trim().length < 2) {
+        errors.push('Reason name must be at least 2 characters long');
+    } else if (name.trim().length > 100) {
+        errors.push('Reason name cannot exceed 100 characters');
+    }
+
+    // Description validation (optional)
+    if (description !== undefined && description !== null) {
+        if (typeof description !== 'string') {
+            errors.push('Description must be a string');
+        } else if (description.length > 500) {
+            errors.push('Description cannot exceed 500 characters');
+        }
+    }
+
+    // Direction validation (optional)
+    if (direction !== undefined && !Object.values(ADJUSTMENT_DIRECTIONS).includes(direction)) {
+        errors.push(`Direction must be one of: ${Object.values(ADJUSTMENT_DIRECTIONS).join(', ')}`);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Adjustment reason update validation
+ */
+export const validateAdjustmentReasonUpdate = (updateData) => {
+    const errors = [];
+    const { code, name, description, direction, is_active } = updateData;
+
+    // Code validation (optional)
+    if (code !== undefined) {
+        if (typeof code !== 'string') {
+            errors.push('Reason code must be a string');
+        } else if (code.trim().length < 2 || code.trim().length > 50) {
+            errors.push('Reason code must be between 2 and 50 characters long');
+        } else if (!/^[a-zA-Z0-9_]+$/.test(code.trim())) {
+            errors.push('Reason code can only contain letters, numbers, and underscores');
+        }
+    }
+
+    // Name validation (optional)
+    if (name !== undefined) {
+        if (typeof name !== 'string') {
+            errors.push('Reason name must be a string');
+        } else if (name.trim().length < 2 || name.trim().length > 100) {
+            errors.push('Reason name must be between 2 and 100 characters long');
+        }
+    }
+
+    // Description validation (optional)
+    if (description !== undefined && description !== null) {
+        if (typeof description !== 'string') {
+            errors.push('Description must be a string');
+        } else if (description.length > 500) {
+            errors.push('Description cannot exceed 500 characters');
+        }
+    }
+
+    // Direction validation (optional)
+    if (direction !== undefined && !Object.values(ADJUSTMENT_DIRECTIONS).includes(direction)) {
+        errors.push(`Direction must be one of: ${Object.values(ADJUSTMENT_DIRECTIONS).join(', ')}`);
+    }
+
+    // Flag validation (optional)
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+        errors.push('is_active must be a boolean');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+// Default export
+export default {
+    validateAdjustmentReasonCreation,
+    validateAdjustmentReasonUpdate
+};
@@ -0,0 +1,55 @@
+/**
+ * Form fields sent along with uploaded files
+ */
+export const validateAttachmentDetails = (data) => {
+    const errors = [];
+    const { title } = data;
+
+    if (title !== undefined && title !== null) {
+        if (typeof title !== 'string') {
+            errors.push('Title must be a string');
+        } else if (title.length > 200) {
+            errors.push('Title cannot exceed 200 characters');
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Attachment update validation
+ */
+export const validateAttachmentUpdate = (data) => {
+    const errors = [];
+    const { title, position, is_primary } = data;
+
+    if (title !== undefined && title !== null) {
+        if (typeof title !== 'string') {
+            errors.push('Title must be a string');
+        } else if (title.length > 200) {
+            errors.push('Title cannot exceed 200 characters');
+        }
+    }
+
+    if (position !== undefined && (!Number.isInteger(Number(position)) || Number(position) < 0)) {
+        errors.push('Position must be a non-negative whole number');
+    }
+
+    if (is_primary !== undefined && typeof is_primary !== 'boolean') {
+        errors.push('is_primary must be a boolean');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+// Default export
+export default {
+    validateAttachmentDetails,
+    validateAttachmentUpdate
+};
@@ -1,9 +1,13 @@
+import { ATTRIBUTE_TYPES } from '../constant/index.js';
+
+const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
 /**
  * Category creation validation
  */
 export const validateCategoryCreation = (categoryData) => {
     const errors = [];
-    const { name, description } = categoryData;
+    const { name, description, parent_id } = categoryData;
 
     // Name validation
     if (!name) {
@@ -29,6 +33,11 @@ export const validateCategoryCreation = (categoryData) => {
         }
     }
 
+    // Parent category validation (optional, top level when omitted)
+    if (parent_id !== undefined && parent_id !== null && !isPositiveInteger(parent_id)) {
+        errors.push('Invalid parent category ID');
+    }
+
     return {
         isValid: errors.length === 0,
         errors
@@ -159,10 +168,90 @@ export const validateBulkCategoryImport = (categoriesArray) => {
     };
 };
 
+/**
+ * Category move validation (a null parent moves the category to the top level)
+ */
+export const validateCategoryMove = (data) => {
+    const errors = [];
+    const { parent_id } = data;
+
+    if (parent_id === undefined) {
+        errors.push('Parent category ID is required (null for the top level)');
+    } else if (parent_id !== null && !isPositiveInteger(parent_id)) {
+        errors.push('Invalid parent category ID');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Custom attribute definitions validation
+ */
+export const validateCategoryAttributes = (data) => {
+    const errors = [];
+    const { attributes } = data;
+
+    // An empty list is allowed and removes the category's custom attributes
+    if (!Array.isArray(attributes)) {
+        errors.push('Attributes must be an array');
+    } else {
+        const codes = new Set();
+
+        attributes.forEach((entry, index) => {
+            const prefix = `Attribute ${index + 1}: `;
+
+            if (!entry || typeof entry !== 'object') {
+                errors.push(`${prefix}Must be an object`);
+                return;
+            }
+
+            if (!entry.code || typeof entry.code !== 'string') {
+                errors.push(`${prefix}Code is required`);
+            } else if (!/^[a-z][a-z0-9_]*$/.test(entry.code) || entry.code.length > 50) {
+                errors.push(`${prefix}Code must start with a letter and contain only lowercase letters, numbers and underscores (max 50)`);
+            } else if (codes.has(entry.code)) {
+                errors.push(`${prefix}Code ${entry.code} is listed more than once`);
+            } else {
+                codes.add(entry.code);
+            }
+
+            if (!entry.label || typeof entry.label !== 'string' || entry.label.trim().length === 0) {
+                errors.push(`${prefix}Label is required`);
+            } else if (entry.label.trim().length > 100) {
+                errors.push(`${prefix}Label cannot exceed 100 characters`);
+            }
+
+            if (!Object.values(ATTRIBUTE_TYPES).includes(entry.data_type)) {
+                errors.push(`${prefix}Type must be one of: ${Object.values(ATTRIBUTE_TYPES).join(', ')}`);
+            } else if (entry.data_type === ATTRIBUTE_TYPES.ENUM) {
+                if (!Array.isArray(entry.options) || entry.options.length === 0) {
+                    errors.push(`${prefix}Enum attributes need a non-empty list of options`);
+                } else if (entry.options.some(option => typeof option !== 'string' || option.trim().length === 0)) {
+                    errors.push(`${prefix}Options must be non-empty strings`);
+                }
+            }
+
+            if (entry.is_required !== undefined && typeof entry.is_required !== 'boolean') {
+                errors.push(`${prefix}is_required must be a boolean`);
+            }
+        });
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
 // Default export
 export default {
     validateCategoryCreation,
     validateCategoryUpdate,
     validateCategoryName,
-    validateBulkCategoryImport
+    validateBulkCategoryImport,
+    validateCategoryMove,
+    validateCategoryAttributes
 };
\ No newline at end of file
@@ -13,6 +13,42 @@ export * from './inventory.validator.js';
 // Transaction validators
 export * from './transaction.validator.js';
 
+// Location validators
+export * from './location.validator.js';
+
+// Supplier validators
+export * from './supplier.validator.js';
+
+// Purchase order validators
+export * from './purchase-order.validator.js';
+
+// Sales order validators
+export * from './sales-order.validator.js';
+
+// Return validators
+export * from './return.validator.js';
+
+// Kit validators
+export * from './kit.validator.js';
+
+// Unit of measure validators
+export * from './unit.validator.js';
+
+// Variant validators
+export * from './variant.validator.js';
+
+// Attachment validators
+export * from './attachment.validator.js';
+
+// Reservation validators
+export * from './reservation.validator.js';
+
+// Serial number validators
+export * from './serial.validator.js';
+
+// Adjustment reason validators
+export * from './adjustment-reason.validator.js';
+
 // Common validators
 export * from './common.validator.js';
 
@@ -22,4 +58,16 @@ export { default as productValidators } from './product.validator.js';
 export { default as categoryValidators } from './category.validator.js';
 export { default as inventoryValidators } from './inventory.validator.js';
 export { default as transactionValidators } from './transaction.validator.js';
+export { default as locationValidators } from './location.validator.js';
+export { default as supplierValidators } from './supplier.validator.js';
+export { default as purchaseOrderValidators } from './purchase-order.validator.js';
+export { default as salesOrderValidators } from './sales-order.validator.js';
+export { default as returnValidators } from './return.validator.js';
+export { default as kitValidators } from './kit.validator.js';
+export { default as unitValidators } from './unit.validator.js';
+export { default as variantValidators } from './variant.validator.js';
+export { default as attachmentValidators } from './attachment.validator.js';
+export { default as reservationValidators } from './reservation.validator.js';
+export { default as serialValidators } from './serial.validator.js';
+export { default as adjustmentReasonValidators } from './adjustment-reason.validator.js';
 export { default as commonValidators } from './common.validator.js';
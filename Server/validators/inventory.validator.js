@@ -1,4 +1,4 @@
-import { ValidationUtil } from '../utils/index.js';
+import { ValidationUtil, QuantityUtil } from '../utils/index.js';
 
 /**
  * Inventory creation validation
@@ -21,8 +21,8 @@ export const validateInventoryCreation = (inventoryData) => {
         errors.push('Quantity must be a number');
     } else if (Number(quantity) < 0) {
         errors.push('Initial quantity cannot be negative');
-    } else if (!Number.isInteger(Number(quantity))) {
-        errors.push('Quantity must be a whole number');
+    } else if (!QuantityUtil.hasValidScale(quantity)) {
+        errors.push('Quantity cannot have more than 3 decimal places');
     } else if (Number(quantity) > 999999) {
         errors.push('Quantity cannot exceed 999,999');
     }
@@ -55,8 +55,8 @@ export const validateInventoryUpdate = (updateData) => {
             errors.push('Quantity must be a number');
         } else if (Number(quantity) < 0) {
             errors.push('Quantity cannot be negative');
-        } else if (!Number.isInteger(Number(quantity))) {
-            errors.push('Quantity must be a whole number');
+        } else if (!QuantityUtil.hasValidScale(quantity)) {
+            errors.push('Quantity cannot have more than 3 decimal places');
         } else if (Number(quantity) > 999999) {
             errors.push('Quantity cannot exceed 999,999');
         }
@@ -82,7 +82,7 @@ export const validateInventoryUpdate = (updateData) => {
  */
 export const validateStockOperation = (operationData) => {
     const errors = [];
-    const { quantity, notes, operation_type } = operationData;
+    const { quantity, unit, notes, operation_type, serials } = operationData;
 
     // Quantity validation
     if (!quantity) {
@@ -91,8 +91,8 @@ export const validateStockOperation = (operationData) => {
         errors.push('Quantity must be a number');
     } else if (Number(quantity) <= 0) {
         errors.push('Quantity must be greater than zero');
-    } else if (!Number.isInteger(Number(quantity))) {
-        errors.push('Quantity must be a whole number');
+    } else if (!QuantityUtil.hasValidScale(quantity)) {
+        errors.push('Quantity cannot have more than 3 decimal places');
     } else if (Number(quantity) > 999999) {
         errors.push('Quantity cannot exceed 999,999');
     }
@@ -104,6 +104,11 @@ export const validateStockOperation = (operationData) => {
         }
     }
 
+    // Unit validation (optional, defaults to the product's base unit)
+    if (unit !== undefined && unit !== null && typeof unit !== 'string') {
+        errors.push('Unit must be a string');
+    }
+
     // Notes validation (optional)
     if (notes !== undefined && notes !== null) {
         if (typeof notes !== 'string') {
@@ -113,6 +118,11 @@ export const validateStockOperation = (operationData) => {
         }
     }
 
+    // Serials validation (required by the service for serialized products)
+    if (serials !== undefined && !Array.isArray(serials)) {
+        errors.push('Serials must be an array of serial numbers');
+    }
+
     return {
         isValid: errors.length === 0,
         errors
@@ -124,7 +134,7 @@ export const validateStockOperation = (operationData) => {
  */
 export const validateStockAdjustment = (adjustmentData) => {
     const errors = [];
-    const { newQuantity, reason, notes } = adjustmentData;
+    const { newQuantity, unit, reason_code, notes, serials } = adjustmentData;
 
     // New quantity validation
     if (newQuantity === undefined || newQuantity === null) {
@@ -133,21 +143,124 @@ export const validateStockAdjustment = (adjustmentData) => {
         errors.push('New quantity must be a number');
     } else if (Number(newQuantity) < 0) {
         errors.push('New quantity cannot be negative');
-    } else if (!Number.isInteger(Number(newQuantity))) {
-        errors.push('New quantity must be a whole number');
+    } else if (!QuantityUtil.hasValidScale(newQuantity)) {
+        errors.push('New quantity cannot have more than 3 decimal places');
     } else if (Number(newQuantity) > 999999) {
         errors.push('New quantity cannot exceed 999,999');
     }
 
-    // Reason validation
-    if (!reason) {
-        errors.push('Adjustment reason is required');
-    } else if (typeof reason !== 'string') {
-        errors.push('Reason must be a string');
-    } else if (reason.trim().length === 0) {
-        errors.push('Reason cannot be empty');
-    } else if (reason.trim().length > 255) {
-        errors.push('Reason cannot exceed 255 characters');
+    // Reason code validation (one of the managed adjustment reasons)
+    if (!reason_code) {
+        errors.push('Adjustment reason code is required');
+    } else if (typeof reason_code !== 'string') {
+        errors.push('Reason code must be a string');
+    } else if (reason_code.trim().length === 0) {
+        errors.push('Reason code cannot be empty');
+    } else if (reason_code.trim().length > 50) {
+        errors.push('Reason code cannot exceed 50 characters');
+    }
+
+    // Unit validation (optional, defaults to the product's base unit)
+    if (unit !== undefined && unit !== null && typeof unit !== 'string') {
+        errors.push('Unit must be a string');
+    }
+
+    // Notes validation (optional)
+    if (notes !== undefined && notes !== null) {
+        if (typeof notes !== 'string') {
+            errors.push('Notes must be a string');
+        } else if (notes.length > 500) {
+            errors.push('Notes cannot exceed 500 characters');
+        }
+    }
+
+    // Serials validation (required by the service for serialized products)
+    if (serials !== undefined && !Array.isArray(serials)) {
+        errors.push('Serials must be an array of serial numbers');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Stock transfer validation
+ */
+export const validateStockTransfer = (transferData) => {
+    const errors = [];
+    const { to_location_id, quantity, unit, notes, serials } = transferData;
+
+    // Destination location validation
+    if (!to_location_id) {
+        errors.push('Destination location ID is required');
+    } else if (!ValidationUtil.isValidId(to_location_id)) {
+        errors.push('Invalid destination location ID');
+    }
+
+    // Quantity validation
+    if (!quantity) {
+        errors.push('Quantity is required');
+    } else if (typeof quantity !== 'number' && isNaN(Number(quantity))) {
+        errors.push('Quantity must be a number');
+    } else if (Number(quantity) <= 0) {
+        errors.push('Quantity must be greater than zero');
+    } else if (!QuantityUtil.hasValidScale(quantity)) {
+        errors.push('Quantity cannot have more than 3 decimal places');
+    } else if (Number(quantity) > 999999) {
+        errors.push('Quantity cannot exceed 999,999');
+    }
+
+    // Unit validation (optional, defaults to the product's base unit)
+    if (unit !== undefined && unit !== null && typeof unit !== 'string') {
+        errors.push('Unit must be a string');
+    }
+
+    // Notes validation (optional)
+    if (notes !== undefined && notes !== null) {
+        if (typeof notes !== 'string') {
+            errors.push('Notes must be a string');
+        } else if (notes.length > 500) {
+            errors.push('Notes cannot exceed 500 characters');
+        }
+    }
+
+    // Serials validation (required by the service for serialized products)
+    if (serials !== undefined && !Array.isArray(serials)) {
+        errors.push('Serials must be an array of serial numbers');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Physical count start validation
+ */
+export const validatePhysicalCountStart = (countData) => {
+    const errors = [];
+    const { location_id, product_ids, category_id, notes } = countData;
+
+    // Location validation (optional, defaults to the default location)
+    if (location_id !== undefined && location_id !== null && !ValidationUtil.isValidId(location_id)) {
+        errors.push('Invalid location ID');
+    }
+
+    // Product scope validation (optional)
+    if (product_ids !== undefined) {
+        if (!Array.isArray(product_ids) || product_ids.length === 0) {
+            errors.push('Product IDs must be a non-empty array');
+        } else if (!product_ids.every(id => ValidationUtil.isValidId(id))) {
+            errors.push('All product IDs must be valid');
+        }
+    }
+
+    // Category scope validation (optional)
+    if (category_id !== undefined && category_id !== null && !ValidationUtil.isValidId(category_id)) {
+        errors.push('Invalid category ID');
     }
 
     // Notes validation (optional)
@@ -165,6 +278,48 @@ export const validateStockAdjustment = (adjustmentData) => {
     };
 };
 
+/**
+ * Physical count record validation
+ */
+export const validatePhysicalCountRecord = (recordData) => {
+    const errors = [];
+    const entries = Array.isArray(recordData.counts) ? recordData.counts : [recordData];
+
+    if (entries.length === 0) {
+        errors.push('At least one count is required');
+    }
+
+    entries.forEach((entry, index) => {
+        const prefix = entries.length > 1 ? `Count ${index + 1}: ` : '';
+        const { product_id, counted_quantity, unit } = entry;
+
+        if (!product_id) {
+            errors.push(`${prefix}Product ID is required`);
+        } else if (!ValidationUtil.isValidId(product_id)) {
+            errors.push(`${prefix}Invalid product ID`);
+        }
+
+        if (counted_quantity === undefined || counted_quantity === null) {
+            errors.push(`${prefix}Counted quantity is required`);
+        } else if (typeof counted_quantity !== 'number' && isNaN(Number(counted_quantity))) {
+            errors.push(`${prefix}Counted quantity must be a number`);
+        } else if (Number(counted_quantity) < 0) {
+            errors.push(`${prefix}Counted quantity cannot be negative`);
+        } else if (!QuantityUtil.hasValidScale(counted_quantity)) {
+            errors.push(`${prefix}Counted quantity cannot have more than 3 decimal places`);
+        }
+
+        if (unit !== undefined && unit !== null && typeof unit !== 'string') {
+            errors.push(`${prefix}Unit must be a string`);
+        }
+    });
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
 /**
  * Bulk inventory update validation
  */
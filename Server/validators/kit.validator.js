@@ -0,0 +1,122 @@
+import { QuantityUtil } from '../utils/index.js';
+
+const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+const isPositiveQuantity = (value) => Number(value) > 0 && QuantityUtil.hasValidScale(value);
+
+/**
+ * Per-component serials and lots for a stock movement
+ */
+const validateComponentEntries = (components, errors) => {
+    if (components === undefined) {
+        return;
+    }
+
+    if (!Array.isArray(components)) {
+        errors.push('Components must be an array');
+        return;
+    }
+
+    components.forEach((entry, index) => {
+        const prefix = `Component ${index + 1}: `;
+
+        if (!entry.product_id) {
+            errors.push(`${prefix}Product ID is required`);
+        } else if (!isPositiveInteger(entry.product_id)) {
+            errors.push(`${prefix}Invalid product ID`);
+        }
+
+        if (entry.serials !== undefined && !Array.isArray(entry.serials)) {
+            errors.push(`${prefix}Serials must be an array of serial numbers`);
+        }
+
+        if (entry.lots !== undefined && !Array.isArray(entry.lots)) {
+            errors.push(`${prefix}Lots must be an array`);
+        }
+    });
+};
+
+/**
+ * Bill of materials validation
+ */
+export const validateKitComponents = (data) => {
+    const errors = [];
+    const { components } = data;
+
+    // An empty list is allowed and removes the bill of materials
+    if (!Array.isArray(components)) {
+        errors.push('Components must be an array');
+    } else {
+        components.forEach((entry, index) => {
+            const prefix = `Component ${index + 1}: `;
+
+            if (!entry.product_id) {
+                errors.push(`${prefix}Product ID is required`);
+            } else if (!isPositiveInteger(entry.product_id)) {
+                errors.push(`${prefix}Invalid product ID`);
+            }
+
+            if (entry.quantity === undefined || entry.quantity === null) {
+                errors.push(`${prefix}Quantity is required`);
+            } else if (!isPositiveQuantity(entry.quantity)) {
+                errors.push(`${prefix}Quantity must be a positive number with at most 3 decimal places`);
+            }
+
+            if (entry.notes !== undefined && entry.notes !== null && typeof entry.notes !== 'string') {
+                errors.push(`${prefix}Notes must be a string`);
+            }
+        });
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Assembly and disassembly validation
+ */
+export const validateKitAssembly = (data) => {
+    const errors = [];
+    const { quantity, location_id, notes, serials, lots, components } = data;
+
+    if (quantity === undefined || quantity === null) {
+        errors.push('Quantity is required');
+    } else if (!isPositiveQuantity(quantity)) {
+        errors.push('Quantity must be a positive number with at most 3 decimal places');
+    }
+
+    // Location validation (optional, defaults to the default location)
+    if (location_id !== undefined && location_id !== null && !isPositiveInteger(location_id)) {
+        errors.push('Invalid location ID');
+    }
+
+    if (notes !== undefined && notes !== null) {
+        if (typeof notes !== 'string') {
+            errors.push('Notes must be a string');
+        } else if (notes.length > 500) {
+            errors.push('Notes cannot exceed 500 characters');
+        }
+    }
+
+    if (serials !== undefined && !Array.isArray(serials)) {
+        errors.push('Serials must be an array of serial numbers');
+    }
+
+    if (lots !== undefined && !Array.isArray(lots)) {
+        errors.push('Lots must be an array');
+    }
+
+    validateComponentEntries(components, errors);
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+// Default export
+export default {
+    validateKitComponents,
+    validateKitAssembly
+};
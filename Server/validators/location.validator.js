@@ -0,0 +1,119 @@
+import { LOCATION_TYPES } from '../constant/index.js';
+
+/**
+ * Location creation validation
+ */
+export const validateLocationCreation = (locationData) => {
+    const errors = [];
+    const { code, name, type, address, is_default } = locationData;
+
+    // Code validation
+    if (!code) {
+        errors.push('Location code is required');
+    } else if (typeof code !== 'string') {
+        errors.push('Location code must be a string');
+    } else if (code.trim().length < 2) {
+        errors.push('Location code must be at least 2 characters long');
+    } else if (code.trim().length > 20) {
+        errors.push('Location code cannot exceed 20 characters');
+    } else if (!/^[a-zA-Z0-9\-_]+$/.test(code.trim())) {
+        errors.push('Location code can only contain letters, numbers, hyphens, and underscores');
+    }
+
+    // Name validation
+    if (!name) {
+        errors.push('Location name is required');
+    } else if (typeof name !== 'string') {
+        errors.push('Location name must be a string');
+    } else if (name.trim().length < 2) {
+        errors.push('Location name must be at least 2 characters long');
+    } else if (name.trim().length > 100) {
+        errors.push('Location name cannot exceed 100 characters');
+    }
+
+    // Type validation (optional)
+    if (type !== undefined && !Object.values(LOCATION_TYPES).includes(type)) {
+        errors.push(`Location type must be one of: ${Object.values(LOCATION_TYPES).join(', ')}`);
+    }
+
+    // Address validation (optional)
+    if (address !== undefined && address !== null) {
+        if (typeof address !== 'string') {
+            errors.push('Address must be a string');
+        } else if (address.length > 500) {
+            errors.push('Address cannot exceed 500 characters');
+        }
+    }
+
+    // Default flag validation (optional)
+    if (is_default !== undefined && typeof is_default !== 'boolean') {
+        errors.push('is_default must be a boolean');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Location update validation
+ */
+export const validateLocationUpdate = (updateData) => {
+    const errors = [];
+    const { code, name, type, address, is_default, is_active } = updateData;
+
+    // Code validation (optional)
+    if (code !== undefined) {
+        if (typeof code !== 'string') {
+            errors.push('Location code must be a string');
+        } else if (code.trim().length < 2 || code.trim().length > 20) {
+            errors.push('Location code must be between 2 and 20 characters long');
+        } else if (!/^[a-zA-Z0-9\-_]+$/.test(code.trim())) {
+            errors.push('Location code can only contain letters, numbers, hyphens, and underscores');
+        }
+    }
+
+    // Name validation (optional)
+    if (name !== undefined) {
+        if (typeof name !== 'string') {
+            errors.push('Location name must be a string');
+        } else if (name.trim().length < 2 || name.trim().length > 100) {
+            errors.push('Location name must be between 2 and 100 characters long');
+        }
+    }
+
+    // Type validation (optional)
+    if (type !== undefined && !Object.values(LOCATION_TYPES).includes(type)) {
+        errors.push(`Location type must be one of: ${Object.values(LOCATION_TYPES).join(', ')}`);
+    }
+
+    // Address validation (optional)
+    if (address !== undefined && address !== null) {
+        if (typeof address !== 'string') {
+            errors.push('Address must be a string');
+        } else if (address.length > 500) {
+            errors.push('Address cannot exceed 500 characters');
+        }
+    }
+
+    // Flag validation (optional)
+    if (is_default !== undefined && typeof is_default !== 'boolean') {
+        errors.push('is_default must be a boolean');
+    }
+
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+        errors.push('is_active must be a boolean');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+// Default export
+export default {
+    validateLocationCreation,
+    validateLocationUpdate
+};
@@ -1,10 +1,95 @@
 import { ValidationUtil } from '../utils/index.js';
-import { PRODUCT_UNITS } from '../constant/index.js';
+import { PRODUCT_UNITS, ATTRIBUTE_TYPES } from '../constant/index.js';
+
+const ATTRIBUTE_CODE_PATTERN = /^[a-z][a-z0-9_]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Type check of one custom attribute value against its definition
+ */
+const checkAttributeValue = (definition, value) => {
+    switch (definition.data_type) {
+        case ATTRIBUTE_TYPES.NUMBER:
+            return (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value))
+                ? null : 'must be a number';
+        case ATTRIBUTE_TYPES.ENUM:
+            return (definition.options || []).includes(value)
+                ? null : `must be one of: ${(definition.options || []).join(', ')}`;
+        case ATTRIBUTE_TYPES.BOOLEAN:
+            return typeof value === 'boolean' ? null : 'must be a boolean';
+        case ATTRIBUTE_TYPES.DATE:
+            return typeof value === 'string' && DATE_PATTERN.test(value) && !isNaN(new Date(value).getTime())
+                ? null : 'must be a date (YYYY-MM-DD)';
+        default:
+            if (typeof value !== 'string') {
+                return 'must be a string';
+            }
+            return value.length > 500 ? 'cannot exceed 500 characters' : null;
+    }
+};
 
 /**
- * Product creation validation
+ * Custom attribute values validation. Without the category's attribute
+ * definitions only the shape is checked; with them, every value must match
+ * its attribute's type and, unless partial, required attributes must be set.
+ * A null value clears an optional attribute.
  */
-export const validateProductCreation = (productData) => {
+export const validateProductAttributes = (values, definitions = null, { partial = false } = {}) => {
+    const errors = [];
+
+    if (values === undefined) {
+        values = {};
+    }
+
+    if (values === null || typeof values !== 'object' || Array.isArray(values)) {
+        errors.push('Custom attributes must be an object keyed by attribute code');
+        return { isValid: false, errors };
+    }
+
+    Object.entries(values).forEach(([code, value]) => {
+        if (!ATTRIBUTE_CODE_PATTERN.test(code)) {
+            errors.push(`Invalid custom attribute code: ${code}`);
+        } else if (value !== null && typeof value === 'object') {
+            errors.push(`Custom attribute ${code} must be a single value`);
+        }
+    });
+
+    if (definitions && errors.length === 0) {
+        Object.entries(values).forEach(([code, value]) => {
+            const definition = definitions.find(entry => entry.code === code);
+
+            if (!definition) {
+                errors.push(`Unknown custom attribute: ${code}`);
+            } else if (value === null) {
+                if (definition.is_required) {
+                    errors.push(`${definition.label} is required`);
+                }
+            } else {
+                const problem = checkAttributeValue(definition, value);
+                if (problem) {
+                    errors.push(`${definition.label} ${problem}`);
+                }
+            }
+        });
+
+        if (!partial) {
+            definitions
+                .filter(definition => definition.is_required && values[definition.code] === undefined)
+                .forEach(definition => errors.push(`${definition.label} is required`));
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Product creation validation (custom attributes are type-checked when the
+ * category's attribute definitions are passed)
+ */
+export const validateProductCreation = (productData, attributeDefinitions = null) => {
     const errors = [];
     const {
         name,
@@ -15,7 +100,11 @@ export const validateProductCreation = (productData) => {
         selling_price,
         reorder_level,
         description,
-        barcode
+        barcode,
+        is_lot_tracked,
+        is_serialized,
+        serials,
+        custom_attributes
     } = productData;
 
     // Name validation
@@ -109,6 +198,23 @@ export const validateProductCreation = (productData) => {
         }
     }
 
+    // Lot tracking flag validation (optional)
+    if (is_lot_tracked !== undefined && typeof is_lot_tracked !== 'boolean') {
+        errors.push('is_lot_tracked must be a boolean');
+    }
+
+    // Serial tracking validation (optional); initial stock then needs one serial per unit
+    if (is_serialized !== undefined && typeof is_serialized !== 'boolean') {
+        errors.push('is_serialized must be a boolean');
+    }
+
+    if (serials !== undefined && !Array.isArray(serials)) {
+        errors.push('Serials must be an array of serial numbers');
+    }
+
+    // Custom attribute validation (required ones only when the definitions are known)
+    errors.push(...validateProductAttributes(custom_attributes, attributeDefinitions).errors);
+
     return {
         isValid: errors.length === 0,
         errors
@@ -118,7 +224,7 @@ export const validateProductCreation = (productData) => {
 /**
  * Product update validation
  */
-export const validateProductUpdate = (updateData) => {
+export const validateProductUpdate = (updateData, attributeDefinitions = null) => {
     const errors = [];
     const {
         name,
@@ -130,7 +236,10 @@ export const validateProductUpdate = (updateData) => {
         reorder_level,
         description,
         barcode,
-        status
+        status,
+        is_lot_tracked,
+        is_serialized,
+        custom_attributes
     } = updateData;
 
     // Name validation (optional)
@@ -231,6 +340,21 @@ export const validateProductUpdate = (updateData) => {
         }
     }
 
+    // Lot tracking flag validation (optional)
+    if (is_lot_tracked !== undefined && typeof is_lot_tracked !== 'boolean') {
+        errors.push('is_lot_tracked must be a boolean');
+    }
+
+    // Serial tracking validation (optional)
+    if (is_serialized !== undefined && typeof is_serialized !== 'boolean') {
+        errors.push('is_serialized must be a boolean');
+    }
+
+    // Custom attribute validation (optional); only the attributes given are checked
+    if (custom_attributes !== undefined) {
+        errors.push(...validateProductAttributes(custom_attributes, attributeDefinitions, { partial: true }).errors);
+    }
+
     return {
         isValid: errors.length === 0,
         errors
@@ -0,0 +1,166 @@
+import { ValidationUtil, QuantityUtil } from '../utils/index.js';
+
+/**
+ * Purchase order line list validation
+ */
+const validateOrderLines = (lines, errors) => {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        errors.push('At least one order line is required');
+        return;
+    }
+
+    lines.forEach((line, index) => {
+        const prefix = `Line ${index + 1}: `;
+        const { product_id, quantity_ordered, unit, unit_cost } = line;
+
+        if (!product_id) {
+            errors.push(`${prefix}Product ID is required`);
+        } else if (!ValidationUtil.isValidId(product_id)) {
+            errors.push(`${prefix}Invalid product ID`);
+        }
+
+        if (quantity_ordered === undefined || quantity_ordered === null) {
+            errors.push(`${prefix}Quantity ordered is required`);
+        } else if (!(Number(quantity_ordered) > 0) || !QuantityUtil.hasValidScale(quantity_ordered)) {
+            errors.push(`${prefix}Quantity ordered must be a positive number with at most 3 decimal places`);
+        }
+
+        // Quantity and cost are per this unit of the product (optional, defaults to the base unit)
+        if (unit !== undefined && unit !== null && typeof unit !== 'string') {
+            errors.push(`${prefix}Unit must be a string`);
+        }
+
+        if (unit_cost !== undefined && unit_cost !== null) {
+            if (isNaN(Number(unit_cost))) {
+                errors.push(`${prefix}Unit cost must be a number`);
+            } else if (Number(unit_cost) < 0) {
+                errors.push(`${prefix}Unit cost cannot be negative`);
+            }
+        }
+    });
+};
+
+/**
+ * Purchase order creation validation
+ */
+export const validatePurchaseOrderCreation = (orderData) => {
+    const errors = [];
+    const { supplier_id, location_id, expected_date, notes, lines } = orderData;
+
+    // Supplier validation
+    if (!supplier_id) {
+        errors.push('Supplier ID is required');
+    } else if (!ValidationUtil.isValidId(supplier_id)) {
+        errors.push('Invalid supplier ID');
+    }
+
+    // Location validation (optional, defaults to the default location)
+    if (location_id !== undefined && location_id !== null && !ValidationUtil.isValidId(location_id)) {
+        errors.push('Invalid location ID');
+    }
+
+    // Expected date validation (optional)
+    if (expected_date !== undefined && expected_date !== null && isNaN(Date.parse(expected_date))) {
+        errors.push('Expected date must be a valid date');
+    }
+
+    // Notes validation (optional)
+    if (notes !== undefined && notes !== null) {
+        if (typeof notes !== 'string') {
+            errors.push('Notes must be a string');
+        } else if (notes.length > 500) {
+            errors.push('Notes cannot exceed 500 characters');
+        }
+    }
+
+    validateOrderLines(lines, errors);
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Purchase order update validation
+ */
+export const validatePurchaseOrderUpdate = (updateData) => {
+    const errors = [];
+    const { supplier_id, expected_date, lines } = updateData;
+
+    if (supplier_id !== undefined && !ValidationUtil.isValidId(supplier_id)) {
+        errors.push('Invalid supplier ID');
+    }
+
+    if (expected_date !== undefined && expected_date !== null && isNaN(Date.parse(expected_date))) {
+        errors.push('Expected date must be a valid date');
+    }
+
+    if (lines !== undefined) {
+        validateOrderLines(lines, errors);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Goods receipt validation
+ */
+export const validateGoodsReceipt = (receiptData) => {
+    const errors = [];
+    const { lines } = receiptData;
+
+    // Lines are optional; without them every outstanding quantity is received
+    if (lines !== undefined) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            errors.push('Receipt lines must be a non-empty array');
+        } else {
+            lines.forEach((line, index) => {
+                const prefix = `Line ${index + 1}: `;
+
+                if (!line.line_id && !line.product_id) {
+                    errors.push(`${prefix}Either line ID or product ID is required`);
+                }
+
+                if (line.quantity === undefined || line.quantity === null) {
+                    errors.push(`${prefix}Quantity is required`);
+                } else if (!(Number(line.quantity) > 0) || !QuantityUtil.hasValidScale(line.quantity)) {
+                    errors.push(`${prefix}Quantity must be a positive number with at most 3 decimal places`);
+                }
+
+                if (line.unit !== undefined && line.unit !== null && typeof line.unit !== 'string') {
+                    errors.push(`${prefix}Unit must be a string`);
+                }
+
+                if (line.lot_number !== undefined && line.lot_number !== null && String(line.lot_number).length > 50) {
+                    errors.push(`${prefix}Lot number cannot exceed 50 characters`);
+                }
+
+                ['manufacture_date', 'expiry_date'].forEach(field => {
+                    if (line[field] && isNaN(Date.parse(line[field]))) {
+                        errors.push(`${prefix}${field} must be a valid date`);
+                    }
+                });
+
+                if (line.serials !== undefined && !Array.isArray(line.serials)) {
+                    errors.push(`${prefix}Serials must be an array of serial numbers`);
+                }
+            });
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+// Default export
+export default {
+    validatePurchaseOrderCreation,
+    validatePurchaseOrderUpdate,
+    validateGoodsReceipt
+};
@@ -0,0 +1,68 @@
+import { ValidationUtil, QuantityUtil } from '../utils/index.js';
+import { RESERVATION_OWNER_TYPES } from '../constant/index.js';
+
+/**
+ * Stock reservation validation
+ */
+export const validateReservationCreation = (reservationData) => {
+    const errors = [];
+    const { product_id, location_id, quantity, owner_type, owner_id, expires_at, ttl_minutes } = reservationData;
+
+    // Product validation
+    if (!product_id) {
+        errors.push('Product ID is required');
+    } else if (!ValidationUtil.isValidId(product_id)) {
+        errors.push('Invalid product ID');
+    }
+
+    // Location validation (optional, defaults to the default location)
+    if (location_id !== undefined && location_id !== null && !ValidationUtil.isValidId(location_id)) {
+        errors.push('Invalid location ID');
+    }
+
+    // Quantity validation
+    if (quantity === undefined || quantity === null) {
+        errors.push('Quantity is required');
+    } else if (!(Number(quantity) > 0) || !QuantityUtil.hasValidScale(quantity)) {
+        errors.push('Quantity must be a positive number with at most 3 decimal places');
+    }
+
+    // Owner validation; sales order holds are created by confirming the order
+    const ownerTypes = Object.values(RESERVATION_OWNER_TYPES)
+        .filter(type => type !== RESERVATION_OWNER_TYPES.SALES_ORDER);
+    if (!owner_type) {
+        errors.push('Owner type is required');
+    } else if (!ownerTypes.includes(owner_type)) {
+        errors.push(`Owner type must be one of: ${ownerTypes.join(', ')}`);
+    }
+
+    if (owner_id === undefined || owner_id === null || String(owner_id).trim() === '') {
+        errors.push('Owner ID is required');
+    } else if (String(owner_id).length > 100) {
+        errors.push('Owner ID cannot exceed 100 characters');
+    }
+
+    // Expiry validation (optional, defaults to the reservation TTL)
+    if (expires_at !== undefined && expires_at !== null) {
+        if (isNaN(Date.parse(expires_at))) {
+            errors.push('Expiry must be a valid date');
+        } else if (new Date(expires_at) <= new Date()) {
+            errors.push('Expiry must be in the future');
+        }
+    }
+
+    if (ttl_minutes !== undefined && ttl_minutes !== null &&
+        (!Number.isInteger(Number(ttl_minutes)) || Number(ttl_minutes) <= 0)) {
+        errors.push('TTL must be a positive whole number of minutes');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+// Default export
+export default {
+    validateReservationCreation
+};
@@ -0,0 +1,132 @@
+import { QuantityUtil } from '../utils/index.js';
+import { RETURN_DISPOSITIONS } from '../constant/index.js';
+
+const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+const isPositiveQuantity = (value) => Number(value) > 0 && QuantityUtil.hasValidScale(value);
+
+/**
+ * Optional free-text field validation
+ */
+const validateText = (value, label, maxLength, errors) => {
+    if (value !== undefined && value !== null) {
+        if (typeof value !== 'string') {
+            errors.push(`${label} must be a string`);
+        } else if (value.length > maxLength) {
+            errors.push(`${label} cannot exceed ${maxLength} characters`);
+        }
+    }
+};
+
+const validateDisposition = (disposition, prefix, errors) => {
+    if (disposition !== undefined && !Object.values(RETURN_DISPOSITIONS).includes(disposition)) {
+        errors.push(`${prefix}Disposition must be one of: ${Object.values(RETURN_DISPOSITIONS).join(', ')}`);
+    }
+};
+
+/**
+ * Return creation validation
+ */
+export const validateReturnCreation = (returnData) => {
+    const errors = [];
+    const { sales_order_id, transaction_id, location_id, customer_name, reason, notes, lines } = returnData;
+
+    // The return references exactly one sale: a sales order or an OUT transaction
+    if (!sales_order_id && !transaction_id) {
+        errors.push('Either sales order ID or transaction ID is required');
+    } else if (sales_order_id && transaction_id) {
+        errors.push('Provide either sales order ID or transaction ID, not both');
+    } else if (sales_order_id && !isPositiveInteger(sales_order_id)) {
+        errors.push('Invalid sales order ID');
+    } else if (transaction_id && !isPositiveInteger(transaction_id)) {
+        errors.push('Invalid transaction ID');
+    }
+
+    // Location validation (optional, defaults to where the goods were shipped from)
+    if (location_id !== undefined && location_id !== null && !isPositiveInteger(location_id)) {
+        errors.push('Invalid location ID');
+    }
+
+    validateText(customer_name, 'Customer name', 150, errors);
+    validateText(reason, 'Reason', 500, errors);
+    validateText(notes, 'Notes', 500, errors);
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+        errors.push('At least one return line is required');
+    } else {
+        lines.forEach((line, index) => {
+            const prefix = `Line ${index + 1}: `;
+
+            if (!line.line_id && !line.product_id) {
+                errors.push(`${prefix}Either line ID or product ID is required`);
+            } else if (line.line_id && !isPositiveInteger(line.line_id)) {
+                errors.push(`${prefix}Invalid line ID`);
+            } else if (line.product_id && !isPositiveInteger(line.product_id)) {
+                errors.push(`${prefix}Invalid product ID`);
+            }
+
+            if (line.quantity === undefined || line.quantity === null) {
+                errors.push(`${prefix}Quantity is required`);
+            } else if (!isPositiveQuantity(line.quantity)) {
+                errors.push(`${prefix}Quantity must be a positive number with at most 3 decimal places`);
+            }
+
+            validateDisposition(line.disposition, prefix, errors);
+            validateText(line.reason, `${prefix}Reason`, 500, errors);
+        });
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Return receipt validation
+ */
+export const validateReturnReceipt = (receiptData) => {
+    const errors = [];
+    const { notes, lines } = receiptData;
+
+    validateText(notes, 'Notes', 500, errors);
+
+    // Lines are optional; without them every line is received with the disposition it was opened with
+    if (lines !== undefined) {
+        if (!Array.isArray(lines)) {
+            errors.push('Receipt lines must be an array');
+        } else {
+            lines.forEach((line, index) => {
+                const prefix = `Line ${index + 1}: `;
+
+                if (!line.line_id && !line.product_id) {
+                    errors.push(`${prefix}Either line ID or product ID is required`);
+                }
+
+                validateDisposition(line.disposition, prefix, errors);
+
+                if (line.location_id !== undefined && line.location_id !== null && !isPositiveInteger(line.location_id)) {
+                    errors.push(`${prefix}Invalid location ID`);
+                }
+
+                if (line.serials !== undefined && !Array.isArray(line.serials)) {
+                    errors.push(`${prefix}Serials must be an array of serial numbers`);
+                }
+
+                if (line.lots !== undefined && !Array.isArray(line.lots)) {
+                    errors.push(`${prefix}Lots must be an array`);
+                }
+            });
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+// Default export
+export default {
+    validateReturnCreation,
+    validateReturnReceipt
+};
@@ -0,0 +1,159 @@
+import { ValidationUtil, QuantityUtil } from '../utils/index.js';
+import { DATABASE_CONSTRAINTS } from '../constant/index.js';
+
+/**
+ * Sales order line list validation
+ */
+const validateOrderLines = (lines, errors) => {
+    if (!Array.isArray(lines) || lines.length === 0) {
+        errors.push('At least one order line is required');
+        return;
+    }
+
+    lines.forEach((line, index) => {
+        const prefix = `Line ${index + 1}: `;
+        const { product_id, quantity_ordered, unit_price } = line;
+
+        if (!product_id) {
+            errors.push(`${prefix}Product ID is required`);
+        } else if (!ValidationUtil.isValidId(product_id)) {
+            errors.push(`${prefix}Invalid product ID`);
+        }
+
+        if (quantity_ordered === undefined || quantity_ordered === null) {
+            errors.push(`${prefix}Quantity ordered is required`);
+        } else if (!(Number(quantity_ordered) > 0) || !QuantityUtil.hasValidScale(quantity_ordered)) {
+            errors.push(`${prefix}Quantity ordered must be a positive number with at most 3 decimal places`);
+        }
+
+        if (unit_price !== undefined && unit_price !== null) {
+            if (isNaN(Number(unit_price))) {
+                errors.push(`${prefix}Unit price must be a number`);
+            } else if (Number(unit_price) < 0) {
+                errors.push(`${prefix}Unit price cannot be negative`);
+            }
+        }
+    });
+};
+
+/**
+ * Customer fields validation (shared by create and update)
+ */
+const validateCustomer = (data, errors, isUpdate = false) => {
+    const { customer_name, customer_email } = data;
+    const { MIN_LENGTH, MAX_LENGTH } = DATABASE_CONSTRAINTS.CUSTOMER_NAME;
+
+    if (customer_name === undefined || customer_name === null || customer_name === '') {
+        if (!isUpdate) {
+            errors.push('Customer name is required');
+        }
+    } else if (typeof customer_name !== 'string') {
+        errors.push('Customer name must be a string');
+    } else if (customer_name.trim().length < MIN_LENGTH || customer_name.trim().length > MAX_LENGTH) {
+        errors.push(`Customer name must be between ${MIN_LENGTH} and ${MAX_LENGTH} characters long`);
+    }
+
+    if (customer_email !== undefined && customer_email !== null && customer_email !== '' &&
+        !ValidationUtil.isValidEmail(customer_email)) {
+        errors.push('Invalid customer email');
+    }
+};
+
+/**
+ * Sales order creation validation
+ */
+export const validateSalesOrderCreation = (orderData) => {
+    const errors = [];
+    const { location_id, notes, lines } = orderData;
+
+    validateCustomer(orderData, errors);
+
+    // Location validation (optional, defaults to the default location)
+    if (location_id !== undefined && location_id !== null && !ValidationUtil.isValidId(location_id)) {
+        errors.push('Invalid location ID');
+    }
+
+    // Notes validation (optional)
+    if (notes !== undefined && notes !== null) {
+        if (typeof notes !== 'string') {
+            errors.push('Notes must be a string');
+        } else if (notes.length > 500) {
+            errors.push('Notes cannot exceed 500 characters');
+        }
+    }
+
+    validateOrderLines(lines, errors);
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Sales order update validation
+ */
+export const validateSalesOrderUpdate = (updateData) => {
+    const errors = [];
+    const { location_id, lines } = updateData;
+
+    validateCustomer(updateData, errors, true);
+
+    if (location_id !== undefined && !ValidationUtil.isValidId(location_id)) {
+        errors.push('Invalid location ID');
+    }
+
+    if (lines !== undefined) {
+        validateOrderLines(lines, errors);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Shipment validation
+ */
+export const validateShipment = (shipmentData) => {
+    const errors = [];
+    const { lines } = shipmentData;
+
+    // Lines are optional; without them every outstanding quantity is shipped
+    if (lines !== undefined) {
+        if (!Array.isArray(lines) || lines.length === 0) {
+            errors.push('Shipment lines must be a non-empty array');
+        } else {
+            lines.forEach((line, index) => {
+                const prefix = `Line ${index + 1}: `;
+
+                if (!line.line_id && !line.product_id) {
+                    errors.push(`${prefix}Either line ID or product ID is required`);
+                }
+
+                if (line.quantity === undefined || line.quantity === null) {
+                    errors.push(`${prefix}Quantity is required`);
+                } else if (!(Number(line.quantity) > 0) || !QuantityUtil.hasValidScale(line.quantity)) {
+                    errors.push(`${prefix}Quantity must be a positive number with at most 3 decimal places`);
+                }
+
+                if (line.serials !== undefined && !Array.isArray(line.serials)) {
+                    errors.push(`${prefix}Serials must be an array of serial numbers`);
+                }
+            });
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+// Default export
+export default {
+    validateSalesOrderCreation,
+    validateSalesOrderUpdate,
+    validateShipment
+};
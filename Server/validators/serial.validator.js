@@ -0,0 +1,27 @@
+import { SERIAL_STATUS } from '../constant/index.js';
+
+/**
+ * Serial number status change validation
+ */
+export const validateSerialStatusUpdate = (statusData) => {
+    const errors = [];
+    const { status } = statusData;
+
+    // Only reservation and restocking are changed by hand; sales and write-offs go through stock movements
+    const allowed = [SERIAL_STATUS.IN_STOCK, SERIAL_STATUS.RESERVED];
+    if (!status) {
+        errors.push('Status is required');
+    } else if (!allowed.includes(status)) {
+        errors.push(`Status must be one of: ${allowed.join(', ')}`);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+// Default export
+export default {
+    validateSerialStatusUpdate
+};
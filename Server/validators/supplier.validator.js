@@ -0,0 +1,150 @@
+import { ValidationUtil } from '../utils/index.js';
+
+/**
+ * Supplier creation validation
+ */
+export const validateSupplierCreation = (supplierData) => {
+    const errors = [];
+    const { code, name, email, phone, address } = supplierData;
+
+    // Code validation
+    if (!code) {
+        errors.push('Supplier code is required');
+    } else if (typeof code !== 'string') {
+        errors.push('Supplier code must be a string');
+    } else if (code.trim().length < 2 || code.trim().length > 20) {
+        errors.push('Supplier code must be between 2 and 20 characters long');
+    } else if (!/^[a-zA-Z0-9\-_]+$/.test(code.trim())) {
+        errors.push('Supplier code can only contain letters, numbers, hyphens, and underscores');
+    }
+
+    // Name validation
+    if (!name) {
+        errors.push('Supplier name is required');
+    } else if (typeof name !== 'string') {
+        errors.push('Supplier name must be a string');
+    } else if (name.trim().length < 2 || name.trim().length > 150) {
+        errors.push('Supplier name must be between 2 and 150 characters long');
+    }
+
+    // Email validation (optional)
+    if (email !== undefined && email !== null && email !== '' && !ValidationUtil.isValidEmail(email)) {
+        errors.push('Invalid email format');
+    }
+
+    // Phone validation (optional)
+    if (phone !== undefined && phone !== null && String(phone).length > 30) {
+        errors.push('Phone cannot exceed 30 characters');
+    }
+
+    // Address validation (optional)
+    if (address !== undefined && address !== null) {
+        if (typeof address !== 'string') {
+            errors.push('Address must be a string');
+        } else if (address.length > 500) {
+            errors.push('Address cannot exceed 500 characters');
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Supplier update validation
+ */
+export const validateSupplierUpdate = (updateData) => {
+    const errors = [];
+    const { code, name, email, is_active } = updateData;
+
+    // Code validation (optional)
+    if (code !== undefined) {
+        if (typeof code !== 'string') {
+            errors.push('Supplier code must be a string');
+        } else if (code.trim().length < 2 || code.trim().length > 20) {
+            errors.push('Supplier code must be between 2 and 20 characters long');
+        }
+    }
+
+    // Name validation (optional)
+    if (name !== undefined) {
+        if (typeof name !== 'string') {
+            errors.push('Supplier name must be a string');
+        } else if (name.trim().length < 2 || name.trim().length > 150) {
+            errors.push('Supplier name must be between 2 and 150 characters long');
+        }
+    }
+
+    // Email validation (optional)
+    if (email !== undefined && email !== null && email !== '' && !ValidationUtil.isValidEmail(email)) {
+        errors.push('Invalid email format');
+    }
+
+    if (is_active !== undefined && typeof is_active !== 'boolean') {
+        errors.push('is_active must be a boolean');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Supplier catalog item validation
+ */
+export const validateCatalogItem = (itemData) => {
+    const errors = [];
+    const { supplier_sku, unit_cost, currency, lead_time_days, minimum_order_quantity, is_preferred } = itemData;
+
+    // Supplier SKU validation (optional)
+    if (supplier_sku !== undefined && supplier_sku !== null && String(supplier_sku).length > 50) {
+        errors.push('Supplier SKU cannot exceed 50 characters');
+    }
+
+    // Unit cost validation (optional)
+    if (unit_cost !== undefined && unit_cost !== null) {
+        if (isNaN(Number(unit_cost))) {
+            errors.push('Unit cost must be a number');
+        } else if (Number(unit_cost) < 0) {
+            errors.push('Unit cost cannot be negative');
+        }
+    }
+
+    // Currency validation (optional)
+    if (currency !== undefined && !/^[A-Za-z]{3}$/.test(String(currency).trim())) {
+        errors.push('Currency must be a 3-letter ISO code');
+    }
+
+    // Lead time validation (optional)
+    if (lead_time_days !== undefined) {
+        if (!Number.isInteger(Number(lead_time_days)) || Number(lead_time_days) < 0) {
+            errors.push('Lead time must be a non-negative whole number of days');
+        }
+    }
+
+    // Minimum order quantity validation (optional)
+    if (minimum_order_quantity !== undefined) {
+        if (!Number.isInteger(Number(minimum_order_quantity)) || Number(minimum_order_quantity) < 1) {
+            errors.push('Minimum order quantity must be a positive whole number');
+        }
+    }
+
+    if (is_preferred !== undefined && typeof is_preferred !== 'boolean') {
+        errors.push('is_preferred must be a boolean');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+// Default export
+export default {
+    validateSupplierCreation,
+    validateSupplierUpdate,
+    validateCatalogItem
+};
@@ -1,5 +1,5 @@
-import { ValidationUtil } from '../utils/index.js';
-import { TRANSACTION_TYPES } from '../constant/index.js';
+import { ValidationUtil, QuantityUtil } from '../utils/index.js';
+import { TRANSACTION_TYPES, TRANSACTION_STATUS, REPORTS } from '../constant/index.js';
 
 /**
  * Transaction creation validation
@@ -12,6 +12,7 @@ export const validateTransactionCreation = (transactionData) => {
         quantity,
         previous_quantity,
         new_quantity,
+        reason_code,
         notes
     } = transactionData;
 
@@ -34,8 +35,8 @@ export const validateTransactionCreation = (transactionData) => {
         errors.push('Quantity is required');
     } else if (typeof quantity !== 'number' && isNaN(Number(quantity))) {
         errors.push('Quantity must be a number');
-    } else if (!Number.isInteger(Number(quantity))) {
-        errors.push('Quantity must be a whole number');
+    } else if (!QuantityUtil.hasValidScale(quantity)) {
+        errors.push('Quantity cannot have more than 3 decimal places');
     } else if (Math.abs(Number(quantity)) > 999999) {
         errors.push('Quantity cannot exceed 999,999');
     }
@@ -47,39 +48,16 @@ export const validateTransactionCreation = (transactionData) => {
         errors.push('Quantity must be positive for stock out transactions');
     }
 
-    // Previous quantity validation (optional but recommended)
-    if (previous_quantity !== undefined && previous_quantity !== null) {
-        if (typeof previous_quantity !== 'number' && isNaN(Number(previous_quantity))) {
-            errors.push('Previous quantity must be a number');
-        } else if (Number(previous_quantity) < 0) {
-            errors.push('Previous quantity cannot be negative');
-        } else if (!Number.isInteger(Number(previous_quantity))) {
-            errors.push('Previous quantity must be a whole number');
-        }
+    // Adjustments must name a reason code
+    if (type === TRANSACTION_TYPES.ADJUSTMENT && !reason_code) {
+        errors.push('Reason code is required for adjustments');
+    } else if (reason_code !== undefined && reason_code !== null && typeof reason_code !== 'string') {
+        errors.push('Reason code must be a string');
     }
 
-    // New quantity validation (optional but recommended)
-    if (new_quantity !== undefined && new_quantity !== null) {
-        if (typeof new_quantity !== 'number' && isNaN(Number(new_quantity))) {
-            errors.push('New quantity must be a number');
-        } else if (Number(new_quantity) < 0) {
-            errors.push('New quantity cannot be negative');
-        } else if (!Number.isInteger(Number(new_quantity))) {
-            errors.push('New quantity must be a whole number');
-        }
-    }
-
-    // Validate quantity relationship (if both previous and new quantities are provided)
-    if (previous_quantity !== undefined && new_quantity !== undefined && quantity !== undefined) {
-        const expectedNewQuantity = type === TRANSACTION_TYPES.IN
-            ? Number(previous_quantity) + Number(quantity)
-            : type === TRANSACTION_TYPES.OUT
-                ? Number(previous_quantity) - Number(quantity)
-                : Number(new_quantity); // For adjustments
-
-        if (type !== TRANSACTION_TYPES.ADJUSTMENT && Number(new_quantity) !== expectedNewQuantity) {
-            errors.push('Quantity calculation does not match previous and new quantities');
-        }
+    // Balances are computed by the ledger, never taken from the request
+    if (previous_quantity !== undefined || new_quantity !== undefined) {
+        errors.push('previous_quantity and new_quantity are calculated by the server and cannot be set');
     }
 
     // Notes validation (optional)
@@ -359,3 +337,122 @@ export const validateDailySummary = (summaryData) => {
         errors
     };
 };
+
+/**
+ * Transaction reversal validation
+ */
+export const validateTransactionReversal = (reversalData) => {
+    const errors = [];
+    const { reason } = reversalData;
+
+    if (!reason || (typeof reason === 'string' && reason.trim().length === 0)) {
+        errors.push('Reversal reason is required');
+    } else if (typeof reason !== 'string') {
+        errors.push('Reversal reason must be a string');
+    } else if (reason.length > 500) {
+        errors.push('Reversal reason cannot exceed 500 characters');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Bulk transaction reversal validation
+ */
+export const validateBulkReversal = (reversalData, maxItems = 100) => {
+    const errors = [...validateTransactionReversal(reversalData).errors];
+    const { ids } = reversalData;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+        errors.push('ids must be a non-empty array of transaction IDs');
+    } else if (ids.length > maxItems) {
+        errors.push(`Cannot reverse more than ${maxItems} transactions at once`);
+    } else if (ids.some(id => !Number.isInteger(Number(id)) || Number(id) < 1)) {
+        errors.push('Every transaction ID must be a positive integer');
+    } else if (new Set(ids.map(Number)).size !== ids.length) {
+        errors.push('Transaction IDs must be unique');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Transaction rejection validation
+ */
+export const validateTransactionRejection = (rejectionData) => {
+    const errors = [];
+    const { reason } = rejectionData;
+
+    if (!reason || (typeof reason === 'string' && reason.trim().length === 0)) {
+        errors.push('Rejection reason is required');
+    } else if (typeof reason !== 'string') {
+        errors.push('Rejection reason must be a string');
+    } else if (reason.length > 500) {
+        errors.push('Rejection reason cannot exceed 500 characters');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Pending transaction review validation (status posted approves, rejected rejects)
+ */
+export const validateTransactionReview = (reviewData) => {
+    const errors = [];
+    const { status, notes } = reviewData;
+    const allowedStatuses = [TRANSACTION_STATUS.POSTED, TRANSACTION_STATUS.REJECTED];
+
+    if (!allowedStatuses.includes(status)) {
+        errors.push(`Status must be one of: ${allowedStatuses.join(', ')}`);
+    } else if (status === TRANSACTION_STATUS.REJECTED) {
+        errors.push(...validateTransactionRejection(reviewData).errors);
+    }
+
+    if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+        errors.push('Notes must be a string');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Shrinkage (variance) report filter validation
+ */
+export const validateShrinkageReportFilters = (filters) => {
+    const errors = [];
+    const { location_id, category_id, reason_code, interval } = filters;
+    const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
+    if (location_id !== undefined && !isPositiveInteger(location_id)) {
+        errors.push('Invalid location ID');
+    }
+
+    if (category_id !== undefined && !isPositiveInteger(category_id)) {
+        errors.push('Invalid category ID');
+    }
+
+    if (reason_code !== undefined && (typeof reason_code !== 'string' || reason_code.trim().length === 0)) {
+        errors.push('Reason code must be a non-empty string');
+    }
+
+    if (interval !== undefined && !REPORTS.SHRINKAGE_INTERVALS.includes(interval)) {
+        errors.push(`Interval must be one of: ${REPORTS.SHRINKAGE_INTERVALS.join(', ')}`);
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
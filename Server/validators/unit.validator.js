@@ -0,0 +1,43 @@
+import { DATABASE_CONSTRAINTS } from '../constant/index.js';
+
+/**
+ * Product unit conversions validation
+ */
+export const validateProductUnits = (data) => {
+    const errors = [];
+    const { units } = data;
+    const { MIN_LENGTH, MAX_LENGTH } = DATABASE_CONSTRAINTS.UNIT_CODE;
+
+    // An empty list is allowed and leaves only the base unit
+    if (!Array.isArray(units)) {
+        errors.push('Units must be an array');
+    } else {
+        units.forEach((entry, index) => {
+            const prefix = `Unit ${index + 1}: `;
+
+            if (!entry.unit) {
+                errors.push(`${prefix}Unit is required`);
+            } else if (typeof entry.unit !== 'string') {
+                errors.push(`${prefix}Unit must be a string`);
+            } else if (entry.unit.trim().length < MIN_LENGTH || entry.unit.trim().length > MAX_LENGTH) {
+                errors.push(`${prefix}Unit must be between ${MIN_LENGTH} and ${MAX_LENGTH} characters`);
+            }
+
+            if (entry.conversion_factor === undefined || entry.conversion_factor === null) {
+                errors.push(`${prefix}Conversion factor is required`);
+            } else if (isNaN(Number(entry.conversion_factor)) || Number(entry.conversion_factor) <= 0) {
+                errors.push(`${prefix}Conversion factor must be a positive number`);
+            }
+        });
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+// Default export
+export default {
+    validateProductUnits
+};
@@ -0,0 +1,107 @@
+const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
+/**
+ * Variant attribute definitions validation
+ */
+export const validateVariantAttributes = (data) => {
+    const errors = [];
+    const { attributes } = data;
+
+    // An empty list is allowed and removes the attributes (only while there are no variants)
+    if (!Array.isArray(attributes)) {
+        errors.push('Attributes must be an array');
+    } else {
+        attributes.forEach((entry, index) => {
+            const prefix = `Attribute ${index + 1}: `;
+
+            if (!entry.name || typeof entry.name !== 'string' || entry.name.trim().length === 0) {
+                errors.push(`${prefix}Name is required`);
+            } else if (entry.name.trim().length > 50) {
+                errors.push(`${prefix}Name cannot exceed 50 characters`);
+            }
+
+            if (!Array.isArray(entry.values) || entry.values.length === 0) {
+                errors.push(`${prefix}Values must be a non-empty array`);
+            } else if (entry.values.some(value => !['string', 'number'].includes(typeof value) || String(value).trim().length === 0)) {
+                errors.push(`${prefix}Values must be non-empty strings or numbers`);
+            }
+        });
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Variant generation validation
+ */
+export const validateVariantGeneration = (data) => {
+    const errors = [];
+    const { location_id } = data;
+
+    // Location validation (optional, defaults to the default location)
+    if (location_id !== undefined && location_id !== null && !isPositiveInteger(location_id)) {
+        errors.push('Invalid location ID');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Linking an existing product as a variant
+ */
+export const validateVariantLink = (data) => {
+    const errors = [];
+    const { product_id, options } = data;
+
+    if (!product_id) {
+        errors.push('Product ID is required');
+    } else if (!isPositiveInteger(product_id)) {
+        errors.push('Invalid product ID');
+    }
+
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        errors.push('Options must be an object of attribute values');
+    } else if (Object.values(options).some(value => !['string', 'number'].includes(typeof value))) {
+        errors.push('Option values must be strings or numbers');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+/**
+ * Variant route parameters
+ */
+export const validateVariantParams = (data) => {
+    const errors = [];
+    const { id, variantId } = data;
+
+    if (!isPositiveInteger(id)) {
+        errors.push('Invalid product ID');
+    }
+
+    if (!isPositiveInteger(variantId)) {
+        errors.push('Invalid variant ID');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors
+    };
+};
+
+// Default export
+export default {
+    validateVariantAttributes,
+    validateVariantGeneration,
+    validateVariantLink,
+    validateVariantParams
+};